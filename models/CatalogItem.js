@@ -0,0 +1,66 @@
+/**
+ * Catalog Item Model
+ * A menu item of the organization catalog (name, price, modifiers)
+ *
+ * Layout elements reference items by ID instead of baking in
+ * names and prices; values are filled in at payload build
+ */
+
+export const CatalogCategorySchema = {
+  id: 'uuid',
+  organizationId: 'uuid',
+  name: 'string',
+  description: 'string | null',
+  sortOrder: 'number',
+  createdAt: 'timestamp',
+  updatedAt: 'timestamp'
+};
+
+export const CatalogItemSchema = {
+  id: 'uuid',
+  organizationId: 'uuid',
+  categoryId: 'uuid | null',
+  name: 'string',
+  description: 'string | null',
+  price: 'number | null',
+  imageUrl: 'string | null',
+  modifiers: '{ name, price }[]', // price = extra charge
+  calories: 'number | null',
+  allergens: 'string[]', // milk, eggs, peanuts, ...
+  dietaryTags: 'string[]', // vegan, gluten_free, ...
+  sortOrder: 'number',
+  isActive: 'boolean',
+  createdBy: 'uuid',
+  createdAt: 'timestamp',
+  updatedAt: 'timestamp'
+};
+
+/**
+ * Create a new Catalog Item object
+ */
+export function createCatalogItem(data) {
+  return {
+    id: data.id || crypto.randomUUID(),
+    organizationId: data.organizationId,
+    categoryId: data.categoryId || null,
+    name: data.name,
+    description: data.description || null,
+    price: data.price ?? null,
+    imageUrl: data.imageUrl || null,
+    modifiers: data.modifiers || [],
+    calories: data.calories ?? null,
+    allergens: data.allergens || [],
+    dietaryTags: data.dietaryTags || [],
+    sortOrder: data.sortOrder || 0,
+    isActive: data.isActive !== false,
+    createdBy: data.createdBy,
+    createdAt: data.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+export default {
+  Schema: CatalogItemSchema,
+  CategorySchema: CatalogCategorySchema,
+  create: createCatalogItem
+};
@@ -22,7 +22,10 @@ export const DeviceSchema = {
   appVersion: 'string | null',
   screens: 'uuid[]',
   fallbackMenuId: 'uuid | null',
+  locale: 'string | null', // language shown, e.g. 'es' (null = as designed)
   settings: 'object',
+  runningContentHash: 'string | null',
+  contentReportedAt: 'timestamp | null',
   registeredAt: 'timestamp',
   createdAt: 'timestamp',
   updatedAt: 'timestamp'
@@ -56,6 +59,7 @@ export function createDevice(data) {
     appVersion: data.appVersion || null,
     screens: data.screens || [],
     fallbackMenuId: data.fallbackMenuId || null,
+    locale: data.locale || null,
     settings: data.settings || {
       autoUpdate: true,
       brightness: 100,
@@ -9,12 +9,42 @@ export const LocationSchema = {
   name: 'string',
   address: 'object',
   timezone: 'string',
+  currency: 'string | null', // ISO 4217, null = the organization's
+  locale: 'string | null', // price number format, null = the organization's
   devices: 'uuid[]',
   isActive: 'boolean',
   createdAt: 'timestamp',
   updatedAt: 'timestamp'
 };
 
+// Holiday / special-hours exception (locationId null = whole organization)
+export const CalendarExceptionSchema = {
+  id: 'uuid',
+  organizationId: 'uuid',
+  locationId: 'uuid | null',
+  name: 'string',
+  startDate: 'YYYY-MM-DD',
+  endDate: 'YYYY-MM-DD', // inclusive
+  kind: 'menu | closed',
+  menuId: 'uuid | null', // kind = menu
+  message: 'string | null', // shown when closed
+  createdAt: 'timestamp',
+  updatedAt: 'timestamp'
+};
+
+// Per-location price / availability of a catalog item (null = catalog value)
+export const LocationItemOverrideSchema = {
+  id: 'uuid',
+  organizationId: 'uuid',
+  locationId: 'uuid',
+  catalogItemId: 'uuid',
+  price: 'number | null',
+  isAvailable: 'boolean | null',
+  updatedBy: 'uuid',
+  createdAt: 'timestamp',
+  updatedAt: 'timestamp'
+};
+
 /**
  * Create a new Location object
  */
@@ -31,6 +61,8 @@ export function createLocation(data) {
       country: 'US'
     },
     timezone: data.timezone || 'America/New_York',
+    currency: data.currency || null,
+    locale: data.locale || null,
     devices: data.devices || [],
     isActive: data.isActive !== false,
     createdAt: data.createdAt || new Date().toISOString(),
@@ -64,6 +96,8 @@ export function removeDevice(location, deviceId) {
 
 export default {
   Schema: LocationSchema,
+  CalendarExceptionSchema,
+  LocationItemOverrideSchema,
   create: createLocation,
   addDevice,
   removeDevice
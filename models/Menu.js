@@ -19,8 +19,12 @@ export const MenuSchema = {
   lastEditedBy: 'uuid',
   lastPublishedAt: 'timestamp | null',
   lastPublishedBy: 'uuid | null',
+  currentPublishId: 'uuid | null',
+  reviewStatus: 'pending | approved | rejected | null',
   tags: 'string[]',
   metadata: 'object',
+  locales: 'string[]', // languages the menu is translated into
+  translations: '{ [locale]: { name } }',
   createdAt: 'timestamp',
   updatedAt: 'timestamp'
 };
@@ -31,6 +35,14 @@ export const MenuStatus = {
   ARCHIVED: 'archived'
 };
 
+// Publish approval state - separate from status so a published
+// menu keeps serving devices while its next version is reviewed
+export const MenuReviewStatus = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
 /**
  * Create a new Menu object
  */
@@ -51,6 +63,8 @@ export function createMenu(data) {
     lastPublishedBy: data.lastPublishedBy || null,
     tags: data.tags || [],
     metadata: data.metadata || {},
+    locales: data.locales || [],
+    translations: data.translations || {},
     createdAt: data.createdAt || new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
@@ -100,13 +114,15 @@ export function duplicateMenu(menu, newName, userId) {
     organizationId: menu.organizationId,
     createdBy: userId,
     tags: [...menu.tags],
-    metadata: { ...menu.metadata, duplicatedFrom: menu.id }
+    metadata: { ...menu.metadata, duplicatedFrom: menu.id },
+    locales: [...(menu.locales || [])]
   });
 }
 
 export default {
   Schema: MenuSchema,
   Status: MenuStatus,
+  ReviewStatus: MenuReviewStatus,
   create: createMenu,
   incrementVersion,
   publish: publishMenu,
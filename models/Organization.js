@@ -15,8 +15,11 @@ export const OrganizationSchema = {
   slug: 'string',
   ownerId: 'uuid',
   logoUrl: 'string | null',
+  organizationType: 'restaurant | church | school | venue | hospitality | retail | other | null', // picks starter templates
   timezone: 'string',
-  settings: 'object',
+  defaultFallbackMenuId: 'uuid | null', // Fallback for devices without their own
+  settings: 'object', // incl. currency, locale, priceFormat: { cents, symbol }, requirePublishReview
+  complianceRules: 'object', // { calories_with_price: 'error' | 'warning' | 'off' }
   plan: 'free | starter | pro | enterprise',
   createdAt: 'timestamp',
   updatedAt: 'timestamp'
@@ -72,14 +75,20 @@ export function createOrganization(data) {
     slug: slug,
     ownerId: data.ownerId,
     logoUrl: data.logoUrl || null,
+    organizationType: data.organizationType || null,
     timezone: data.timezone || 'America/New_York',
+    defaultFallbackMenuId: data.defaultFallbackMenuId || null,
     settings: data.settings || {
+      currency: 'USD',
+      locale: 'en-US',
+      priceFormat: { cents: 'always', symbol: true },
       defaultResolution: '1920x1080',
       brandColors: {
         primary: '#000000',
         secondary: '#ffffff'
       }
     },
+    complianceRules: data.complianceRules || {},
     plan: data.plan || OrganizationPlans.FREE,
     createdAt: data.createdAt || new Date().toISOString(),
     updatedAt: new Date().toISOString()
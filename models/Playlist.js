@@ -0,0 +1,65 @@
+/**
+ * Playlist Model
+ * An ordered list of layouts a screen rotates through
+ *
+ * A Screen (or a daypart) shows ONE Layout or ONE Playlist
+ * Items can come from different menus of the organization
+ */
+
+export const PlaylistTransitions = {
+  NONE: 'none',
+  FADE: 'fade',
+  SLIDE: 'slide'
+};
+
+export const PlaylistSchema = {
+  id: 'uuid',
+  organizationId: 'uuid',
+  name: 'string',
+  transition: 'none | fade | slide',
+  defaultDurationSeconds: 'number',
+  items: 'PlaylistItem[]',
+  createdBy: 'uuid',
+  createdAt: 'timestamp',
+  updatedAt: 'timestamp'
+};
+
+export const PlaylistItemSchema = {
+  id: 'uuid',
+  playlistId: 'uuid',
+  layoutId: 'uuid',
+  position: 'number',
+  durationSeconds: 'number | null', // null = playlist default
+  transition: 'none | fade | slide | null', // null = playlist default
+  weight: 'number' // relative frequency in the rotation
+};
+
+/**
+ * Create a new Playlist object
+ */
+export function createPlaylist(data) {
+  return {
+    id: data.id || crypto.randomUUID(),
+    organizationId: data.organizationId,
+    name: data.name,
+    transition: data.transition || PlaylistTransitions.FADE,
+    defaultDurationSeconds: data.defaultDurationSeconds || 10,
+    items: (data.items || []).map((item, index) => ({
+      layoutId: item.layoutId,
+      position: index,
+      durationSeconds: item.durationSeconds || null,
+      transition: item.transition || null,
+      weight: item.weight || 1
+    })),
+    createdBy: data.createdBy,
+    createdAt: data.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+export default {
+  Schema: PlaylistSchema,
+  ItemSchema: PlaylistItemSchema,
+  Transitions: PlaylistTransitions,
+  create: createPlaylist
+};
@@ -3,7 +3,8 @@
  * Represents a physical screen output on a device
  * 
  * A Device can have multiple Screens
- * Each Screen gets ONE Layout assigned
+ * Each Screen gets ONE Layout or ONE Playlist assigned - dayparts can swap
+ * in other layouts / playlists by weekday and local time
  */
 
 export const ScreenSchema = {
@@ -14,7 +15,32 @@ export const ScreenSchema = {
   resolution: 'string',
   orientation: 'landscape | portrait',
   assignedLayoutId: 'uuid | null',
+  assignedPlaylistId: 'uuid | null', // instead of assignedLayoutId
   position: 'object',
+  locale: 'string | null', // null = the device locale
+  alternateLocales: 'string[]', // languages to alternate to, e.g. ['es']
+  localeIntervalSeconds: 'number',
+  runningContentVersion: 'string | null',
+  runningPublishId: 'uuid | null',
+  contentUpdatedAt: 'timestamp | null',
+  createdAt: 'timestamp',
+  updatedAt: 'timestamp'
+};
+
+/**
+ * Daypart: layout or playlist shown on a screen for a weekly time range
+ * (screen_dayparts, evaluated in the device location's timezone)
+ */
+export const ScreenDaypartSchema = {
+  id: 'uuid',
+  screenId: 'uuid',
+  layoutId: 'uuid | null',
+  playlistId: 'uuid | null', // instead of layoutId
+  name: 'string | null',
+  days: 'number[]', // 0 = Sunday
+  startTime: 'HH:mm',
+  endTime: 'HH:mm', // <= startTime runs past midnight
+  priority: 'number',
   createdAt: 'timestamp',
   updatedAt: 'timestamp'
 };
@@ -31,12 +57,16 @@ export function createScreen(data) {
     resolution: data.resolution || '1920x1080',
     orientation: data.orientation || 'landscape',
     assignedLayoutId: data.assignedLayoutId || null,
+    assignedPlaylistId: data.assignedPlaylistId || null,
     position: data.position || {
       x: 0,
       y: 0,
       row: 1,
       column: data.screenIndex || 1
     },
+    locale: data.locale || null,
+    alternateLocales: data.alternateLocales || [],
+    localeIntervalSeconds: data.localeIntervalSeconds || 10,
     createdAt: data.createdAt || new Date().toISOString(),
     updatedAt: new Date().toISOString()
   };
@@ -49,6 +79,19 @@ export function assignLayout(screen, layoutId) {
   return {
     ...screen,
     assignedLayoutId: layoutId,
+    assignedPlaylistId: null,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Assign a playlist to a screen (replaces any assigned layout)
+ */
+export function assignPlaylist(screen, playlistId) {
+  return {
+    ...screen,
+    assignedLayoutId: null,
+    assignedPlaylistId: playlistId,
     updatedAt: new Date().toISOString()
   };
 }
@@ -89,8 +132,10 @@ export function updatePosition(screen, position) {
 
 export default {
   Schema: ScreenSchema,
+  DaypartSchema: ScreenDaypartSchema,
   create: createScreen,
   assignLayout,
+  assignPlaylist,
   unassignLayout,
   updateResolution,
   updatePosition
@@ -5,8 +5,10 @@
 
 export { default as User, UserRoles, UserPermissions } from './User.js';
 export { default as Organization, OrganizationPlans, PlanLimits } from './Organization.js';
-export { default as Menu, MenuStatus } from './Menu.js';
+export { default as Menu, MenuStatus, MenuReviewStatus } from './Menu.js';
 export { default as Layout, Orientations } from './Layout.js';
-export { default as Screen } from './Screen.js';
+export { default as Screen, ScreenDaypartSchema } from './Screen.js';
 export { default as Device, DeviceStatus, HEARTBEAT_TIMEOUT_MS, HEARTBEAT_INTERVAL_MS } from './Device.js';
-export { default as Location } from './Location.js';
+export { default as Location, CalendarExceptionSchema, LocationItemOverrideSchema } from './Location.js';
+export { default as Playlist, PlaylistTransitions } from './Playlist.js';
+export { default as CatalogItem, CatalogCategorySchema } from './CatalogItem.js';
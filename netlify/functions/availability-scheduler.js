@@ -0,0 +1,37 @@
+/**
+ * Availability Scheduler
+ *
+ * Scheduled function (every minute, see netlify.toml).
+ * Clears sold-out ("86") marks whose location's local day has ended and
+ * flags that location's devices needs_update, so items come back on the
+ * boards at the start of the next day.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { resetExpiredAvailability } from '../../utils/itemAvailability.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+export async function handler(event, context) {
+  try {
+    const results = await resetExpiredAvailability(supabase);
+
+    if (results.length > 0) {
+      console.log('Sold-out items reset:', JSON.stringify(results));
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ reset: results.length, results })
+    };
+  } catch (error) {
+    console.error('Availability scheduler error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+}
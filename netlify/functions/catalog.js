@@ -0,0 +1,422 @@
+/**
+ * Catalog API Endpoint
+ * The organization's menu item catalog: categories, items, prices and modifiers
+ *
+ * Routes:
+ * GET    /api/catalog                  - Categories with their items, plus uncategorized items
+ * GET    /api/catalog/items            - List items (?categoryId=, ?active=true)
+ * POST   /api/catalog/items            - Create an item
+ * GET    /api/catalog/items/:id        - Get an item
+ * PUT    /api/catalog/items/:id        - Update an item
+ * DELETE /api/catalog/items/:id        - Delete an item (bound elements keep their baked values)
+ * GET    /api/catalog/categories       - List categories
+ * POST   /api/catalog/categories       - Create a category
+ * PUT    /api/catalog/categories/:id   - Update a category
+ * DELETE /api/catalog/categories/:id   - Delete a category (its items become uncategorized)
+ *
+ * Layout elements bind with data.itemId / data.categoryId (see utils/menuCatalog.js).
+ * Changes reach screens on their next poll - no republish needed.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+  validateCatalogItem,
+  validateCatalogCategory,
+  toCatalogItemRow,
+  toCatalogCategoryRow,
+  flagCatalogDevices
+} from '../../utils/menuCatalog.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+// Helper to get user from token
+async function getUserFromToken(authHeader) {
+  if (!authHeader) return null;
+  const token = authHeader.replace('Bearer ', '');
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+  if (error) return null;
+  return user;
+}
+
+/**
+ * A category ID must belong to the organization (null = uncategorized)
+ */
+async function isOrgCategory(categoryId, organizationId) {
+  if (!categoryId) return true;
+
+  const { data } = await supabase
+    .from('catalog_categories')
+    .select('organization_id')
+    .eq('id', categoryId)
+    .single();
+
+  return data?.organization_id === organizationId;
+}
+
+/**
+ * Load a catalog row of the organization, or null
+ */
+async function getOrgRow(table, id, organizationId) {
+  const { data } = await supabase
+    .from(table)
+    .select('*')
+    .eq('id', id)
+    .single();
+
+  return data && data.organization_id === organizationId ? data : null;
+}
+
+export async function handler(event, context) {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const path = event.path.replace('/.netlify/functions/catalog', '').replace('/api/catalog', '');
+  const method = event.httpMethod;
+  const query = event.queryStringParameters || {};
+
+  try {
+    // Get authenticated user and their organization
+    const user = await getUserFromToken(event.headers.authorization);
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Unauthorized' })
+      };
+    }
+
+    const { data: profile } = await supabase
+      .from('users')
+      .select('organization_id, role')
+      .eq('id', user.id)
+      .single();
+
+    if (!profile?.organization_id) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'No organization' })
+      };
+    }
+
+    const organizationId = profile.organization_id;
+    const canManage = ['owner', 'manager'].includes(profile.role);
+
+    let body = {};
+    if (event.body) {
+      body = JSON.parse(event.body);
+    }
+
+    if (method !== 'GET' && !canManage) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Only owners and managers can change the catalog' })
+      };
+    }
+
+    // GET /catalog - The whole catalog, grouped by category
+    if (method === 'GET' && (path === '' || path === '/')) {
+      const [{ data: categories, error: categoryError }, { data: items, error: itemError }] = await Promise.all([
+        supabase.from('catalog_categories').select('*').eq('organization_id', organizationId).order('sort_order').order('name'),
+        supabase.from('catalog_items').select('*').eq('organization_id', organizationId).order('sort_order').order('name')
+      ]);
+
+      if (categoryError) throw categoryError;
+      if (itemError) throw itemError;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          categories: (categories || []).map(c => ({ ...c, items: (items || []).filter(i => i.category_id === c.id) })),
+          uncategorized: (items || []).filter(i => !i.category_id)
+        })
+      };
+    }
+
+    const match = path.match(/^\/(items|categories)(?:\/([^/]+))?\/?$/);
+    if (!match) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Not found' })
+      };
+    }
+
+    const [, resource, id] = match;
+
+    // ---- Categories ----
+    if (resource === 'categories') {
+      // GET /catalog/categories
+      if (method === 'GET' && !id) {
+        const { data, error } = await supabase
+          .from('catalog_categories')
+          .select('*')
+          .eq('organization_id', organizationId)
+          .order('sort_order')
+          .order('name');
+
+        if (error) throw error;
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ categories: data })
+        };
+      }
+
+      // POST /catalog/categories - Body: { name, description, sortOrder }
+      if (method === 'POST' && !id) {
+        const validation = validateCatalogCategory(body);
+        if (!validation.valid) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Invalid category', errors: validation.errors })
+          };
+        }
+
+        const { data: category, error } = await supabase
+          .from('catalog_categories')
+          .insert({ ...toCatalogCategoryRow(body), organization_id: organizationId })
+          .select()
+          .single();
+
+        if (error) throw error;
+
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify({ category })
+        };
+      }
+
+      const existing = id ? await getOrgRow('catalog_categories', id, organizationId) : null;
+      if (!existing) {
+        return {
+          statusCode: id ? 404 : 405,
+          headers,
+          body: JSON.stringify({ error: id ? 'Category not found' : 'Method not allowed' })
+        };
+      }
+
+      // PUT /catalog/categories/:id
+      if (method === 'PUT') {
+        const validation = validateCatalogCategory(body, { partial: true });
+        if (!validation.valid) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Invalid category', errors: validation.errors })
+          };
+        }
+
+        const { data: category, error } = await supabase
+          .from('catalog_categories')
+          .update(toCatalogCategoryRow(body))
+          .eq('id', id)
+          .select()
+          .single();
+
+        if (error) throw error;
+
+        const affectedDevices = await flagCatalogDevices(supabase, organizationId);
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ category, affectedDevices })
+        };
+      }
+
+      // DELETE /catalog/categories/:id
+      if (method === 'DELETE') {
+        const { error } = await supabase
+          .from('catalog_categories')
+          .delete()
+          .eq('id', id);
+
+        if (error) throw error;
+
+        const affectedDevices = await flagCatalogDevices(supabase, organizationId);
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true, affectedDevices })
+        };
+      }
+
+      return {
+        statusCode: 405,
+        headers,
+        body: JSON.stringify({ error: 'Method not allowed' })
+      };
+    }
+
+    // ---- Items ----
+
+    // GET /catalog/items
+    if (method === 'GET' && !id) {
+      let itemQuery = supabase
+        .from('catalog_items')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('sort_order')
+        .order('name');
+
+      if (query.categoryId) itemQuery = itemQuery.eq('category_id', query.categoryId);
+      if (query.active === 'true') itemQuery = itemQuery.eq('is_active', true);
+
+      const { data, error } = await itemQuery;
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ items: data })
+      };
+    }
+
+    // POST /catalog/items
+    // Body: { name, description, price, imageUrl, categoryId, modifiers: [{ name, price }],
+    //         calories, allergens, dietaryTags, sortOrder, isActive }
+    if (method === 'POST' && !id) {
+      const validation = validateCatalogItem(body);
+      if (!validation.valid) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid item', errors: validation.errors })
+        };
+      }
+
+      if (!await isOrgCategory(body.categoryId, organizationId)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'categoryId must be a category of your organization' })
+        };
+      }
+
+      const { data: item, error } = await supabase
+        .from('catalog_items')
+        .insert({
+          ...toCatalogItemRow(body),
+          organization_id: organizationId,
+          created_by: user.id
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ item })
+      };
+    }
+
+    const item = id ? await getOrgRow('catalog_items', id, organizationId) : null;
+    if (!item) {
+      return {
+        statusCode: id ? 404 : 405,
+        headers,
+        body: JSON.stringify({ error: id ? 'Item not found' : 'Method not allowed' })
+      };
+    }
+
+    // GET /catalog/items/:id
+    if (method === 'GET') {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ item })
+      };
+    }
+
+    // PUT /catalog/items/:id
+    if (method === 'PUT') {
+      const validation = validateCatalogItem(body, { partial: true });
+      if (!validation.valid) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid item', errors: validation.errors })
+        };
+      }
+
+      if (!await isOrgCategory(body.categoryId, organizationId)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'categoryId must be a category of your organization' })
+        };
+      }
+
+      const { data: updated, error } = await supabase
+        .from('catalog_items')
+        .update(toCatalogItemRow(body))
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      // Boards bound to the item pick up the new values on their next poll
+      const affectedDevices = await flagCatalogDevices(supabase, organizationId);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ item: updated, affectedDevices })
+      };
+    }
+
+    // DELETE /catalog/items/:id
+    if (method === 'DELETE') {
+      const { error } = await supabase
+        .from('catalog_items')
+        .delete()
+        .eq('id', id);
+
+      if (error) throw error;
+
+      const affectedDevices = await flagCatalogDevices(supabase, organizationId);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, affectedDevices })
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    console.error('Catalog API error:', error);
+    return {
+      statusCode: error.status || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+}
@@ -5,12 +5,15 @@
  * GET    /api/devices              - Get all devices for organization
  * POST   /api/devices/register     - Register a new device
  * POST   /api/devices/heartbeat    - Device heartbeat
- * GET    /api/devices/:id          - Get a specific device
- * PUT    /api/devices/:id          - Update a device
+ * GET    /api/devices/:id          - Get a specific device (+ payload signing key once paired;
+ *                                    ?keyId=<pinned key> adds the endorsed keyRotations since it)
+ * PUT    /api/devices/:id          - Update a device (incl. its locale)
  * DELETE /api/devices/:id          - Delete a device
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { getOrgPublicKey, getKeyRotations } from '../../utils/payloadSigning.js';
+import { validateLocaleSettings } from '../../utils/menuTranslations.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
@@ -215,7 +218,7 @@ export async function handler(event, context) {
     
     // POST /devices/heartbeat - Device heartbeat
     if (method === 'POST' && path === '/heartbeat') {
-      const { deviceId, ipAddress, osVersion, appVersion, status } = body;
+      const { deviceId, ipAddress, osVersion, appVersion, status, signatureSupport, signingKeyId } = body;
       
       if (!deviceId) {
         return {
@@ -233,6 +236,9 @@ export async function handler(event, context) {
           ip_address: ipAddress,
           os_version: osVersion,
           app_version: appVersion,
+          // Operators can list players that can't verify or are on an old key
+          can_verify_signatures: typeof signatureSupport === 'boolean' ? signatureSupport : undefined,
+          pinned_signing_key_id: signingKeyId || undefined,
           updated_at: new Date().toISOString()
         })
         .eq('id', deviceId)
@@ -272,15 +278,35 @@ export async function handler(event, context) {
         // Update status
         data.status = getDeviceStatus(data.last_heartbeat);
         
+        // Paired devices get the public key their payloads are signed with
+        const signingKey = data.organization_id
+          ? await getOrgPublicKey(supabase, data.organization_id)
+          : null;
+        
+        // A device pinned to an older key gets the endorsements leading to this one
+        const pinnedKeyId = event.queryStringParameters?.keyId;
+        const keyRotations = signingKey && pinnedKeyId && pinnedKeyId !== signingKey.keyId
+          ? await getKeyRotations(supabase, data.organization_id, pinnedKeyId)
+          : [];
+        
         return {
           statusCode: 200,
           headers,
-          body: JSON.stringify({ device: data })
+          body: JSON.stringify({ device: data, signingKey, keyRotations })
         };
       }
       
       // PUT /devices/:id
       if (method === 'PUT') {
+        const localeValidation = validateLocaleSettings({ locale: body.locale });
+        if (!localeValidation.valid) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Invalid locale', errors: localeValidation.errors })
+          };
+        }
+        
         const updateData = { ...body, updated_at: new Date().toISOString() };
         
         // Map camelCase to snake_case
@@ -292,6 +318,9 @@ export async function handler(event, context) {
         if (body.appVersion) updateData.app_version = body.appVersion;
         if (body.fallbackMenuId) updateData.fallback_menu_id = body.fallbackMenuId;
         
+        // A language change reaches the device on its next poll
+        if (body.locale !== undefined) updateData.needs_update = true;
+        
         // Remove camelCase versions
         delete updateData.organizationId;
         delete updateData.locationId;
@@ -7,9 +7,17 @@
  * GET    /api/layouts/:id       - Get a specific layout
  * PUT    /api/layouts/:id       - Update a layout
  * DELETE /api/layouts/:id       - Delete a layout
+ *
+ * Element prices are saved as numbers; malformed prices are rejected
+ * (see utils/priceFormatting.js).
+ *
+ * Every save records a menu version (see utils/menuVersions.js); responses
+ * carry the new menuVersion.
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { normalizeElementPrices } from '../../utils/priceFormatting.js';
+import { recordMenuVersion, VersionReason } from '../../utils/menuVersions.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
@@ -23,6 +31,29 @@ const headers = {
   'Access-Control-Allow-Headers': 'Content-Type, Authorization'
 };
 
+/**
+ * Extract user from authorization header
+ */
+async function getUser(authHeader) {
+  if (!authHeader) return null;
+  const token = authHeader.replace('Bearer ', '');
+  const { data: { user } } = await supabase.auth.getUser(token);
+  return user;
+}
+
+/**
+ * 400 response for elements with malformed prices, or null
+ */
+function invalidPrices(errors) {
+  if (errors.length === 0) return null;
+  
+  return {
+    statusCode: 400,
+    headers,
+    body: JSON.stringify({ error: 'Invalid prices', errors })
+  };
+}
+
 /**
  * Parse layout ID from path
  */
@@ -41,6 +72,8 @@ export async function handler(event, context) {
   const method = event.httpMethod;
   
   try {
+    const user = await getUser(event.headers.authorization);
+    
     let body = {};
     if (event.body) {
       body = JSON.parse(event.body);
@@ -140,6 +173,10 @@ export async function handler(event, context) {
         };
       }
       
+      const prices = normalizeElementPrices(elements);
+      const priceError = invalidPrices(prices.errors);
+      if (priceError) return priceError;
+      
       const { data, error } = await supabase
         .from('layouts')
         .insert({
@@ -150,7 +187,7 @@ export async function handler(event, context) {
           aspect_ratio: aspectRatio || '16:9',
           orientation: orientation || 'landscape',
           safe_zone: safeZone || 'tv_1080p',
-          elements: elements || [],
+          elements: prices.elements,
           background: background || { type: 'color', value: '#000000' },
           created_at: new Date().toISOString(),
           updated_at: new Date().toISOString()
@@ -160,10 +197,16 @@ export async function handler(event, context) {
       
       if (error) throw error;
       
+      const { version } = await recordMenuVersion(supabase, menuId, {
+        userId: user?.id,
+        reason: VersionReason.LAYOUT_CREATED,
+        layoutId: data.id
+      });
+      
       return {
         statusCode: 201,
         headers,
-        body: JSON.stringify({ layout: data })
+        body: JSON.stringify({ layout: data, menuVersion: version.version })
       };
     }
     
@@ -196,7 +239,12 @@ export async function handler(event, context) {
         if (body.name !== undefined) updateData.name = body.name;
         if (body.resolution !== undefined) updateData.resolution = body.resolution;
         if (body.orientation !== undefined) updateData.orientation = body.orientation;
-        if (body.elements !== undefined) updateData.elements = body.elements;
+        if (body.elements !== undefined) {
+          const prices = normalizeElementPrices(body.elements);
+          const priceError = invalidPrices(prices.errors);
+          if (priceError) return priceError;
+          updateData.elements = prices.elements;
+        }
         
         // Map camelCase to snake_case
         if (body.menuId) updateData.menu_id = body.menuId;
@@ -218,6 +266,19 @@ export async function handler(event, context) {
           updateData.background = body.background;
         }
         
+        // Moving the layout to another menu changes that menu's versions too
+        let previousMenuId = null;
+        if (updateData.menu_id) {
+          const { data: current, error: fetchError } = await supabase
+            .from('layouts')
+            .select('menu_id')
+            .eq('id', layoutId)
+            .single();
+          
+          if (fetchError) throw fetchError;
+          previousMenuId = current.menu_id;
+        }
+        
         const { data, error } = await supabase
           .from('layouts')
           .update(updateData)
@@ -227,15 +288,38 @@ export async function handler(event, context) {
         
         if (error) throw error;
         
+        const moved = Boolean(previousMenuId) && previousMenuId !== data.menu_id;
+        const { version } = await recordMenuVersion(supabase, data.menu_id, {
+          userId: user?.id,
+          reason: moved ? VersionReason.LAYOUT_MOVED : VersionReason.LAYOUT_UPDATED,
+          layoutId
+        });
+        
+        if (moved) {
+          await recordMenuVersion(supabase, previousMenuId, {
+            userId: user?.id,
+            reason: VersionReason.LAYOUT_MOVED,
+            layoutId
+          });
+        }
+        
         return {
           statusCode: 200,
           headers,
-          body: JSON.stringify({ layout: data })
+          body: JSON.stringify({ layout: data, menuVersion: version.version })
         };
       }
       
       // DELETE /layouts/:id
       if (method === 'DELETE') {
+        const { data: layout, error: fetchError } = await supabase
+          .from('layouts')
+          .select('menu_id')
+          .eq('id', layoutId)
+          .single();
+        
+        if (fetchError) throw fetchError;
+        
         const { error } = await supabase
           .from('layouts')
           .delete()
@@ -243,10 +327,16 @@ export async function handler(event, context) {
         
         if (error) throw error;
         
+        const { version } = await recordMenuVersion(supabase, layout.menu_id, {
+          userId: user?.id,
+          reason: VersionReason.LAYOUT_DELETED,
+          layoutId
+        });
+        
         return {
           statusCode: 200,
           headers,
-          body: JSON.stringify({ message: 'Layout deleted' })
+          body: JSON.stringify({ message: 'Layout deleted', menuVersion: version.version })
         };
       }
     }
@@ -0,0 +1,630 @@
+/**
+ * Locations API Endpoint
+ * Locations of the user's organization, their holiday / special-hours calendar
+ * and their price overrides and sold-out items
+ *
+ * Routes:
+ * GET    /api/locations                        - List the organization's locations
+ * GET    /api/locations/calendar               - Organization-wide calendar exceptions
+ * POST   /api/locations/calendar               - Create an organization-wide exception
+ * PUT    /api/locations/calendar/:exceptionId  - Update an exception
+ * DELETE /api/locations/calendar/:exceptionId  - Delete an exception
+ * GET    /api/locations/:id/calendar           - A location's calendar (its own + organization-wide)
+ * POST   /api/locations/:id/calendar           - Create an exception for one location
+ * GET    /api/locations/:id/overrides          - The location's price / availability differences
+ * PUT    /api/locations/:id/overrides/:itemId  - Set a catalog item's price / availability here
+ * DELETE /api/locations/:id/overrides/:itemId  - Back to the catalog values
+ * GET    /api/locations/:id/availability       - Items sold out ("86") at the location now
+ * PUT    /api/locations/:id/availability/:itemId - 86 an item or put it back { soldOut, reason }
+ * GET    /api/locations/:id/pricing            - The location's currency / price locale and the format in effect
+ * PUT    /api/locations/:id/pricing            - Set them { currency, locale } (null = the organization's)
+ *
+ * Calendar GETs accept ?from=YYYY-MM-DD to leave out exceptions that ended before.
+ * Exceptions override screen assignments for their dates (see utils/calendarExceptions.js).
+ * Overrides GET accepts ?menuId= to list only items that menu binds to
+ * (see utils/locationOverrides.js).
+ * Sold-out marks reset at the end of the location's local day (see utils/itemAvailability.js).
+ * Prices are formatted per location at payload build (see utils/priceFormatting.js).
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import {
+  CalendarExceptionKind,
+  validateCalendarException,
+  toCalendarExceptionRow,
+  listCalendarExceptions,
+  flagCalendarDevices
+} from '../../utils/calendarExceptions.js';
+import { validateLocationOverride, getLocationDifferences, flagLocationDevices } from '../../utils/locationOverrides.js';
+import { AvailabilitySource, setItemSoldOut, clearItemSoldOut, listSoldOutItems } from '../../utils/itemAvailability.js';
+import { validatePriceSettings, getPriceFormat } from '../../utils/priceFormatting.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+// Helper to get user from token
+async function getUserFromToken(authHeader) {
+  if (!authHeader) return null;
+  const token = authHeader.replace('Bearer ', '');
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+  if (error) return null;
+  return user;
+}
+
+/**
+ * An exception's alternate menu must be an active menu of the organization
+ * Returns an error message or null
+ */
+async function checkExceptionMenu(data, organizationId) {
+  if (data.kind !== CalendarExceptionKind.MENU) return null;
+
+  const { data: menu } = await supabase
+    .from('menus')
+    .select('id, organization_id, status')
+    .eq('id', data.menuId)
+    .single();
+
+  if (!menu || menu.organization_id !== organizationId || menu.status === 'archived') {
+    return 'menuId must be an active menu of your organization';
+  }
+  return null;
+}
+
+/**
+ * /locations/:id/overrides routes (location already checked)
+ */
+async function handleOverrides({ method, body, user, organizationId, locationId, canManage, itemId, menuId }) {
+  // GET /locations/:id/overrides - Differences from the base menu / catalog
+  if (method === 'GET' && !itemId) {
+    const differences = await getLocationDifferences(supabase, locationId, { menuId });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ locationId, menuId, differences })
+    };
+  }
+
+  if (!itemId || !['PUT', 'DELETE'].includes(method)) {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  if (!canManage) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ error: 'Only owners and managers can change location prices' })
+    };
+  }
+
+  const { data: item } = await supabase
+    .from('catalog_items')
+    .select('id, organization_id')
+    .eq('id', itemId)
+    .single();
+
+  if (!item || item.organization_id !== organizationId) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Item not found' })
+    };
+  }
+
+  // PUT /locations/:id/overrides/:itemId - Body: { price, isAvailable } (null = catalog value)
+  if (method === 'PUT') {
+    const validation = validateLocationOverride(body);
+    if (!validation.valid) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid override', errors: validation.errors })
+      };
+    }
+
+    const { data: existing } = await supabase
+      .from('location_item_overrides')
+      .select('price, is_available')
+      .eq('location_id', locationId)
+      .eq('catalog_item_id', itemId)
+      .maybeSingle();
+
+    const price = body.price !== undefined ? body.price : existing?.price ?? null;
+    const isAvailable = body.isAvailable !== undefined ? body.isAvailable : existing?.is_available ?? null;
+
+    // Nothing left to override - same as deleting it
+    if (price === null && isAvailable === null) {
+      const { error } = await supabase
+        .from('location_item_overrides')
+        .delete()
+        .eq('location_id', locationId)
+        .eq('catalog_item_id', itemId);
+
+      if (error) throw error;
+
+      const affectedDevices = await flagLocationDevices(supabase, locationId);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ override: null, affectedDevices })
+      };
+    }
+
+    const { data: override, error } = await supabase
+      .from('location_item_overrides')
+      .upsert({
+        organization_id: organizationId,
+        location_id: locationId,
+        catalog_item_id: itemId,
+        price,
+        is_available: isAvailable,
+        updated_by: user.id
+      }, { onConflict: 'location_id,catalog_item_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const affectedDevices = await flagLocationDevices(supabase, locationId);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ override, affectedDevices })
+    };
+  }
+
+  // DELETE /locations/:id/overrides/:itemId
+  const { error } = await supabase
+    .from('location_item_overrides')
+    .delete()
+    .eq('location_id', locationId)
+    .eq('catalog_item_id', itemId);
+
+  if (error) throw error;
+
+  const affectedDevices = await flagLocationDevices(supabase, locationId);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ success: true, affectedDevices })
+  };
+}
+
+/**
+ * /locations/:id/availability routes (location already checked)
+ */
+async function handleAvailability({ method, body, user, organizationId, locationId, canManage, itemId }) {
+  // GET /locations/:id/availability - Items sold out right now
+  if (method === 'GET' && !itemId) {
+    const items = await listSoldOutItems(supabase, locationId);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ locationId, soldOut: items })
+    };
+  }
+
+  if (!itemId || method !== 'PUT') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  if (!canManage) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ error: 'Only owners and managers can change item availability' })
+    };
+  }
+
+  if (typeof body.soldOut !== 'boolean') {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'soldOut must be true or false' })
+    };
+  }
+
+  const { data: item } = await supabase
+    .from('catalog_items')
+    .select('id, organization_id')
+    .eq('id', itemId)
+    .single();
+
+  if (!item || item.organization_id !== organizationId) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Item not found' })
+    };
+  }
+
+  // PUT /locations/:id/availability/:itemId - Body: { soldOut, reason }
+  const location = { id: locationId, organization_id: organizationId };
+  const availability = body.soldOut
+    ? await setItemSoldOut(supabase, location, itemId, {
+      source: AvailabilitySource.MANUAL,
+      reason: body.reason || null,
+      actorId: user.id
+    })
+    : await clearItemSoldOut(supabase, location, itemId, {
+      source: AvailabilitySource.MANUAL,
+      actorId: user.id
+    });
+
+  const affectedDevices = await flagLocationDevices(supabase, locationId);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ itemId, soldOut: body.soldOut, availability, affectedDevices })
+  };
+}
+
+/**
+ * /locations/:id/pricing routes (location already checked)
+ */
+async function handlePricing({ method, body, organizationId, locationId, canManage }) {
+  const respond = async location => ({
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      locationId,
+      currency: location.currency,
+      locale: location.locale,
+      format: await getPriceFormat(supabase, { organization_id: organizationId, location_id: locationId })
+    })
+  });
+
+  // GET /locations/:id/pricing
+  if (method === 'GET') {
+    const { data: location, error } = await supabase
+      .from('locations')
+      .select('currency, locale')
+      .eq('id', locationId)
+      .single();
+
+    if (error) throw error;
+    return respond(location);
+  }
+
+  if (method !== 'PUT') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  if (!canManage) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ error: 'Only owners and managers can change location prices' })
+    };
+  }
+
+  // PUT /locations/:id/pricing - Body: { currency, locale } (null = the organization's)
+  const validation = validatePriceSettings({ currency: body.currency, locale: body.locale });
+  if (!validation.valid) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid price settings', errors: validation.errors })
+    };
+  }
+
+  const updates = {};
+  if (body.currency !== undefined) updates.currency = body.currency;
+  if (body.locale !== undefined) updates.locale = body.locale;
+
+  const { data: location, error } = await supabase
+    .from('locations')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', locationId)
+    .select('currency, locale')
+    .single();
+
+  if (error) throw error;
+
+  await flagLocationDevices(supabase, locationId);
+  return respond(location);
+}
+
+export async function handler(event, context) {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const path = event.path.replace('/.netlify/functions/locations', '').replace('/api/locations', '');
+  const method = event.httpMethod;
+
+  try {
+    // Get authenticated user and their organization
+    const user = await getUserFromToken(event.headers.authorization);
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Unauthorized' })
+      };
+    }
+
+    const { data: profile } = await supabase
+      .from('users')
+      .select('organization_id, role')
+      .eq('id', user.id)
+      .single();
+
+    if (!profile?.organization_id) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'No organization' })
+      };
+    }
+
+    const organizationId = profile.organization_id;
+    const canManage = ['owner', 'manager'].includes(profile.role);
+    const from = event.queryStringParameters?.from;
+
+    let body = {};
+    if (event.body) {
+      body = JSON.parse(event.body);
+    }
+
+    // GET /locations - List the organization's locations
+    if (method === 'GET' && (path === '' || path === '/')) {
+      const { data, error } = await supabase
+        .from('locations')
+        .select('*')
+        .eq('organization_id', organizationId)
+        .order('name');
+
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ locations: data })
+      };
+    }
+
+    // Calendar routes: /calendar[/:exceptionId] (organization) or /:id/calendar (location)
+    // Override routes: /:id/overrides[/:itemId], availability: /:id/availability[/:itemId],
+    // pricing: /:id/pricing
+    const orgCalendarMatch = path.match(/^\/calendar(?:\/([^/]+))?\/?$/);
+    const locationCalendarMatch = path.match(/^\/([^/]+)\/calendar\/?$/);
+    const overridesMatch = path.match(/^\/([^/]+)\/overrides(?:\/([^/]+))?\/?$/);
+    const availabilityMatch = path.match(/^\/([^/]+)\/availability(?:\/([^/]+))?\/?$/);
+    const pricingMatch = path.match(/^\/([^/]+)\/pricing\/?$/);
+
+    if (!orgCalendarMatch && !locationCalendarMatch && !overridesMatch && !availabilityMatch && !pricingMatch) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Not found' })
+      };
+    }
+
+    const exceptionId = orgCalendarMatch?.[1] || null;
+    const locationId = locationCalendarMatch?.[1] || overridesMatch?.[1] || availabilityMatch?.[1] || pricingMatch?.[1] || null;
+
+    if (locationId) {
+      const { data: location } = await supabase
+        .from('locations')
+        .select('id, organization_id')
+        .eq('id', locationId)
+        .single();
+
+      if (!location || location.organization_id !== organizationId) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Location not found' })
+        };
+      }
+    }
+
+    if (overridesMatch) {
+      return handleOverrides({ method, body, user, organizationId, locationId, canManage,
+        itemId: overridesMatch[2] || null, menuId: event.queryStringParameters?.menuId || null });
+    }
+
+    if (availabilityMatch) {
+      return handleAvailability({ method, body, user, organizationId, locationId, canManage,
+        itemId: availabilityMatch[2] || null });
+    }
+
+    if (pricingMatch) {
+      return handlePricing({ method, body, organizationId, locationId, canManage });
+    }
+
+    // GET /locations/calendar, /locations/:id/calendar - List exceptions
+    if (method === 'GET' && !exceptionId) {
+      let exceptions = await listCalendarExceptions(supabase, organizationId, { locationId, from });
+
+      // The organization calendar lists organization-wide exceptions only
+      if (!locationId) {
+        exceptions = exceptions.filter(e => !e.location_id);
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ locationId, exceptions })
+      };
+    }
+
+    if (!canManage) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Only owners and managers can change the calendar' })
+      };
+    }
+
+    // POST /locations/calendar, /locations/:id/calendar - Create an exception
+    // Body: { name, startDate, endDate, kind: 'menu' | 'closed', menuId, message }
+    if (method === 'POST' && !exceptionId) {
+      const validation = validateCalendarException(body);
+      if (!validation.valid) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid calendar exception', errors: validation.errors })
+        };
+      }
+
+      const menuError = await checkExceptionMenu(body, organizationId);
+      if (menuError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: menuError })
+        };
+      }
+
+      const { data: exception, error } = await supabase
+        .from('calendar_exceptions')
+        .insert({
+          ...toCalendarExceptionRow(body),
+          organization_id: organizationId,
+          location_id: locationId,
+          created_by: user.id
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const affectedDevices = await flagCalendarDevices(supabase, exception);
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ exception, affectedDevices })
+      };
+    }
+
+    if (!exceptionId || !['PUT', 'DELETE'].includes(method)) {
+      return {
+        statusCode: 405,
+        headers,
+        body: JSON.stringify({ error: 'Method not allowed' })
+      };
+    }
+
+    const { data: existing } = await supabase
+      .from('calendar_exceptions')
+      .select('*')
+      .eq('id', exceptionId)
+      .single();
+
+    if (!existing || existing.organization_id !== organizationId) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Calendar exception not found' })
+      };
+    }
+
+    // PUT /locations/calendar/:exceptionId - Update an exception (scope stays as created)
+    if (method === 'PUT') {
+      const merged = {
+        name: existing.name,
+        startDate: existing.start_date,
+        endDate: existing.end_date,
+        kind: existing.kind,
+        menuId: existing.menu_id,
+        message: existing.message,
+        ...body
+      };
+
+      // Switching to closed drops the menu
+      if (merged.kind === CalendarExceptionKind.CLOSED && body.menuId === undefined) {
+        merged.menuId = null;
+      }
+
+      const validation = validateCalendarException(merged);
+      if (!validation.valid) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid calendar exception', errors: validation.errors })
+        };
+      }
+
+      const menuError = await checkExceptionMenu(merged, organizationId);
+      if (menuError) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: menuError })
+        };
+      }
+
+      const { data: exception, error } = await supabase
+        .from('calendar_exceptions')
+        .update(toCalendarExceptionRow(merged))
+        .eq('id', exceptionId)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const affectedDevices = await flagCalendarDevices(supabase, exception);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ exception, affectedDevices })
+      };
+    }
+
+    // DELETE /locations/calendar/:exceptionId - Delete an exception
+    const { error } = await supabase
+      .from('calendar_exceptions')
+      .delete()
+      .eq('id', exceptionId);
+
+    if (error) throw error;
+
+    const affectedDevices = await flagCalendarDevices(supabase, existing);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, affectedDevices })
+    };
+
+  } catch (error) {
+    console.error('Locations API error:', error);
+    return {
+      statusCode: error.status || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+}
@@ -4,14 +4,51 @@
  * Routes:
  * GET    /api/menus           - Get all menus for organization
  * POST   /api/menus           - Create a new menu
+ * POST   /api/menus/import    - Create a menu with layouts from a CSV or JSON item list
+ * POST   /api/menus/package   - Import a menu package into an organization (owner/manager)
  * GET    /api/menus/:id       - Get a specific menu
- * PUT    /api/menus/:id       - Update a menu
+ * PUT    /api/menus/:id       - Update a menu (name, tags, metadata)
  * DELETE /api/menus/:id       - Delete (archive) a menu
- * POST   /api/menus/:id/publish - Publish a menu
+ * POST   /api/menus/:id/publish - Publish a menu (same as /api/publish/menu/:id)
  * POST   /api/menus/:id/duplicate - Duplicate a menu
+ * GET    /api/menus/:id/translations - Translatable strings of the menu and its layouts
+ * PUT    /api/menus/:id/translations - Set translations (live with the next publish)
+ * GET    /api/menus/:id/translations/missing - Strings not yet translated (?locale=)
+ * GET    /api/menus/:id/package - Export the menu as a portable package (owner/manager)
+ * GET    /api/menus/:id/versions - Version history (a version is recorded on every layout save)
+ * GET    /api/menus/:id/versions/:version - One version with its layouts
+ * GET    /api/menus/:id/versions/diff - What changed between two versions (?from=&to=, from=published)
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { publishMenu, assertCanPublish } from '../../utils/menuPublishing.js';
+import { takeDownMenu } from '../../utils/menuTakedown.js';
+import {
+  TRANSLATABLE_FIELDS,
+  isValidLocale,
+  getSourceStrings,
+  validateElementTranslations,
+  mergeTranslations,
+  getMissingTranslations
+} from '../../utils/menuTranslations.js';
+import {
+  ImportFormat,
+  parseImportItems,
+  isValidImportResolution,
+  buildImportLayouts
+} from '../../utils/menuImport.js';
+import { RESOLUTIONS } from '../../utils/resolutionProfiles.js';
+import { hasPermission } from '../../models/User.js';
+import { buildMenuPackage, validateMenuPackage, importMenuPackage } from '../../utils/menuPackages.js';
+import {
+  VersionReason,
+  recordMenuVersion,
+  diffSnapshots,
+  getLatestMenuVersion,
+  getMenuVersions,
+  getMenuVersion,
+  getPreviousMenuVersion
+} from '../../utils/menuVersions.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
@@ -25,6 +62,11 @@ const headers = {
   'Access-Control-Allow-Headers': 'Content-Type, Authorization'
 };
 
+// Menu columns PUT /menus/:id may change. Status, publish pointers, review
+// state, version and organization only change through publish, review,
+// layout saves and takedown, which run their own permission checks.
+const EDITABLE_MENU_FIELDS = ['name', 'tags', 'metadata'];
+
 /**
  * Extract user from authorization header
  */
@@ -43,6 +85,349 @@ function getMenuId(path) {
   return match ? match[1] : null;
 }
 
+/**
+ * Get the user's role and organization
+ */
+async function getProfile(userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, role, organization_id')
+    .eq('id', userId)
+    .single();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Can this user move menus in or out of the organization?
+ */
+async function canManageMenus(user, organizationId) {
+  if (!user || !organizationId) return false;
+  const profile = await getProfile(user.id);
+  return ['owner', 'manager'].includes(profile.role) && profile.organization_id === organizationId;
+}
+
+/**
+ * /menus/:id/versions routes
+ * versionParam - a version number, 'diff', or undefined for the list
+ */
+async function handleVersions({ method, query, menuId, versionParam }) {
+  if (method !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+  
+  const badVersion = ['from', 'to'].find(key => query[key] && !/^\d+$/.test(query[key]) && !(key === 'from' && query[key] === 'published'));
+  if ((versionParam && versionParam !== 'diff' && !/^\d+$/.test(versionParam)) || badVersion) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Versions are whole numbers (from may also be "published")' })
+    };
+  }
+  
+  // GET /menus/:id/versions
+  if (!versionParam) {
+    const versions = await getMenuVersions(supabase, menuId, { limit: Math.min(Number(query.limit) || 50, 200) });
+    
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ versions })
+    };
+  }
+  
+  // GET /menus/:id/versions/:version
+  if (versionParam !== 'diff') {
+    const version = await getMenuVersion(supabase, menuId, Number(versionParam));
+    
+    return version
+      ? { statusCode: 200, headers, body: JSON.stringify({ version }) }
+      : { statusCode: 404, headers, body: JSON.stringify({ error: `Version ${versionParam} not found` }) };
+  }
+  
+  // GET /menus/:id/versions/diff - to defaults to the latest version,
+  // from to the version before it (or the live publish with from=published)
+  const to = query.to
+    ? await getMenuVersion(supabase, menuId, Number(query.to))
+    : await getLatestMenuVersion(supabase, menuId);
+  
+  if (!to) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: query.to ? `Version ${query.to} not found` : 'No versions recorded yet' })
+    };
+  }
+  
+  let from;
+  if (query.from === 'published') {
+    const { data: menu, error } = await supabase
+      .from('menus')
+      .select('current_publish_id')
+      .eq('id', menuId)
+      .single();
+    
+    if (error) throw error;
+    
+    const { data: publish } = menu.current_publish_id
+      ? await supabase.from('publish_history').select('id, version, snapshot').eq('id', menu.current_publish_id).single()
+      : { data: null };
+    
+    if (!publish) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Menu has not been published' })
+      };
+    }
+    from = { version: publish.version, publishId: publish.id, layouts: publish.snapshot || [] };
+  } else if (query.from) {
+    const version = await getMenuVersion(supabase, menuId, Number(query.from));
+    if (!version) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: `Version ${query.from} not found` })
+      };
+    }
+    from = version;
+  } else {
+    from = await getPreviousMenuVersion(supabase, menuId, to.version) || { version: null, layouts: [] };
+  }
+  
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      from: { version: from.version, ...(from.publishId && { publishId: from.publishId }) },
+      to: { version: to.version, createdBy: to.created_by, createdAt: to.created_at },
+      diff: diffSnapshots(from.layouts, to.layouts)
+    })
+  };
+}
+
+/**
+ * Validate a translation update
+ * Body: { locales, menu: { locale: { name } }, layouts: [{ layoutId, elements: [{ index, translations }] }] }
+ * layoutRows - the menu's layouts, to check element indexes and types
+ */
+function validateTranslationUpdate(body, layoutRows) {
+  const errors = [];
+  
+  if (body.locales !== undefined) {
+    if (!Array.isArray(body.locales)) {
+      errors.push('locales must be an array of language codes');
+    } else {
+      body.locales.filter(l => !isValidLocale(l)).forEach(l => errors.push(`Invalid locale: ${l}`));
+    }
+  }
+  
+  for (const [locale, strings] of Object.entries(body.menu || {})) {
+    if (!isValidLocale(locale)) {
+      errors.push(`menu: invalid locale ${locale}`);
+    } else if (strings !== null && (typeof strings !== 'object' || Object.keys(strings).some(k => k !== 'name'))) {
+      errors.push(`menu.${locale} may only set name`);
+    } else if (strings?.name != null && typeof strings.name !== 'string') {
+      errors.push(`menu.${locale}.name must be a string`);
+    }
+  }
+  
+  const layoutsById = new Map(layoutRows.map(l => [l.id, l]));
+  (body.layouts || []).forEach((update, i) => {
+    const layout = layoutsById.get(update.layoutId);
+    if (!layout) {
+      errors.push(`layouts[${i}]: layout ${update.layoutId} is not part of this menu`);
+      return;
+    }
+    
+    (update.elements || []).forEach((entry, j) => {
+      const element = (layout.elements || [])[entry.index];
+      if (!element) {
+        errors.push(`layouts[${i}].elements[${j}]: no element at index ${entry.index}`);
+        return;
+      }
+      
+      validateElementTranslations(element.type, entry.translations).errors
+        .forEach(message => errors.push(`layouts[${i}].elements[${j}]: ${message}`));
+    });
+  });
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * /menus/:id/translations routes
+ * Element strings are saved into the live layouts, so they reach screens
+ * with the next publish like any other edit.
+ * Members of the menu's organization can read them; owners and managers edit.
+ */
+async function handleTranslations({ method, body, query, menuId, user, missing }) {
+  if (!user) {
+    return {
+      statusCode: 401,
+      headers,
+      body: JSON.stringify({ error: 'Unauthorized' })
+    };
+  }
+  
+  const { data: menu, error: menuError } = await supabase
+    .from('menus')
+    .select('id, name, version, organization_id, locales, translations')
+    .eq('id', menuId)
+    .single();
+  
+  if (menuError) throw menuError;
+  
+  const profile = await getProfile(user.id);
+  
+  if (profile.organization_id !== menu.organization_id) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ error: 'Forbidden' })
+    };
+  }
+  
+  if (method === 'PUT' && !['owner', 'manager'].includes(profile.role)) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ error: 'Forbidden. Editing translations requires owner or manager role.' })
+    };
+  }
+  
+  const { data: layouts, error: layoutError } = await supabase
+    .from('layouts')
+    .select('id, name, screen_index, elements')
+    .eq('menu_id', menuId)
+    .order('screen_index');
+  
+  if (layoutError) throw layoutError;
+  
+  // GET /menus/:id/translations/missing - Report for ?locale= (default: the menu's locales)
+  if (method === 'GET' && missing) {
+    const locales = query.locale ? [query.locale] : (menu.locales || []);
+    
+    if (locales.length === 0 || !locales.every(isValidLocale)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Pass a valid ?locale= or set the menu\'s locales' })
+      };
+    }
+    
+    const report = getMissingTranslations(layouts || [], menu, locales);
+    const counts = Object.fromEntries(locales.map(l => [l, report.filter(m => m.locale === l).length]));
+    
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ menuId, locales, complete: report.length === 0, counts, missing: report })
+    };
+  }
+  
+  // GET /menus/:id/translations - Source strings with their translations
+  if (method === 'GET') {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        menuId,
+        locales: menu.locales || [],
+        menu: { name: menu.name, translations: menu.translations || {} },
+        layouts: (layouts || []).map(layout => ({
+          layoutId: layout.id,
+          name: layout.name,
+          elements: (layout.elements || [])
+            .map((element, index) => ({ index, element }))
+            .filter(({ element }) => TRANSLATABLE_FIELDS[element.type])
+            .map(({ index, element }) => ({
+              index,
+              type: element.type,
+              source: getSourceStrings(element),
+              translations: element.translations || {}
+            }))
+        }))
+      })
+    };
+  }
+  
+  // PUT /menus/:id/translations - Merge translations (null removes a string or locale)
+  if (method === 'PUT' && !missing) {
+    const validation = validateTranslationUpdate(body, layouts || []);
+    if (!validation.valid) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Invalid translations', errors: validation.errors })
+      };
+    }
+    
+    for (const update of body.layouts || []) {
+      const layout = layouts.find(l => l.id === update.layoutId);
+      const elements = [...layout.elements];
+      
+      for (const entry of update.elements || []) {
+        const element = { ...elements[entry.index] };
+        const translations = mergeTranslations(element.translations, entry.translations);
+        
+        if (Object.keys(translations).length > 0) {
+          element.translations = translations;
+        } else {
+          delete element.translations;
+        }
+        elements[entry.index] = element;
+      }
+      
+      const { error } = await supabase
+        .from('layouts')
+        .update({ elements, updated_at: new Date().toISOString() })
+        .eq('id', layout.id);
+      
+      if (error) throw error;
+    }
+    
+    const { data, error } = await supabase
+      .from('menus')
+      .update({
+        ...(body.locales && { locales: [...new Set(body.locales)] }),
+        ...(body.menu && { translations: mergeTranslations(menu.translations, body.menu) }),
+        version: (menu.version || 0) + 1,
+        last_edited_by: user.id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', menuId)
+      .select()
+      .single();
+    
+    if (error) throw error;
+    
+    if ((body.layouts || []).length > 0) {
+      await recordMenuVersion(supabase, menuId, { userId: user.id, reason: VersionReason.TRANSLATIONS, version: data.version });
+    }
+    
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ menu: data })
+    };
+  }
+  
+  return {
+    statusCode: 405,
+    headers,
+    body: JSON.stringify({ error: 'Method not allowed' })
+  };
+}
+
 export async function handler(event, context) {
   // Handle CORS preflight
   if (event.httpMethod === 'OPTIONS') {
@@ -138,46 +523,243 @@ export async function handler(event, context) {
       };
     }
     
+    // POST /menus/import - Create a menu from a CSV or JSON item list
+    // Body: { name, resolution, format: 'csv' | 'json', csv, items } - created in the caller's organization
+    if (method === 'POST' && /^\/import\/?$/.test(path)) {
+      const { name, tags, resolution = '1080p' } = body;
+      const format = body.format || (body.csv !== undefined ? ImportFormat.CSV : ImportFormat.JSON);
+      
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+      
+      const profile = await getProfile(user.id);
+      
+      if (!profile.organization_id || !hasPermission(profile, 'canCreateMenus')) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'You cannot create menus in this organization' })
+        };
+      }
+      
+      if (!name) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Menu name is required' })
+        };
+      }
+      
+      if (!isValidImportResolution(resolution)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Unknown resolution: ${resolution}`, resolutions: Object.keys(RESOLUTIONS) })
+        };
+      }
+      
+      const { items, errors } = parseImportItems(format === ImportFormat.CSV ? body.csv : body.items, format);
+      
+      if (items.length === 0) {
+        return {
+          statusCode: 422,
+          headers,
+          body: JSON.stringify({ error: 'No valid rows to import', imported: 0, errors })
+        };
+      }
+      
+      const { data: menu, error: menuError } = await supabase
+        .from('menus')
+        .insert({
+          name,
+          status: 'draft',
+          version: 1,
+          organization_id: profile.organization_id,
+          created_by: user.id,
+          last_edited_by: user.id,
+          tags: tags || [],
+          metadata: { imported: { format, items: items.length, skipped: new Set(errors.map(e => e.row)).size } },
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+      
+      if (menuError) throw menuError;
+      
+      const { data: layouts, error: layoutError } = await supabase
+        .from('layouts')
+        .insert(buildImportLayouts(items, resolution).map(layout => ({
+          ...layout,
+          menu_id: menu.id,
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString()
+        })))
+        .select();
+      
+      if (layoutError) {
+        // Don't leave an empty menu behind
+        await supabase.from('menus').delete().eq('id', menu.id);
+        throw layoutError;
+      }
+      
+      // Version 1, so the first edit has something to diff against
+      try {
+        await recordMenuVersion(supabase, menu.id, { userId: user.id, reason: VersionReason.MENU_CREATED, version: menu.version });
+      } catch (versionError) {
+        await supabase.from('menus').delete().eq('id', menu.id);
+        throw versionError;
+      }
+      
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ menu, layouts, imported: items.length, errors })
+      };
+    }
+    
+    // POST /menus/package - Import a menu package as a new draft menu
+    // Body: { package, organizationId, name }
+    if (method === 'POST' && /^\/package\/?$/.test(path)) {
+      const { organizationId, name } = body;
+      
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+      
+      if (!await canManageMenus(user, organizationId)) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Forbidden. Importing menus requires owner or manager role in the organization.' })
+        };
+      }
+      
+      const validation = validateMenuPackage(body.package);
+      if (!validation.valid) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid menu package', errors: validation.errors })
+        };
+      }
+      
+      const result = await importMenuPackage(supabase, body.package, {
+        organizationId,
+        userId: user.id,
+        name
+      });
+      
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify(result)
+      };
+    }
+    
     // Check for menu ID routes
     const menuId = getMenuId(path);
     
     if (menuId) {
-      // POST /menus/:id/publish
-      if (method === 'POST' && path.endsWith('/publish')) {
-        const { data: menu, error: fetchError } = await supabase
+      // GET /menus/:id/package - Export as a portable package
+      if (method === 'GET' && /^\/[^/]+\/package\/?$/.test(path)) {
+        if (!user) {
+          return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ error: 'Unauthorized' })
+          };
+        }
+        
+        const { data: menu, error: menuError } = await supabase
           .from('menus')
-          .select('*')
+          .select('organization_id')
           .eq('id', menuId)
           .single();
         
-        if (fetchError) throw fetchError;
+        if (menuError) throw menuError;
         
-        const { data, error } = await supabase
+        if (!await canManageMenus(user, menu.organization_id)) {
+          return {
+            statusCode: 403,
+            headers,
+            body: JSON.stringify({ error: 'Forbidden. Exporting menus requires owner or manager role in the organization.' })
+          };
+        }
+        
+        const menuPackage = await buildMenuPackage(supabase, menuId);
+        
+        return {
+          statusCode: 200,
+          headers: {
+            ...headers,
+            'Content-Disposition': `attachment; filename="mosm-menu-${menuId}.json"`
+          },
+          body: JSON.stringify(menuPackage)
+        };
+      }
+      
+      // /menus/:id/versions[/:version | /diff]
+      const versionsMatch = path.match(/^\/[^/]+\/versions(?:\/([^/]+))?\/?$/);
+      if (versionsMatch) {
+        return handleVersions({
+          method,
+          query: event.queryStringParameters || {},
+          menuId,
+          versionParam: versionsMatch[1]
+        });
+      }
+      
+      // /menus/:id/translations[/missing]
+      const translationsMatch = path.match(/^\/[^/]+\/translations(\/missing)?\/?$/);
+      if (translationsMatch) {
+        return handleTranslations({
+          method,
+          body,
+          query: event.queryStringParameters || {},
+          menuId,
+          user,
+          missing: Boolean(translationsMatch[1])
+        });
+      }
+      
+      // POST /menus/:id/publish - Same publish as /api/publish/menu/:id
+      if (method === 'POST' && path.endsWith('/publish')) {
+        if (!user) {
+          return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({ error: 'Unauthorized' })
+          };
+        }
+        
+        const { data: menu, error: fetchError } = await supabase
           .from('menus')
-          .update({
-            status: 'published',
-            last_published_at: new Date().toISOString(),
-            last_published_by: user?.id,
-            updated_at: new Date().toISOString()
-          })
+          .select('id, organization_id, version')
           .eq('id', menuId)
-          .select()
           .single();
         
-        if (error) throw error;
+        if (fetchError) throw fetchError;
         
-        // Create publish history record
-        await supabase.from('publish_history').insert({
-          menu_id: menuId,
-          version: data.version,
-          published_by: user?.id,
-          published_at: new Date().toISOString()
+        await assertCanPublish(supabase, await getProfile(user.id), menu);
+        
+        const result = await publishMenu(supabase, menuId, user.id, {
+          overrideWarnings: body.overrideWarnings === true
         });
         
         return {
           statusCode: 200,
           headers,
-          body: JSON.stringify({ menu: data, message: 'Menu published successfully' })
+          body: JSON.stringify({ ...result, message: 'Menu published successfully' })
         };
       }
       
@@ -206,6 +788,8 @@ export async function handler(event, context) {
             last_edited_by: user?.id,
             tags: original.tags,
             metadata: { ...original.metadata, duplicated_from: menuId },
+            locales: original.locales,
+            translations: original.translations,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
           })
@@ -235,7 +819,20 @@ export async function handler(event, context) {
             updated_at: new Date().toISOString()
           }));
           
-          await supabase.from('layouts').insert(newLayouts);
+          const { error: layoutError } = await supabase.from('layouts').insert(newLayouts);
+          
+          if (layoutError) {
+            await supabase.from('menus').delete().eq('id', duplicate.id);
+            throw layoutError;
+          }
+        }
+        
+        // Version 1, so the first edit has something to diff against
+        try {
+          await recordMenuVersion(supabase, duplicate.id, { userId: user?.id, reason: VersionReason.MENU_CREATED, version: duplicate.version });
+        } catch (versionError) {
+          await supabase.from('menus').delete().eq('id', duplicate.id);
+          throw versionError;
         }
         
         return {
@@ -271,10 +868,14 @@ export async function handler(event, context) {
           .eq('id', menuId)
           .single();
         
+        const updates = Object.fromEntries(
+          EDITABLE_MENU_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+        );
+        
         const { data, error } = await supabase
           .from('menus')
           .update({
-            ...body,
+            ...updates,
             version: (current?.version || 0) + 1,
             last_edited_by: user?.id,
             updated_at: new Date().toISOString()
@@ -293,23 +894,14 @@ export async function handler(event, context) {
       }
       
       // DELETE /menus/:id (archive)
+      // Screens showing it move to their device fallback or closed
       if (method === 'DELETE') {
-        const { data, error } = await supabase
-          .from('menus')
-          .update({
-            status: 'archived',
-            updated_at: new Date().toISOString()
-          })
-          .eq('id', menuId)
-          .select()
-          .single();
-        
-        if (error) throw error;
+        const { menu, affectedDevices } = await takeDownMenu(supabase, menuId, 'archived');
         
         return {
           statusCode: 200,
           headers,
-          body: JSON.stringify({ menu: data, message: 'Menu archived' })
+          body: JSON.stringify({ menu, affectedDevices, message: 'Menu archived' })
         };
       }
     }
@@ -326,7 +918,7 @@ export async function handler(event, context) {
     return {
       statusCode: error.status || 500,
       headers,
-      body: JSON.stringify({ error: error.message })
+      body: JSON.stringify({ error: error.message, validation: error.validation })
     };
   }
 }
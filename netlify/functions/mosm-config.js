@@ -7,6 +7,7 @@
  * GET /api/mosm/config/screens/:location_id - Get screen configuration
  * GET /api/mosm/config/features/:location_id - Get feature flags
  * GET /api/mosm/config/menu/:menu_id - Get menu configuration
+ * GET /api/mosm/config/calendar/:location_id - Get holiday / special-hours calendar
  * 
  * These endpoints are READ-ONLY for consuming services.
  * MOD OS Menus reads config on boot, caches locally.
@@ -14,6 +15,7 @@
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { listCalendarExceptions, getActiveCalendarException, toCalendarPayload } from '../../utils/calendarExceptions.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
@@ -179,7 +181,7 @@ export async function handler(event, context) {
         .from('screens')
         .select(`
           id, name, screen_index, resolution, orientation,
-          assigned_layout_id, position,
+          assigned_layout_id, assigned_playlist_id, position,
           devices!inner(id, name, location_id, status)
         `)
         .eq('devices.location_id', locationId);
@@ -209,6 +211,7 @@ export async function handler(event, context) {
             status: screen.devices.status
           },
           assignedLayoutId: cfg.assigned_layout_id || screen.assigned_layout_id,
+          assignedPlaylistId: screen.assigned_playlist_id || null,
           assignedMenuId: cfg.assigned_menu_id || null,
           displayMode: cfg.display_mode || 'menu',
           config: cfg.config || {}
@@ -323,6 +326,50 @@ export async function handler(event, context) {
       };
     }
     
+    // =====================================================
+    // GET /calendar/:location_id - Holiday / special-hours calendar
+    // =====================================================
+    const calendarMatch = path.match(/^\/calendar\/([^/]+)$/);
+    if (calendarMatch) {
+      const locationId = calendarMatch[1];
+      
+      const { data: location } = await supabaseAdmin
+        .from('locations')
+        .select('id, organization_id')
+        .eq('id', locationId)
+        .single();
+      
+      if (!location) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Location not found' })
+        };
+      }
+      
+      // Location exceptions plus organization-wide ones
+      const exceptions = await listCalendarExceptions(supabaseAdmin, location.organization_id, {
+        locationId,
+        from: event.queryStringParameters?.from
+      });
+      
+      const active = await getActiveCalendarException(supabaseAdmin, {
+        organization_id: location.organization_id,
+        location_id: locationId
+      });
+      
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          locationId,
+          activeException: active ? toCalendarPayload(active) : null,
+          exceptions,
+          fetchedAt: new Date().toISOString()
+        })
+      };
+    }
+    
     // Route not found
     return {
       statusCode: 404,
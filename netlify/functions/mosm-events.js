@@ -10,9 +10,13 @@
  * 
  * CRITICAL: This is for AUDIT ONLY.
  * MOSM does NOT act on events. MOSM only stores and observes.
+ * The one exception: availability.out_of_stock / availability.in_stock
+ * from POS-Lite mark catalog items sold out ("86") at the event's location
+ * (see utils/itemAvailability.js).
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { applyAvailabilityEvents } from '../../utils/itemAvailability.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
@@ -116,6 +120,15 @@ export async function handler(event, context) {
           continue;
         }
         
+        // Availability resets are computed from the timestamp - reject bad ones here
+        if (e.timestamp !== undefined && Number.isNaN(new Date(e.timestamp).getTime())) {
+          errors.push({
+            index: i,
+            error: 'Invalid timestamp. Must be an ISO 8601 date/time'
+          });
+          continue;
+        }
+        
         validEvents.push({
           event_type: e.event_type,
           source_service: e.source_service,
@@ -152,13 +165,31 @@ export async function handler(event, context) {
         };
       }
       
+      // Item availability events: sold-out marks + needs_update for that location's devices.
+      // The events are already logged, so a failure here is reported, not a 500 the
+      // sender would retry (logging every event twice).
+      let availability;
+      try {
+        availability = await applyAvailabilityEvents(supabaseAdmin, data);
+      } catch (availabilityError) {
+        console.error('Availability apply error:', availabilityError);
+        availability = {
+          applied: 0,
+          skipped: [],
+          error: 'Events were logged but item availability could not be updated'
+        };
+      }
+      
       return {
         statusCode: 201,
         headers,
         body: JSON.stringify({ 
           success: true,
           logged: data.length,
-          errors: errors.length > 0 ? errors : undefined
+          errors: errors.length > 0 ? errors : undefined,
+          availability: availability.applied > 0 || availability.skipped.length > 0 || availability.error
+            ? availability
+            : undefined
         })
       };
     }
@@ -5,10 +5,16 @@
  * Routes:
  * GET  /api/organizations        - Get user's organization
  * POST /api/organizations        - Create new organization
- * PUT  /api/organizations/:id    - Update organization
+ * PUT  /api/organizations/:id    - Update organization (incl. defaultFallbackMenuId, complianceRules,
+ *                                  currency, locale, priceFormat)
+ * POST /api/organizations/:id/signing-key/rotate - Rotate the payload signing key (owner only)
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { validateComplianceRules } from '../../utils/menuCompliance.js';
+import { validatePriceSettings } from '../../utils/priceFormatting.js';
+import { flagCatalogDevices } from '../../utils/menuCatalog.js';
+import { rotateOrgSigningKey } from '../../utils/payloadSigning.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
@@ -193,10 +199,39 @@ export async function handler(event, context) {
       };
     }
 
+    // POST /:id/signing-key/rotate - New signing key, endorsed by the current one
+    const rotateMatch = path.match(/^\/([^/]+)\/signing-key\/rotate$/);
+    if (method === 'POST' && rotateMatch) {
+      const orgId = rotateMatch[1];
+
+      const { data: userProfile } = await supabase
+        .from('users')
+        .select('organization_id, role')
+        .eq('id', user.id)
+        .single();
+
+      if (userProfile?.organization_id !== orgId || userProfile?.role !== 'owner') {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Only the organization owner can rotate the signing key' })
+        };
+      }
+
+      // Paired devices move to the new key on their next registration check
+      const signingKey = await rotateOrgSigningKey(supabase, orgId);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ signingKey })
+      };
+    }
+
     // PUT /:id - Update organization
     if (method === 'PUT' && path.length > 1) {
       const orgId = path.substring(1);
-      const { name, timezone, currency, logoUrl, settings } = body;
+      const { name, timezone, currency, locale, priceFormat, logoUrl, settings, defaultFallbackMenuId, complianceRules } = body;
 
       // Verify user owns this org
       const { data: userProfile } = await supabase
@@ -217,8 +252,67 @@ export async function handler(event, context) {
       if (name) updates.name = name;
       if (timezone) updates.timezone = timezone;
       if (logoUrl !== undefined) updates.logo_url = logoUrl;
-      if (settings || currency) {
-        updates.settings = { ...(settings || {}), currency: currency || 'USD' };
+      
+      // Price display: currency, number locale and { cents, symbol } (see utils/priceFormatting.js)
+      const priceChanged = Boolean(currency) || locale !== undefined || priceFormat !== undefined;
+      const priceValidation = validatePriceSettings({ currency, locale, priceFormat });
+      if (!priceValidation.valid) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid price settings', errors: priceValidation.errors })
+        };
+      }
+      
+      if (settings || priceChanged) {
+        // Merged into the current settings, so one field can change on its own
+        const { data: current } = await supabase
+          .from('organizations')
+          .select('settings')
+          .eq('id', orgId)
+          .single();
+        
+        updates.settings = {
+          ...(current?.settings || {}),
+          ...(settings || {}),
+          ...(currency && { currency }),
+          ...(locale !== undefined && { locale }),
+          ...(priceFormat !== undefined && { priceFormat })
+        };
+        if (!updates.settings.currency) updates.settings.currency = 'USD';
+      }
+      
+      // Publish-time compliance rules, e.g. { calories_with_price: 'error' }
+      if (complianceRules !== undefined) {
+        const validation = validateComplianceRules(complianceRules);
+        if (!validation.valid) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Invalid compliance rules', errors: validation.errors })
+          };
+        }
+        updates.compliance_rules = complianceRules;
+      }
+      
+      // Default fallback menu (null clears it) - must be one of the org's menus
+      if (defaultFallbackMenuId !== undefined) {
+        if (defaultFallbackMenuId) {
+          const { data: menu } = await supabase
+            .from('menus')
+            .select('id, organization_id, status')
+            .eq('id', defaultFallbackMenuId)
+            .single();
+          
+          if (!menu || menu.organization_id !== orgId || menu.status === 'archived') {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: 'defaultFallbackMenuId must be an active menu of this organization' })
+            };
+          }
+        }
+        updates.default_fallback_menu_id = defaultFallbackMenuId || null;
       }
 
       const { data: org, error } = await supabase
@@ -235,6 +329,23 @@ export async function handler(event, context) {
           body: JSON.stringify({ error: 'Failed to update organization' })
         };
       }
+      
+      // Devices relying on the org default fallback pick up the change
+      if (defaultFallbackMenuId !== undefined) {
+        await supabase
+          .from('devices')
+          .update({
+            needs_update: true,
+            last_update_pushed: new Date().toISOString()
+          })
+          .eq('organization_id', orgId)
+          .is('fallback_menu_id', null);
+      }
+      
+      // Boards show prices in the new format on their next poll
+      if (priceChanged) {
+        await flagCatalogDevices(supabase, orgId);
+      }
 
       return {
         statusCode: 200,
@@ -253,7 +364,7 @@ export async function handler(event, context) {
   } catch (error) {
     console.error('Organizations error:', error);
     return {
-      statusCode: 500,
+      statusCode: error.status || 500,
       headers,
       body: JSON.stringify({ error: error.message })
     };
@@ -0,0 +1,319 @@
+/**
+ * Playlists API Endpoint
+ * Layout playlists: ordered layouts a screen rotates through
+ *
+ * Routes:
+ * GET    /api/playlists      - List the organization's playlists
+ * POST   /api/playlists      - Create a playlist
+ * GET    /api/playlists/:id  - Get a playlist with its items
+ * PUT    /api/playlists/:id  - Update a playlist (items replace the current list)
+ * DELETE /api/playlists/:id  - Delete a playlist (screens using it are unassigned)
+ *
+ * Assign a playlist with PUT /api/screens/:id/assign { playlistId }, or use
+ * it in a daypart ({ playlistId } instead of { layoutId }).
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { validatePlaylist, toPlaylistItemRows, flagPlaylistDevices } from '../../utils/playlists.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+const PLAYLIST_SELECT = '*, items:playlist_items (*, layout:layouts (id, name, menu_id, resolution))';
+
+// Helper to get user from token
+async function getUserFromToken(authHeader) {
+  if (!authHeader) return null;
+  const token = authHeader.replace('Bearer ', '');
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+  if (error) return null;
+  return user;
+}
+
+/**
+ * Layouts of playlist items must belong to the organization's menus
+ * Returns the unknown layout IDs
+ */
+async function getUnknownLayouts(items, organizationId) {
+  const layoutIds = [...new Set(items.map(i => i.layoutId))];
+
+  const { data: layouts, error } = await supabase
+    .from('layouts')
+    .select('id, menu:menus (organization_id)')
+    .in('id', layoutIds);
+
+  if (error) throw error;
+
+  const valid = new Set((layouts || [])
+    .filter(l => l.menu?.organization_id === organizationId)
+    .map(l => l.id));
+  return layoutIds.filter(id => !valid.has(id));
+}
+
+/**
+ * Replace a playlist's items
+ */
+async function saveItems(playlistId, items) {
+  const { error: deleteError } = await supabase
+    .from('playlist_items')
+    .delete()
+    .eq('playlist_id', playlistId);
+
+  if (deleteError) throw deleteError;
+
+  const { error } = await supabase
+    .from('playlist_items')
+    .insert(toPlaylistItemRows(playlistId, items));
+
+  if (error) throw error;
+}
+
+/**
+ * Load a playlist with its items in play order
+ */
+async function getPlaylist(playlistId) {
+  const { data, error } = await supabase
+    .from('playlists')
+    .select(PLAYLIST_SELECT)
+    .eq('id', playlistId)
+    .single();
+
+  if (error || !data) return null;
+
+  data.items = (data.items || []).sort((a, b) => a.position - b.position);
+  return data;
+}
+
+export async function handler(event, context) {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const path = event.path.replace('/.netlify/functions/playlists', '').replace('/api/playlists', '');
+  const method = event.httpMethod;
+
+  try {
+    // Get authenticated user and their organization
+    const user = await getUserFromToken(event.headers.authorization);
+    if (!user) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Unauthorized' })
+      };
+    }
+
+    const { data: profile } = await supabase
+      .from('users')
+      .select('organization_id, role')
+      .eq('id', user.id)
+      .single();
+
+    if (!profile?.organization_id) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'No organization' })
+      };
+    }
+
+    const organizationId = profile.organization_id;
+    const canManage = ['owner', 'manager', 'designer'].includes(profile.role);
+
+    let body = {};
+    if (event.body) {
+      body = JSON.parse(event.body);
+    }
+
+    if (method !== 'GET' && !canManage) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Not authorized to change playlists' })
+      };
+    }
+
+    // GET /playlists - List playlists
+    if (method === 'GET' && (path === '' || path === '/')) {
+      const { data, error } = await supabase
+        .from('playlists')
+        .select(PLAYLIST_SELECT)
+        .eq('organization_id', organizationId)
+        .order('name');
+
+      if (error) throw error;
+
+      for (const playlist of data || []) {
+        playlist.items = (playlist.items || []).sort((a, b) => a.position - b.position);
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ playlists: data })
+      };
+    }
+
+    // POST /playlists - Create playlist
+    // Body: { name, transition, defaultDuration, items: [{ layoutId, duration, transition, weight }] }
+    if (method === 'POST' && (path === '' || path === '/')) {
+      const validation = validatePlaylist(body);
+      if (!validation.valid) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid playlist', errors: validation.errors })
+        };
+      }
+
+      const unknown = await getUnknownLayouts(body.items, organizationId);
+      if (unknown.length > 0) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Unknown layout(s): ${unknown.join(', ')}` })
+        };
+      }
+
+      const { data: created, error } = await supabase
+        .from('playlists')
+        .insert({
+          organization_id: organizationId,
+          name: body.name,
+          transition: body.transition || 'fade',
+          default_duration_seconds: body.defaultDuration || 10,
+          created_by: user.id
+        })
+        .select('id')
+        .single();
+
+      if (error) throw error;
+
+      await saveItems(created.id, body.items);
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ playlist: await getPlaylist(created.id) })
+      };
+    }
+
+    // Routes with a playlist ID
+    const playlistId = path.match(/^\/([^/]+)\/?$/)?.[1];
+    if (!playlistId) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Not found' })
+      };
+    }
+
+    const playlist = await getPlaylist(playlistId);
+    if (!playlist || playlist.organization_id !== organizationId) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Playlist not found' })
+      };
+    }
+
+    // GET /playlists/:id
+    if (method === 'GET') {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ playlist })
+      };
+    }
+
+    // PUT /playlists/:id - Update playlist
+    if (method === 'PUT') {
+      const validation = validatePlaylist(body, { partial: true });
+      if (!validation.valid) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Invalid playlist', errors: validation.errors })
+        };
+      }
+
+      if (body.items) {
+        const unknown = await getUnknownLayouts(body.items, organizationId);
+        if (unknown.length > 0) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: `Unknown layout(s): ${unknown.join(', ')}` })
+          };
+        }
+      }
+
+      const updates = { updated_at: new Date().toISOString() };
+      if (body.name !== undefined) updates.name = body.name;
+      if (body.transition !== undefined) updates.transition = body.transition;
+      if (body.defaultDuration !== undefined) updates.default_duration_seconds = body.defaultDuration;
+
+      const { error } = await supabase
+        .from('playlists')
+        .update(updates)
+        .eq('id', playlistId);
+
+      if (error) throw error;
+
+      if (body.items) {
+        await saveItems(playlistId, body.items);
+      }
+
+      // Screens showing the playlist pick up the change on their next poll
+      const affectedDevices = await flagPlaylistDevices(supabase, playlistId);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ playlist: await getPlaylist(playlistId), affectedDevices })
+      };
+    }
+
+    // DELETE /playlists/:id - Screens fall back to nothing assigned; dayparts using it go too
+    if (method === 'DELETE') {
+      const affectedDevices = await flagPlaylistDevices(supabase, playlistId);
+
+      const { error } = await supabase
+        .from('playlists')
+        .delete()
+        .eq('id', playlistId);
+
+      if (error) throw error;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ message: 'Playlist deleted', affectedDevices })
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    console.error('Playlists API error:', error);
+    return {
+      statusCode: error.status || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+}
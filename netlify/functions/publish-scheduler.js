@@ -0,0 +1,37 @@
+/**
+ * Publish Scheduler
+ *
+ * Scheduled function (every minute, see netlify.toml).
+ * Fires scheduled publish targets whose local time has arrived in their
+ * location's timezone: records the publish in publish_history and flags
+ * that location's devices needs_update.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { runDueTargets } from '../../utils/scheduledPublishes.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+export async function handler(event, context) {
+  try {
+    const results = await runDueTargets(supabase);
+
+    if (results.length > 0) {
+      console.log('Scheduled publishes fired:', JSON.stringify(results));
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ fired: results.length, results })
+    };
+  } catch (error) {
+    console.error('Publish scheduler error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+}
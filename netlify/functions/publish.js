@@ -2,12 +2,37 @@
  * Publish API Endpoint
  * 
  * Routes:
- * POST   /api/publish/menu/:menuId    - Publish a menu
+ * POST   /api/publish/menu/:menuId    - Publish a menu (?dryRun=true previews impact)
+ * POST   /api/publish/unpublish/:menuId - Take a menu off the screens (back to draft)
+ * GET    /api/publish/history/:menuId - List past publishes of a menu
+ * POST   /api/publish/restore/:menuId - Restore an earlier published version
+ * POST   /api/publish/schedule/:menuId - Schedule a publish for a local time per location
+ * GET    /api/publish/schedule        - List the organization's scheduled publishes
+ * DELETE /api/publish/schedule/:id    - Cancel a scheduled publish
+ * POST   /api/publish/reviews         - Submit a menu for publish review
+ * GET    /api/publish/reviews         - List reviews (pending queue by default)
+ * POST   /api/publish/reviews/:id/approve - Approve and publish (owner/manager)
+ * POST   /api/publish/reviews/:id/reject  - Reject with a comment (owner/manager)
  * GET    /api/publish/device/:deviceId - Get published content for device
- * POST   /api/publish/ack/:deviceId    - Acknowledge update received
+ *                                      (ETag / If-None-Match → 304, ?since=<hash> → JSON Patch)
+ * GET    /api/publish/device/:deviceId/bundle - Offline sideload bundle (owner/manager)
+ * POST   /api/publish/ack/:deviceId    - Acknowledge update received (reports running content)
+ * GET    /api/publish/convergence/:publishId - Which targeted devices run a publish
  */
 
 import { createClient } from '@supabase/supabase-js';
+import publishService from '../../services/publishService.js';
+import { createSnapshot } from '../../utils/publishSnapshots.js';
+import { checkMenuForPublish, getPublishBlock } from '../../utils/publishValidation.js';
+import { parseLocalDateTime } from '../../utils/timezones.js';
+import { getScheduleTargets } from '../../utils/scheduledPublishes.js';
+import { recordRunningContent, getPublishConvergence } from '../../utils/contentVersions.js';
+import { getDeviceUpdate } from '../../utils/payloadDeltas.js';
+import { getOrgPublicKey } from '../../utils/payloadSigning.js';
+import { takeDownMenu } from '../../utils/menuTakedown.js';
+import { buildOfflineBundle } from '../../utils/offlineBundles.js';
+import { publishMenu, assertCanPublish, isReviewRequired } from '../../utils/menuPublishing.js';
+import { RestoreMode, restoreMenuVersion } from '../../utils/menuRestore.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
@@ -18,9 +43,44 @@ const headers = {
   'Content-Type': 'application/json',
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-None-Match',
+  'Access-Control-Expose-Headers': 'ETag'
 };
 
+/**
+ * Get a user's profile (role and organization)
+ */
+async function getProfile(userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, role, organization_id')
+    .eq('id', userId)
+    .single();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Write an audit trail entry - never breaks the request
+ */
+async function logAudit({ action, tableName, recordId, actor, oldValues = null, newValues = null }) {
+  const { error } = await supabase
+    .from('audit_log')
+    .insert({
+      action,
+      table_name: tableName,
+      record_id: recordId,
+      actor_id: actor.id,
+      actor_role: actor.role,
+      organization_id: actor.organization_id,
+      old_values: oldValues,
+      new_values: newValues
+    });
+  
+  if (error) console.error('Failed to log audit trail:', error);
+}
+
 /**
  * Get user from authorization header
  */
@@ -51,8 +111,210 @@ export async function handler(event, context) {
     // POST /publish/menu/:menuId - Publish a menu
     if (method === 'POST' && path.startsWith('/menu/')) {
       const menuId = path.replace('/menu/', '');
+      const dryRun = event.queryStringParameters?.dryRun === 'true';
+      
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+      
+      const profile = await getProfile(user.id);
       
-      // 1. Get the menu
+      const { data: menu, error: menuError } = await supabase
+        .from('menus')
+        .select('id, organization_id, version')
+        .eq('id', menuId)
+        .single();
+      
+      if (menuError) throw menuError;
+      
+      // Anyone in the organization may preview; publishing needs owner/manager (and approval if required)
+      if (!dryRun) {
+        await assertCanPublish(supabase, profile, menu);
+      } else if (profile.organization_id !== menu.organization_id) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Forbidden' })
+        };
+      }
+      
+      const result = await publishMenu(supabase, menuId, user.id, {
+        overrideWarnings: body.overrideWarnings === true,
+        dryRun
+      });
+      
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          ...result
+        })
+      };
+    }
+    
+    // POST /publish/unpublish/:menuId - Take a menu off the screens (back to draft)
+    if (method === 'POST' && path.startsWith('/unpublish/')) {
+      const menuId = path.replace('/unpublish/', '');
+      
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+      
+      const profile = await getProfile(user.id);
+      
+      const { data: menu, error: menuError } = await supabase
+        .from('menus')
+        .select('id, organization_id, status')
+        .eq('id', menuId)
+        .single();
+      
+      if (menuError) throw menuError;
+      
+      if (!['owner', 'manager'].includes(profile.role) || profile.organization_id !== menu.organization_id) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Forbidden. Unpublishing requires owner or manager role.' })
+        };
+      }
+      
+      if (menu.status !== 'published') {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: `Menu is ${menu.status}, not published` })
+        };
+      }
+      
+      const result = await takeDownMenu(supabase, menuId, 'draft');
+      
+      await logAudit({
+        action: 'unpublish',
+        tableName: 'menus',
+        recordId: menuId,
+        actor: profile,
+        oldValues: { status: menu.status },
+        newValues: { status: result.menu.status, affected_devices: result.affectedDevices }
+      });
+      
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, ...result })
+      };
+    }
+    
+    // GET /publish/history/:menuId - List past publishes
+    if (method === 'GET' && path.startsWith('/history/')) {
+      const menuId = path.replace('/history/', '');
+      const limit = parseInt(event.queryStringParameters?.limit) || 10;
+      
+      const { data, error } = await supabase
+        .from('publish_history')
+        .select('id, menu_id, version, published_by, layout_count, published_at')
+        .eq('menu_id', menuId)
+        .order('published_at', { ascending: false })
+        .limit(limit);
+      
+      if (error) throw error;
+      
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ history: data })
+      };
+    }
+    
+    // POST /publish/restore/:menuId - Restore an earlier published version
+    if (method === 'POST' && path.startsWith('/restore/')) {
+      const menuId = path.replace('/restore/', '');
+      const { version, mode = 'draft', reason, overrideWarnings = false } = body;
+      
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+      
+      const profile = await getProfile(user.id);
+      
+      const { data: restoreMenu, error: restoreMenuError } = await supabase
+        .from('menus')
+        .select('id, organization_id')
+        .eq('id', menuId)
+        .single();
+      
+      if (restoreMenuError) throw restoreMenuError;
+      
+      if (!['owner', 'manager'].includes(profile.role) || profile.organization_id !== restoreMenu.organization_id) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Forbidden. Restoring requires owner or manager role.' })
+        };
+      }
+      
+      // Republishing is a publish: not directly when the organization reviews publishes
+      if (mode === RestoreMode.REPUBLISH && await isReviewRequired(supabase, restoreMenu.organization_id)) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'This organization publishes through reviews. Restore as a draft and submit it for review' })
+        };
+      }
+      
+      const result = await restoreMenuVersion(supabase, menuId, user.id, {
+        version,
+        mode,
+        reason: reason || null,
+        overrideWarnings
+      });
+      
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          ...result
+        })
+      };
+    }
+    
+    // POST /publish/schedule/:menuId - Schedule a publish for a local time
+    if (method === 'POST' && path.startsWith('/schedule/')) {
+      const menuId = path.replace('/schedule/', '');
+      const { publishAt, locationIds = [], overrideWarnings = false } = body;
+      
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+      
+      if (!parseLocalDateTime(publishAt)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'publishAt must be a local date/time (YYYY-MM-DDTHH:mm)' })
+        };
+      }
+      
+      const profile = await getProfile(user.id);
+      
+      // 1. Get the menu and its layouts
       const { data: menu, error: menuError } = await supabase
         .from('menus')
         .select('*')
@@ -61,7 +323,17 @@ export async function handler(event, context) {
       
       if (menuError) throw menuError;
       
-      // 2. Get all layouts for the menu
+      if (!['owner', 'manager'].includes(profile.role) || profile.organization_id !== menu.organization_id) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Forbidden. Scheduling a publish requires owner or manager role.' })
+        };
+      }
+      
+      // A scheduled publish goes live without another look - it needs the same approval
+      await assertCanPublish(supabase, profile, menu);
+      
       const { data: layouts, error: layoutError } = await supabase
         .from('layouts')
         .select('*')
@@ -77,161 +349,620 @@ export async function handler(event, context) {
         };
       }
       
-      // 3. Update menu status to published
-      const { data: publishedMenu, error: publishError } = await supabase
-        .from('menus')
+      // 2. Validate now - this snapshot is what goes live
+      const validation = await checkMenuForPublish(supabase, layouts);
+      const block = getPublishBlock(validation, overrideWarnings);
+      if (block) throw block;
+      
+      // 3. Work out when each location fires
+      const targets = await getScheduleTargets(supabase, menu.organization_id, publishAt, locationIds);
+      
+      // 4. Save the schedule with its frozen snapshot
+      const { data: schedule, error } = await supabase
+        .from('scheduled_publishes')
+        .insert({
+          menu_id: menuId,
+          organization_id: menu.organization_id,
+          local_publish_at: publishAt,
+          version: menu.version,
+          layout_count: layouts.length,
+          snapshot: createSnapshot(layouts),
+          created_by: user.id
+        })
+        .select('id, menu_id, organization_id, local_publish_at, version, layout_count, status, created_by, created_at')
+        .single();
+      
+      if (error) throw error;
+      
+      const { data: targetRows, error: targetError } = await supabase
+        .from('scheduled_publish_targets')
+        .insert(targets.map(t => ({ ...t, scheduled_publish_id: schedule.id })))
+        .select();
+      
+      if (targetError) throw targetError;
+      
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({
+          schedule: {
+            ...schedule,
+            targets: targetRows.sort((a, b) => a.run_at.localeCompare(b.run_at))
+          },
+          validation
+        })
+      };
+    }
+    
+    // GET /publish/schedule - List the organization's scheduled publishes
+    if (method === 'GET' && (path === '/schedule' || path === '/schedule/')) {
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+      
+      const profile = await getProfile(user.id);
+      
+      if (!profile.organization_id) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Forbidden' })
+        };
+      }
+      
+      const { menuId, status } = event.queryStringParameters || {};
+      
+      let query = supabase
+        .from('scheduled_publishes')
+        .select(`
+          id, menu_id, organization_id, local_publish_at, version, layout_count,
+          publish_id, status, created_by, created_at, canceled_by, canceled_at, completed_at,
+          menu:menus (id, name),
+          targets:scheduled_publish_targets (
+            id, location_id, timezone, run_at, status, affected_devices, published_at, error_message,
+            location:locations (id, name)
+          )
+        `)
+        .eq('organization_id', profile.organization_id)
+        .order('local_publish_at', { ascending: true });
+      
+      if (menuId) {
+        query = query.eq('menu_id', menuId);
+      }
+      
+      if (status) {
+        query = query.eq('status', status);
+      }
+      
+      const { data, error } = await query;
+      if (error) throw error;
+      
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ schedules: data })
+      };
+    }
+    
+    // DELETE /publish/schedule/:id - Cancel a scheduled publish
+    // Locations that already fired keep the new content (use restore)
+    if (method === 'DELETE' && path.startsWith('/schedule/')) {
+      const scheduleId = path.replace('/schedule/', '');
+      
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+      
+      const profile = await getProfile(user.id);
+      
+      if (!['owner', 'manager'].includes(profile.role)) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Forbidden. Canceling a scheduled publish requires owner or manager role.' })
+        };
+      }
+      
+      // Only the caller's organization's schedules - others are "not found"
+      const { data: schedule, error } = await supabase
+        .from('scheduled_publishes')
         .update({
-          status: 'published',
-          last_published_at: new Date().toISOString(),
-          last_published_by: user?.id,
-          updated_at: new Date().toISOString()
+          status: 'canceled',
+          canceled_by: user.id,
+          canceled_at: new Date().toISOString()
         })
+        .eq('id', scheduleId)
+        .eq('organization_id', profile.organization_id)
+        .in('status', ['scheduled', 'in_progress'])
+        .select('id, menu_id, local_publish_at, status, canceled_by, canceled_at')
+        .maybeSingle();
+      
+      if (error) throw error;
+      
+      if (!schedule) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Scheduled publish not found or already finished' })
+        };
+      }
+      
+      const { error: targetError } = await supabase
+        .from('scheduled_publish_targets')
+        .update({ status: 'canceled' })
+        .eq('scheduled_publish_id', scheduleId)
+        .eq('status', 'pending');
+      
+      if (targetError) throw targetError;
+      
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ schedule, message: 'Scheduled publish canceled' })
+      };
+    }
+    
+    // POST /publish/reviews - Submit a menu for publish review
+    if (method === 'POST' && (path === '/reviews' || path === '/reviews/')) {
+      const { menuId, comment = null } = body;
+      
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+      
+      if (!menuId) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'menuId is required' })
+        };
+      }
+      
+      const profile = await getProfile(user.id);
+      
+      const { data: menu, error: menuError } = await supabase
+        .from('menus')
+        .select('id, organization_id, status, version')
         .eq('id', menuId)
-        .select()
         .single();
       
-      if (publishError) throw publishError;
+      if (menuError) throw menuError;
       
-      // 4. Create publish history record
-      const { data: publishRecord } = await supabase
-        .from('publish_history')
+      if (menu.organization_id !== profile.organization_id) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Forbidden' })
+        };
+      }
+      
+      if (menu.status === 'archived') {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Archived menus cannot be submitted for review' })
+        };
+      }
+      
+      const { data: open } = await supabase
+        .from('publish_reviews')
+        .select('id')
+        .eq('menu_id', menuId)
+        .eq('status', 'pending')
+        .maybeSingle();
+      
+      if (open) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: 'Menu already has a pending review', reviewId: open.id })
+        };
+      }
+      
+      const { data: review, error } = await supabase
+        .from('publish_reviews')
         .insert({
           menu_id: menuId,
-          version: publishedMenu.version,
-          published_by: user?.id,
-          layout_count: layouts.length,
-          published_at: new Date().toISOString()
+          organization_id: menu.organization_id,
+          version: menu.version,
+          submitted_by: user.id,
+          submit_comment: comment
         })
         .select()
         .single();
       
-      // 5. Find and mark affected devices
-      const { data: screens } = await supabase
-        .from('screens')
-        .select(`*, device:devices(*)`)
-        .in('assigned_layout_id', layouts.map(l => l.id));
+      if (error) throw error;
+      
+      await supabase
+        .from('menus')
+        .update({ review_status: 'pending' })
+        .eq('id', menuId);
+      
+      await logAudit({
+        action: 'review_submitted',
+        tableName: 'publish_reviews',
+        recordId: review.id,
+        actor: profile,
+        newValues: { menu_id: menuId, version: menu.version, comment }
+      });
+      
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ review })
+      };
+    }
+    
+    // GET /publish/reviews - Review queue
+    // Owners/managers see every review of the org, others only their own
+    if (method === 'GET' && (path === '/reviews' || path === '/reviews/')) {
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+      
+      const profile = await getProfile(user.id);
+      const status = event.queryStringParameters?.status || 'pending';
+      
+      let query = supabase
+        .from('publish_reviews')
+        .select(`
+          *,
+          menu:menus (id, name, status, version)
+        `)
+        .eq('organization_id', profile.organization_id)
+        .order('submitted_at', { ascending: true });
+      
+      if (status !== 'all') {
+        query = query.eq('status', status);
+      }
+      
+      if (!['owner', 'manager'].includes(profile.role)) {
+        query = query.eq('submitted_by', user.id);
+      }
+      
+      const { data, error } = await query;
+      if (error) throw error;
+      
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ reviews: data })
+      };
+    }
+    
+    // POST /publish/reviews/:id/approve|reject - Decide on a review
+    const reviewMatch = path.match(/^\/reviews\/([^/]+)\/(approve|reject)$/);
+    if (method === 'POST' && reviewMatch) {
+      const [, reviewId, decision] = reviewMatch;
+      const { comment = null, overrideWarnings = false } = body;
+      
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+      
+      const profile = await getProfile(user.id);
+      
+      const { data: review, error: reviewError } = await supabase
+        .from('publish_reviews')
+        .select('*')
+        .eq('id', reviewId)
+        .single();
+      
+      if (reviewError) throw reviewError;
+      
+      // Only owners and managers of the menu's organization can decide
+      if (!['owner', 'manager'].includes(profile.role) || profile.organization_id !== review.organization_id) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Forbidden. Reviews require owner or manager role.' })
+        };
+      }
       
-      let affectedDevices = 0;
-      if (screens && screens.length > 0) {
-        const deviceIds = [...new Set(screens.map(s => s.device?.id).filter(Boolean))];
-        affectedDevices = deviceIds.length;
+      if (review.status !== 'pending') {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: `Review is already ${review.status}` })
+        };
+      }
+      
+      if (decision === 'reject') {
+        if (!comment) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'A comment is required to reject a review' })
+          };
+        }
+        
+        const { data: rejected, error } = await supabase
+          .from('publish_reviews')
+          .update({
+            status: 'rejected',
+            reviewed_by: user.id,
+            reviewed_at: new Date().toISOString(),
+            review_comment: comment
+          })
+          .eq('id', reviewId)
+          .select()
+          .single();
+        
+        if (error) throw error;
         
         await supabase
-          .from('devices')
-          .update({ 
-            needs_update: true,
-            last_update_pushed: new Date().toISOString()
+          .from('menus')
+          .update({ review_status: 'rejected' })
+          .eq('id', review.menu_id);
+        
+        await logAudit({
+          action: 'review_rejected',
+          tableName: 'publish_reviews',
+          recordId: reviewId,
+          actor: profile,
+          oldValues: { status: review.status },
+          newValues: { status: 'rejected', comment }
+        });
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ review: rejected })
+        };
+      }
+      
+      // Approve: the menu must still be the version that was submitted
+      const { data: menu, error: menuError } = await supabase
+        .from('menus')
+        .select('version')
+        .eq('id', review.menu_id)
+        .single();
+      
+      if (menuError) throw menuError;
+      
+      if (menu.version !== review.version) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({
+            error: `Menu changed since it was submitted (v${review.version} → v${menu.version}). Resubmit for review`
           })
-          .in('id', deviceIds);
+        };
       }
       
+      // Publish - if validation blocks, the review stays pending
+      const result = await publishMenu(supabase, review.menu_id, user.id, { overrideWarnings });
+      
+      const { data: approved, error } = await supabase
+        .from('publish_reviews')
+        .update({
+          status: 'approved',
+          reviewed_by: user.id,
+          reviewed_at: new Date().toISOString(),
+          review_comment: comment,
+          publish_id: result.publishRecord.id
+        })
+        .eq('id', reviewId)
+        .select()
+        .single();
+      
+      if (error) throw error;
+      
+      await supabase
+        .from('menus')
+        .update({ review_status: 'approved' })
+        .eq('id', review.menu_id);
+      
+      await logAudit({
+        action: 'review_approved',
+        tableName: 'publish_reviews',
+        recordId: reviewId,
+        actor: profile,
+        oldValues: { status: review.status },
+        newValues: { status: 'approved', comment, publish_id: result.publishRecord.id }
+      });
+      
+      await logAudit({
+        action: 'publish',
+        tableName: 'menus',
+        recordId: review.menu_id,
+        actor: profile,
+        newValues: {
+          version: result.publishRecord.version,
+          publish_id: result.publishRecord.id,
+          review_id: reviewId,
+          affected_devices: result.affectedDevices
+        }
+      });
+      
       return {
         statusCode: 200,
         headers,
         body: JSON.stringify({
           success: true,
-          menu: publishedMenu,
-          publishRecord,
-          affectedDevices
+          review: approved,
+          ...result
         })
       };
     }
     
-    // GET /publish/device/:deviceId - Get published content for device
-    if (method === 'GET' && path.startsWith('/device/')) {
-      const deviceId = path.replace('/device/', '');
+    // GET /publish/device/:deviceId/bundle - Offline sideload bundle
+    const bundleMatch = path.match(/^\/device\/([^/]+)\/bundle$/);
+    if (method === 'GET' && bundleMatch) {
+      const deviceId = bundleMatch[1];
       
-      // Get device with screens and their assigned layouts
-      const { data: screens, error } = await supabase
-        .from('screens')
-        .select(`
-          *,
-          layout:layouts (
-            *,
-            menu:menus (id, status, version, name)
-          )
-        `)
-        .eq('device_id', deviceId)
-        .order('screen_index');
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
       
-      if (error) throw error;
+      const profile = await getProfile(user.id);
       
-      // Filter to only published menus
-      const publishedScreens = screens
-        .filter(s => s.layout && s.layout.menu && s.layout.menu.status === 'published')
-        .map(s => ({
-          screenIndex: s.screen_index,
-          resolution: s.resolution,
-          orientation: s.orientation,
-          layout: {
-            id: s.layout.id,
-            elements: s.layout.elements,
-            background: s.layout.background,
-            safeZone: s.layout.safe_zone,
-            resolution: s.layout.resolution
-          },
-          menu: {
-            id: s.layout.menu.id,
-            name: s.layout.menu.name,
-            version: s.layout.menu.version
-          }
-        }));
-      
-      // Get device fallback menu if set
-      const { data: device } = await supabase
+      const { data: device, error: deviceError } = await supabase
         .from('devices')
-        .select('fallback_menu_id, settings')
+        .select('id, organization_id')
         .eq('id', deviceId)
         .single();
       
-      let fallback = null;
-      if (device?.fallback_menu_id) {
-        const { data: fallbackLayouts } = await supabase
-          .from('layouts')
-          .select('*')
-          .eq('menu_id', device.fallback_menu_id)
-          .order('screen_index')
-          .limit(1);
-        
-        if (fallbackLayouts && fallbackLayouts.length > 0) {
-          fallback = {
-            layout: fallbackLayouts[0],
-            menuId: device.fallback_menu_id
-          };
+      if (deviceError) throw deviceError;
+      
+      if (!['owner', 'manager'].includes(profile.role) || profile.organization_id !== device.organization_id) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Forbidden. Offline bundles require owner or manager role.' })
+        };
+      }
+      
+      const payload = await publishService.getDevicePayload(deviceId);
+      const bundle = await buildOfflineBundle(supabase, payload, {
+        signingKey: await getOrgPublicKey(supabase, device.organization_id)
+      });
+      
+      await logAudit({
+        action: 'offline_bundle_export',
+        tableName: 'devices',
+        recordId: deviceId,
+        actor: profile,
+        newValues: {
+          content_hash: payload.contentHash,
+          assets: bundle.manifest.assets.length,
+          missing_assets: bundle.manifest.missingAssets.length
         }
+      });
+      
+      return {
+        statusCode: 200,
+        headers: {
+          ...headers,
+          'Content-Disposition': `attachment; filename="mosm-bundle-${deviceId}.json"`
+        },
+        body: JSON.stringify(bundle)
+      };
+    }
+    
+    // GET /publish/device/:deviceId - Get published content for device
+    if (method === 'GET' && path.startsWith('/device/')) {
+      const deviceId = path.replace('/device/', '');
+      const payload = await publishService.getDevicePayload(deviceId);
+      
+      const update = await getDeviceUpdate(supabase, deviceId, payload, {
+        ifNoneMatch: event.headers['if-none-match'],
+        since: event.queryStringParameters?.since
+      });
+      
+      const cacheHeaders = {
+        ...headers,
+        'ETag': `"${payload.contentHash}"`,
+        'Cache-Control': 'no-cache'
+      };
+      
+      // Nothing changed since the device's copy
+      if (update.notModified) {
+        return { statusCode: 304, headers: cacheHeaders, body: '' };
+      }
+      
+      // Delta: JSON Patch against the payload the device has
+      if (update.delta) {
+        return {
+          statusCode: 200,
+          headers: cacheHeaders,
+          body: JSON.stringify(update)
+        };
       }
       
       return {
         statusCode: 200,
-        headers,
-        body: JSON.stringify({
-          deviceId,
-          timestamp: new Date().toISOString(),
-          screens: publishedScreens,
-          fallback,
-          settings: device?.settings
-        })
+        headers: cacheHeaders,
+        body: JSON.stringify(payload)
       };
     }
     
     // POST /publish/ack/:deviceId - Acknowledge update received
+    // Body (optional): { contentHash, screens: [{ screenIndex, contentVersion, publishId }] }
     if (method === 'POST' && path.startsWith('/ack/')) {
       const deviceId = path.replace('/ack/', '');
       
-      const { error } = await supabase
-        .from('devices')
-        .update({
-          needs_update: false,
-          last_update_received: new Date().toISOString()
-        })
-        .eq('id', deviceId);
+      // Only compare when the device says what it loaded
+      const expected = body.contentHash ? await publishService.getDevicePayload(deviceId) : null;
+      const result = await recordRunningContent(supabase, deviceId, body, expected?.contentHash);
       
-      if (error) throw error;
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, ...result })
+      };
+    }
+    
+    // GET /publish/convergence/:publishId - Converged / pending / stale devices
+    if (method === 'GET' && path.startsWith('/convergence/')) {
+      const publishId = path.replace('/convergence/', '');
+      
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+      
+      const profile = await getProfile(user.id);
+      
+      const { data: publish, error: publishError } = await supabase
+        .from('publish_history')
+        .select('id, menu:menus (organization_id)')
+        .eq('id', publishId)
+        .maybeSingle();
+      
+      if (publishError) throw publishError;
+      
+      if (!publish) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: 'Publish not found' })
+        };
+      }
+      
+      if (!profile.organization_id || publish.menu?.organization_id !== profile.organization_id) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Forbidden' })
+        };
+      }
+      
+      const staleAfterMinutes = parseInt(event.queryStringParameters?.staleAfterMinutes) || undefined;
+      
+      const report = await getPublishConvergence(supabase, publishId, { staleAfterMinutes });
       
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({ success: true })
+        body: JSON.stringify(report)
       };
     }
     
@@ -247,7 +978,7 @@ export async function handler(event, context) {
     return {
       statusCode: error.status || 500,
       headers,
-      body: JSON.stringify({ error: error.message })
+      body: JSON.stringify({ error: error.message, validation: error.validation, references: error.references })
     };
   }
 }
@@ -5,12 +5,16 @@
  * GET    /api/screens              - Get screens (requires deviceId query param)
  * POST   /api/screens              - Create a new screen
  * GET    /api/screens/:id          - Get a specific screen
- * PUT    /api/screens/:id          - Update a screen
+ * PUT    /api/screens/:id          - Update a screen (incl. locale, alternateLocales, localeInterval)
  * DELETE /api/screens/:id          - Delete a screen
- * PUT    /api/screens/:id/assign   - Assign layout to screen
+ * PUT    /api/screens/:id/assign   - Assign a layout or a playlist to screen
+ * GET    /api/screens/:id/dayparts - Get the screen's daypart schedule
+ * PUT    /api/screens/:id/dayparts - Replace the screen's daypart schedule
  */
 
 import { createClient } from '@supabase/supabase-js';
+import { validateDaypart } from '../../utils/dayparts.js';
+import { validateLocaleSettings } from '../../utils/menuTranslations.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
@@ -121,14 +125,164 @@ export async function handler(event, context) {
     const screenId = getScreenId(path);
     
     if (screenId) {
-      // PUT /screens/:id/assign - Assign layout
+      // GET /screens/:id/dayparts - Daypart schedule
+      if (method === 'GET' && path.endsWith('/dayparts')) {
+        const { data, error } = await supabase
+          .from('screen_dayparts')
+          .select('*, layout:layouts(id, name, menu_id), playlist:playlists(id, name)')
+          .eq('screen_id', screenId)
+          .order('start_time');
+        
+        if (error) throw error;
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ dayparts: data })
+        };
+      }
+      
+      // PUT /screens/:id/dayparts - Replace the daypart schedule
+      // Body: { dayparts: [{ layoutId | playlistId, name, days: [0-6], startTime: "HH:mm", endTime: "HH:mm", priority }] }
+      if (method === 'PUT' && path.endsWith('/dayparts')) {
+        const dayparts = body.dayparts;
+        
+        if (!Array.isArray(dayparts)) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'dayparts must be an array' })
+          };
+        }
+        
+        const errors = dayparts.flatMap((d, index) =>
+          validateDaypart(d).errors.map(message => `dayparts[${index}]: ${message}`));
+        
+        if (errors.length > 0) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Invalid dayparts', errors })
+          };
+        }
+        
+        const { data: screen, error: screenError } = await supabase
+          .from('screens')
+          .select('id, device_id, device:devices (organization_id)')
+          .eq('id', screenId)
+          .single();
+        
+        if (screenError) throw screenError;
+        
+        // Layouts must belong to the device's organization
+        const layoutIds = [...new Set(dayparts.map(d => d.layoutId).filter(Boolean))];
+        if (layoutIds.length > 0) {
+          const { data: layouts, error: layoutError } = await supabase
+            .from('layouts')
+            .select('id, menu:menus (organization_id)')
+            .in('id', layoutIds);
+          
+          if (layoutError) throw layoutError;
+          
+          const valid = new Set((layouts || [])
+            .filter(l => l.menu?.organization_id === screen.device?.organization_id)
+            .map(l => l.id));
+          const unknown = layoutIds.filter(id => !valid.has(id));
+          
+          if (unknown.length > 0) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: `Unknown layout(s): ${unknown.join(', ')}` })
+            };
+          }
+        }
+        
+        // Playlists too
+        const playlistIds = [...new Set(dayparts.map(d => d.playlistId).filter(Boolean))];
+        if (playlistIds.length > 0) {
+          const { data: playlists, error: playlistError } = await supabase
+            .from('playlists')
+            .select('id, organization_id')
+            .in('id', playlistIds);
+          
+          if (playlistError) throw playlistError;
+          
+          const valid = new Set((playlists || [])
+            .filter(p => p.organization_id === screen.device?.organization_id)
+            .map(p => p.id));
+          const unknown = playlistIds.filter(id => !valid.has(id));
+          
+          if (unknown.length > 0) {
+            return {
+              statusCode: 400,
+              headers,
+              body: JSON.stringify({ error: `Unknown playlist(s): ${unknown.join(', ')}` })
+            };
+          }
+        }
+        
+        const { error: deleteError } = await supabase
+          .from('screen_dayparts')
+          .delete()
+          .eq('screen_id', screenId);
+        
+        if (deleteError) throw deleteError;
+        
+        let saved = [];
+        if (dayparts.length > 0) {
+          const { data, error } = await supabase
+            .from('screen_dayparts')
+            .insert(dayparts.map(d => ({
+              screen_id: screenId,
+              layout_id: d.layoutId || null,
+              playlist_id: d.playlistId || null,
+              name: d.name || null,
+              days: d.days || [0, 1, 2, 3, 4, 5, 6],
+              start_time: d.startTime,
+              end_time: d.endTime,
+              priority: d.priority || 0
+            })))
+            .select();
+          
+          if (error) throw error;
+          saved = data;
+        }
+        
+        // Device picks up the new schedule on its next poll
+        await supabase
+          .from('devices')
+          .update({
+            needs_update: true,
+            last_update_pushed: new Date().toISOString()
+          })
+          .eq('id', screen.device_id);
+        
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ dayparts: saved })
+        };
+      }
+      
+      // PUT /screens/:id/assign - Assign a layout or a playlist (one replaces the other)
+      // Body: { layoutId } or { playlistId }
       if (method === 'PUT' && path.endsWith('/assign')) {
-        const { layoutId } = body;
+        const { layoutId, playlistId } = body;
+        
+        if (layoutId && playlistId) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Assign either a layoutId or a playlistId, not both' })
+          };
+        }
         
         const { data, error } = await supabase
           .from('screens')
           .update({
             assigned_layout_id: layoutId || null,
+            assigned_playlist_id: playlistId || null,
             updated_at: new Date().toISOString()
           })
           .eq('id', screenId.replace('/assign', ''))
@@ -148,7 +302,7 @@ export async function handler(event, context) {
       if (method === 'GET') {
         const { data, error } = await supabase
           .from('screens')
-          .select(`*, layout:layouts(*)`)
+          .select(`*, layout:layouts(*), playlist:playlists(*)`)
           .eq('id', screenId)
           .single();
         
@@ -163,17 +317,32 @@ export async function handler(event, context) {
       
       // PUT /screens/:id
       if (method === 'PUT' && !path.endsWith('/assign')) {
+        const localeValidation = validateLocaleSettings(body);
+        if (!localeValidation.valid) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'Invalid locale settings', errors: localeValidation.errors })
+          };
+        }
+        
         const updateData = { ...body, updated_at: new Date().toISOString() };
         
         // Map camelCase to snake_case
         if (body.deviceId) updateData.device_id = body.deviceId;
         if (body.screenIndex) updateData.screen_index = body.screenIndex;
         if (body.assignedLayoutId !== undefined) updateData.assigned_layout_id = body.assignedLayoutId;
+        if (body.assignedPlaylistId !== undefined) updateData.assigned_playlist_id = body.assignedPlaylistId;
+        if (body.alternateLocales !== undefined) updateData.alternate_locales = body.alternateLocales;
+        if (body.localeInterval !== undefined) updateData.locale_interval_seconds = body.localeInterval;
         
         // Remove camelCase versions
         delete updateData.deviceId;
         delete updateData.screenIndex;
         delete updateData.assignedLayoutId;
+        delete updateData.assignedPlaylistId;
+        delete updateData.alternateLocales;
+        delete updateData.localeInterval;
         
         const { data, error } = await supabase
           .from('screens')
@@ -184,6 +353,17 @@ export async function handler(event, context) {
         
         if (error) throw error;
         
+        // A language change reaches the device on its next poll
+        if (['locale', 'alternateLocales', 'localeInterval'].some(key => body[key] !== undefined)) {
+          await supabase
+            .from('devices')
+            .update({
+              needs_update: true,
+              last_update_pushed: new Date().toISOString()
+            })
+            .eq('id', data.device_id);
+        }
+        
         return {
           statusCode: 200,
           headers,
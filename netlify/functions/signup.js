@@ -1,16 +1,23 @@
 /**
  * Enhanced Signup API Endpoint
  * Handles new user registration with business information
+ * New organizations start with a draft menu from the starter template
+ * for their organization type (see utils/menuTemplates.js)
  * 
  * POST /api/signup
  */
 
 import { createClient } from '@supabase/supabase-js';
+import menuService from '../../services/menuService.js';
+import { getDefaultTemplate } from '../../utils/menuTemplates.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
 
 const supabase = createClient(supabaseUrl, supabaseAnonKey);
+// Writes for the new organization that RLS would refuse an anonymous caller
+const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey);
 
 const headers = {
   'Content-Type': 'application/json',
@@ -152,6 +159,18 @@ export async function handler(event, context) {
           console.error('Error storing location metadata:', metaError);
         }
       }
+      
+      // First menu from the organization type's starter template
+      if (orgData?.id) {
+        try {
+          await menuService.createMenuFromTemplate(supabaseAdmin, getDefaultTemplate(organization_type).id, {
+            organizationId: orgData.id,
+            userId
+          });
+        } catch (templateError) {
+          console.error('Error creating starter menu:', templateError);
+        }
+      }
     } catch (dbError) {
       console.error('Database error during signup:', dbError);
       // User account is created, but some data may be missing
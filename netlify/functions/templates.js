@@ -0,0 +1,180 @@
+/**
+ * Templates API Endpoint
+ * Starter menu templates by organization type and resolution
+ *
+ * Routes:
+ * GET    /api/templates               - List templates (?organizationType=, ?resolution=)
+ * GET    /api/templates/:id           - Template rows and generated layouts (?resolution=)
+ * POST   /api/templates/:id/menus     - Create a draft menu from a template
+ *
+ * Templates are built in (see utils/menuTemplates.js); menus are created
+ * through menuService.createMenuFromTemplate.
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import menuService from '../../services/menuService.js';
+import { hasPermission } from '../../models/User.js';
+import {
+  TEMPLATE_RESOLUTIONS,
+  DEFAULT_TEMPLATE_RESOLUTION,
+  isValidOrganizationType,
+  toTemplateSummary,
+  getTemplates,
+  getTemplate,
+  buildTemplateLayouts
+} from '../../utils/menuTemplates.js';
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_KEY;
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const headers = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization'
+};
+
+// Helper to get user from token
+async function getUserFromToken(authHeader) {
+  if (!authHeader) return null;
+  const token = authHeader.replace('Bearer ', '');
+  const { data: { user }, error } = await supabase.auth.getUser(token);
+  if (error) return null;
+  return user;
+}
+
+/**
+ * 400 response for an unknown resolution, or null
+ */
+function invalidResolution(resolution) {
+  if (!resolution || TEMPLATE_RESOLUTIONS.includes(resolution)) return null;
+
+  return {
+    statusCode: 400,
+    headers,
+    body: JSON.stringify({ error: `resolution must be one of: ${TEMPLATE_RESOLUTIONS.join(', ')}` })
+  };
+}
+
+export async function handler(event, context) {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  const path = event.path.replace('/.netlify/functions/templates', '').replace('/api/templates', '');
+  const method = event.httpMethod;
+  const query = event.queryStringParameters || {};
+
+  try {
+    // GET /templates - The catalog, optionally for one organization type and resolution
+    if (method === 'GET' && (path === '' || path === '/')) {
+      if (query.organizationType && !isValidOrganizationType(query.organizationType)) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Unknown organizationType: ${query.organizationType}` })
+        };
+      }
+
+      const resolutionError = invalidResolution(query.resolution);
+      if (resolutionError) return resolutionError;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          templates: getTemplates(query).map(toTemplateSummary),
+          resolutions: TEMPLATE_RESOLUTIONS
+        })
+      };
+    }
+
+    const match = path.match(/^\/([^/]+)(\/menus)?\/?$/);
+    const template = match ? getTemplate(match[1]) : null;
+    if (!template) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Template not found' })
+      };
+    }
+
+    // GET /templates/:id - Rows plus the layouts a menu would get
+    if (method === 'GET' && !match[2]) {
+      const resolution = query.resolution || DEFAULT_TEMPLATE_RESOLUTION;
+      const resolutionError = invalidResolution(resolution);
+      if (resolutionError) return resolutionError;
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          template: { ...toTemplateSummary(template), items: template.items },
+          resolution,
+          layouts: buildTemplateLayouts(template, resolution)
+        })
+      };
+    }
+
+    // POST /templates/:id/menus - Body: { name, resolution }
+    if (method === 'POST' && match[2]) {
+      const user = await getUserFromToken(event.headers.authorization);
+      if (!user) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ error: 'Unauthorized' })
+        };
+      }
+
+      const { data: profile } = await supabase
+        .from('users')
+        .select('organization_id, role')
+        .eq('id', user.id)
+        .single();
+
+      if (!profile?.organization_id || !hasPermission(profile, 'canCreateMenus')) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'You cannot create menus in this organization' })
+        };
+      }
+
+      const body = event.body ? JSON.parse(event.body) : {};
+      const resolution = body.resolution || DEFAULT_TEMPLATE_RESOLUTION;
+      const resolutionError = invalidResolution(resolution);
+      if (resolutionError) return resolutionError;
+
+      const { menu, layouts } = await menuService.createMenuFromTemplate(supabase, template.id, {
+        organizationId: profile.organization_id,
+        userId: user.id,
+        name: body.name,
+        resolution
+      });
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ menu, layouts })
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    console.error('Templates API error:', error);
+    return {
+      statusCode: error.status || 500,
+      headers,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+}
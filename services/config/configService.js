@@ -16,6 +16,14 @@
  */
 
 import { supabaseAdmin } from '../supabase.js';
+import {
+  validateCalendarException,
+  toCalendarExceptionRow,
+  listCalendarExceptions,
+  getActiveCalendarException,
+  toCalendarPayload,
+  flagCalendarDevices
+} from '../../utils/calendarExceptions.js';
 
 /**
  * Get full configuration for a location
@@ -108,6 +116,7 @@ export async function getScreenConfig(locationId) {
       resolution,
       orientation,
       assigned_layout_id,
+      assigned_playlist_id,
       position,
       devices!inner(
         id,
@@ -144,6 +153,7 @@ export async function getScreenConfig(locationId) {
         status: screen.devices.status
       },
       assignedLayoutId: config.assigned_layout_id || screen.assigned_layout_id,
+      assignedPlaylistId: screen.assigned_playlist_id || null,
       assignedMenuId: config.assigned_menu_id || null,
       displayMode: config.display_mode || 'menu',
       config: config.config || {}
@@ -244,6 +254,89 @@ export async function getMenuConfig(menuId) {
   };
 }
 
+/**
+ * Get the holiday / special-hours calendar for a location
+ * Location exceptions plus organization-wide ones, and the one in effect today
+ * Called by MOD OS and POS-Lite
+ */
+export async function getLocationCalendar(locationId, options = {}) {
+  const { data: location } = await supabaseAdmin
+    .from('locations')
+    .select('id, organization_id')
+    .eq('id', locationId)
+    .single();
+  
+  if (!location) throw new Error('Location not found');
+  
+  const exceptions = await listCalendarExceptions(supabaseAdmin, location.organization_id, {
+    locationId,
+    from: options.from
+  });
+  
+  const active = await getActiveCalendarException(supabaseAdmin, {
+    organization_id: location.organization_id,
+    location_id: locationId
+  });
+  
+  return {
+    locationId,
+    activeException: active ? toCalendarPayload(active) : null,
+    exceptions,
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Create or update a calendar exception (admin only)
+ * options: { organizationId, locationId (omit for organization-wide), exceptionId (update), userId }
+ * Flags the devices the exception reaches
+ */
+export async function setCalendarException(data, options = {}) {
+  const { organizationId, locationId = null, exceptionId = null, userId = null } = options;
+  
+  if (!organizationId) {
+    throw new Error('Must specify organizationId');
+  }
+  
+  const validation = validateCalendarException(data);
+  if (!validation.valid) {
+    throw new Error(`Invalid calendar exception: ${validation.errors.join(', ')}`);
+  }
+  
+  const row = toCalendarExceptionRow(data);
+  const query = exceptionId
+    ? supabaseAdmin.from('calendar_exceptions').update(row).eq('id', exceptionId).eq('organization_id', organizationId)
+    : supabaseAdmin.from('calendar_exceptions').insert({
+      ...row,
+      organization_id: organizationId,
+      location_id: locationId,
+      created_by: userId
+    });
+  
+  const { data: exception, error } = await query.select().single();
+  if (error) throw error;
+  
+  await flagCalendarDevices(supabaseAdmin, exception);
+  return exception;
+}
+
+/**
+ * Delete a calendar exception (admin only)
+ */
+export async function deleteCalendarException(exceptionId) {
+  const { data: exception, error } = await supabaseAdmin
+    .from('calendar_exceptions')
+    .delete()
+    .eq('id', exceptionId)
+    .select()
+    .single();
+  
+  if (error) throw error;
+  
+  await flagCalendarDevices(supabaseAdmin, exception);
+  return exception;
+}
+
 /**
  * Update location configuration (admin only)
  */
@@ -296,6 +389,9 @@ export default {
   getScreenConfig,
   getFeatureFlags,
   getMenuConfig,
+  getLocationCalendar,
   updateLocationConfig,
-  setFeatureFlag
+  setFeatureFlag,
+  setCalendarException,
+  deleteCalendarException
 };
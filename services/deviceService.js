@@ -201,6 +201,7 @@ export async function addScreen(deviceId, screenData) {
       resolution: screen.resolution,
       orientation: screen.orientation,
       assigned_layout_id: screen.assignedLayoutId,
+      assigned_playlist_id: screen.assignedPlaylistId,
       position: screen.position,
       created_at: screen.createdAt,
       updated_at: screen.updatedAt
@@ -231,17 +232,24 @@ export async function updateScreen(screenId, updates) {
 }
 
 /**
- * Assign layout to screen
+ * Assign layout to screen (replaces any assigned playlist)
  */
 export async function assignLayout(screenId, layoutId) {
-  return updateScreen(screenId, { assigned_layout_id: layoutId });
+  return updateScreen(screenId, { assigned_layout_id: layoutId, assigned_playlist_id: null });
 }
 
 /**
- * Unassign layout from screen
+ * Assign playlist to screen (replaces any assigned layout)
+ */
+export async function assignPlaylist(screenId, playlistId) {
+  return updateScreen(screenId, { assigned_layout_id: null, assigned_playlist_id: playlistId });
+}
+
+/**
+ * Unassign layout (or playlist) from screen
  */
 export async function unassignLayout(screenId) {
-  return updateScreen(screenId, { assigned_layout_id: null });
+  return updateScreen(screenId, { assigned_layout_id: null, assigned_playlist_id: null });
 }
 
 /**
@@ -316,6 +324,7 @@ export default {
   addScreen,
   updateScreen,
   assignLayout,
+  assignPlaylist,
   unassignLayout,
   deleteScreen,
   getScreens,
@@ -15,6 +15,7 @@ export { default as menuService } from './menuService.js';
 export { default as layoutService } from './layoutService.js';
 export { default as deviceService } from './deviceService.js';
 export { default as publishService } from './publishService.js';
+export { default as reviewService } from './reviewService.js';
 
 // ============================================================
 // MOSM Control Plane Services
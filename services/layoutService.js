@@ -6,11 +6,26 @@
  * - Layouts are MAPPED to screens, not scaled
  * - One Layout per Screen
  * - Resolution is FIXED per layout
+ * - Element prices are stored as numbers (malformed prices are rejected)
+ * - Every save records a menu version (see utils/menuVersions.js)
  */
 
 import { supabase } from './supabase.js';
 import Layout from '../models/Layout.js';
 import { validateLayout } from '../utils/validators.js';
+import { normalizeElementPrices } from '../utils/priceFormatting.js';
+import { recordMenuVersion, VersionReason } from '../utils/menuVersions.js';
+
+/**
+ * Element prices as numbers, or throw on malformed ones
+ */
+function withNumericPrices(elements) {
+  const { elements: normalized, errors } = normalizeElementPrices(elements);
+  if (errors.length > 0) {
+    throw new Error(`Validation failed: ${errors.join(', ')}`);
+  }
+  return normalized;
+}
 
 /**
  * Get all layouts for a menu
@@ -58,7 +73,7 @@ export async function getLayoutByScreen(menuId, screenIndex) {
 /**
  * Create a new layout
  */
-export async function createLayout(layoutData) {
+export async function createLayout(layoutData, userId = null) {
   const validation = validateLayout(layoutData);
   if (!validation.valid) {
     throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
@@ -77,7 +92,7 @@ export async function createLayout(layoutData) {
       aspect_ratio: layout.aspectRatio,
       orientation: layout.orientation,
       safe_zone: layout.safeZone,
-      elements: layout.elements,
+      elements: withNumericPrices(layout.elements),
       background: layout.background,
       created_at: layout.createdAt,
       updated_at: layout.updatedAt
@@ -86,17 +101,23 @@ export async function createLayout(layoutData) {
     .single();
   
   if (error) throw error;
+  
+  await recordMenuVersion(supabase, data.menu_id, { userId, reason: VersionReason.LAYOUT_CREATED, layoutId: data.id });
   return data;
 }
 
 /**
  * Update a layout
  */
-export async function updateLayout(layoutId, updates) {
+export async function updateLayout(layoutId, updates, userId = null) {
+  // Moving the layout to another menu changes that menu's versions too
+  const previousMenuId = updates.menu_id ? (await getLayout(layoutId)).menu_id : null;
+  
   const { data, error } = await supabase
     .from('layouts')
     .update({
       ...updates,
+      ...(updates.elements !== undefined && { elements: withNumericPrices(updates.elements) }),
       updated_at: new Date().toISOString()
     })
     .eq('id', layoutId)
@@ -104,6 +125,13 @@ export async function updateLayout(layoutId, updates) {
     .single();
   
   if (error) throw error;
+  
+  if (previousMenuId && previousMenuId !== data.menu_id) {
+    await recordMenuVersion(supabase, data.menu_id, { userId, reason: VersionReason.LAYOUT_MOVED, layoutId });
+    await recordMenuVersion(supabase, previousMenuId, { userId, reason: VersionReason.LAYOUT_MOVED, layoutId });
+  } else {
+    await recordMenuVersion(supabase, data.menu_id, { userId, reason: VersionReason.LAYOUT_UPDATED, layoutId });
+  }
   return data;
 }
 
@@ -156,13 +184,17 @@ export async function duplicateLayout(layoutId, newScreenIndex, newName) {
 /**
  * Delete a layout
  */
-export async function deleteLayout(layoutId) {
+export async function deleteLayout(layoutId, userId = null) {
+  const layout = await getLayout(layoutId);
+  
   const { error } = await supabase
     .from('layouts')
     .delete()
     .eq('id', layoutId);
   
   if (error) throw error;
+  
+  await recordMenuVersion(supabase, layout.menu_id, { userId, reason: VersionReason.LAYOUT_DELETED, layoutId });
 }
 
 /**
@@ -180,7 +212,7 @@ export async function deleteLayoutsForMenu(menuId) {
 /**
  * Reorder screen indices
  */
-export async function reorderLayouts(menuId, newOrder) {
+export async function reorderLayouts(menuId, newOrder, userId = null) {
   // newOrder is array of { layoutId, newIndex }
   const updates = newOrder.map(({ layoutId, newIndex }) => 
     supabase
@@ -193,6 +225,7 @@ export async function reorderLayouts(menuId, newOrder) {
   );
   
   await Promise.all(updates);
+  await recordMenuVersion(supabase, menuId, { userId, reason: VersionReason.LAYOUTS_REORDERED });
 }
 
 /**
@@ -11,6 +11,10 @@
 import { supabase } from './supabase.js';
 import Menu from '../models/Menu.js';
 import { validateMenu } from '../utils/validators.js';
+import { takeDownMenu } from '../utils/menuTakedown.js';
+import { buildMenuPackage, validateMenuPackage, importMenuPackage as importPackage } from '../utils/menuPackages.js';
+import { getTemplate, buildTemplateLayouts, TEMPLATE_RESOLUTIONS, DEFAULT_TEMPLATE_RESOLUTION } from '../utils/menuTemplates.js';
+import { recordMenuVersion, VersionReason } from '../utils/menuVersions.js';
 
 /**
  * Get all menus for an organization
@@ -65,9 +69,9 @@ export async function getMenu(menuId) {
 }
 
 /**
- * Create a new menu
+ * Validate and insert a menu row with a given client
  */
-export async function createMenu(menuData) {
+async function insertMenu(client, menuData) {
   const validation = validateMenu(menuData);
   if (!validation.valid) {
     throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
@@ -75,7 +79,7 @@ export async function createMenu(menuData) {
   
   const menu = Menu.create(menuData);
   
-  const { data, error } = await supabase
+  const { data, error } = await client
     .from('menus')
     .insert({
       id: menu.id,
@@ -97,6 +101,67 @@ export async function createMenu(menuData) {
   return data;
 }
 
+/**
+ * Create a new menu
+ */
+export async function createMenu(menuData) {
+  return insertMenu(supabase, menuData);
+}
+
+/**
+ * Create a menu from a starter template (see utils/menuTemplates.js)
+ * client - Supabase client allowed to write the organization's menus
+ *   (server callers pass their service-key client)
+ * options: { organizationId, userId, name, resolution }
+ * Returns { menu, layouts } - the menu starts at version 1 with its layouts recorded
+ */
+export async function createMenuFromTemplate(client, templateId, options = {}) {
+  const { organizationId, userId, name, resolution = DEFAULT_TEMPLATE_RESOLUTION } = options;
+  
+  const template = getTemplate(templateId);
+  if (!template) {
+    throw new Error(`Template not found: ${templateId}`);
+  }
+  
+  if (!TEMPLATE_RESOLUTIONS.includes(resolution)) {
+    throw new Error(`Validation failed: resolution must be one of ${TEMPLATE_RESOLUTIONS.join(', ')}`);
+  }
+  
+  const menu = await insertMenu(client, {
+    name: name || template.name,
+    organizationId,
+    createdBy: userId,
+    metadata: { template: { id: template.id, resolution } }
+  });
+  
+  const now = new Date().toISOString();
+  const { data: layouts, error } = await client
+    .from('layouts')
+    .insert(buildTemplateLayouts(template, resolution).map(layout => ({
+      ...layout,
+      menu_id: menu.id,
+      created_at: now,
+      updated_at: now
+    })))
+    .select();
+  
+  if (error) {
+    // Don't leave an empty menu behind
+    await client.from('menus').delete().eq('id', menu.id);
+    throw error;
+  }
+  
+  // Version 1, so the first edit has something to diff against
+  try {
+    await recordMenuVersion(client, menu.id, { userId, reason: VersionReason.MENU_CREATED, version: menu.version });
+  } catch (versionError) {
+    await client.from('menus').delete().eq('id', menu.id);
+    throw versionError;
+  }
+  
+  return { menu, layouts };
+}
+
 /**
  * Update a menu
  */
@@ -145,20 +210,11 @@ export async function publishMenu(menuId, userId) {
 
 /**
  * Archive a menu
+ * Devices showing it are flagged and fall back (see utils/menuTakedown.js)
  */
 export async function archiveMenu(menuId) {
-  const { data, error } = await supabase
-    .from('menus')
-    .update({
-      status: 'archived',
-      updated_at: new Date().toISOString()
-    })
-    .eq('id', menuId)
-    .select()
-    .single();
-  
-  if (error) throw error;
-  return data;
+  const { menu } = await takeDownMenu(supabase, menuId, 'archived');
+  return menu;
 }
 
 /**
@@ -198,12 +254,46 @@ export async function duplicateMenu(menuId, newName, userId) {
       updated_at: new Date().toISOString()
     }));
     
-    await supabase.from('layouts').insert(newLayouts);
+    const { error } = await supabase.from('layouts').insert(newLayouts);
+    
+    if (error) {
+      await supabase.from('menus').delete().eq('id', duplicate.id);
+      throw error;
+    }
+  }
+  
+  // Version 1, so the first edit has something to diff against
+  try {
+    await recordMenuVersion(supabase, duplicate.id, { userId, reason: VersionReason.MENU_CREATED, version: duplicate.version });
+  } catch (versionError) {
+    await supabase.from('menus').delete().eq('id', duplicate.id);
+    throw versionError;
   }
   
   return duplicate;
 }
 
+/**
+ * Export a menu as a portable package (layouts, images, manifest)
+ * Unlike duplicateMenu, the package can be imported into another organization
+ */
+export async function exportMenuPackage(menuId) {
+  return buildMenuPackage(supabase, menuId);
+}
+
+/**
+ * Import a menu package into an organization as a new draft menu
+ * Images are copied into the organization's storage folder
+ */
+export async function importMenuPackage(menuPackage, organizationId, userId, newName) {
+  const validation = validateMenuPackage(menuPackage);
+  if (!validation.valid) {
+    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+  }
+  
+  return importPackage(supabase, menuPackage, { organizationId, userId, name: newName });
+}
+
 /**
  * Delete a menu (soft delete - archive)
  */
@@ -263,10 +353,13 @@ export default {
   getMenus,
   getMenu,
   createMenu,
+  createMenuFromTemplate,
   updateMenu,
   publishMenu,
   archiveMenu,
   duplicateMenu,
+  exportMenuPackage,
+  importMenuPackage,
   deleteMenu,
   permanentlyDeleteMenu,
   searchMenus,
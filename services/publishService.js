@@ -9,116 +9,381 @@
  * - Pushes update flag to devices
  */
 
-import { supabase } from './supabase.js';
+import { supabase, supabaseAdmin } from './supabase.js';
 import menuService from './menuService.js';
 import layoutService from './layoutService.js';
+import { getUserProfile } from './authService.js';
+import { createSnapshot, getSnapshotLayout, toPayloadLayout } from '../utils/publishSnapshots.js';
+import {
+  assertCanPublish,
+  isReviewRequired,
+  getPublishImpact as getLayoutImpact,
+  publishMenu as publishMenuFor
+} from '../utils/menuPublishing.js';
+import { RestoreMode, restoreMenuVersion } from '../utils/menuRestore.js';
+import { checkMenuForPublish, getPublishBlock } from '../utils/publishValidation.js';
+import { parseLocalDateTime } from '../utils/timezones.js';
+import {
+  getLocationPublishIds,
+  getScheduleTargets,
+  runDueTargets
+} from '../utils/scheduledPublishes.js';
+import { withContentVersions, recordRunningContent, getPublishConvergence as buildConvergenceReport } from '../utils/contentVersions.js';
+import { getDeviceUpdate as buildDeviceUpdate, normalizePayload } from '../utils/payloadDeltas.js';
+import { signPayloadForOrg, getOrgPublicKey } from '../utils/payloadSigning.js';
+import { ScreenState, toUnpublishedScreen, takeDownMenu } from '../utils/menuTakedown.js';
+import { buildOfflineBundle } from '../utils/offlineBundles.js';
+import { getFallbackMenuRef, selectFallbackLayout } from '../utils/fallbackContent.js';
+import { applyDayparts } from '../utils/dayparts.js';
+import { CalendarExceptionKind, getActiveCalendarException, toCalendarPayload } from '../utils/calendarExceptions.js';
+import { PLAYLIST_FIELDS, resolvePlaylist, getPlaylistItemScreens } from '../utils/playlists.js';
+import { bindPayloadCatalog } from '../utils/menuCatalog.js';
+import { localizePayload } from '../utils/menuTranslations.js';
+import { getPriceFormat, formatPayloadPrices } from '../utils/priceFormatting.js';
+
+/**
+ * Run pre-publish validation for a menu without publishing
+ */
+export async function validateMenuForPublish(menuId) {
+  const layouts = await layoutService.getLayouts(menuId);
+  
+  if (!layouts || layouts.length === 0) {
+    throw new Error('Menu has no layouts to publish');
+  }
+  
+  return checkMenuForPublish(supabase, layouts);
+}
+
+/**
+ * Work out which screens, devices and locations show any of the given layouts
+ * (and, with menuId, the menu as a fallback or calendar exception)
+ */
+export async function getPublishImpact(layoutIds, menuId = null) {
+  return getLayoutImpact(supabase, layoutIds, menuId);
+}
 
 /**
  * Publish a menu to devices
+ * 
+ * Only owners and managers of the menu's organization may publish, and
+ * only an approved version when the organization requires review.
+ * Validation errors block the publish. Warnings block unless
+ * options.overrideWarnings is set. options.dryRun returns the
+ * devices, screens and locations that would be updated without
+ * writing anything.
+ */
+export async function publishMenu(menuId, userId, options = {}) {
+  const menu = await menuService.getMenu(menuId);
+  
+  if (!menu) {
+    throw new Error('Menu not found');
+  }
+  
+  if (!options.dryRun) {
+    await assertCanPublish(supabase, await getUserProfile(userId), menu);
+  }
+  
+  return publishMenuFor(supabase, menuId, userId, options);
+}
+
+/**
+ * Unpublish a menu (set back to draft)
+ * Affected devices are flagged; their screens move to the device
+ * fallback menu or the closed state on the next poll.
+ */
+export async function unpublishMenu(menuId) {
+  return takeDownMenu(supabase, menuId, 'draft');
+}
+
+/**
+ * Get publish history for a menu
  */
-export async function publishMenu(menuId, userId) {
-  // 1. Get the menu
+export async function getPublishHistory(menuId, limit = 10) {
+  const { data, error } = await supabase
+    .from('publish_history')
+    .select(`
+      *,
+      published_by_user:users(id, name, email)
+    `)
+    .eq('menu_id', menuId)
+    .order('published_at', { ascending: false })
+    .limit(limit);
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Restore a menu's layouts from an earlier published version
+ * 
+ * Modes:
+ * - draft: layouts are restored for review, devices keep their current content
+ * - republish: layouts are restored and published immediately (owners and
+ *   managers, and only where publishes don't go through review)
+ * 
+ * Layouts that did not exist in the restored version are removed; the
+ * restore is refused while a screen, daypart or playlist still shows one.
+ */
+export async function restoreVersion(menuId, version, userId, options = {}) {
+  const { mode = RestoreMode.DRAFT, reason = null, overrideWarnings = false } = options;
+  
+  const menu = await menuService.getMenu(menuId);
+  
+  if (!menu) {
+    throw new Error('Menu not found');
+  }
+  
+  if (mode === RestoreMode.REPUBLISH) {
+    if (await isReviewRequired(supabase, menu.organization_id)) {
+      throw new Error('This organization publishes through reviews. Restore as a draft and submit it for review');
+    }
+    
+    await assertCanPublish(supabase, await getUserProfile(userId), menu);
+  }
+  
+  return restoreMenuVersion(supabase, menuId, userId, { version, mode, reason, overrideWarnings });
+}
+
+/**
+ * Schedule a publish for a local wall-clock time
+ * 
+ * options.publishAt is "YYYY-MM-DDTHH:mm" with no offset. It fires at that
+ * time in each of options.locationIds' own timezone - or once, in the
+ * organization's timezone, for every device when no locations are given.
+ * 
+ * Layouts are validated and frozen now; edits made after scheduling are
+ * not part of the scheduled publish.
+ */
+export async function schedulePublish(menuId, userId, options = {}) {
+  const { publishAt, locationIds = [], overrideWarnings = false } = options;
+  
+  if (!parseLocalDateTime(publishAt)) {
+    throw new Error('publishAt must be a local date/time (YYYY-MM-DDTHH:mm)');
+  }
+  
+  // 1. Get the menu and its layouts
   const menu = await menuService.getMenu(menuId);
   
   if (!menu) {
     throw new Error('Menu not found');
   }
   
-  // 2. Get all layouts for the menu
   const layouts = await layoutService.getLayouts(menuId);
   
   if (!layouts || layouts.length === 0) {
     throw new Error('Menu has no layouts to publish');
   }
   
-  // 3. Update menu status to published
-  const publishedMenu = await menuService.publishMenu(menuId, userId);
+  // 2. Validate now - this snapshot is what goes live
+  const validation = await checkMenuForPublish(supabase, layouts);
+  const block = getPublishBlock(validation, overrideWarnings);
+  if (block) throw block;
   
-  // 4. Create a publish record
-  const publishRecord = {
-    menu_id: menuId,
-    version: publishedMenu.version,
-    published_by: userId,
-    layout_count: layouts.length,
-    published_at: new Date().toISOString()
-  };
+  // 3. Work out when each location fires
+  const targets = await getScheduleTargets(supabase, menu.organization_id, publishAt, locationIds);
   
-  const { data: record, error: recordError } = await supabase
-    .from('publish_history')
-    .insert(publishRecord)
-    .select()
+  // 4. Save the schedule with its frozen snapshot
+  const { data: schedule, error } = await supabase
+    .from('scheduled_publishes')
+    .insert({
+      menu_id: menuId,
+      organization_id: menu.organization_id,
+      local_publish_at: publishAt,
+      version: menu.version,
+      layout_count: layouts.length,
+      snapshot: createSnapshot(layouts),
+      created_by: userId
+    })
+    .select('id, menu_id, organization_id, local_publish_at, version, layout_count, status, created_by, created_at')
     .single();
   
-  if (recordError) throw recordError;
+  if (error) throw error;
   
-  // 5. Get all screens that have layouts from this menu assigned
-  const { data: screens } = await supabase
-    .from('screens')
+  const { data: targetRows, error: targetError } = await supabase
+    .from('scheduled_publish_targets')
+    .insert(targets.map(t => ({ ...t, scheduled_publish_id: schedule.id })))
+    .select();
+  
+  if (targetError) throw targetError;
+  
+  return {
+    ...schedule,
+    targets: targetRows.sort((a, b) => a.run_at.localeCompare(b.run_at)),
+    validation
+  };
+}
+
+/**
+ * List scheduled publishes (without snapshots)
+ */
+export async function listScheduledPublishes(filters = {}) {
+  let query = supabase
+    .from('scheduled_publishes')
     .select(`
-      *,
-      device:devices(*)
+      id, menu_id, organization_id, local_publish_at, version, layout_count,
+      publish_id, status, created_by, created_at, canceled_by, canceled_at, completed_at,
+      menu:menus (id, name),
+      targets:scheduled_publish_targets (
+        id, location_id, timezone, run_at, status, affected_devices, published_at, error_message,
+        location:locations (id, name)
+      )
     `)
-    .in('assigned_layout_id', layouts.map(l => l.id));
+    .order('local_publish_at', { ascending: true });
   
-  // 6. Mark devices as needing update
-  if (screens && screens.length > 0) {
-    const deviceIds = [...new Set(screens.map(s => s.device.id))];
-    
-    await supabase
-      .from('devices')
-      .update({ 
-        needs_update: true,
-        last_update_pushed: new Date().toISOString()
-      })
-      .in('id', deviceIds);
+  if (filters.organizationId) {
+    query = query.eq('organization_id', filters.organizationId);
   }
   
-  return {
-    menu: publishedMenu,
-    publishRecord: record,
-    affectedDevices: screens ? screens.length : 0
-  };
+  if (filters.menuId) {
+    query = query.eq('menu_id', filters.menuId);
+  }
+  
+  if (filters.status) {
+    query = query.eq('status', filters.status);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) throw error;
+  return data || [];
 }
 
 /**
- * Unpublish a menu (set back to draft)
+ * Cancel a scheduled publish
+ * Locations that already fired keep the new content (use restoreVersion)
  */
-export async function unpublishMenu(menuId) {
-  const { data, error } = await supabase
-    .from('menus')
+export async function cancelScheduledPublish(scheduleId, userId) {
+  const { data: schedule, error } = await supabase
+    .from('scheduled_publishes')
     .update({
-      status: 'draft',
-      updated_at: new Date().toISOString()
+      status: 'canceled',
+      canceled_by: userId,
+      canceled_at: new Date().toISOString()
     })
-    .eq('id', menuId)
-    .select()
-    .single();
+    .eq('id', scheduleId)
+    .in('status', ['scheduled', 'in_progress'])
+    .select('id, menu_id, local_publish_at, status, canceled_by, canceled_at')
+    .maybeSingle();
   
   if (error) throw error;
-  return data;
+  
+  if (!schedule) {
+    throw new Error('Scheduled publish not found or already finished');
+  }
+  
+  const { error: targetError } = await supabase
+    .from('scheduled_publish_targets')
+    .update({ status: 'canceled' })
+    .eq('scheduled_publish_id', scheduleId)
+    .eq('status', 'pending');
+  
+  if (targetError) throw targetError;
+  return schedule;
 }
 
 /**
- * Get publish history for a menu
+ * Fire every scheduled publish target that is due
+ * Run every minute by the publish-scheduler function
  */
-export async function getPublishHistory(menuId, limit = 10) {
+export async function runDueScheduledPublishes(now = new Date()) {
+  return runDueTargets(supabase, now);
+}
+
+/**
+ * Load publish records (with snapshots) by ID
+ */
+async function getPublishRecords(publishIds) {
+  const ids = [...new Set(publishIds.filter(Boolean))];
+  if (ids.length === 0) return new Map();
+  
   const { data, error } = await supabase
     .from('publish_history')
-    .select(`
-      *,
-      published_by_user:users(id, name, email)
-    `)
-    .eq('menu_id', menuId)
-    .order('published_at', { ascending: false })
-    .limit(limit);
+    .select('id, menu_id, version, snapshot, published_at')
+    .in('id', ids);
   
   if (error) throw error;
-  return data;
+  return new Map((data || []).map(r => [r.id, r]));
+}
+
+/**
+ * Get the frozen layouts of a menu's current publish (as seen by a location)
+ */
+async function getPublishedSnapshot(menuId, locationId = null) {
+  const menu = await menuService.getMenu(menuId);
+  if (!menu || menu.status !== 'published') return null;
+  
+  const locationPublishIds = await getLocationPublishIds(supabase, locationId, [menuId]);
+  const publishId = locationPublishIds.get(menuId) || menu.current_publish_id;
+  
+  const records = await getPublishRecords([publishId]);
+  const record = records.get(publishId);
+  if (!record) return null;
+  
+  return { menu, record, layouts: record.snapshot || [] };
+}
+
+/**
+ * Content of a whole-menu snapshot for one screen (fallback and calendar menus)
+ * Layouts are matched by screen_index; returns { layout, menu } or null
+ */
+function getSnapshotContentFor(snapshot, screenIndex) {
+  const layout = snapshot && selectFallbackLayout(snapshot.layouts, screenIndex);
+  if (!layout) return null;
+  
+  return {
+    layout: toPayloadLayout(layout, snapshot.menu.id),
+    menu: {
+      id: snapshot.menu.id,
+      name: snapshot.menu.name,
+      version: snapshot.record.version,
+      publishId: snapshot.record.id
+    }
+  };
+}
+
+/**
+ * Calendar exception in effect for a device, with its alternate menu's snapshot
+ * Returns { exception, snapshot } - both null when no exception applies
+ */
+async function getDeviceCalendarException(device) {
+  const exception = await getActiveCalendarException(supabase, device);
+  const snapshot = exception?.kind === CalendarExceptionKind.MENU
+    ? await getPublishedSnapshot(exception.menu_id, device.location_id)
+    : null;
+  
+  return { exception, snapshot };
+}
+
+/**
+ * Resolve screens to the snapshot layouts they should display
+ * Screens need layout:layouts(id, menu:menus(...)) embedded
+ * A device's location may be on its own publish (scheduled publishes)
+ */
+async function resolvePublishedScreens(screens, locationId = null) {
+  const published = (screens || [])
+    .filter(s => s.layout && s.layout.menu && s.layout.menu.status === 'published');
+  
+  const locationPublishIds = await getLocationPublishIds(supabase, locationId, published.map(s => s.layout.menu.id));
+  const publishIdFor = menu => locationPublishIds.get(menu.id) || menu.current_publish_id;
+  
+  const records = await getPublishRecords(published.map(s => publishIdFor(s.layout.menu)));
+  
+  return published
+    .map(screen => {
+      const record = records.get(publishIdFor(screen.layout.menu));
+      const layout = getSnapshotLayout(record, screen.layout.id);
+      return layout ? { screen, record, layout } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.screen.screen_index - b.screen.screen_index);
 }
 
 /**
  * Get device payload for a specific screen
  * This is what the device actually receives
+ * 
+ * Content comes from publish snapshots only - never live layouts.
+ * Signed with the organization's Ed25519 key (see utils/payloadSigning.js).
  */
 export async function getDevicePayload(deviceId) {
   // Get device with screens
@@ -128,7 +393,11 @@ export async function getDevicePayload(deviceId) {
       *,
       screens (
         *,
-        layout:layouts (*)
+        layout:layouts (
+          id,
+          menu:menus (id, status, version, name, current_publish_id)
+        ),
+        playlist:playlists (${PLAYLIST_FIELDS})
       )
     `)
     .eq('id', deviceId)
@@ -136,53 +405,196 @@ export async function getDevicePayload(deviceId) {
   
   if (deviceError) throw deviceError;
   
-  // Build payload for each screen
-  const screenPayloads = device.screens
-    .filter(s => s.layout) // Only screens with assigned layouts
-    .map(screen => ({
+  if (!device.organization_id) {
+    const error = new Error('Device is not paired');
+    error.status = 404;
+    throw error;
+  }
+  
+  // Fallback menu: the device's own, else the organization default.
+  // Its layouts are matched to screens by screen_index.
+  const fallbackRef = await getFallbackMenuRef(supabase, device);
+  const fallbackSnapshot = fallbackRef
+    ? await getPublishedSnapshot(fallbackRef.menuId, device.location_id)
+    : null;
+  
+  const fallbackFor = screenIndex => getSnapshotContentFor(fallbackSnapshot, screenIndex);
+  
+  // Whole-device fallback (lowest screen_index layout) for single-screen players
+  const fallbackContent = fallbackFor(null);
+  const fallback = fallbackContent
+    ? { ...fallbackContent, menuId: fallbackContent.menu.id, source: fallbackRef.source }
+    : null;
+  
+  // Calendar exception (holiday menu / closed day) replaces assignments and dayparts
+  const { exception, snapshot: exceptionSnapshot } = await getDeviceCalendarException(device);
+  
+  // Dayparts: the layout each screen shows now, and its upcoming switches
+  // (upcoming ones resolve as virtual screens keyed "<screenId>@<at>",
+  // playlist items as "<screenId>#<itemId>")
+  const screens = exception ? device.screens : await applyDayparts(supabase, device, device.screens);
+  const upcoming = screens.flatMap(s => (s.transitions || [])
+    .map(t => ({ ...s, id: `${s.id}@${t.at}`, layout: t.layout, playlist: t.playlist })));
+  const playlistItems = getPlaylistItemScreens([...screens, ...upcoming]);
+  
+  // Build payload for each screen: live, else fallback or closed
+  const resolved = new Map(
+    (await resolvePublishedScreens([...screens, ...upcoming, ...playlistItems], device.location_id))
+      .map(r => [r.screen.id, r])
+  );
+  
+  const contentFor = screen => {
+    // Playlist: every live item, the first one on top
+    if (screen.playlist) {
+      const content = resolvePlaylist(screen, item => {
+        const entry = contentFor(item);
+        return entry.state === ScreenState.LIVE ? entry : null;
+      });
+      
+      if (!content) return toUnpublishedScreen(screen, fallbackFor(screen.screen_index));
+      
+      return {
+        screenIndex: screen.screen_index,
+        resolution: screen.resolution,
+        orientation: screen.orientation,
+        state: ScreenState.LIVE,
+        ...content
+      };
+    }
+    
+    const live = resolved.get(screen.id);
+    if (!live) return toUnpublishedScreen(screen, fallbackFor(screen.screen_index));
+    
+    return {
       screenIndex: screen.screen_index,
       resolution: screen.resolution,
       orientation: screen.orientation,
-      layout: {
-        id: screen.layout.id,
-        menuId: screen.layout.menu_id,
-        elements: screen.layout.elements,
-        background: screen.layout.background,
-        safeZone: screen.layout.safe_zone
+      state: ScreenState.LIVE,
+      layout: toPayloadLayout(live.layout, live.record.menu_id),
+      menu: {
+        id: screen.layout.menu.id,
+        name: screen.layout.menu.name,
+        version: live.record.version,
+        publishId: live.record.id
       }
-    }));
-  
-  // Get fallback menu if set
-  let fallbackLayout = null;
-  if (device.fallback_menu_id) {
-    const fallbackLayouts = await layoutService.getLayouts(device.fallback_menu_id);
-    if (fallbackLayouts && fallbackLayouts.length > 0) {
-      fallbackLayout = fallbackLayouts[0];
+    };
+  };
+  
+  // Exception screens: the alternate menu by screen_index, or closed with the message
+  const exceptionFor = screen => {
+    if (exception.kind === CalendarExceptionKind.CLOSED) {
+      return { ...toUnpublishedScreen(screen, null), message: exception.message };
     }
-  }
+    
+    const content = getSnapshotContentFor(exceptionSnapshot, screen.screen_index);
+    if (!content) return toUnpublishedScreen(screen, fallbackFor(screen.screen_index));
+    
+    return {
+      screenIndex: screen.screen_index,
+      resolution: screen.resolution,
+      orientation: screen.orientation,
+      state: ScreenState.LIVE,
+      ...content
+    };
+  };
   
-  return {
+  const screenPayloads = [...screens]
+    .sort((a, b) => a.screen_index - b.screen_index)
+    .map(screen => {
+      if (exception) return exceptionFor(screen);
+      
+      const entry = contentFor(screen);
+      if (!screen.transitions) return entry;
+      
+      return {
+        ...entry,
+        schedule: {
+          timezone: screen.timezone,
+          transitions: screen.transitions.map(t => {
+            const { state, layout, menu, playlist } = contentFor({
+              ...screen,
+              id: `${screen.id}@${t.at}`,
+              layout: t.layout,
+              playlist: t.playlist
+            });
+            return { at: t.at, state, layout, menu, ...(playlist && { playlist }) };
+          })
+        }
+      };
+    });
+  
+  // Catalog-bound elements get current names and prices, with the location's overrides,
+  // then every string is resolved for its screen's language and every price formatted
+  const bound = await bindPayloadCatalog(supabase, device.organization_id, {
     deviceId: device.id,
     timestamp: new Date().toISOString(),
     screens: screenPayloads,
-    fallback: fallbackLayout,
+    fallback,
+    ...(exception && { calendar: toCalendarPayload(exception) }),
     settings: device.settings
-  };
+  }, { locationId: device.location_id });
+  const localized = await localizePayload(supabase, bound, { screens: device.screens, device });
+  const payload = withContentVersions(normalizePayload(formatPayloadPrices(localized, await getPriceFormat(supabase, device))));
+  
+  // Sign with the organization's key (service role: keys are not readable otherwise)
+  if (!supabaseAdmin) {
+    throw new Error('Admin client not available');
+  }
+  
+  return signPayloadForOrg(supabaseAdmin, device.organization_id, payload);
 }
 
 /**
- * Mark device as updated (clear needs_update flag)
+ * Get what a polling device needs to download
+ * 
+ * options.ifNoneMatch - the device's ETag header (matching hash → notModified)
+ * options.since - hash the device has; answered with a JSON Patch if cached
+ * 
+ * Returns { notModified, contentHash } | { delta, baseHash, contentHash, patch } | { payload }
  */
-export async function markDeviceUpdated(deviceId) {
-  const { error } = await supabase
+export async function getDeviceUpdate(deviceId, options = {}) {
+  const payload = await getDevicePayload(deviceId);
+  return buildDeviceUpdate(supabase, deviceId, payload, options);
+}
+
+/**
+ * Export an offline sideload bundle for a device
+ * Signed payload + every menu-images asset it references + hashed manifest
+ */
+export async function exportOfflineBundle(deviceId) {
+  const payload = await getDevicePayload(deviceId);
+  
+  const { data: device, error } = await supabase
     .from('devices')
-    .update({
-      needs_update: false,
-      last_update_received: new Date().toISOString()
-    })
-    .eq('id', deviceId);
+    .select('organization_id')
+    .eq('id', deviceId)
+    .single();
   
   if (error) throw error;
+  
+  return buildOfflineBundle(supabase, payload, {
+    signingKey: await getOrgPublicKey(supabaseAdmin, device.organization_id)
+  });
+}
+
+/**
+ * Mark device as updated (clear needs_update flag)
+ * 
+ * report: { contentHash, screens: [{ screenIndex, contentVersion, publishId }] }
+ * is what the device says it loaded. If contentHash is not the current
+ * payload's, needs_update stays set.
+ */
+export async function markDeviceUpdated(deviceId, report = {}) {
+  const expected = report.contentHash ? await getDevicePayload(deviceId) : null;
+  return recordRunningContent(supabase, deviceId, report, expected?.contentHash);
+}
+
+/**
+ * Report which targeted devices have converged on a publish
+ * options.staleAfterMinutes - pending devices older than this are stale
+ */
+export async function getPublishConvergence(publishId, options = {}) {
+  return buildConvergenceReport(supabase, publishId, options);
 }
 
 /**
@@ -201,14 +613,14 @@ export async function deviceNeedsUpdate(deviceId) {
 
 /**
  * Get published layout for kiosk/player
- * Only returns layouts from PUBLISHED menus
+ * Only returns layouts from PUBLISHED menus, as frozen at publish time
  */
 export async function getPublishedLayout(layoutId) {
   const { data, error } = await supabase
     .from('layouts')
     .select(`
-      *,
-      menu:menus(id, status, version)
+      id,
+      menu:menus(id, status, version, current_publish_id)
     `)
     .eq('id', layoutId)
     .single();
@@ -220,7 +632,23 @@ export async function getPublishedLayout(layoutId) {
     throw new Error('Layout belongs to unpublished menu');
   }
   
-  return data;
+  const records = await getPublishRecords([data.menu.current_publish_id]);
+  const record = records.get(data.menu.current_publish_id);
+  const layout = getSnapshotLayout(record, layoutId);
+  
+  if (!layout) {
+    throw new Error('Layout has not been published');
+  }
+  
+  return {
+    ...layout,
+    menu_id: data.menu.id,
+    menu: {
+      id: data.menu.id,
+      status: data.menu.status,
+      version: record.version
+    }
+  };
 }
 
 /**
@@ -228,47 +656,134 @@ export async function getPublishedLayout(layoutId) {
  * This is the main endpoint for kiosk/player
  */
 export async function getPublishedLayoutsForDevice(deviceId) {
-  const { data: screens, error } = await supabase
+  const { data: device, error: deviceError } = await supabase
+    .from('devices')
+    .select('organization_id, location_id, fallback_menu_id')
+    .eq('id', deviceId)
+    .single();
+  
+  if (deviceError) throw deviceError;
+  
+  const { data: assignedScreens, error } = await supabase
     .from('screens')
     .select(`
       *,
       layout:layouts (
-        *,
-        menu:menus (id, status, version, name)
-      )
+        id,
+        menu:menus (id, status, version, name, current_publish_id)
+      ),
+      playlist:playlists (${PLAYLIST_FIELDS})
     `)
     .eq('device_id', deviceId)
     .order('screen_index');
   
   if (error) throw error;
   
-  // Filter to only published menus
-  return screens
-    .filter(s => s.layout && s.layout.menu && s.layout.menu.status === 'published')
-    .map(s => ({
-      screenIndex: s.screen_index,
-      resolution: s.resolution,
-      orientation: s.orientation,
+  // A calendar exception overrides the normal assignment for its dates:
+  // the alternate menu's layouts by screen_index (else the fallback menu),
+  // or every screen closed with the exception message
+  const { exception, snapshot: exceptionSnapshot } = await getDeviceCalendarException(device);
+  if (exception) {
+    const fallbackRef = exception.kind === CalendarExceptionKind.MENU
+      ? await getFallbackMenuRef(supabase, device)
+      : null;
+    const fallbackSnapshot = fallbackRef
+      ? await getPublishedSnapshot(fallbackRef.menuId, device.location_id)
+      : null;
+    
+    return (assignedScreens || []).map(screen => {
+      const entry = {
+        screenIndex: screen.screen_index,
+        resolution: screen.resolution,
+        orientation: screen.orientation,
+        calendarExceptionId: exception.id
+      };
+      
+      const live = getSnapshotContentFor(exceptionSnapshot, screen.screen_index);
+      const content = live || getSnapshotContentFor(fallbackSnapshot, screen.screen_index);
+      
+      if (exception.kind === CalendarExceptionKind.CLOSED || !content) {
+        return { ...entry, state: ScreenState.CLOSED, layout: null, menu: null, message: exception.message || null };
+      }
+      
+      return {
+        ...entry,
+        state: live ? ScreenState.LIVE : ScreenState.FALLBACK,
+        layout: {
+          id: content.layout.id,
+          elements: content.layout.elements,
+          background: content.layout.background,
+          safeZone: content.layout.safeZone
+        },
+        menu: {
+          id: content.menu.id,
+          name: content.menu.name,
+          version: content.menu.version
+        }
+      };
+    });
+  }
+  
+  // Layout or playlist each screen shows right now (dayparts applied)
+  const screens = await applyDayparts(supabase, device, assignedScreens);
+  
+  // Only layouts that are in their menu's current publish
+  const resolved = new Map(
+    (await resolvePublishedScreens([...screens, ...getPlaylistItemScreens(screens)], device.location_id))
+      .map(r => [r.screen.id, r])
+  );
+  
+  const contentFor = screen => {
+    const live = resolved.get(screen.id);
+    if (!live) return null;
+    
+    return {
       layout: {
-        id: s.layout.id,
-        elements: s.layout.elements,
-        background: s.layout.background,
-        safeZone: s.layout.safe_zone
+        id: live.layout.id,
+        elements: live.layout.elements,
+        background: live.layout.background,
+        safeZone: live.layout.safe_zone
       },
       menu: {
-        id: s.layout.menu.id,
-        name: s.layout.menu.name,
-        version: s.layout.menu.version
+        id: screen.layout.menu.id,
+        name: screen.layout.menu.name,
+        version: live.record.version
       }
-    }));
+    };
+  };
+  
+  return [...screens]
+    .sort((a, b) => a.screen_index - b.screen_index)
+    .map(screen => {
+      const content = screen.playlist ? resolvePlaylist(screen, contentFor) : contentFor(screen);
+      if (!content) return null;
+      
+      return {
+        screenIndex: screen.screen_index,
+        resolution: screen.resolution,
+        orientation: screen.orientation,
+        ...content
+      };
+    })
+    .filter(Boolean);
 }
 
 export default {
+  validateMenuForPublish,
+  getPublishImpact,
   publishMenu,
   unpublishMenu,
   getPublishHistory,
+  restoreVersion,
+  schedulePublish,
+  listScheduledPublishes,
+  cancelScheduledPublish,
+  runDueScheduledPublishes,
   getDevicePayload,
+  getDeviceUpdate,
+  exportOfflineBundle,
   markDeviceUpdated,
+  getPublishConvergence,
   deviceNeedsUpdate,
   getPublishedLayout,
   getPublishedLayoutsForDevice
@@ -0,0 +1,272 @@
+/**
+ * Review Service
+ * Publish approval workflow: Designer → Owner/Manager → Devices
+ *
+ * CRITICAL:
+ * - Only roles with canPublishMenus may approve or reject
+ * - Approval publishes through utils/menuPublishing.js publishMenu (the
+ *   reviewer's check stands in for the approved-review check)
+ * - The approved version must be the version that was submitted
+ * - Every step lands in the audit trail
+ */
+
+import { supabase } from './supabase.js';
+import menuService from './menuService.js';
+import { getUserProfile } from './authService.js';
+import { logAuditTrail } from './audit/auditService.js';
+import { hasPermission } from '../models/User.js';
+import { MenuReviewStatus } from '../models/Menu.js';
+import { publishMenu } from '../utils/menuPublishing.js';
+
+/**
+ * Get a review by ID
+ */
+export async function getReview(reviewId) {
+  const { data, error } = await supabase
+    .from('publish_reviews')
+    .select('*')
+    .eq('id', reviewId)
+    .single();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get reviews for an organization (pending queue by default)
+ */
+export async function getReviews(organizationId, options = {}) {
+  const { status = MenuReviewStatus.PENDING, submittedBy = null } = options;
+  
+  let query = supabase
+    .from('publish_reviews')
+    .select(`
+      *,
+      menu:menus (id, name, status, version)
+    `)
+    .eq('organization_id', organizationId)
+    .order('submitted_at', { ascending: true });
+  
+  if (status) {
+    query = query.eq('status', status);
+  }
+  
+  if (submittedBy) {
+    query = query.eq('submitted_by', submittedBy);
+  }
+  
+  const { data, error } = await query;
+  
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Set the menu's review state
+ */
+async function setMenuReviewStatus(menuId, reviewStatus) {
+  const { error } = await supabase
+    .from('menus')
+    .update({ review_status: reviewStatus })
+    .eq('id', menuId);
+  
+  if (error) throw error;
+}
+
+/**
+ * Load the reviewer and check they may decide on the review
+ */
+async function getReviewer(reviewerId, review) {
+  const reviewer = await getUserProfile(reviewerId);
+  
+  if (!hasPermission(reviewer, 'canPublishMenus') || reviewer.organization_id !== review.organization_id) {
+    throw new Error('Only owners and managers can review publishes');
+  }
+  
+  return reviewer;
+}
+
+/**
+ * Submit the current version of a menu for publish review
+ */
+export async function submitForReview(menuId, userId, comment = null) {
+  const menu = await menuService.getMenu(menuId);
+  
+  if (!menu) {
+    throw new Error('Menu not found');
+  }
+  
+  if (menu.status === 'archived') {
+    throw new Error('Archived menus cannot be submitted for review');
+  }
+  
+  const { data: open } = await supabase
+    .from('publish_reviews')
+    .select('id')
+    .eq('menu_id', menuId)
+    .eq('status', MenuReviewStatus.PENDING)
+    .maybeSingle();
+  
+  if (open) {
+    throw new Error('Menu already has a pending review');
+  }
+  
+  const { data: review, error } = await supabase
+    .from('publish_reviews')
+    .insert({
+      menu_id: menuId,
+      organization_id: menu.organization_id,
+      version: menu.version,
+      submitted_by: userId,
+      submit_comment: comment
+    })
+    .select()
+    .single();
+  
+  if (error) throw error;
+  
+  await setMenuReviewStatus(menuId, MenuReviewStatus.PENDING);
+  
+  const submitter = await getUserProfile(userId);
+  await logAuditTrail({
+    action: 'review_submitted',
+    tableName: 'publish_reviews',
+    recordId: review.id,
+    actorId: userId,
+    actorRole: submitter?.role,
+    organizationId: menu.organization_id,
+    newValues: { menu_id: menuId, version: menu.version, comment }
+  });
+  
+  return review;
+}
+
+/**
+ * Approve a review and publish the submitted version
+ * If the publish is blocked (validation), the review stays pending
+ */
+export async function approveReview(reviewId, reviewerId, options = {}) {
+  const { comment = null, overrideWarnings = false } = options;
+  
+  // 1. Review must be open and the reviewer allowed to decide
+  const review = await getReview(reviewId);
+  
+  if (review.status !== MenuReviewStatus.PENDING) {
+    throw new Error(`Review is already ${review.status}`);
+  }
+  
+  const reviewer = await getReviewer(reviewerId, review);
+  
+  // 2. The menu must still be the version that was submitted
+  const menu = await menuService.getMenu(review.menu_id);
+  
+  if (menu.version !== review.version) {
+    throw new Error(`Menu changed since it was submitted (v${review.version} → v${menu.version}). Resubmit for review`);
+  }
+  
+  // 3. Publish
+  const result = await publishMenu(supabase, review.menu_id, reviewerId, { overrideWarnings });
+  
+  // 4. Close the review
+  const { data: approved, error } = await supabase
+    .from('publish_reviews')
+    .update({
+      status: MenuReviewStatus.APPROVED,
+      reviewed_by: reviewerId,
+      reviewed_at: new Date().toISOString(),
+      review_comment: comment,
+      publish_id: result.publishRecord.id
+    })
+    .eq('id', reviewId)
+    .select()
+    .single();
+  
+  if (error) throw error;
+  
+  await setMenuReviewStatus(review.menu_id, MenuReviewStatus.APPROVED);
+  
+  await logAuditTrail({
+    action: 'review_approved',
+    tableName: 'publish_reviews',
+    recordId: reviewId,
+    actorId: reviewerId,
+    actorRole: reviewer.role,
+    organizationId: review.organization_id,
+    oldValues: { status: review.status },
+    newValues: { status: approved.status, comment, publish_id: result.publishRecord.id }
+  });
+  
+  await logAuditTrail({
+    action: 'publish',
+    tableName: 'menus',
+    recordId: review.menu_id,
+    actorId: reviewerId,
+    actorRole: reviewer.role,
+    organizationId: review.organization_id,
+    newValues: {
+      version: result.publishRecord.version,
+      publish_id: result.publishRecord.id,
+      review_id: reviewId,
+      affected_devices: result.affectedDevices
+    }
+  });
+  
+  return {
+    review: approved,
+    ...result
+  };
+}
+
+/**
+ * Reject a review with a comment for the designer
+ */
+export async function rejectReview(reviewId, reviewerId, comment) {
+  if (!comment) {
+    throw new Error('A comment is required to reject a review');
+  }
+  
+  const review = await getReview(reviewId);
+  
+  if (review.status !== MenuReviewStatus.PENDING) {
+    throw new Error(`Review is already ${review.status}`);
+  }
+  
+  const reviewer = await getReviewer(reviewerId, review);
+  
+  const { data: rejected, error } = await supabase
+    .from('publish_reviews')
+    .update({
+      status: MenuReviewStatus.REJECTED,
+      reviewed_by: reviewerId,
+      reviewed_at: new Date().toISOString(),
+      review_comment: comment
+    })
+    .eq('id', reviewId)
+    .select()
+    .single();
+  
+  if (error) throw error;
+  
+  await setMenuReviewStatus(review.menu_id, MenuReviewStatus.REJECTED);
+  
+  await logAuditTrail({
+    action: 'review_rejected',
+    tableName: 'publish_reviews',
+    recordId: reviewId,
+    actorId: reviewerId,
+    actorRole: reviewer.role,
+    organizationId: review.organization_id,
+    oldValues: { status: review.status },
+    newValues: { status: rejected.status, comment }
+  });
+  
+  return rejected;
+}
+
+export default {
+  getReview,
+  getReviews,
+  submitForReview,
+  approveReview,
+  rejectReview
+};
@@ -0,0 +1,66 @@
+-- ============================================================================
+-- IMMUTABLE PUBLISH SNAPSHOTS
+-- ============================================================================
+-- Every publish freezes a copy of the menu's layouts on its publish_history
+-- record. Devices are served from that snapshot, never from the live layouts
+-- table, so editing a published menu does not reach screens until republish.
+
+-- Frozen layouts (elements, background, safe zone, resolution) for a publish
+ALTER TABLE publish_history
+ADD COLUMN IF NOT EXISTS snapshot JSONB DEFAULT '[]';
+
+-- The publish record devices are currently served from
+ALTER TABLE menus
+ADD COLUMN IF NOT EXISTS current_publish_id UUID REFERENCES publish_history(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_publish_history_menu ON publish_history(menu_id, published_at DESC);
+
+-- ============================================================================
+-- BACKFILL
+-- ============================================================================
+-- Menus that are already published get a snapshot of their current layouts
+-- so devices keep showing content after this migration.
+
+INSERT INTO publish_history (menu_id, version, published_by, layout_count, snapshot, published_at)
+SELECT
+  m.id,
+  m.version,
+  m.last_published_by,
+  COUNT(l.id),
+  jsonb_agg(
+    jsonb_build_object(
+      'id', l.id,
+      'screen_index', l.screen_index,
+      'name', l.name,
+      'resolution', l.resolution,
+      'aspect_ratio', l.aspect_ratio,
+      'orientation', l.orientation,
+      'safe_zone', l.safe_zone,
+      'elements', l.elements,
+      'background', l.background
+    ) ORDER BY l.screen_index
+  ),
+  COALESCE(m.last_published_at, NOW())
+FROM menus m
+JOIN layouts l ON l.menu_id = m.id
+WHERE m.status = 'published'
+  AND m.current_publish_id IS NULL
+GROUP BY m.id;
+
+UPDATE menus m
+SET current_publish_id = latest.id
+FROM (
+  SELECT DISTINCT ON (menu_id) id, menu_id
+  FROM publish_history
+  WHERE jsonb_array_length(snapshot) > 0
+  ORDER BY menu_id, published_at DESC
+) latest
+WHERE latest.menu_id = m.id
+  AND m.status = 'published'
+  AND m.current_publish_id IS NULL;
+
+-- ============================================================================
+-- COMMENTS
+-- ============================================================================
+COMMENT ON COLUMN publish_history.snapshot IS 'Immutable copy of every layout at publish time. Devices are served from this, not the live layouts table.';
+COMMENT ON COLUMN menus.current_publish_id IS 'publish_history record currently served to devices';
@@ -0,0 +1,33 @@
+-- ============================================================================
+-- PUBLISH ROLLBACKS
+-- ============================================================================
+-- Records every restore of a menu to an earlier published version:
+-- which snapshot was restored, who did it, why, and whether it was
+-- restored as a draft or republished immediately.
+
+CREATE TABLE IF NOT EXISTS publish_rollbacks (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  menu_id UUID NOT NULL REFERENCES menus(id) ON DELETE CASCADE,
+  restored_publish_id UUID REFERENCES publish_history(id) ON DELETE SET NULL,
+  restored_version INTEGER NOT NULL,
+  new_version INTEGER NOT NULL,
+  mode TEXT NOT NULL CHECK (mode IN ('draft', 'republish')),
+  publish_id UUID REFERENCES publish_history(id) ON DELETE SET NULL, -- set when mode = 'republish'
+  reason TEXT,
+  rolled_back_by UUID REFERENCES auth.users(id),
+  rolled_back_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_publish_rollbacks_menu ON publish_rollbacks(menu_id, rolled_back_at DESC);
+
+ALTER TABLE publish_rollbacks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view org publish rollbacks" ON publish_rollbacks
+  FOR SELECT USING (menu_id IN (
+    SELECT id FROM menus WHERE organization_id IN (
+      SELECT organization_id FROM users WHERE id = (select auth.uid())
+    )
+  ));
+
+COMMENT ON TABLE publish_rollbacks IS 'Audit of menus restored to an earlier publish snapshot';
+COMMENT ON COLUMN publish_rollbacks.mode IS 'draft: layouts restored for review, devices unchanged. republish: restored and published immediately';
@@ -0,0 +1,89 @@
+-- ============================================================================
+-- SCHEDULED PUBLISHES
+-- ============================================================================
+-- A publish queued for a wall-clock time ("Monday 05:00") that fires at that
+-- time in EACH target location's own timezone.
+--
+-- The layouts are frozen into a snapshot when the publish is scheduled.
+-- The first target to fire records it in publish_history; every target then
+-- points its location at that publish via location_menu_publishes.
+
+CREATE TABLE IF NOT EXISTS scheduled_publishes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  menu_id UUID NOT NULL REFERENCES menus(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  local_publish_at TIMESTAMP NOT NULL, -- no timezone: interpreted per location
+  version INTEGER NOT NULL,
+  layout_count INTEGER DEFAULT 0,
+  snapshot JSONB NOT NULL DEFAULT '[]',
+  publish_id UUID REFERENCES publish_history(id) ON DELETE SET NULL,
+  status TEXT DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'in_progress', 'completed', 'failed', 'canceled')),
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  canceled_by UUID REFERENCES auth.users(id),
+  canceled_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS scheduled_publish_targets (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  scheduled_publish_id UUID NOT NULL REFERENCES scheduled_publishes(id) ON DELETE CASCADE,
+  location_id UUID REFERENCES locations(id) ON DELETE CASCADE, -- NULL = every device, org timezone
+  timezone TEXT NOT NULL,
+  run_at TIMESTAMPTZ NOT NULL,
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'published', 'failed', 'canceled')),
+  affected_devices INTEGER DEFAULT 0,
+  published_at TIMESTAMPTZ,
+  error_message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Which publish of a menu a location is showing, when it differs from
+-- menus.current_publish_id (set when a location-targeted schedule fires)
+CREATE TABLE IF NOT EXISTS location_menu_publishes (
+  location_id UUID NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  menu_id UUID NOT NULL REFERENCES menus(id) ON DELETE CASCADE,
+  publish_id UUID NOT NULL REFERENCES publish_history(id) ON DELETE CASCADE,
+  published_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (location_id, menu_id)
+);
+
+ALTER TABLE publish_history
+ADD COLUMN IF NOT EXISTS scheduled_publish_id UUID REFERENCES scheduled_publishes(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_publishes_menu ON scheduled_publishes(menu_id, local_publish_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_publishes_org ON scheduled_publishes(organization_id, status);
+CREATE INDEX IF NOT EXISTS idx_scheduled_publish_targets_due ON scheduled_publish_targets(status, run_at);
+CREATE INDEX IF NOT EXISTS idx_location_menu_publishes_menu ON location_menu_publishes(menu_id);
+
+DROP TRIGGER IF EXISTS update_scheduled_publishes_updated_at ON scheduled_publishes;
+CREATE TRIGGER update_scheduled_publishes_updated_at BEFORE UPDATE ON scheduled_publishes FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE scheduled_publishes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scheduled_publish_targets ENABLE ROW LEVEL SECURITY;
+ALTER TABLE location_menu_publishes ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view org scheduled publishes" ON scheduled_publishes
+  FOR SELECT USING (organization_id IN (
+    SELECT organization_id FROM users WHERE id = (select auth.uid())
+  ));
+
+CREATE POLICY "Users can view org scheduled publish targets" ON scheduled_publish_targets
+  FOR SELECT USING (scheduled_publish_id IN (
+    SELECT id FROM scheduled_publishes WHERE organization_id IN (
+      SELECT organization_id FROM users WHERE id = (select auth.uid())
+    )
+  ));
+
+CREATE POLICY "Users can view org location publishes" ON location_menu_publishes
+  FOR SELECT USING (menu_id IN (
+    SELECT id FROM menus WHERE organization_id IN (
+      SELECT organization_id FROM users WHERE id = (select auth.uid())
+    )
+  ));
+
+COMMENT ON TABLE scheduled_publishes IS 'Publishes queued for a local wall-clock time, fired per location timezone';
+COMMENT ON COLUMN scheduled_publishes.local_publish_at IS 'Wall-clock time without zone; each target converts it with its own timezone';
+COMMENT ON TABLE scheduled_publish_targets IS 'One row per location of a scheduled publish, with the UTC instant it fires';
+COMMENT ON TABLE location_menu_publishes IS 'Per-location override of menus.current_publish_id; cleared by the next immediate publish';
@@ -0,0 +1,42 @@
+-- ============================================================================
+-- PUBLISH REVIEWS
+-- ============================================================================
+-- Designers cannot publish (UserPermissions.designer.canPublishMenus = false).
+-- They submit a menu version for review; an owner or manager approves it
+-- (which publishes it) or rejects it with a comment.
+--
+-- menus.status is untouched by reviews so a published menu keeps serving
+-- devices while its next version waits for review.
+
+ALTER TABLE menus
+ADD COLUMN IF NOT EXISTS review_status TEXT CHECK (review_status IN ('pending', 'approved', 'rejected'));
+
+CREATE TABLE IF NOT EXISTS publish_reviews (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  menu_id UUID NOT NULL REFERENCES menus(id) ON DELETE CASCADE,
+  organization_id UUID REFERENCES organizations(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL, -- menu version submitted; approval requires it unchanged
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  submitted_by UUID REFERENCES auth.users(id),
+  submitted_at TIMESTAMPTZ DEFAULT NOW(),
+  submit_comment TEXT,
+  reviewed_by UUID REFERENCES auth.users(id),
+  reviewed_at TIMESTAMPTZ,
+  review_comment TEXT,
+  publish_id UUID REFERENCES publish_history(id) ON DELETE SET NULL -- set on approval
+);
+
+-- Only one open review per menu
+CREATE UNIQUE INDEX IF NOT EXISTS idx_publish_reviews_pending_menu
+  ON publish_reviews(menu_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_publish_reviews_org ON publish_reviews(organization_id, status, submitted_at);
+
+ALTER TABLE publish_reviews ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view org publish reviews" ON publish_reviews
+  FOR SELECT USING (organization_id IN (
+    SELECT organization_id FROM users WHERE id = (select auth.uid())
+  ));
+
+COMMENT ON TABLE publish_reviews IS 'Menu versions submitted for publish approval by owners/managers';
+COMMENT ON COLUMN menus.review_status IS 'State of the latest publish review; NULL if never submitted';
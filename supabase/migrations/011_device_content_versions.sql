@@ -0,0 +1,21 @@
+-- ============================================================================
+-- DEVICE CONTENT VERSIONS
+-- ============================================================================
+-- Device payloads carry a contentHash (whole payload) and a contentVersion
+-- per screen. Devices report both back on ack, so the cloud knows what each
+-- screen is actually showing and can report publish convergence.
+
+ALTER TABLE devices
+ADD COLUMN IF NOT EXISTS running_content_hash TEXT,
+ADD COLUMN IF NOT EXISTS content_reported_at TIMESTAMPTZ;
+
+ALTER TABLE screens
+ADD COLUMN IF NOT EXISTS running_content_version TEXT,
+ADD COLUMN IF NOT EXISTS running_publish_id UUID REFERENCES publish_history(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS content_updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_screens_running_publish ON screens(running_publish_id);
+
+COMMENT ON COLUMN devices.running_content_hash IS 'contentHash of the payload the device last acknowledged';
+COMMENT ON COLUMN screens.running_content_version IS 'contentVersion of the layout this screen last acknowledged';
+COMMENT ON COLUMN screens.running_publish_id IS 'Publish the screen is showing, as reported by the device';
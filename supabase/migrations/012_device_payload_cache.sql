@@ -0,0 +1,21 @@
+-- ============================================================================
+-- DEVICE PAYLOAD CACHE
+-- ============================================================================
+-- The last few payloads served to each device, keyed by contentHash.
+-- Lets GET /api/publish/device/:deviceId?since=<hash> answer with a JSON
+-- Patch against the payload the device already has.
+
+CREATE TABLE IF NOT EXISTS device_payload_cache (
+  device_id UUID NOT NULL REFERENCES devices(id) ON DELETE CASCADE,
+  content_hash TEXT NOT NULL,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (device_id, content_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_payload_cache_created ON device_payload_cache(device_id, created_at DESC);
+
+-- Service role only (no policies): payloads are served through the publish API
+ALTER TABLE device_payload_cache ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE device_payload_cache IS 'Recent device payloads by content hash, used to build delta (JSON Patch) responses';
@@ -0,0 +1,31 @@
+-- ============================================================================
+-- ORGANIZATION SIGNING KEYS
+-- ============================================================================
+-- Ed25519 key per organization used to sign device payloads.
+-- Devices get the public key at pairing and refuse unsigned or tampered
+-- content. Private keys are stored encrypted with PAYLOAD_SIGNING_SECRET.
+-- Revoking = set revoked_at on the active key; a new one is created on the
+-- next payload and devices must be re-paired to pick it up. Planned
+-- rotations keep devices paired (see 025_signing_key_rotation.sql).
+
+CREATE TABLE IF NOT EXISTS organization_signing_keys (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  algorithm TEXT NOT NULL DEFAULT 'Ed25519' CHECK (algorithm IN ('Ed25519')),
+  public_key TEXT NOT NULL,
+  private_key_encrypted TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  revoked_at TIMESTAMPTZ
+);
+
+-- One active key per organization
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organization_signing_keys_active
+  ON organization_signing_keys(organization_id)
+  WHERE revoked_at IS NULL;
+
+-- Service role only (no policies): private keys never leave the server
+ALTER TABLE organization_signing_keys ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE organization_signing_keys IS 'Per-organization Ed25519 keys for signing device payloads';
+COMMENT ON COLUMN organization_signing_keys.public_key IS 'Raw public key, base64url (JWK "x") - handed to devices at pairing';
+COMMENT ON COLUMN organization_signing_keys.private_key_encrypted IS 'PKCS8 PEM, AES-256-GCM encrypted with PAYLOAD_SIGNING_SECRET';
@@ -0,0 +1,11 @@
+-- ============================================================================
+-- ORGANIZATION DEFAULT FALLBACK MENU
+-- ============================================================================
+-- Fallback content for devices that have no fallback_menu_id of their own.
+-- Fallback layouts are matched to screens by screen_index (see
+-- utils/fallbackContent.js).
+
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS default_fallback_menu_id UUID REFERENCES menus(id) ON DELETE SET NULL;
+
+COMMENT ON COLUMN organizations.default_fallback_menu_id IS 'Fallback menu for devices without their own fallback_menu_id';
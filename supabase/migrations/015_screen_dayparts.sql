@@ -0,0 +1,44 @@
+-- ============================================================================
+-- SCREEN DAYPARTS
+-- ============================================================================
+-- A screen's layout by weekday and time of day (breakfast / lunch / dinner),
+-- evaluated in the device location's timezone. Outside every daypart the
+-- screen shows its assigned_layout_id as before.
+--
+-- A range whose end_time is not after start_time runs past midnight: it
+-- starts on each listed weekday and ends the next morning.
+
+CREATE TABLE IF NOT EXISTS screen_dayparts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  screen_id UUID NOT NULL REFERENCES screens(id) ON DELETE CASCADE,
+  layout_id UUID NOT NULL REFERENCES layouts(id) ON DELETE CASCADE,
+  name TEXT,
+  days SMALLINT[] NOT NULL DEFAULT '{0,1,2,3,4,5,6}', -- 0 = Sunday
+  start_time TIME NOT NULL,
+  end_time TIME NOT NULL,
+  priority INTEGER NOT NULL DEFAULT 0, -- overlapping dayparts: highest wins
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (start_time <> end_time),
+  CHECK (days <@ ARRAY[0,1,2,3,4,5,6]::SMALLINT[] AND cardinality(days) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_screen_dayparts_screen ON screen_dayparts(screen_id);
+CREATE INDEX IF NOT EXISTS idx_screen_dayparts_layout ON screen_dayparts(layout_id);
+
+DROP TRIGGER IF EXISTS update_screen_dayparts_updated_at ON screen_dayparts;
+CREATE TRIGGER update_screen_dayparts_updated_at BEFORE UPDATE ON screen_dayparts FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE screen_dayparts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view org screen dayparts" ON screen_dayparts
+  FOR SELECT USING (screen_id IN (
+    SELECT s.id FROM screens s
+    JOIN devices d ON d.id = s.device_id
+    WHERE d.organization_id IN (
+      SELECT organization_id FROM users WHERE id = (select auth.uid())
+    )
+  ));
+
+COMMENT ON TABLE screen_dayparts IS 'Layout schedule of a screen by weekday and local time range';
+COMMENT ON COLUMN screen_dayparts.days IS 'Weekdays the range starts on, 0 = Sunday';
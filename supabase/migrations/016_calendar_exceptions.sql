@@ -0,0 +1,46 @@
+-- ============================================================================
+-- CALENDAR EXCEPTIONS (HOLIDAYS / SPECIAL HOURS)
+-- ============================================================================
+-- Dated exceptions to the normal screen assignments: closed days, holiday
+-- menus, event days. An exception covers local dates start_date..end_date
+-- (inclusive) in the device location's timezone and either shows an
+-- alternate menu or a "closed" message.
+--
+-- location_id NULL = every location of the organization. A location's own
+-- exception wins over an organization-wide one on the same date.
+
+CREATE TABLE IF NOT EXISTS calendar_exceptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  location_id UUID REFERENCES locations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('menu', 'closed')),
+  menu_id UUID REFERENCES menus(id) ON DELETE CASCADE,
+  message TEXT,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (end_date >= start_date),
+  CHECK ((kind = 'menu') = (menu_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_exceptions_org_dates ON calendar_exceptions(organization_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_calendar_exceptions_location ON calendar_exceptions(location_id);
+CREATE INDEX IF NOT EXISTS idx_calendar_exceptions_menu ON calendar_exceptions(menu_id);
+
+DROP TRIGGER IF EXISTS update_calendar_exceptions_updated_at ON calendar_exceptions;
+CREATE TRIGGER update_calendar_exceptions_updated_at BEFORE UPDATE ON calendar_exceptions FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE calendar_exceptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view org calendar exceptions" ON calendar_exceptions
+  FOR SELECT USING (organization_id IN (
+    SELECT organization_id FROM users WHERE id = (select auth.uid())
+  ));
+
+COMMENT ON TABLE calendar_exceptions IS 'Dated overrides of screen assignments per location or organization';
+COMMENT ON COLUMN calendar_exceptions.location_id IS 'NULL = applies to every location of the organization';
+COMMENT ON COLUMN calendar_exceptions.kind IS 'menu = show menu_id instead, closed = show message';
+COMMENT ON COLUMN calendar_exceptions.message IS 'Text shown on closed screens';
@@ -0,0 +1,80 @@
+-- ============================================================================
+-- LAYOUT PLAYLISTS
+-- ============================================================================
+-- An ordered list of layouts a screen rotates through (e.g. three promo
+-- boards, 10 seconds each). A playlist can be assigned to a screen, or used
+-- by a daypart, wherever a layout can.
+--
+-- Items can come from different menus. Each item is served from its menu's
+-- current publish snapshot; items of unpublished menus are skipped.
+
+CREATE TABLE IF NOT EXISTS playlists (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  transition TEXT NOT NULL DEFAULT 'fade' CHECK (transition IN ('none', 'fade', 'slide')),
+  default_duration_seconds INTEGER NOT NULL DEFAULT 10 CHECK (default_duration_seconds > 0),
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS playlist_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  playlist_id UUID NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  layout_id UUID NOT NULL REFERENCES layouts(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  duration_seconds INTEGER CHECK (duration_seconds > 0), -- NULL = playlist default
+  transition TEXT CHECK (transition IN ('none', 'fade', 'slide')), -- NULL = playlist default
+  weight INTEGER NOT NULL DEFAULT 1 CHECK (weight > 0),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_playlists_org ON playlists(organization_id);
+CREATE INDEX IF NOT EXISTS idx_playlist_items_playlist ON playlist_items(playlist_id, position);
+CREATE INDEX IF NOT EXISTS idx_playlist_items_layout ON playlist_items(layout_id);
+
+DROP TRIGGER IF EXISTS update_playlists_updated_at ON playlists;
+CREATE TRIGGER update_playlists_updated_at BEFORE UPDATE ON playlists FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- Screens show a layout OR a playlist
+ALTER TABLE screens
+ADD COLUMN IF NOT EXISTS assigned_playlist_id UUID REFERENCES playlists(id) ON DELETE SET NULL;
+
+ALTER TABLE screens DROP CONSTRAINT IF EXISTS screens_layout_or_playlist;
+ALTER TABLE screens ADD CONSTRAINT screens_layout_or_playlist
+  CHECK (assigned_layout_id IS NULL OR assigned_playlist_id IS NULL);
+
+CREATE INDEX IF NOT EXISTS idx_screens_assigned_playlist ON screens(assigned_playlist_id);
+
+-- Dayparts switch to a layout OR a playlist
+ALTER TABLE screen_dayparts
+ADD COLUMN IF NOT EXISTS playlist_id UUID REFERENCES playlists(id) ON DELETE CASCADE;
+
+ALTER TABLE screen_dayparts ALTER COLUMN layout_id DROP NOT NULL;
+
+ALTER TABLE screen_dayparts DROP CONSTRAINT IF EXISTS screen_dayparts_layout_or_playlist;
+ALTER TABLE screen_dayparts ADD CONSTRAINT screen_dayparts_layout_or_playlist
+  CHECK ((layout_id IS NULL) <> (playlist_id IS NULL));
+
+CREATE INDEX IF NOT EXISTS idx_screen_dayparts_playlist ON screen_dayparts(playlist_id);
+
+ALTER TABLE playlists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE playlist_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view org playlists" ON playlists
+  FOR SELECT USING (organization_id IN (
+    SELECT organization_id FROM users WHERE id = (select auth.uid())
+  ));
+
+CREATE POLICY "Users can view org playlist items" ON playlist_items
+  FOR SELECT USING (playlist_id IN (
+    SELECT id FROM playlists WHERE organization_id IN (
+      SELECT organization_id FROM users WHERE id = (select auth.uid())
+    )
+  ));
+
+COMMENT ON TABLE playlists IS 'Ordered layouts a screen rotates through';
+COMMENT ON COLUMN playlist_items.weight IS 'Relative frequency in the rotation (2 = shown twice as often)';
+COMMENT ON COLUMN screens.assigned_playlist_id IS 'Playlist shown instead of a single assigned layout';
+COMMENT ON COLUMN screen_dayparts.playlist_id IS 'Playlist shown during the daypart instead of layout_id';
@@ -0,0 +1,62 @@
+-- ============================================================================
+-- MENU ITEM CATALOG
+-- ============================================================================
+-- One catalog of items, categories, prices and modifiers per organization.
+-- Layout elements reference catalog entries by ID (data.itemId /
+-- data.categoryId) and get their name, description and price filled in when
+-- the device payload is built, so a price change reaches every board without
+-- editing or republishing layouts.
+
+CREATE TABLE IF NOT EXISTS catalog_categories (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  description TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS catalog_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  category_id UUID REFERENCES catalog_categories(id) ON DELETE SET NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  price NUMERIC(10, 2) CHECK (price >= 0), -- NULL = no price shown
+  image_url TEXT,
+  modifiers JSONB NOT NULL DEFAULT '[]', -- [{ name, price }]
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_catalog_categories_org ON catalog_categories(organization_id, sort_order);
+CREATE INDEX IF NOT EXISTS idx_catalog_items_org ON catalog_items(organization_id);
+CREATE INDEX IF NOT EXISTS idx_catalog_items_category ON catalog_items(category_id, sort_order);
+
+DROP TRIGGER IF EXISTS update_catalog_categories_updated_at ON catalog_categories;
+CREATE TRIGGER update_catalog_categories_updated_at BEFORE UPDATE ON catalog_categories FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+DROP TRIGGER IF EXISTS update_catalog_items_updated_at ON catalog_items;
+CREATE TRIGGER update_catalog_items_updated_at BEFORE UPDATE ON catalog_items FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE catalog_categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE catalog_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view org catalog categories" ON catalog_categories
+  FOR SELECT USING (organization_id IN (
+    SELECT organization_id FROM users WHERE id = (select auth.uid())
+  ));
+
+CREATE POLICY "Users can view org catalog items" ON catalog_items
+  FOR SELECT USING (organization_id IN (
+    SELECT organization_id FROM users WHERE id = (select auth.uid())
+  ));
+
+COMMENT ON TABLE catalog_categories IS 'Menu categories of the organization catalog (bound by menu_section / price_list elements)';
+COMMENT ON TABLE catalog_items IS 'Menu items of the organization catalog (bound by menu_item / combo / price_list elements)';
+COMMENT ON COLUMN catalog_items.modifiers IS 'Add-ons and options: [{ name, price }], price is the extra charge';
+COMMENT ON COLUMN catalog_items.is_active IS 'Inactive items are left out of category price lists but keep their ID';
@@ -0,0 +1,39 @@
+-- ============================================================================
+-- PER-LOCATION ITEM OVERRIDES
+-- ============================================================================
+-- Franchise stores share one menu and catalog but charge their own prices.
+-- An override replaces a catalog item's price and/or availability at one
+-- location; devices there get the overridden values at payload build.
+--
+-- NULL = use the catalog value.
+
+CREATE TABLE IF NOT EXISTS location_item_overrides (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  location_id UUID NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  catalog_item_id UUID NOT NULL REFERENCES catalog_items(id) ON DELETE CASCADE,
+  price NUMERIC(10, 2) CHECK (price >= 0),
+  is_available BOOLEAN,
+  updated_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (location_id, catalog_item_id),
+  CHECK (price IS NOT NULL OR is_available IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_location_item_overrides_location ON location_item_overrides(location_id);
+CREATE INDEX IF NOT EXISTS idx_location_item_overrides_item ON location_item_overrides(catalog_item_id);
+
+DROP TRIGGER IF EXISTS update_location_item_overrides_updated_at ON location_item_overrides;
+CREATE TRIGGER update_location_item_overrides_updated_at BEFORE UPDATE ON location_item_overrides FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE location_item_overrides ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view org location item overrides" ON location_item_overrides
+  FOR SELECT USING (organization_id IN (
+    SELECT organization_id FROM users WHERE id = (select auth.uid())
+  ));
+
+COMMENT ON TABLE location_item_overrides IS 'Per-location price / availability of catalog items';
+COMMENT ON COLUMN location_item_overrides.price IS 'Price at this location (NULL = catalog price)';
+COMMENT ON COLUMN location_item_overrides.is_available IS 'FALSE = not sold at this location (NULL = catalog default)';
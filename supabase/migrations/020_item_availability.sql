@@ -0,0 +1,35 @@
+-- ============================================================================
+-- LIVE ITEM AVAILABILITY ("86")
+-- ============================================================================
+-- A row means the catalog item is sold out at the location right now.
+-- Rows come from POS-Lite events (availability.out_of_stock /
+-- availability.in_stock through POST /api/mosm/events) or from the manual
+-- toggle in the Locations API, and are cleared at the end of the location's
+-- local day (reset_at) by the availability scheduler.
+
+CREATE TABLE IF NOT EXISTS item_availability (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  location_id UUID NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  catalog_item_id UUID NOT NULL REFERENCES catalog_items(id) ON DELETE CASCADE,
+  source TEXT NOT NULL, -- 'pos-lite', 'manual', ...
+  reason TEXT,
+  event_id UUID REFERENCES event_log(id) ON DELETE SET NULL,
+  set_by UUID REFERENCES auth.users(id),
+  sold_out_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reset_at TIMESTAMPTZ NOT NULL,
+  UNIQUE (location_id, catalog_item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_availability_location ON item_availability(location_id);
+CREATE INDEX IF NOT EXISTS idx_item_availability_reset ON item_availability(reset_at);
+
+ALTER TABLE item_availability ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view org item availability" ON item_availability
+  FOR SELECT USING (organization_id IN (
+    SELECT organization_id FROM users WHERE id = (select auth.uid())
+  ));
+
+COMMENT ON TABLE item_availability IS 'Catalog items sold out ("86") at a location until reset_at';
+COMMENT ON COLUMN item_availability.reset_at IS 'End of the location''s local day; the item is back in stock after this';
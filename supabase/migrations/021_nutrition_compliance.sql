@@ -0,0 +1,22 @@
+-- ============================================================================
+-- NUTRITION ATTRIBUTES + COMPLIANCE RULES
+-- ============================================================================
+-- Catalog items carry calories, allergens and dietary tags. Each organization
+-- chooses which publish-time compliance rules apply to its boards, e.g. US
+-- chains must show calories next to every price.
+--
+-- compliance_rules: { "<rule>": "error" | "warning" | "off" }
+-- (rules missing from the object are off; see utils/menuCompliance.js)
+
+ALTER TABLE catalog_items
+ADD COLUMN IF NOT EXISTS calories INTEGER CHECK (calories >= 0),
+ADD COLUMN IF NOT EXISTS allergens TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS dietary_tags TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE organizations
+ADD COLUMN IF NOT EXISTS compliance_rules JSONB NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN catalog_items.calories IS 'Calories per serving (NULL = unknown)';
+COMMENT ON COLUMN catalog_items.allergens IS 'Allergens, e.g. {milk,eggs,peanuts,gluten}';
+COMMENT ON COLUMN catalog_items.dietary_tags IS 'Dietary tags, e.g. {vegan,vegetarian,gluten_free}';
+COMMENT ON COLUMN organizations.compliance_rules IS 'Publish-time compliance rules: { rule: error | warning | off }';
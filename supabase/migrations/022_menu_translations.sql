@@ -0,0 +1,31 @@
+-- ============================================================================
+-- MENU TRANSLATIONS + SCREEN LOCALES
+-- ============================================================================
+-- Bilingual boards (hospitality, venues): menus and layout text elements
+-- carry translated strings, and each screen or device chooses the language
+-- it shows. A screen can also alternate between languages on a timer.
+--
+-- Element strings live in the layout itself, per element:
+--   elements[i].translations = { "es": { "name": "Hamburguesa", ... } }
+-- so they are frozen into publish snapshots with the rest of the layout
+-- (see utils/menuTranslations.js).
+
+ALTER TABLE menus
+ADD COLUMN IF NOT EXISTS locales TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}';
+
+ALTER TABLE devices
+ADD COLUMN IF NOT EXISTS locale TEXT;
+
+ALTER TABLE screens
+ADD COLUMN IF NOT EXISTS locale TEXT,
+ADD COLUMN IF NOT EXISTS alternate_locales TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS locale_interval_seconds INTEGER NOT NULL DEFAULT 10
+  CHECK (locale_interval_seconds >= 3);
+
+COMMENT ON COLUMN menus.locales IS 'Locales the menu is translated into, e.g. {es,fr} (checked by the missing-translation report)';
+COMMENT ON COLUMN menus.translations IS 'Translated menu strings: { locale: { name } }';
+COMMENT ON COLUMN devices.locale IS 'Language the device shows (NULL = as designed); screens can override it';
+COMMENT ON COLUMN screens.locale IS 'Language the screen shows (NULL = the device locale)';
+COMMENT ON COLUMN screens.alternate_locales IS 'Languages the screen alternates to after its own, e.g. {es}';
+COMMENT ON COLUMN screens.locale_interval_seconds IS 'Seconds each language stays up when alternating';
@@ -0,0 +1,20 @@
+-- ============================================================================
+-- PRICE FORMATTING
+-- ============================================================================
+-- Prices are stored as numbers and formatted when the device payload is
+-- built, in the currency and number format of the device's location or,
+-- by default, its organization:
+--
+--   organizations.settings = { currency: "USD", locale: "en-US",
+--                              priceFormat: { cents: "always" | "auto" | "never", symbol: true } }
+--
+-- Existing layouts keep their price text until they are next saved; text
+-- that parses as a price is formatted the same way (see utils/priceFormatting.js).
+
+ALTER TABLE locations
+ADD COLUMN IF NOT EXISTS currency TEXT CHECK (currency ~ '^[A-Z]{3}$'),
+ADD COLUMN IF NOT EXISTS locale TEXT;
+
+COMMENT ON COLUMN locations.currency IS 'ISO 4217 currency of prices shown here (NULL = the organization currency)';
+COMMENT ON COLUMN locations.locale IS 'Number format of prices shown here, e.g. de-DE (NULL = the organization locale)';
+COMMENT ON COLUMN organizations.settings IS 'Organization settings, incl. currency, locale and priceFormat { cents, symbol }';
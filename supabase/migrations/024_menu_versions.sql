@@ -0,0 +1,50 @@
+-- ============================================================================
+-- MENU VERSION HISTORY
+-- ============================================================================
+-- Every save of a menu's layouts records the menu's layouts as they are
+-- after the save (same shape as publish_history.snapshot), at the new menu
+-- version. Reviewers diff two versions to see what a colleague changed
+-- before publishing (see utils/menuVersions.js).
+--
+-- Version rows are immutable: they are inserted once and never updated.
+-- They go away with their menu.
+
+CREATE TABLE IF NOT EXISTS menu_versions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  menu_id UUID NOT NULL REFERENCES menus(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  layouts JSONB NOT NULL DEFAULT '[]',
+  changes JSONB NOT NULL DEFAULT '{}', -- summary of the diff from the previous version
+  reason TEXT NOT NULL DEFAULT 'layout_updated'
+    CHECK (reason IN ('layout_created', 'layout_updated', 'layout_deleted', 'layouts_reordered', 'translations', 'restored')),
+  layout_id UUID, -- the layout that was saved, if one
+  created_by UUID REFERENCES auth.users(id),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (menu_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_versions_menu ON menu_versions(menu_id, version DESC);
+
+-- Refuse edits to recorded versions
+CREATE OR REPLACE FUNCTION prevent_menu_version_update()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'menu_versions rows are immutable';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS menu_versions_immutable ON menu_versions;
+CREATE TRIGGER menu_versions_immutable BEFORE UPDATE ON menu_versions FOR EACH ROW EXECUTE FUNCTION prevent_menu_version_update();
+
+ALTER TABLE menu_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view org menu versions" ON menu_versions
+  FOR SELECT USING (menu_id IN (
+    SELECT id FROM menus WHERE organization_id IN (
+      SELECT organization_id FROM users WHERE id = (select auth.uid())
+    )
+  ));
+
+COMMENT ON TABLE menu_versions IS 'Immutable record of a menu''s layouts at every save, for history and diffs';
+COMMENT ON COLUMN menu_versions.layouts IS 'Every layout of the menu after the save, ordered by screen index';
+COMMENT ON COLUMN menu_versions.changes IS 'Counts of what changed since the previous version (layouts, elements, text, prices, backgrounds)';
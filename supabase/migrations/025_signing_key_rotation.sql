@@ -0,0 +1,24 @@
+-- ============================================================================
+-- SIGNING KEY ROTATION + DEVICE SIGNATURE SUPPORT
+-- ============================================================================
+-- Rotating an organization's signing key no longer needs a re-pair: the
+-- outgoing key signs the new public key (the endorsement), and a player
+-- only moves its pinned key to one endorsed by the key it already trusts
+-- (see utils/payloadSigning.js rotateOrgSigningKey).
+--
+-- Players report at heartbeat whether their browser can verify Ed25519 and
+-- which key they have pinned, so operators can see which screens show
+-- content unverified or are still on an old key.
+
+ALTER TABLE organization_signing_keys
+ADD COLUMN IF NOT EXISTS previous_key_id UUID REFERENCES organization_signing_keys(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS endorsement TEXT;
+
+ALTER TABLE devices
+ADD COLUMN IF NOT EXISTS can_verify_signatures BOOLEAN,
+ADD COLUMN IF NOT EXISTS pinned_signing_key_id UUID;
+
+COMMENT ON COLUMN organization_signing_keys.previous_key_id IS 'Key this one replaced at rotation (NULL = first key, or created after a revoke)';
+COMMENT ON COLUMN organization_signing_keys.endorsement IS 'Ed25519 signature by previous_key_id over the stable JSON of { keyId, algorithm, publicKey, previousKeyId }';
+COMMENT ON COLUMN devices.can_verify_signatures IS 'Player browser supports Ed25519 verification (NULL = not reported yet)';
+COMMENT ON COLUMN devices.pinned_signing_key_id IS 'Signing key the player has pinned, as last reported at heartbeat';
@@ -0,0 +1,15 @@
+-- ============================================================================
+-- MENU VERSION REASONS: NEW MENUS AND MOVED LAYOUTS
+-- ============================================================================
+-- Menus created with layouts already in them (CSV/JSON import, menu
+-- packages, templates) record version 1 as 'menu_created', so their first
+-- edit has something to diff against. A layout moved to another menu
+-- records a 'layout_moved' version on both menus.
+
+ALTER TABLE menu_versions DROP CONSTRAINT IF EXISTS menu_versions_reason_check;
+
+ALTER TABLE menu_versions ADD CONSTRAINT menu_versions_reason_check
+  CHECK (reason IN (
+    'layout_created', 'layout_updated', 'layout_deleted', 'layouts_reordered',
+    'layout_moved', 'menu_created', 'translations', 'restored'
+  ));
@@ -0,0 +1,16 @@
+-- ============================================================================
+-- ITEM AVAILABILITY EVENT TIME
+-- ============================================================================
+-- POS events can arrive out of order. Every mark keeps the time of the
+-- change that set it, and back-in-stock is kept as a sold_out = false mark
+-- until the end of the local day instead of deleting the row, so an older
+-- out_of_stock arriving late is ignored (see utils/itemAvailability.js).
+
+ALTER TABLE item_availability
+ADD COLUMN IF NOT EXISTS sold_out BOOLEAN NOT NULL DEFAULT TRUE,
+ADD COLUMN IF NOT EXISTS event_at TIMESTAMPTZ;
+
+UPDATE item_availability SET event_at = sold_out_at WHERE event_at IS NULL;
+
+COMMENT ON COLUMN item_availability.sold_out IS 'TRUE = sold out; FALSE = back in stock (kept until reset_at so older events are ignored)';
+COMMENT ON COLUMN item_availability.event_at IS 'When the change that set this mark happened (the POS event timestamp or the manual toggle)';
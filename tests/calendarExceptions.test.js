@@ -0,0 +1,52 @@
+/**
+ * Calendar Exception Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { selectCalendarException, validateCalendarException } from '../utils/calendarExceptions.js';
+
+const exception = (id, extra = {}) => ({
+  id,
+  location_id: null,
+  start_date: '2026-12-24',
+  end_date: '2026-12-26',
+  created_at: '2026-10-01T00:00:00Z',
+  ...extra
+});
+
+test('selectCalendarException prefers a location exception over an organization one', () => {
+  const orgWide = exception('org', { start_date: '2026-12-25', end_date: '2026-12-25' });
+  const local = exception('local', { location_id: 'loc1' });
+
+  assert.equal(selectCalendarException([orgWide, local]).id, 'local');
+});
+
+test('selectCalendarException prefers the shortest range, then the newest', () => {
+  const season = exception('season', { start_date: '2026-12-01', end_date: '2026-12-31' });
+  const holiday = exception('holiday');
+  const newer = exception('newer', { created_at: '2026-10-02T00:00:00Z' });
+
+  assert.equal(selectCalendarException([season, holiday]).id, 'holiday');
+  assert.equal(selectCalendarException([holiday, newer, season]).id, 'newer');
+});
+
+test('selectCalendarException returns null when nothing covers the date', () => {
+  assert.equal(selectCalendarException([]), null);
+  assert.equal(selectCalendarException(null), null);
+});
+
+test('validateCalendarException keeps menus off closed days', () => {
+  const { valid, errors } = validateCalendarException({
+    name: 'Christmas',
+    kind: 'closed',
+    startDate: '2026-12-25',
+    endDate: '2026-12-25',
+    menuId: 'm1'
+  });
+
+  assert.equal(valid, false);
+  assert.ok(errors.includes('A closed exception cannot have a menuId'));
+});
@@ -0,0 +1,52 @@
+/**
+ * Content Version Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { stableStringify, withContentVersions } from '../utils/contentVersions.js';
+
+const payload = {
+  deviceId: 'd1',
+  timestamp: '2026-10-19T10:00:00.000Z',
+  screens: [{ screenIndex: 1, layout: { id: 'a', elements: [] } }],
+  fallback: null,
+  settings: { brightness: 80 }
+};
+
+const closure = {
+  id: 'c1',
+  name: 'Thanksgiving',
+  kind: 'closed',
+  startDate: '2026-11-26',
+  endDate: '2026-11-26',
+  timezone: 'America/Chicago',
+  menuId: null,
+  message: 'Closed today'
+};
+
+test('stableStringify sorts keys and skips undefined', () => {
+  assert.equal(stableStringify({ b: 1, a: [2, { d: undefined, c: 3 }] }), '{"a":[2,{"c":3}],"b":1}');
+});
+
+test('contentHash ignores the timestamp', () => {
+  const later = { ...payload, timestamp: '2026-10-19T11:00:00.000Z' };
+  assert.equal(withContentVersions(payload).contentHash, withContentVersions(later).contentHash);
+});
+
+test('contentHash changes when a calendar exception starts, ends or changes its message', () => {
+  const normal = withContentVersions(payload).contentHash;
+  const closed = withContentVersions({ ...payload, calendar: closure }).contentHash;
+  const reworded = withContentVersions({ ...payload, calendar: { ...closure, message: 'Back Friday' } }).contentHash;
+
+  assert.notEqual(normal, closed);
+  assert.notEqual(closed, reworded);
+});
+
+test('contentVersion is per screen and ignores any previous contentVersion', () => {
+  const stamped = withContentVersions(payload);
+  const restamped = withContentVersions(stamped);
+  assert.equal(stamped.screens[0].contentVersion, restamped.screens[0].contentVersion);
+});
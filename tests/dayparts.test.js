@@ -0,0 +1,83 @@
+/**
+ * Daypart Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { isDaypartActive, getActiveDaypart, resolveDayparts } from '../utils/dayparts.js';
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const daypart = (id, start, end, extra = {}) => ({
+  id,
+  layout_id: `layout-${id}`,
+  days: WEEKDAYS,
+  start_time: start,
+  end_time: end,
+  priority: 0,
+  ...extra
+});
+
+test('isDaypartActive runs a past-midnight daypart into the early hours of the next day', () => {
+  const lateNight = daypart('late', '22:00', '02:00', { days: [5] });
+
+  assert.equal(isDaypartActive(lateNight, 5, 23 * 60), true);
+  assert.equal(isDaypartActive(lateNight, 6, 60), true);
+  assert.equal(isDaypartActive(lateNight, 6, 2 * 60), false);
+  assert.equal(isDaypartActive(lateNight, 5, 60), false);
+  assert.equal(isDaypartActive(lateNight, 6, 23 * 60), false);
+});
+
+test('getActiveDaypart reads the wall clock of the given timezone', () => {
+  const breakfast = daypart('breakfast', '06:00', '11:00');
+  const at = new Date('2026-10-19T12:30:00Z'); // Monday
+
+  // 07:30 in Chicago, 21:30 in Tokyo
+  assert.equal(getActiveDaypart([breakfast], at, 'America/Chicago'), breakfast);
+  assert.equal(getActiveDaypart([breakfast], at, 'Asia/Tokyo'), null);
+});
+
+test('getActiveDaypart picks the highest priority, then the later start, when dayparts overlap', () => {
+  const allDay = daypart('allDay', '06:00', '22:00');
+  const lunch = daypart('lunch', '11:00', '14:00');
+  const promo = daypart('promo', '06:00', '22:00', { priority: 5 });
+  const at = new Date('2026-10-19T17:00:00Z'); // Monday 12:00 in Chicago
+
+  assert.equal(getActiveDaypart([allDay, lunch], at, 'America/Chicago'), lunch);
+  assert.equal(getActiveDaypart([allDay, lunch, promo], at, 'America/Chicago'), promo);
+});
+
+test('resolveDayparts lists only the instants where the content changes', () => {
+  const breakfast = daypart('breakfast', '06:00', '11:00');
+  const brunch = daypart('brunch', '11:00', '12:00', { layout_id: 'layout-breakfast' });
+  const lunch = daypart('lunch', '12:00', '15:00');
+
+  const { current, transitions } = resolveDayparts([breakfast, brunch, lunch], {
+    timeZone: 'America/Chicago',
+    now: new Date('2026-10-19T15:00:00Z'), // Monday 10:00
+    horizonHours: 8
+  });
+
+  assert.equal(current, breakfast);
+  assert.deepEqual(transitions.map(t => [t.at, t.daypart?.id || null]), [
+    ['2026-10-19T17:00:00.000Z', 'lunch'],
+    ['2026-10-19T20:00:00.000Z', null]
+  ]);
+});
+
+test('resolveDayparts ends a past-midnight daypart in the early hours of the next day', () => {
+  const lateNight = daypart('late', '22:00', '02:00', { days: [5] });
+
+  const { current, transitions } = resolveDayparts([lateNight], {
+    timeZone: 'America/New_York',
+    now: new Date('2026-10-24T01:00:00Z'), // Friday 21:00 EDT
+    horizonHours: 6
+  });
+
+  assert.equal(current, null);
+  assert.deepEqual(transitions.map(t => [t.at, t.daypart?.id || null]), [
+    ['2026-10-24T02:00:00.000Z', 'late'],
+    ['2026-10-24T06:00:00.000Z', null]
+  ]);
+});
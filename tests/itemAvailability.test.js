@@ -0,0 +1,94 @@
+/**
+ * Item Availability Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyAvailabilityEvents, AvailabilityEventType, AvailabilitySource } from '../utils/itemAvailability.js';
+
+/**
+ * In-memory locations, catalog_items, item_availability and devices with the
+ * query calls applyAvailabilityEvents makes
+ */
+function fakeClient() {
+  const tables = {
+    locations: [{ id: 'loc1', organization_id: 'org1', timezone: 'America/Chicago' }],
+    catalog_items: [{ id: 'item1', organization_id: 'org1' }],
+    item_availability: [],
+    devices: [{ id: 'dev1', location_id: 'loc1' }]
+  };
+
+  const query = table => {
+    const filters = [];
+    let write = null;
+    const rows = () => tables[table].filter(r => filters.every(f => f(r)));
+    const q = {
+      select: () => q,
+      eq: (column, value) => { filters.push(r => r[column] === value); return q; },
+      update: values => { write = values; return q; },
+      upsert: row => {
+        const i = tables[table].findIndex(r => r.location_id === row.location_id && r.catalog_item_id === row.catalog_item_id);
+        if (i >= 0) tables[table][i] = { ...tables[table][i], ...row };
+        else tables[table].push({ ...row });
+        filters.push(r => r.location_id === row.location_id && r.catalog_item_id === row.catalog_item_id);
+        return q;
+      },
+      single: async () => ({ data: rows()[0] || null, error: null }),
+      maybeSingle: async () => ({ data: rows()[0] || null, error: null }),
+      then: (resolve, reject) => {
+        if (write) rows().forEach(r => Object.assign(r, write));
+        return Promise.resolve({ data: rows(), error: null }).then(resolve, reject);
+      }
+    };
+    return q;
+  };
+
+  return { from: table => query(table), tables };
+}
+
+const event = (id, type, timestamp, source = AvailabilitySource.POS) => ({
+  id,
+  event_type: type,
+  source_service: source,
+  location_id: 'loc1',
+  resource_id: 'item1',
+  timestamp
+});
+
+test('applyAvailabilityEvents ignores availability events not sent by POS-Lite', async () => {
+  const client = fakeClient();
+  const result = await applyAvailabilityEvents(client, [
+    event('e1', AvailabilityEventType.OUT_OF_STOCK, '2026-10-19T15:00:00Z', 'kds')
+  ]);
+
+  assert.equal(result.applied, 0);
+  assert.deepEqual(client.tables.item_availability, []);
+});
+
+test('applyAvailabilityEvents keeps the back-in-stock mark and skips an older sold-out event', async () => {
+  const client = fakeClient();
+
+  await applyAvailabilityEvents(client, [event('e2', AvailabilityEventType.IN_STOCK, '2026-10-19T15:05:00Z')]);
+  const late = await applyAvailabilityEvents(client, [event('e1', AvailabilityEventType.OUT_OF_STOCK, '2026-10-19T15:00:00Z')]);
+
+  assert.equal(late.applied, 0);
+  assert.deepEqual(late.skipped.map(s => s.eventId), ['e1']);
+  assert.equal(client.tables.item_availability.length, 1);
+  assert.equal(client.tables.item_availability[0].sold_out, false);
+  assert.equal(client.tables.item_availability[0].event_at, '2026-10-19T15:05:00.000Z');
+});
+
+test('applyAvailabilityEvents marks an item sold out until the end of the local day', async () => {
+  const client = fakeClient();
+  const result = await applyAvailabilityEvents(client, [
+    event('e1', AvailabilityEventType.OUT_OF_STOCK, '2026-10-19T15:00:00Z')
+  ]);
+
+  assert.equal(result.applied, 1);
+  assert.equal(result.affectedDevices, 1);
+  assert.equal(client.tables.item_availability[0].sold_out, true);
+  // Midnight in Chicago (CDT, UTC-5)
+  assert.equal(client.tables.item_availability[0].reset_at, '2026-10-20T05:00:00.000Z');
+});
@@ -0,0 +1,131 @@
+/**
+ * Menu Catalog Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyLocationOverride, getCatalogForLayouts, bindCatalogElement } from '../utils/menuCatalog.js';
+
+/**
+ * In-memory catalog tables with the read queries getCatalogForLayouts makes
+ * (catalog_categories rows carry their embedded items; rows are copies, like a real read)
+ */
+function fakeClient(tables) {
+  const query = table => {
+    const filters = [];
+    const rows = () => (tables[table] || []).filter(r => filters.every(f => f(r))).map(r => ({ ...r }));
+    const q = {
+      select: () => q,
+      eq: (column, value) => { filters.push(r => r[column] === value); return q; },
+      in: (column, values) => { filters.push(r => values.includes(r[column])); return q; },
+      gt: (column, value) => { filters.push(r => r[column] > value); return q; },
+      then: (resolve, reject) => Promise.resolve({ data: rows(), error: null }).then(resolve, reject)
+    };
+    return q;
+  };
+
+  return { from: table => query(table) };
+}
+
+const item = (id, name, price, extra = {}) => ({
+  id,
+  organization_id: 'org1',
+  name,
+  description: null,
+  price,
+  modifiers: [],
+  calories: null,
+  allergens: [],
+  dietary_tags: [],
+  image_url: null,
+  sort_order: 0,
+  is_active: true,
+  ...extra
+});
+
+const latte = item('latte', 'Latte', 4.5, { calories: 190 });
+const mocha = item('mocha', 'Mocha', 5);
+const cortado = item('cortado', 'Cortado', 4);
+
+const tables = {
+  catalog_items: [latte, mocha],
+  catalog_categories: [{ id: 'coffee', organization_id: 'org1', name: 'Coffee', items: [mocha, latte, cortado] }],
+  location_item_overrides: [
+    { location_id: 'loc1', catalog_item_id: 'latte', price: '5.25', is_available: null },
+    { location_id: 'loc1', catalog_item_id: 'cortado', price: null, is_available: false }
+  ],
+  item_availability: [
+    { location_id: 'loc1', catalog_item_id: 'mocha', sold_out: true, reset_at: '2999-01-01T00:00:00.000Z' }
+  ]
+};
+
+const layout = {
+  id: 'l1',
+  elements: [
+    { id: 'e1', type: 'menu_item', data: { itemId: 'latte' } },
+    { id: 'e2', type: 'price_list', data: { categoryId: 'coffee' } },
+    { id: 'e3', type: 'price_list', data: { items: [{ itemId: 'mocha' }, { name: 'Water', price: 1 }] } }
+  ]
+};
+
+test('applyLocationOverride takes the location price and leaves availability to the catalog when unset', () => {
+  assert.deepEqual(
+    applyLocationOverride(latte, tables.location_item_overrides[0]),
+    { ...latte, price: 5.25, available: true }
+  );
+  assert.equal(applyLocationOverride(cortado, tables.location_item_overrides[1]).available, false);
+  assert.equal(applyLocationOverride({ ...latte, is_active: false }, null).available, false);
+  assert.equal(applyLocationOverride(latte, null).price, 4.5);
+});
+
+test('getCatalogForLayouts applies the location overrides and drops unavailable category items', async () => {
+  const catalog = await getCatalogForLayouts(fakeClient(tables), 'org1', [layout], { locationId: 'loc1' });
+
+  assert.equal(catalog.items.get('latte').price, 5.25);
+  assert.equal(catalog.items.get('mocha').soldOut, true);
+  // Cortado is switched off at loc1; the rest sort by name
+  assert.deepEqual(catalog.categories.get('coffee').items.map(i => i.id), ['latte', 'mocha']);
+});
+
+test('getCatalogForLayouts uses catalog prices without a location', async () => {
+  const catalog = await getCatalogForLayouts(fakeClient(tables), 'org1', [layout]);
+
+  assert.equal(catalog.items.get('latte').price, 4.5);
+  assert.equal(catalog.items.get('mocha').soldOut, false);
+  assert.deepEqual(catalog.categories.get('coffee').items.map(i => i.id), ['cortado', 'latte', 'mocha']);
+});
+
+test('bindCatalogElement binds items, categories and price list rows with their location state', async () => {
+  const catalog = await getCatalogForLayouts(fakeClient(tables), 'org1', [layout], { locationId: 'loc1' });
+  const [itemElement, categoryElement, rowsElement] = layout.elements.map(e => bindCatalogElement(e, catalog));
+
+  assert.deepEqual(itemElement.data, {
+    itemId: 'latte',
+    name: 'Latte',
+    description: '',
+    price: 5.25,
+    modifiers: [],
+    calories: 190,
+    allergens: [],
+    dietaryTags: []
+  });
+  assert.deepEqual(categoryElement.data.items, [
+    { itemId: 'latte', name: 'Latte', price: 5.25, calories: 190 },
+    { itemId: 'mocha', name: 'Mocha', price: 5, soldOut: true }
+  ]);
+  assert.deepEqual(rowsElement.data.items, [
+    { itemId: 'mocha', name: 'Mocha', price: 5, soldOut: true },
+    { name: 'Water', price: 1 }
+  ]);
+});
+
+test('bindCatalogElement leaves unbound elements and missing items as they are', () => {
+  const catalog = { items: new Map(), categories: new Map() };
+  const text = { id: 't1', type: 'text', data: { text: 'Hello' } };
+  const orphan = { id: 'e1', type: 'menu_item', data: { itemId: 'gone', name: 'Old' } };
+
+  assert.equal(bindCatalogElement(text, catalog), text);
+  assert.equal(bindCatalogElement(orphan, catalog), orphan);
+});
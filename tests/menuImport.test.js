@@ -0,0 +1,110 @@
+/**
+ * Menu Import Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ImportFormat,
+  MAX_IMPORT_ITEMS,
+  parseCsv,
+  parseImportItems,
+  buildImportLayouts
+} from '../utils/menuImport.js';
+import { validateLayoutsForPublish } from '../utils/publishValidation.js';
+
+test('parseCsv handles quotes, escaped quotes, CRLF and line breaks inside quotes', () => {
+  const records = parseCsv('name,description\r\n"Burger","Beef, ""smash"" style"\r\nSoup,"Hot\nand fresh"\n\nFries,\n');
+
+  assert.deepEqual(records, [
+    { line: 1, fields: ['name', 'description'] },
+    { line: 2, fields: ['Burger', 'Beef, "smash" style'] },
+    { line: 3, fields: ['Soup', 'Hot\nand fresh'] },
+    { line: 6, fields: ['Fries', ''] }
+  ]);
+});
+
+test('parseImportItems reads CSV with header aliases and reports bad rows by line', () => {
+  const csv = [
+    'Section,Item Name,Desc,Cost,kcal,Photo',
+    'Burgers,Classic,"Beef, cheddar",$9.99,650,https://example.com/a.jpg',
+    'Burgers,,No name,5,,',
+    'Sides,Fries,,cheap,,',
+    ',Water,,1,abc,ftp://example.com/w.jpg'
+  ].join('\n');
+
+  const { items, errors } = parseImportItems(csv, ImportFormat.CSV);
+
+  assert.deepEqual(items, [{
+    category: 'Burgers',
+    name: 'Classic',
+    description: 'Beef, cheddar',
+    price: 9.99,
+    calories: 650,
+    imageUrl: 'https://example.com/a.jpg'
+  }]);
+  assert.deepEqual(errors.map(e => [e.row, e.field]), [
+    [3, 'name'],
+    [4, 'price'],
+    [5, 'calories'],
+    [5, 'imageUrl']
+  ]);
+});
+
+test('parseImportItems rejects a CSV without a name column or with no rows', () => {
+  assert.deepEqual(parseImportItems('category,price\nA,1', ImportFormat.CSV).errors[0].field, 'name');
+  assert.equal(parseImportItems('', ImportFormat.CSV).errors[0].message, 'The file is empty');
+});
+
+test('parseImportItems reads JSON arrays with 1-based rows and a default category', () => {
+  const { items, errors } = parseImportItems([{ name: 'Tea', price: 2 }, 'nope'], ImportFormat.JSON);
+
+  assert.equal(items[0].category, 'Menu');
+  assert.equal(items[0].price, 2);
+  assert.deepEqual(errors, [{ row: 2, field: null, message: 'Each item must be an object' }]);
+});
+
+test('parseImportItems refuses unknown formats and too many items', () => {
+  assert.equal(parseImportItems([], 'xml').items.length, 0);
+  assert.match(parseImportItems([], 'xml').errors[0].message, /format must be one of/);
+
+  const tooMany = Array.from({ length: MAX_IMPORT_ITEMS + 1 }, (_, i) => ({ name: `Item ${i}` }));
+  assert.match(parseImportItems(tooMany, ImportFormat.JSON).errors[0].message, /At most/);
+});
+
+test('buildImportLayouts groups by category, spills onto more screens and stays on the canvas', () => {
+  const items = Array.from({ length: 60 }, (_, i) => ({
+    category: i < 30 ? 'Burgers' : 'Drinks',
+    name: `Item ${i}`,
+    description: '',
+    price: 1 + i,
+    calories: null,
+    imageUrl: null
+  }));
+
+  const layouts = buildImportLayouts(items, '1080p');
+
+  assert.ok(layouts.length > 1);
+  assert.deepEqual(layouts.map(l => l.screen_index), layouts.map((_, i) => i + 1));
+
+  const elements = layouts.flatMap(l => l.elements);
+  assert.deepEqual(elements.filter(e => e.type === 'menu_section').map(e => e.name), ['Burgers', 'Drinks']);
+  assert.equal(elements.filter(e => e.type === 'menu_item').length, 60);
+  assert.equal(elements.find(e => e.type === 'menu_item').data.calories, undefined);
+
+  // A section header is never the last element on its screen
+  for (const layout of layouts) {
+    assert.notEqual(layout.elements.at(-1).type, 'menu_section');
+  }
+
+  const validation = validateLayoutsForPublish(layouts.map((l, i) => ({ ...l, id: `l${i}`, menu_id: 'm' })));
+  assert.deepEqual(validation.errors.filter(e => e.code === 'OUTSIDE_CANVAS'), []);
+});
+
+test('buildImportLayouts uses portrait orientation for portrait profiles', () => {
+  const [layout] = buildImportLayouts([{ category: 'A', name: 'B', description: '', price: 1, calories: 100, imageUrl: null }], '1080p_portrait');
+  assert.equal(layout.orientation, 'portrait');
+  assert.equal(layout.elements[1].data.calories, 100);
+});
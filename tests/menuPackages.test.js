@@ -0,0 +1,74 @@
+/**
+ * Menu Package Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'crypto';
+import { PACKAGE_FORMAT, PACKAGE_VERSION, validateMenuPackage } from '../utils/menuPackages.js';
+
+const image = Buffer.from('not really a png');
+const hash = createHash('sha256').update(image).digest('hex');
+
+function menuPackage(asset = {}) {
+  return {
+    manifest: {
+      format: PACKAGE_FORMAT,
+      version: PACKAGE_VERSION,
+      assets: [{ url: 'https://x.supabase.co/storage/v1/object/public/menu-images/org/a.png', path: 'org/a.png', contentType: 'image/png', size: image.length, sha256: hash, ...asset }],
+      externalAssets: []
+    },
+    menu: { name: 'Lunch' },
+    layouts: [{ screen_index: 1, elements: [] }],
+    assets: { [hash]: image.toString('base64') }
+  };
+}
+
+test('a well-formed package is valid', () => {
+  assert.deepEqual(validateMenuPackage(menuPackage()), { valid: true, errors: [] });
+});
+
+test('format, version, menu name and layouts are required', () => {
+  assert.equal(validateMenuPackage(null).valid, false);
+
+  const { errors } = validateMenuPackage({ ...menuPackage(), manifest: { ...menuPackage().manifest, version: 2 }, menu: {}, layouts: [{}] });
+  assert.deepEqual(errors, [
+    `Unsupported package version 2 (expected ${PACKAGE_VERSION})`,
+    'menu.name is required',
+    'layouts[0].elements must be an array'
+  ]);
+});
+
+test('an asset without a path is an error, not a crash', () => {
+  const { path, ...noPath } = menuPackage().manifest.assets[0];
+  const pkg = { ...menuPackage(), manifest: { ...menuPackage().manifest, assets: [noPath, null] } };
+
+  assert.deepEqual(validateMenuPackage(pkg).errors, [
+    'manifest.assets[0].path must be a string',
+    'manifest.assets[1].path must be a string'
+  ]);
+});
+
+test('only image types the upload endpoint accepts are allowed', () => {
+  for (const contentType of ['text/html', 'application/octet-stream', undefined]) {
+    const { valid, errors } = validateMenuPackage(menuPackage({ contentType }));
+    assert.equal(valid, false);
+    assert.match(errors[0], /has type/);
+  }
+  assert.equal(validateMenuPackage(menuPackage({ contentType: 'image/webp' })).valid, true);
+});
+
+test('missing and tampered assets are reported', () => {
+  assert.deepEqual(validateMenuPackage({ ...menuPackage(), assets: {} }).errors, ['Asset org/a.png is missing from the package']);
+  assert.deepEqual(
+    validateMenuPackage({ ...menuPackage(), assets: { [hash]: Buffer.from('other').toString('base64') } }).errors,
+    ['Asset org/a.png does not match its hash']
+  );
+});
+
+test('manifest.assets must be an array', () => {
+  const pkg = { ...menuPackage(), manifest: { ...menuPackage().manifest, assets: {} } };
+  assert.deepEqual(validateMenuPackage(pkg).errors, ['manifest.assets must be an array']);
+});
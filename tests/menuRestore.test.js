@@ -0,0 +1,80 @@
+/**
+ * Menu Restore Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getLayoutReferences, restoreMenuVersion } from '../utils/menuRestore.js';
+
+/**
+ * In-memory tables with the read queries restoreMenuVersion makes before it writes.
+ * Any write is recorded in `writes` instead of being applied.
+ */
+function fakeClient(tables) {
+  const writes = [];
+
+  const query = table => {
+    const filters = [];
+    const rows = () => (tables[table] || []).filter(r => filters.every(f => f(r)));
+    const q = {
+      select: () => q,
+      order: () => q,
+      limit: () => q,
+      eq: (column, value) => { filters.push(r => r[column] === value); return q; },
+      in: (column, values) => { filters.push(r => values.includes(r[column])); return q; },
+      maybeSingle: async () => ({ data: rows()[0] || null, error: null }),
+      delete: () => { writes.push({ table, op: 'delete' }); return q; },
+      upsert: async () => { writes.push({ table, op: 'upsert' }); return { error: null }; },
+      then: (resolve, reject) => Promise.resolve({ data: rows(), error: null }).then(resolve, reject)
+    };
+    return q;
+  };
+
+  return { from: table => query(table), writes };
+}
+
+const snapshot = [{ id: 'l1', name: 'Main', screen_index: 0, elements: [] }];
+
+test('getLayoutReferences returns nothing for no layouts', async () => {
+  const client = fakeClient({});
+  assert.deepEqual(await getLayoutReferences(client, []), { screens: [], dayparts: [], playlistItems: [] });
+});
+
+test('getLayoutReferences finds screens, dayparts and playlist items showing the layouts', async () => {
+  const client = fakeClient({
+    screens: [{ id: 's1', assigned_layout_id: 'l2' }, { id: 's2', assigned_layout_id: 'l1' }],
+    screen_dayparts: [{ id: 'd1', screen_id: 's2', layout_id: 'l2' }],
+    playlist_items: [{ id: 'p1', playlist_id: 'pl', layout_id: 'l3' }]
+  });
+
+  const references = await getLayoutReferences(client, ['l2']);
+  assert.deepEqual(references.screens.map(s => s.id), ['s1']);
+  assert.deepEqual(references.dayparts.map(d => d.id), ['d1']);
+  assert.deepEqual(references.playlistItems, []);
+});
+
+test('restoreMenuVersion refuses with 409 while a layout it would delete is still shown', async () => {
+  const client = fakeClient({
+    publish_history: [{ id: 'pub1', menu_id: 'm1', version: 3, snapshot }],
+    layouts: [{ id: 'l1', menu_id: 'm1' }, { id: 'l2', menu_id: 'm1' }],
+    screens: [],
+    screen_dayparts: [{ id: 'd1', screen_id: 's1', layout_id: 'l2' }],
+    playlist_items: []
+  });
+
+  await assert.rejects(
+    restoreMenuVersion(client, 'm1', 'u1', { version: 3 }),
+    error => error.status === 409 && error.references.dayparts.length === 1
+  );
+  assert.deepEqual(client.writes, []);
+});
+
+test('restoreMenuVersion rejects a version without a snapshot and an unknown mode', async () => {
+  const client = fakeClient({ publish_history: [] });
+
+  await assert.rejects(restoreMenuVersion(client, 'm1', 'u1', { version: 9 }), { status: 404 });
+  await assert.rejects(restoreMenuVersion(client, 'm1', 'u1', { version: 9, mode: 'live' }), { status: 400 });
+  assert.deepEqual(client.writes, []);
+});
@@ -0,0 +1,87 @@
+/**
+ * Menu Version Diff Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { diffLayout, diffSnapshots } from '../utils/menuVersions.js';
+
+const burger = { type: 'menu_item', x: 0, y: 100, width: 400, height: 120, data: { name: 'Classic', description: 'Beef', price: 9.99 } };
+const fries = { type: 'menu_item', x: 0, y: 240, width: 400, height: 120, data: { name: 'Fries', price: 3 } };
+const title = { type: 'text', x: 0, y: 0, width: 800, height: 80, content: 'Lunch' };
+
+const layout = (elements, extra = {}) => ({
+  id: 'l1',
+  name: 'Main',
+  screen_index: 1,
+  resolution: '1080p',
+  background: { type: 'color', value: '#000000' },
+  elements,
+  ...extra
+});
+
+test('diffLayout reports price and text changes and moves of the same element', () => {
+  const edited = { ...burger, x: 50, data: { ...burger.data, description: 'Beef & cheddar', price: 10.49 } };
+  const diff = diffLayout(layout([title, burger]), layout([title, edited]));
+
+  assert.equal(diff.status, 'changed');
+  assert.equal(diff.elements.moved.length, 1);
+  assert.deepEqual(diff.elements.moved[0].from, { x: 0, y: 100, width: 400, height: 120 });
+  assert.deepEqual(diff.elements.changed[0].changes.map(c => [c.kind, c.path]), [
+    ['text', 'data.description'],
+    ['price', 'data.price']
+  ]);
+});
+
+test('diffLayout matches an element replaced in the same slot by position, as a change', () => {
+  const diff = diffLayout(layout([title, burger]), layout([title, fries]));
+  assert.deepEqual(diff.elements.added, []);
+  assert.deepEqual(diff.elements.changed[0].changes.map(c => c.path).sort(), ['data.description', 'data.name', 'data.price']);
+  assert.deepEqual(diff.elements.moved[0].to, { x: 0, y: 240, width: 400, height: 120 });
+});
+
+test('diffLayout matches reordered elements instead of reporting every one as changed', () => {
+  const diff = diffLayout(layout([burger, fries]), layout([fries, burger]));
+  assert.deepEqual(diff.elements, { added: [], removed: [], moved: [], changed: [] });
+});
+
+test('diffLayout lists added and removed elements and layout settings', () => {
+  const logo = { type: 'image', x: 0, y: 900, width: 200, height: 100, src: 'https://example.com/logo.png' };
+  const diff = diffLayout(
+    layout([title, burger]),
+    layout([title, logo], { name: 'Main board', background: { type: 'color', value: '#ffffff' } })
+  );
+
+  assert.deepEqual(diff.elements.removed.map(e => e.label), ['Classic']);
+  assert.deepEqual(diff.elements.added.map(e => e.type), ['image']);
+  assert.deepEqual(diff.settings, [{ field: 'name', from: 'Main', to: 'Main board' }]);
+  assert.equal(diff.background.to.value, '#ffffff');
+});
+
+test('diffLayout sees style and translation changes by kind', () => {
+  const styled = { ...title, style: { color: '#ff0000' }, translations: { es: { content: 'Almuerzo' } } };
+  const kinds = diffLayout(layout([title]), layout([styled])).elements.changed[0].changes.map(c => c.kind);
+  assert.deepEqual(kinds.sort(), ['style', 'translation']);
+});
+
+test('diffSnapshots leaves out unchanged layouts and summarizes the rest', () => {
+  const other = { ...layout([title]), id: 'l2', screen_index: 2 };
+  const { summary, layouts } = diffSnapshots(
+    [layout([title, burger]), other],
+    [layout([title, { ...burger, data: { ...burger.data, price: 10.49 } }]), other, { ...layout([]), id: 'l3' }]
+  );
+
+  assert.deepEqual(layouts.map(l => [l.layoutId, l.status]), [['l1', 'changed'], ['l3', 'added']]);
+  assert.equal(summary.layoutsAdded, 1);
+  assert.equal(summary.layoutsChanged, 1);
+  assert.equal(summary.priceChanges, 1);
+  assert.equal(summary.textChanges, 0);
+});
+
+test('diffSnapshots against nothing is every layout added (version 1 of a new menu)', () => {
+  const { summary } = diffSnapshots([], [layout([title, burger])]);
+  assert.equal(summary.layoutsAdded, 1);
+  assert.equal(summary.elementsAdded, 2);
+});
@@ -0,0 +1,117 @@
+/**
+ * Payload Delta Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizePayload,
+  createJsonPatch,
+  applyJsonPatch,
+  parseEtags,
+  getDeviceUpdate,
+  cachePayload
+} from '../utils/payloadDeltas.js';
+
+/**
+ * In-memory device_payload_cache with the query calls getDeviceUpdate makes.
+ * Rows go through JSON like a JSONB column.
+ */
+function fakeCacheClient() {
+  const rows = [];
+
+  const query = () => {
+    const filters = [];
+    let updates = null;
+    const q = {
+      select: () => q,
+      order: () => q,
+      eq: (column, value) => { filters.push(r => r[column] === value); return q; },
+      in: (column, values) => { filters.push(r => values.includes(r[column])); return q; },
+      range: async () => ({ data: [] }),
+      maybeSingle: async () => ({ data: rows.find(r => filters.every(f => f(r))) || null, error: null }),
+      upsert: async row => {
+        if (!rows.some(r => r.device_id === row.device_id && r.content_hash === row.content_hash)) {
+          rows.push(JSON.parse(JSON.stringify(row)));
+        }
+        return { error: null };
+      },
+      update: values => { updates = values; return q; },
+      delete: () => q,
+      then: (resolve, reject) => {
+        if (updates) rows.filter(r => filters.every(f => f(r))).forEach(r => Object.assign(r, updates));
+        return Promise.resolve({ error: null }).then(resolve, reject);
+      }
+    };
+    return q;
+  };
+
+  return { from: () => query(), rows };
+}
+
+test('createJsonPatch + applyJsonPatch round-trips objects and arrays', () => {
+  const from = { a: 1, b: { c: [1, 2, 3] }, 'x/y': 'old', gone: true };
+  const to = { a: 2, b: { c: [1, 5] }, 'x/y': 'new', added: { deep: ['z'] } };
+  const patch = createJsonPatch(from, to);
+
+  assert.deepEqual(applyJsonPatch(from, patch), to);
+  assert.ok(patch.some(op => op.path === '/x~1y'));
+});
+
+test('createJsonPatch returns no ops for equal documents', () => {
+  assert.deepEqual(createJsonPatch({ a: [1, { b: 2 }] }, { a: [1, { b: 2 }] }), []);
+});
+
+test('normalizePayload drops undefined keys and nulls undefined array entries', () => {
+  assert.deepEqual(normalizePayload({ x: undefined, y: [undefined, 1], z: { w: undefined } }), { y: [null, 1], z: {} });
+  assert.equal(normalizePayload(undefined), null);
+});
+
+test('patches between normalized payloads are valid RFC 6902 (every add has a value)', () => {
+  const patch = createJsonPatch(normalizePayload({}), normalizePayload({ x: undefined, y: 1 }));
+  assert.deepEqual(patch, [{ op: 'add', path: '/y', value: 1 }]);
+  assert.ok(patch.every(op => op.op === 'remove' || 'value' in op));
+});
+
+test('parseEtags strips quotes and weak markers', () => {
+  assert.deepEqual(parseEtags('"abc", W/"def"'), ['abc', 'def']);
+  assert.deepEqual(parseEtags(null), []);
+});
+
+test('getDeviceUpdate answers 304-style when the device already has the hash', async () => {
+  const client = fakeCacheClient();
+  const update = await getDeviceUpdate(client, 'd1', { contentHash: 'h1' }, { ifNoneMatch: '"h1"' });
+  assert.deepEqual(update, { notModified: true, contentHash: 'h1' });
+});
+
+test('getDeviceUpdate diffs a live payload with undefined keys against its cached base', async () => {
+  const client = fakeCacheClient();
+  const base = { contentHash: 'h1', screens: [{ screenIndex: 1, transitions: undefined, layout: { id: 'a' } }] };
+  await getDeviceUpdate(client, 'd1', base);
+
+  const next = { contentHash: 'h2', screens: [{ screenIndex: 1, transitions: undefined, layout: { id: 'b' } }], extra: undefined };
+  const update = await getDeviceUpdate(client, 'd1', next, { since: 'h1' });
+
+  assert.equal(update.delta, true);
+  assert.ok(update.patch.every(op => op.op === 'remove' || 'value' in op));
+  assert.deepEqual(applyJsonPatch(client.rows[0].payload, update.patch), normalizePayload(next));
+});
+
+test('getDeviceUpdate sends the full payload for an unknown base hash', async () => {
+  const client = fakeCacheClient();
+  const update = await getDeviceUpdate(client, 'd1', { contentHash: 'h2', a: undefined }, { since: 'unknown' });
+  assert.deepEqual(update, { payload: { contentHash: 'h2' } });
+});
+
+test('cachePayload marks a hash the device already has as recently served instead of re-inserting it', async () => {
+  const client = fakeCacheClient();
+  await cachePayload(client, 'd1', { contentHash: 'h1' });
+  client.rows[0].created_at = '2026-01-01T00:00:00.000Z';
+
+  await cachePayload(client, 'd1', { contentHash: 'h1' });
+
+  assert.equal(client.rows.length, 1);
+  assert.ok(client.rows[0].created_at > '2026-01-01T00:00:00.000Z');
+});
@@ -0,0 +1,55 @@
+/**
+ * Playlist Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolvePlaylist, getPlaylistItemScreens, DEFAULT_ITEM_DURATION_SECONDS } from '../utils/playlists.js';
+
+const screen = {
+  id: 'screen1',
+  screen_index: 0,
+  playlist: {
+    id: 'pl1',
+    name: 'Lobby loop',
+    transition: 'fade',
+    default_duration_seconds: null,
+    items: [
+      { id: 'i3', position: 2, duration_seconds: 5, transition: null, weight: 1, layout: { id: 'l3' } },
+      { id: 'i1', position: 0, duration_seconds: null, transition: 'slide', weight: 2, layout: { id: 'l1' } },
+      { id: 'i2', position: 1, duration_seconds: 20, transition: null, weight: null, layout: { id: 'l2' } }
+    ]
+  }
+};
+
+// Every layout live except l2
+const resolveItem = itemScreen => itemScreen.layout.id === 'l2'
+  ? null
+  : { layout: { id: itemScreen.layout.id }, menu: { id: 'm1' } };
+
+test('resolvePlaylist rotates the live items in position order with their timing and weight', () => {
+  const content = resolvePlaylist(screen, resolveItem);
+
+  assert.deepEqual(content.playlist.items.map(i => [i.itemId, i.duration, i.transition, i.weight]), [
+    ['i1', DEFAULT_ITEM_DURATION_SECONDS, 'slide', 2],
+    ['i3', 5, 'fade', 1]
+  ]);
+  assert.deepEqual(content.layout, { id: 'l1' });
+  assert.equal(content.playlist.id, 'pl1');
+});
+
+test('resolvePlaylist returns null when no item is live', () => {
+  assert.equal(resolvePlaylist(screen, () => null), null);
+});
+
+test('getPlaylistItemScreens gives each item its own screen keyed "<screenId>#<itemId>"', () => {
+  const itemScreens = getPlaylistItemScreens([screen, { id: 'screen2', playlist: null }]);
+
+  assert.deepEqual(itemScreens.map(s => [s.id, s.layout.id, s.playlist]), [
+    ['screen1#i1', 'l1', null],
+    ['screen1#i2', 'l2', null],
+    ['screen1#i3', 'l3', null]
+  ]);
+});
@@ -0,0 +1,70 @@
+/**
+ * Price Formatting Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CentsStyle,
+  formatPrice,
+  validatePriceSettings,
+  formatElementPrices,
+  normalizeElementPrices
+} from '../utils/priceFormatting.js';
+
+// Intl puts (narrow) no-break spaces between amount and symbol in some locales
+const plain = text => text.replace(/[\u00a0\u202f]/g, ' ');
+
+test('formatPrice defaults to USD in en-US with cents', () => {
+  assert.equal(formatPrice(1299.5), '$1,299.50');
+  assert.equal(formatPrice(5), '$5.00');
+});
+
+test('formatPrice follows the locale and currency', () => {
+  assert.equal(plain(formatPrice(1299.5, { currency: 'EUR', locale: 'de-DE' })), '1.299,50 €');
+  assert.equal(formatPrice(450, { currency: 'JPY', locale: 'ja-JP' }), '￥450');
+});
+
+test('formatPrice cents styles and symbol', () => {
+  assert.equal(formatPrice(5, { cents: CentsStyle.AUTO }), '$5');
+  assert.equal(formatPrice(5.5, { cents: CentsStyle.AUTO }), '$5.50');
+  assert.equal(formatPrice(5.5, { cents: CentsStyle.NEVER }), '$6');
+  assert.equal(formatPrice(5.5, { symbol: false }), '5.50');
+});
+
+test('validatePriceSettings', () => {
+  assert.equal(validatePriceSettings({ currency: 'EUR', locale: 'de-DE', priceFormat: { cents: 'auto', symbol: false } }).valid, true);
+  assert.equal(validatePriceSettings({ currency: null, locale: null }).valid, true);
+
+  const result = validatePriceSettings({ currency: 'euro', locale: '', priceFormat: { cents: 'sometimes', symbol: 'yes' } });
+  assert.equal(result.errors.length, 4);
+});
+
+test('formatElementPrices formats items, modifiers and price list rows and keeps the amount', () => {
+  const item = formatElementPrices({ type: 'menu_item', data: { price: 4.5, modifiers: [{ name: 'Cheese', price: 0.75 }, { name: 'Ask' }] } }, {});
+  assert.equal(item.data.price, '$4.50');
+  assert.equal(item.data.priceAmount, 4.5);
+  assert.equal(item.data.modifiers[0].price, '$0.75');
+  assert.deepEqual(item.data.modifiers[1], { name: 'Ask' });
+
+  const list = formatElementPrices({ type: 'price_list', data: { items: [{ name: 'Fries', price: '$3' }, { name: 'Soup', price: 'Market price' }] } }, {});
+  assert.equal(list.data.items[0].price, '$3.00');
+  assert.equal(list.data.items[1].price, 'Market price');
+  assert.equal(list.data.items[1].priceAmount, undefined);
+});
+
+test('normalizeElementPrices stores numbers and reports prices it cannot read', () => {
+  const { elements, errors } = normalizeElementPrices([
+    { type: 'menu_item', data: { price: '$1,299.50' } },
+    { type: 'combo', data: { price: '' } },
+    { type: 'price_list', data: { items: [{ price: 'two dollars' }] } },
+    { type: 'text', data: { text: '$5' } }
+  ]);
+
+  assert.equal(elements[0].data.price, 1299.5);
+  assert.equal(elements[1].data.price, null);
+  assert.equal(elements[3].data.text, '$5');
+  assert.deepEqual(errors, ['elements[2].items[0].price: "two dollars" is not a valid price']);
+});
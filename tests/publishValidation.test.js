@@ -0,0 +1,61 @@
+/**
+ * Publish Validation Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateLayoutsForPublish, getCanvasSize } from '../utils/publishValidation.js';
+
+const MENU_ID = '11111111-1111-4111-8111-111111111111';
+
+const layout = {
+  id: 'layout-1',
+  menu_id: MENU_ID,
+  name: 'Main',
+  resolution: '1920x1080',
+  screen_index: 1,
+  orientation: 'landscape',
+  safe_zone: 'none',
+  elements: []
+};
+
+function mismatches(screens) {
+  return validateLayoutsForPublish([layout], { screens }).warnings
+    .filter(w => w.code === 'RESOLUTION_MISMATCH');
+}
+
+test('getCanvasSize reads WxH strings and profile keys', () => {
+  assert.deepEqual(getCanvasSize('1920x1080'), { w: 1920, h: 1080 });
+  assert.deepEqual(getCanvasSize('4k'), { w: 3840, h: 2160 });
+  assert.equal(getCanvasSize('nonsense'), null);
+});
+
+test('RESOLUTION_MISMATCH flags an assigned screen at another resolution', () => {
+  const found = mismatches([{ id: 's1', name: 'Drive-thru', resolution: '4k', assigned_layout_id: 'layout-1' }]);
+  assert.equal(found.length, 1);
+  assert.equal(found[0].screenId, 's1');
+});
+
+test('RESOLUTION_MISMATCH treats a profile key of the same size as a match', () => {
+  assert.equal(mismatches([{ id: 's1', resolution: '1080p', assigned_layout_id: 'layout-1' }]).length, 0);
+});
+
+test('RESOLUTION_MISMATCH covers screens that show the layout through a daypart or playlist', () => {
+  const found = mismatches([
+    { id: 'daypart', resolution: '720p', assigned_layout_id: 'other', layout_ids: ['other', 'layout-1'] },
+    { id: 'playlist', resolution: '1080p_portrait', assigned_layout_id: null, layout_ids: ['layout-1'] },
+    { id: 'unrelated', resolution: '720p', assigned_layout_id: 'other', layout_ids: ['other'] }
+  ]);
+  assert.deepEqual(found.map(w => w.screenId), ['daypart', 'playlist']);
+});
+
+test('elements outside the canvas are errors', () => {
+  const result = validateLayoutsForPublish([{
+    ...layout,
+    elements: [{ type: 'text', x: 1800, y: 0, width: 300, height: 100 }]
+  }]);
+  assert.equal(result.valid, false);
+  assert.equal(result.errors[0].code, 'OUTSIDE_CANVAS');
+});
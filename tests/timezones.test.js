@@ -0,0 +1,59 @@
+/**
+ * Timezone Tests
+ *
+ * Run with: node --test tests/
+ */
+
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseLocalDateTime, zonedTimeToUtc, getLocalDate, isValidTimeZone } from '../utils/timezones.js';
+
+test('parseLocalDateTime reads dates with and without seconds', () => {
+  assert.deepEqual(parseLocalDateTime('2026-10-26T05:00'), { year: 2026, month: 10, day: 26, hour: 5, minute: 0, second: 0 });
+  assert.deepEqual(parseLocalDateTime('2026-10-26 05:00:30'), { year: 2026, month: 10, day: 26, hour: 5, minute: 0, second: 30 });
+});
+
+test('parseLocalDateTime rejects dates that are not on the calendar', () => {
+  assert.equal(parseLocalDateTime('2026-02-31T05:00'), null);
+  assert.equal(parseLocalDateTime('2026-04-31T05:00'), null);
+  assert.equal(parseLocalDateTime('2026-02-29T05:00'), null);
+  assert.notEqual(parseLocalDateTime('2028-02-29T05:00'), null);
+});
+
+test('parseLocalDateTime rejects malformed and out-of-range values', () => {
+  for (const value of ['2026-13-01T05:00', '2026-00-10T05:00', '2026-01-01T24:00', '2026-01-01T05:60', '2026-01-01T05:00:60', '2026-01-01', '2026-01-01T05:00Z', null, 42]) {
+    assert.equal(parseLocalDateTime(value), null, String(value));
+  }
+});
+
+test('zonedTimeToUtc converts ordinary wall-clock times', () => {
+  assert.equal(zonedTimeToUtc('2026-10-26T05:00', 'America/Chicago').toISOString(), '2026-10-26T10:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2026-01-15T05:00', 'America/Chicago').toISOString(), '2026-01-15T11:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2026-07-01T12:00', 'Asia/Kolkata').toISOString(), '2026-07-01T06:30:00.000Z');
+});
+
+test('zonedTimeToUtc shifts times in a spring-forward gap forward', () => {
+  // 02:30 does not exist in New York on 2026-03-08 → 03:30 EDT
+  assert.equal(zonedTimeToUtc('2026-03-08T02:30', 'America/New_York').toISOString(), '2026-03-08T07:30:00.000Z');
+  // 01:30 does not exist in London on 2026-03-29 → 02:30 BST
+  assert.equal(zonedTimeToUtc('2026-03-29T01:30', 'Europe/London').toISOString(), '2026-03-29T01:30:00.000Z');
+  // Half-hour gap in Lord Howe: 02:15 → 02:45
+  assert.equal(zonedTimeToUtc('2026-10-04T02:15', 'Australia/Lord_Howe').toISOString(), '2026-10-03T15:45:00.000Z');
+});
+
+test('zonedTimeToUtc picks the first occurrence of a repeated fall-back time', () => {
+  assert.equal(zonedTimeToUtc('2026-11-01T01:30', 'America/New_York').toISOString(), '2026-11-01T05:30:00.000Z');
+  assert.equal(zonedTimeToUtc('2026-10-25T01:30', 'Europe/London').toISOString(), '2026-10-25T00:30:00.000Z');
+});
+
+test('zonedTimeToUtc throws on invalid input', () => {
+  assert.throws(() => zonedTimeToUtc('2026-02-31T05:00', 'America/Chicago'), /Invalid local date/);
+  assert.throws(() => zonedTimeToUtc('2026-02-01T05:00', 'Mars/Olympus'), /Invalid timezone/);
+});
+
+test('getLocalDate and isValidTimeZone', () => {
+  assert.equal(getLocalDate(new Date('2026-10-26T03:00:00Z'), 'America/Chicago'), '2026-10-25');
+  assert.equal(isValidTimeZone('Europe/London'), true);
+  assert.equal(isValidTimeZone('Nowhere/Special'), false);
+  assert.equal(isValidTimeZone(''), false);
+});
@@ -0,0 +1,233 @@
+/**
+ * Calendar Exceptions
+ *
+ * Dated overrides of the normal screen assignments - closed days, holiday
+ * menus, event days - for one location or a whole organization.
+ *
+ * CRITICAL:
+ * - Dates are local calendar dates in the device's timezone, end inclusive
+ * - While an exception is in effect it replaces assignments AND dayparts
+ * - kind 'menu':   every screen shows the alternate menu's published layouts,
+ *                  matched by screen_index like fallback layouts
+ * - kind 'closed': every screen is closed and shows the exception message
+ * - A location's own exception wins over an organization-wide one
+ */
+
+import { getLocalDate } from './timezones.js';
+import { getDeviceTimezone } from './dayparts.js';
+
+export const CalendarExceptionKind = {
+  MENU: 'menu',
+  CLOSED: 'closed'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Validate an exception from the API ({ name, startDate, endDate, kind, menuId, message })
+ */
+export function validateCalendarException(data) {
+  const errors = [];
+  
+  if (!data.name || typeof data.name !== 'string') {
+    errors.push('name is required');
+  }
+  
+  if (!isValidDate(data.startDate) || !isValidDate(data.endDate)) {
+    errors.push('startDate and endDate must be YYYY-MM-DD');
+  } else if (data.endDate < data.startDate) {
+    errors.push('endDate must not be before startDate');
+  }
+  
+  if (!Object.values(CalendarExceptionKind).includes(data.kind)) {
+    errors.push(`kind must be one of: ${Object.values(CalendarExceptionKind).join(', ')}`);
+  } else if (data.kind === CalendarExceptionKind.MENU && !data.menuId) {
+    errors.push('menuId is required for a menu exception');
+  } else if (data.kind === CalendarExceptionKind.CLOSED && data.menuId) {
+    errors.push('A closed exception cannot have a menuId');
+  }
+  
+  if (data.message !== undefined && data.message !== null && typeof data.message !== 'string') {
+    errors.push('message must be a string');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * API body → calendar_exceptions row
+ */
+export function toCalendarExceptionRow(data) {
+  return {
+    name: data.name,
+    start_date: data.startDate,
+    end_date: data.endDate,
+    kind: data.kind,
+    menu_id: data.kind === CalendarExceptionKind.MENU ? data.menuId : null,
+    message: data.message || null
+  };
+}
+
+/**
+ * Pick the exception in effect from those covering a date:
+ * location over organization, then the shortest range, then the newest
+ */
+export function selectCalendarException(exceptions) {
+  const span = e => new Date(e.end_date) - new Date(e.start_date);
+  
+  const ranked = [...(exceptions || [])].sort((a, b) =>
+    (b.location_id ? 1 : 0) - (a.location_id ? 1 : 0) ||
+    span(a) - span(b) ||
+    new Date(b.created_at || 0) - new Date(a.created_at || 0));
+  
+  return ranked[0] || null;
+}
+
+/**
+ * Exceptions of an organization, optionally narrowed to what one location sees
+ * options: { locationId, from (YYYY-MM-DD, drops exceptions that ended before) }
+ */
+export async function listCalendarExceptions(client, organizationId, options = {}) {
+  const { locationId, from } = options;
+  
+  let query = client
+    .from('calendar_exceptions')
+    .select('*, menu:menus (id, name, status)')
+    .eq('organization_id', organizationId)
+    .order('start_date');
+  
+  if (locationId) {
+    query = query.or(`location_id.is.null,location_id.eq.${locationId}`);
+  }
+  if (from) {
+    query = query.gte('end_date', from);
+  }
+  
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * The exception in effect for a device right now
+ * device needs organization_id and location_id
+ * Returns the row plus the `date` and `timezone` it was resolved in, or null
+ */
+export async function getActiveCalendarException(client, device, options = {}) {
+  const { now = new Date() } = options;
+  if (!device.organization_id) return null;
+  
+  const timezone = await getDeviceTimezone(client, device);
+  const date = getLocalDate(now, timezone);
+  
+  let query = client
+    .from('calendar_exceptions')
+    .select('*')
+    .eq('organization_id', device.organization_id)
+    .lte('start_date', date)
+    .gte('end_date', date);
+  
+  query = device.location_id
+    ? query.or(`location_id.is.null,location_id.eq.${device.location_id}`)
+    : query.is('location_id', null);
+  
+  const { data, error } = await query;
+  if (error) throw error;
+  
+  const exception = selectCalendarException(data);
+  return exception ? { ...exception, date, timezone } : null;
+}
+
+/**
+ * Payload description of an exception in effect
+ */
+export function toCalendarPayload(exception) {
+  return {
+    id: exception.id,
+    name: exception.name,
+    kind: exception.kind,
+    startDate: exception.start_date,
+    endDate: exception.end_date,
+    timezone: exception.timezone,
+    menuId: exception.menu_id,
+    message: exception.message
+  };
+}
+
+/**
+ * Flag the devices an exception reaches (its location, or the whole organization)
+ * Returns the number of devices flagged
+ */
+export async function flagCalendarDevices(client, exception) {
+  let query = client
+    .from('devices')
+    .update({
+      needs_update: true,
+      last_update_pushed: new Date().toISOString()
+    })
+    .eq('organization_id', exception.organization_id);
+  
+  if (exception.location_id) {
+    query = query.eq('location_id', exception.location_id);
+  }
+  
+  const { data, error } = await query.select('id');
+  if (error) throw error;
+  return (data || []).length;
+}
+
+/**
+ * Devices covered by exceptions that show a menu and have not ended yet
+ */
+export async function getCalendarMenuDeviceIds(client, menuId) {
+  // A day of slack so no timezone's "today" is missed
+  const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  
+  const { data: exceptions, error } = await client
+    .from('calendar_exceptions')
+    .select('organization_id, location_id')
+    .eq('menu_id', menuId)
+    .gte('end_date', yesterday);
+  
+  if (error) throw error;
+  if (!exceptions || exceptions.length === 0) return [];
+  
+  const deviceIds = new Set();
+  for (const exception of exceptions) {
+    let query = client
+      .from('devices')
+      .select('id')
+      .eq('organization_id', exception.organization_id);
+    
+    if (exception.location_id) {
+      query = query.eq('location_id', exception.location_id);
+    }
+    
+    const { data: devices, error: deviceError } = await query;
+    if (deviceError) throw deviceError;
+    (devices || []).forEach(d => deviceIds.add(d.id));
+  }
+  
+  return [...deviceIds];
+}
+
+export default {
+  CalendarExceptionKind,
+  validateCalendarException,
+  toCalendarExceptionRow,
+  selectCalendarException,
+  listCalendarExceptions,
+  getActiveCalendarException,
+  toCalendarPayload,
+  flagCalendarDevices,
+  getCalendarMenuDeviceIds
+};
@@ -0,0 +1,228 @@
+/**
+ * Content Versions
+ *
+ * Every device payload carries a content hash, and every screen in it a
+ * content version, so devices can report exactly what they are showing.
+ *
+ * CRITICAL:
+ * - Hashes cover WHAT IS RENDERED only (no timestamps)
+ * - Same content = same hash, on every request
+ * - Convergence is tracked per screen by publish ID
+ */
+
+import { createHash } from 'crypto';
+import { getScreenLayoutFilter } from './dayparts.js';
+
+export const ConvergenceState = {
+  CONVERGED: 'converged',
+  PENDING: 'pending',
+  STALE: 'stale'
+};
+
+export const DEFAULT_STALE_AFTER_MINUTES = 30;
+
+/**
+ * JSON.stringify with sorted keys (stable across requests)
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * SHA-256 of a value's stable JSON
+ */
+export function hashContent(value) {
+  return createHash('sha256').update(stableStringify(value)).digest('hex');
+}
+
+/**
+ * Stamp a device payload with its content versions
+ * Each screen gets contentVersion; the payload gets contentHash over
+ * every screen, the fallback, the calendar exception and the device settings.
+ * A closure notice or its message changing must change the hash, or devices
+ * holding the old one get a 304 and keep showing it.
+ */
+export function withContentVersions(payload) {
+  const screens = (payload.screens || []).map(screen => {
+    const { contentVersion, ...content } = screen;
+    return { ...screen, contentVersion: hashContent(content) };
+  });
+  
+  const contentHash = hashContent({
+    screens: screens.map(s => [s.screenIndex, s.contentVersion]),
+    fallback: payload.fallback || null,
+    calendar: payload.calendar || null,
+    settings: payload.settings || null
+  });
+  
+  return { ...payload, screens, contentHash };
+}
+
+/**
+ * Store what a device reports it is running (from an ack)
+ * needs_update stays set if the device loaded something other than expectedHash
+ *
+ * @param report.contentHash - payload contentHash the device loaded
+ * @param report.screens - [{ screenIndex, contentVersion, publishId }]
+ */
+export async function recordRunningContent(client, deviceId, report = {}, expectedHash = null) {
+  const { contentHash = null, screens = [] } = report;
+  const now = new Date().toISOString();
+  
+  const { error } = await client
+    .from('devices')
+    .update({
+      needs_update: Boolean(contentHash && expectedHash && contentHash !== expectedHash),
+      last_update_received: now,
+      running_content_hash: contentHash,
+      content_reported_at: now
+    })
+    .eq('id', deviceId);
+  
+  if (error) throw error;
+  
+  for (const screen of screens) {
+    const { error: screenError } = await client
+      .from('screens')
+      .update({
+        running_content_version: screen.contentVersion || null,
+        running_publish_id: screen.publishId || null,
+        content_updated_at: now
+      })
+      .eq('device_id', deviceId)
+      .eq('screen_index', screen.screenIndex);
+    
+    if (screenError) throw screenError;
+  }
+  
+  return {
+    upToDate: !contentHash || !expectedHash || contentHash === expectedHash,
+    expectedHash
+  };
+}
+
+/**
+ * Convergence state of one device's targeted screens
+ * Screens running a later publish of the same menu count as converged
+ */
+export function getConvergenceState(screens, acceptedPublishIds, publishedAt, options = {}) {
+  const { staleAfterMinutes = DEFAULT_STALE_AFTER_MINUTES, now = new Date() } = options;
+  
+  if (screens.every(s => acceptedPublishIds.has(s.running_publish_id))) {
+    return ConvergenceState.CONVERGED;
+  }
+  
+  const age = now.getTime() - new Date(publishedAt).getTime();
+  return age > staleAfterMinutes * 60 * 1000 ? ConvergenceState.STALE : ConvergenceState.PENDING;
+}
+
+/**
+ * Report how many targeted devices run a publish
+ */
+export async function getPublishConvergence(client, publishId, options = {}) {
+  const { staleAfterMinutes = DEFAULT_STALE_AFTER_MINUTES, now = new Date() } = options;
+  
+  // 1. The publish and any later publishes of the same menu
+  const { data: publish, error } = await client
+    .from('publish_history')
+    .select('id, menu_id, version, snapshot, published_at')
+    .eq('id', publishId)
+    .single();
+  
+  if (error) throw error;
+  
+  const { data: later, error: laterError } = await client
+    .from('publish_history')
+    .select('id')
+    .eq('menu_id', publish.menu_id)
+    .gt('published_at', publish.published_at);
+  
+  if (laterError) throw laterError;
+  
+  const accepted = new Set([publish.id, ...(later || []).map(p => p.id)]);
+  
+  // 2. Screens showing the published layouts (directly or by daypart)
+  const layoutIds = (publish.snapshot || []).map(l => l.id);
+  let screens = [];
+  
+  if (layoutIds.length > 0) {
+    const { data, error: screenError } = await client
+      .from('screens')
+      .select(`
+        id, screen_index, assigned_layout_id,
+        running_publish_id, running_content_version, content_updated_at,
+        device:devices (id, name, status, location_id, last_heartbeat, last_update_received)
+      `)
+      .or(await getScreenLayoutFilter(client, layoutIds));
+    
+    if (screenError) throw screenError;
+    screens = data || [];
+  }
+  
+  // 3. Group by device and classify
+  const byDevice = new Map();
+  for (const screen of screens) {
+    if (!screen.device) continue;
+    if (!byDevice.has(screen.device.id)) {
+      byDevice.set(screen.device.id, { device: screen.device, screens: [] });
+    }
+    byDevice.get(screen.device.id).screens.push(screen);
+  }
+  
+  const devices = [...byDevice.values()].map(({ device, screens: deviceScreens }) => ({
+    id: device.id,
+    name: device.name,
+    status: device.status,
+    locationId: device.location_id,
+    lastHeartbeat: device.last_heartbeat,
+    lastUpdateReceived: device.last_update_received,
+    state: getConvergenceState(deviceScreens, accepted, publish.published_at, { staleAfterMinutes, now }),
+    screens: deviceScreens
+      .sort((a, b) => a.screen_index - b.screen_index)
+      .map(s => ({
+        id: s.id,
+        screenIndex: s.screen_index,
+        layoutId: s.assigned_layout_id,
+        runningPublishId: s.running_publish_id,
+        runningContentVersion: s.running_content_version,
+        contentUpdatedAt: s.content_updated_at,
+        converged: accepted.has(s.running_publish_id)
+      }))
+  }));
+  
+  const summary = { targeted: devices.length };
+  for (const state of Object.values(ConvergenceState)) {
+    summary[state] = devices.filter(d => d.state === state).length;
+  }
+  
+  return {
+    publishId: publish.id,
+    menuId: publish.menu_id,
+    version: publish.version,
+    publishedAt: publish.published_at,
+    staleAfterMinutes,
+    summary,
+    devices
+  };
+}
+
+export default {
+  ConvergenceState,
+  DEFAULT_STALE_AFTER_MINUTES,
+  stableStringify,
+  hashContent,
+  withContentVersions,
+  recordRunningContent,
+  getConvergenceState,
+  getPublishConvergence
+};
@@ -0,0 +1,341 @@
+/**
+ * Dayparts
+ *
+ * A screen can switch layouts by weekday and time of day (breakfast /
+ * lunch / dinner) instead of being reassigned by hand.
+ *
+ * CRITICAL:
+ * - Times are wall-clock times in the device location's timezone
+ * - Outside every daypart the screen shows its assigned layout or playlist
+ * - A daypart switches to a layout_id OR a playlist_id
+ * - Overlaps: highest priority wins, then the later start
+ * - end_time <= start_time runs past midnight into the next day
+ * - Payloads carry the upcoming transitions so players switch on time
+ *   even while offline
+ */
+
+import { getZonedParts, zonedTimeToUtc, isValidTimeZone, DEFAULT_TIMEZONE } from './timezones.js';
+import { PLAYLIST_FIELDS, getPlaylistIdsForLayouts } from './playlists.js';
+
+// How far ahead transitions are resolved into the payload
+export const DAYPART_HORIZON_HOURS = 48;
+
+const TIME_PATTERN = /^(\d{2}):(\d{2})(?::(\d{2}))?$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * "HH:mm[:ss]" → minutes after midnight (null if invalid)
+ */
+export function parseTimeOfDay(value) {
+  const match = typeof value === 'string' && value.match(TIME_PATTERN);
+  if (!match) return null;
+  
+  const hour = Number(match[1]);
+  const minute = Number(match[2]);
+  if (hour > 23 || minute > 59) return null;
+  
+  return hour * 60 + minute;
+}
+
+/**
+ * Validate a daypart from the API ({ layoutId | playlistId, days, startTime, endTime, priority })
+ */
+export function validateDaypart(data) {
+  const errors = [];
+  
+  if (Boolean(data.layoutId) === Boolean(data.playlistId)) {
+    errors.push('Exactly one of layoutId or playlistId is required');
+  }
+  
+  const days = data.days === undefined ? [0, 1, 2, 3, 4, 5, 6] : data.days;
+  if (!Array.isArray(days) || days.length === 0 || !days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+    errors.push('days must be a non-empty list of weekdays 0-6 (0 = Sunday)');
+  }
+  
+  const start = parseTimeOfDay(data.startTime);
+  const end = parseTimeOfDay(data.endTime);
+  if (start === null || end === null) {
+    errors.push('startTime and endTime must be HH:mm');
+  } else if (start === end) {
+    errors.push('startTime and endTime must differ');
+  }
+  
+  if (data.priority !== undefined && !Number.isInteger(data.priority)) {
+    errors.push('priority must be an integer');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Is a daypart row active at a local weekday/minute?
+ */
+export function isDaypartActive(daypart, weekday, minutes) {
+  const start = parseTimeOfDay(daypart.start_time);
+  const end = parseTimeOfDay(daypart.end_time);
+  const days = daypart.days || [];
+  
+  if (start < end) {
+    return days.includes(weekday) && minutes >= start && minutes < end;
+  }
+  
+  // Past midnight: the evening on its own day, the early hours of the next
+  return (days.includes(weekday) && minutes >= start) ||
+    (days.includes((weekday + 6) % 7) && minutes < end);
+}
+
+/**
+ * The daypart in effect at an instant (null = the screen's own assignment)
+ */
+export function getActiveDaypart(dayparts, date, timeZone) {
+  const local = getZonedParts(date, timeZone);
+  const minutes = local.hour * 60 + local.minute;
+  
+  const active = dayparts
+    .filter(d => isDaypartActive(d, local.weekday, minutes))
+    .sort((a, b) => (b.priority || 0) - (a.priority || 0) ||
+      parseTimeOfDay(b.start_time) - parseTimeOfDay(a.start_time));
+  
+  return active[0] || null;
+}
+
+/**
+ * Every instant in (from, until] at which some daypart starts or ends
+ */
+function getBoundaries(dayparts, from, until, timeZone) {
+  const first = getZonedParts(from, timeZone);
+  const days = Math.ceil((until - from) / DAY_MS) + 1;
+  const instants = new Map();
+  
+  for (let offset = -1; offset <= days; offset++) {
+    const date = new Date(Date.UTC(first.year, first.month - 1, first.day + offset));
+    const day = date.toISOString().slice(0, 10);
+    
+    for (const daypart of dayparts) {
+      for (const time of [daypart.start_time, daypart.end_time]) {
+        const at = zonedTimeToUtc(`${day}T${time.slice(0, 5)}`, timeZone);
+        if (at > from && at <= until) instants.set(at.getTime(), at);
+      }
+    }
+  }
+  
+  return [...instants.values()].sort((a, b) => a - b);
+}
+
+/**
+ * Resolve a screen's dayparts at `now` and over the horizon
+ *
+ * Returns { current, transitions: [{ at, daypart }] } where daypart is the
+ * row in effect from `at` on (null = the screen's own assignment). Only
+ * instants where the layout or playlist actually changes are listed.
+ */
+export function resolveDayparts(dayparts, options = {}) {
+  const {
+    timeZone = DEFAULT_TIMEZONE,
+    now = new Date(),
+    horizonHours = DAYPART_HORIZON_HOURS
+  } = options;
+  
+  const current = getActiveDaypart(dayparts, now, timeZone);
+  const until = new Date(now.getTime() + horizonHours * 60 * 60 * 1000);
+  const transitions = [];
+  const contentId = daypart => daypart?.playlist_id || daypart?.layout_id || null;
+  let previousContentId = contentId(current);
+  
+  for (const at of getBoundaries(dayparts, now, until, timeZone)) {
+    const daypart = getActiveDaypart(dayparts, at, timeZone);
+    
+    if (contentId(daypart) !== previousContentId) {
+      transitions.push({ at: at.toISOString(), daypart });
+      previousContentId = contentId(daypart);
+    }
+  }
+  
+  return { current, transitions };
+}
+
+/**
+ * Load dayparts for screens, each with its layout (or playlist) and menu embedded
+ * Returns Map of screenId → dayparts
+ */
+export async function getScreenDayparts(client, screenIds) {
+  const byScreen = new Map();
+  if (!screenIds || screenIds.length === 0) return byScreen;
+  
+  const { data, error } = await client
+    .from('screen_dayparts')
+    .select(`
+      *,
+      layout:layouts (
+        id,
+        menu:menus (id, status, version, name, current_publish_id)
+      ),
+      playlist:playlists (${PLAYLIST_FIELDS})
+    `)
+    .in('screen_id', screenIds);
+  
+  if (error) throw error;
+  
+  for (const daypart of data || []) {
+    if (!byScreen.has(daypart.screen_id)) byScreen.set(daypart.screen_id, []);
+    byScreen.get(daypart.screen_id).push(daypart);
+  }
+  
+  return byScreen;
+}
+
+/**
+ * Timezone dayparts are evaluated in: the device location, else the organization
+ */
+export async function getDeviceTimezone(client, device) {
+  if (device.location_id) {
+    const { data: location } = await client
+      .from('locations')
+      .select('timezone')
+      .eq('id', device.location_id)
+      .single();
+    
+    if (isValidTimeZone(location?.timezone)) return location.timezone;
+  }
+  
+  if (device.organization_id) {
+    const { data: organization } = await client
+      .from('organizations')
+      .select('timezone')
+      .eq('id', device.organization_id)
+      .single();
+    
+    if (isValidTimeZone(organization?.timezone)) return organization.timezone;
+  }
+  
+  return DEFAULT_TIMEZONE;
+}
+
+/**
+ * Swap in the daypart layout or playlist on each screen of a device
+ *
+ * Screens need layout:layouts(id, menu:menus(...)) and playlist embedded.
+ * Scheduled screens come back with `layout` / `playlist` set to what shows
+ * now, plus `timezone` and `transitions: [{ at, layout, playlist }]`.
+ */
+export async function applyDayparts(client, device, screens, options = {}) {
+  const dayparts = await getScreenDayparts(client, (screens || []).map(s => s.id));
+  if (dayparts.size === 0) return screens || [];
+  
+  const timeZone = await getDeviceTimezone(client, device);
+  
+  return screens.map(screen => {
+    const entries = dayparts.get(screen.id);
+    if (!entries) return screen;
+    
+    const { current, transitions } = resolveDayparts(entries, { ...options, timeZone });
+    const contentFor = daypart => (daypart
+      ? { layout: daypart.layout || null, playlist: daypart.playlist || null }
+      : { layout: screen.layout, playlist: screen.playlist || null });
+    
+    return {
+      ...screen,
+      ...contentFor(current),
+      timezone: timeZone,
+      transitions: transitions.map(t => ({ at: t.at, ...contentFor(t.daypart) }))
+    };
+  });
+}
+
+/**
+ * PostgREST filter for screens showing any of the layouts -
+ * assigned directly, through a playlist, or through a daypart
+ */
+export async function getScreenLayoutFilter(client, layoutIds) {
+  const filters = [`assigned_layout_id.in.(${layoutIds.join(',')})`];
+  if (layoutIds.length === 0) return filters[0];
+  
+  const playlistIds = await getPlaylistIdsForLayouts(client, layoutIds);
+  if (playlistIds.length > 0) {
+    filters.push(`assigned_playlist_id.in.(${playlistIds.join(',')})`);
+  }
+  
+  const daypartFilter = playlistIds.length > 0
+    ? `layout_id.in.(${layoutIds.join(',')}),playlist_id.in.(${playlistIds.join(',')})`
+    : `layout_id.in.(${layoutIds.join(',')})`;
+  
+  const { data, error } = await client
+    .from('screen_dayparts')
+    .select('screen_id')
+    .or(daypartFilter);
+  
+  if (error) throw error;
+  
+  const screenIds = [...new Set((data || []).map(d => d.screen_id))];
+  if (screenIds.length > 0) {
+    filters.push(`id.in.(${screenIds.join(',')})`);
+  }
+  
+  return filters.join(',');
+}
+
+/**
+ * Every layout each screen can show - its assigned layout or playlist items,
+ * plus the layouts and playlist items of its dayparts
+ * Screens need id, assigned_layout_id and assigned_playlist_id.
+ * Returns Map of screenId → layout IDs
+ */
+export async function getScreenLayoutIds(client, screens) {
+  const byScreen = new Map((screens || []).map(s => [s.id, new Set(s.assigned_layout_id ? [s.assigned_layout_id] : [])]));
+  if (byScreen.size === 0) return new Map();
+  
+  const { data: dayparts, error } = await client
+    .from('screen_dayparts')
+    .select('screen_id, layout_id, playlist_id')
+    .in('screen_id', [...byScreen.keys()]);
+  
+  if (error) throw error;
+  
+  const playlistIds = [...new Set([
+    ...screens.map(s => s.assigned_playlist_id),
+    ...(dayparts || []).map(d => d.playlist_id)
+  ].filter(Boolean))];
+  
+  const playlistLayouts = new Map();
+  if (playlistIds.length > 0) {
+    const { data: items, error: itemError } = await client
+      .from('playlist_items')
+      .select('playlist_id, layout_id')
+      .in('playlist_id', playlistIds);
+    
+    if (itemError) throw itemError;
+    
+    for (const item of items || []) {
+      if (!playlistLayouts.has(item.playlist_id)) playlistLayouts.set(item.playlist_id, []);
+      playlistLayouts.get(item.playlist_id).push(item.layout_id);
+    }
+  }
+  
+  const add = (screenId, layoutId, playlistId) => {
+    const layoutIds = byScreen.get(screenId);
+    if (layoutId) layoutIds.add(layoutId);
+    for (const id of playlistLayouts.get(playlistId) || []) layoutIds.add(id);
+  };
+  
+  for (const screen of screens) add(screen.id, null, screen.assigned_playlist_id);
+  for (const daypart of dayparts || []) add(daypart.screen_id, daypart.layout_id, daypart.playlist_id);
+  
+  return new Map([...byScreen].map(([id, layoutIds]) => [id, [...layoutIds]]));
+}
+
+export default {
+  DAYPART_HORIZON_HOURS,
+  parseTimeOfDay,
+  validateDaypart,
+  isDaypartActive,
+  getActiveDaypart,
+  resolveDayparts,
+  getScreenDayparts,
+  getDeviceTimezone,
+  applyDayparts,
+  getScreenLayoutFilter,
+  getScreenLayoutIds
+};
@@ -0,0 +1,61 @@
+/**
+ * Fallback Content
+ *
+ * What a screen shows when nothing is published on it.
+ *
+ * Which menu:
+ * 1. The device's own fallback_menu_id
+ * 2. Otherwise the organization's default_fallback_menu_id
+ *
+ * Which layout (fallback menu layouts → device screens):
+ * - The fallback layout with the same screen_index as the screen
+ * - No match (fallback menu has fewer layouts): the fallback layout with
+ *   the lowest screen_index
+ * - Extra fallback layouts (more layouts than screens) are not shown
+ */
+
+export const FallbackSource = {
+  DEVICE: 'device',
+  ORGANIZATION: 'organization'
+};
+
+/**
+ * Work out which fallback menu applies to a device
+ * device needs organization_id and fallback_menu_id
+ * Returns { menuId, source } or null
+ */
+export async function getFallbackMenuRef(client, device) {
+  if (device.fallback_menu_id) {
+    return { menuId: device.fallback_menu_id, source: FallbackSource.DEVICE };
+  }
+  
+  if (!device.organization_id) return null;
+  
+  const { data: organization, error } = await client
+    .from('organizations')
+    .select('default_fallback_menu_id')
+    .eq('id', device.organization_id)
+    .single();
+  
+  if (error) throw error;
+  
+  return organization?.default_fallback_menu_id
+    ? { menuId: organization.default_fallback_menu_id, source: FallbackSource.ORGANIZATION }
+    : null;
+}
+
+/**
+ * Pick the fallback snapshot layout for a screen
+ */
+export function selectFallbackLayout(snapshotLayouts, screenIndex) {
+  if (!snapshotLayouts || snapshotLayouts.length === 0) return null;
+  
+  const byIndex = [...snapshotLayouts].sort((a, b) => (a.screen_index || 0) - (b.screen_index || 0));
+  return byIndex.find(l => l.screen_index === screenIndex) || byIndex[0];
+}
+
+export default {
+  FallbackSource,
+  getFallbackMenuRef,
+  selectFallbackLayout
+};
@@ -6,3 +6,28 @@
 export { default as resolutionProfiles, RESOLUTIONS } from './resolutionProfiles.js';
 export { default as safeZones, SAFE_ZONES } from './safeZones.js';
 export { default as validators } from './validators.js';
+export { default as publishSnapshots } from './publishSnapshots.js';
+export { default as publishValidation } from './publishValidation.js';
+export { default as timezones } from './timezones.js';
+export { default as scheduledPublishes } from './scheduledPublishes.js';
+export { default as contentVersions } from './contentVersions.js';
+export { default as payloadDeltas } from './payloadDeltas.js';
+export { default as payloadSigning } from './payloadSigning.js';
+export { default as menuTakedown } from './menuTakedown.js';
+export { default as menuPublishing } from './menuPublishing.js';
+export { default as offlineBundles } from './offlineBundles.js';
+export { default as fallbackContent } from './fallbackContent.js';
+export { default as dayparts } from './dayparts.js';
+export { default as calendarExceptions } from './calendarExceptions.js';
+export { default as playlists } from './playlists.js';
+export { default as menuCatalog } from './menuCatalog.js';
+export { default as locationOverrides } from './locationOverrides.js';
+export { default as itemAvailability } from './itemAvailability.js';
+export { default as menuCompliance } from './menuCompliance.js';
+export { default as menuTranslations } from './menuTranslations.js';
+export { default as priceFormatting } from './priceFormatting.js';
+export { default as menuImport } from './menuImport.js';
+export { default as menuPackages } from './menuPackages.js';
+export { default as menuVersions } from './menuVersions.js';
+export { default as menuTemplates } from './menuTemplates.js';
+export { default as menuRestore } from './menuRestore.js';
@@ -0,0 +1,240 @@
+/**
+ * Live Item Availability ("86")
+ *
+ * Marks catalog items sold out at a location, from POS-Lite events or the
+ * manual toggle, until the end of the location's local day.
+ *
+ * CRITICAL:
+ * - Sold-out items stay on the board with soldOut: true, so the screen can
+ *   grey them out or hide them (see utils/menuCatalog.js)
+ * - Only availability events from POS-Lite act on anything; every other event
+ *   stays audit-only
+ * - Every mark keeps the time of the change that set it (event_at). Back in
+ *   stock is kept as a sold_out = false mark until the end of the day, so an
+ *   older event arriving late can't undo a newer change
+ * - Expired rows are ignored at payload build even before the scheduler clears them
+ */
+
+import { getLocalDate, zonedTimeToUtc } from './timezones.js';
+import { getDeviceTimezone } from './dayparts.js';
+import { flagLocationDevices } from './locationOverrides.js';
+
+export const AvailabilityEventType = {
+  OUT_OF_STOCK: 'availability.out_of_stock',
+  IN_STOCK: 'availability.in_stock'
+};
+
+export const AvailabilitySource = {
+  POS: 'pos-lite',
+  MANUAL: 'manual'
+};
+
+/**
+ * Is this a POS event that changes item availability?
+ */
+export function isAvailabilityEvent(event) {
+  return Object.values(AvailabilityEventType).includes(event.event_type);
+}
+
+/**
+ * The next local midnight after `now` in a timezone
+ */
+export function getEndOfLocalDay(now, timeZone) {
+  const [year, month, day] = getLocalDate(now, timeZone).split('-').map(Number);
+  const tomorrow = new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+  return zonedTimeToUtc(`${tomorrow}T00:00`, timeZone);
+}
+
+/**
+ * The item's current mark at a location, or null
+ */
+async function getAvailabilityMark(client, locationId, itemId) {
+  const { data, error } = await client
+    .from('item_availability')
+    .select('*')
+    .eq('location_id', locationId)
+    .eq('catalog_item_id', itemId)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Record a sold-out or back-in-stock mark, unless a newer change is already recorded
+ * Returns the row, or null when the change is older than the current mark
+ */
+async function setAvailabilityMark(client, location, itemId, soldOut, options) {
+  const { source = AvailabilitySource.MANUAL, reason = null, eventId = null, actorId = null, now = new Date() } = options;
+  
+  const current = await getAvailabilityMark(client, location.id, itemId);
+  if (current?.event_at && new Date(current.event_at) > now) return null;
+  
+  const timeZone = await getDeviceTimezone(client, { location_id: location.id, organization_id: location.organization_id });
+  
+  const { data, error } = await client
+    .from('item_availability')
+    .upsert({
+      organization_id: location.organization_id,
+      location_id: location.id,
+      catalog_item_id: itemId,
+      sold_out: soldOut,
+      source,
+      reason,
+      event_id: eventId,
+      set_by: actorId,
+      ...(soldOut && { sold_out_at: now.toISOString() }),
+      event_at: now.toISOString(),
+      reset_at: getEndOfLocalDay(now, timeZone).toISOString()
+    }, { onConflict: 'location_id,catalog_item_id' })
+    .select()
+    .single();
+  
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Mark an item sold out at a location until the end of its local day
+ * options.now is when it sold out (the event time for POS events)
+ * Returns the row, or null if the item changed again after options.now
+ */
+export async function setItemSoldOut(client, location, itemId, options = {}) {
+  return setAvailabilityMark(client, location, itemId, true, options);
+}
+
+/**
+ * Put an item back in stock at a location
+ * options.now is when it came back (the event time for POS events)
+ * Returns the row, or null if the item changed again after options.now
+ */
+export async function clearItemSoldOut(client, location, itemId, options = {}) {
+  return setAvailabilityMark(client, location, itemId, false, options);
+}
+
+/**
+ * Items sold out at a location right now, with their catalog names
+ */
+export async function listSoldOutItems(client, locationId, options = {}) {
+  const { now = new Date() } = options;
+  
+  const { data, error } = await client
+    .from('item_availability')
+    .select('*, item:catalog_items (id, name, category_id)')
+    .eq('location_id', locationId)
+    .eq('sold_out', true)
+    .gt('reset_at', now.toISOString())
+    .order('sold_out_at', { ascending: false });
+  
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Act on availability events logged through /api/mosm/events
+ * Only POS-Lite events count. The item is the event's resource_id (or
+ * payload.itemId) and must belong to the organization of the event's location.
+ * Events older than the item's current mark are skipped.
+ * Returns { applied, skipped: [{ eventId, reason }], affectedDevices }
+ */
+export async function applyAvailabilityEvents(client, events) {
+  const relevant = events
+    .filter(event => isAvailabilityEvent(event) && event.source_service === AvailabilitySource.POS)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  
+  const skipped = [];
+  const touched = new Set();
+  let applied = 0;
+  
+  for (const event of relevant) {
+    const itemId = event.resource_id || event.payload?.itemId;
+    if (!itemId) {
+      skipped.push({ eventId: event.id, reason: 'No item (resource_id)' });
+      continue;
+    }
+    
+    const [{ data: location }, { data: item }] = await Promise.all([
+      client.from('locations').select('id, organization_id').eq('id', event.location_id).single(),
+      client.from('catalog_items').select('id, organization_id').eq('id', itemId).single()
+    ]);
+    
+    if (!location || !item || item.organization_id !== location.organization_id) {
+      skipped.push({ eventId: event.id, reason: 'Unknown item for this location' });
+      continue;
+    }
+    
+    // One failing event must not stop the rest of the batch
+    let mark;
+    try {
+      const markOptions = {
+        source: event.source_service,
+        reason: event.payload?.reason || null,
+        eventId: event.id,
+        now: new Date(event.timestamp)
+      };
+      
+      mark = event.event_type === AvailabilityEventType.OUT_OF_STOCK
+        ? await setItemSoldOut(client, location, itemId, markOptions)
+        : await clearItemSoldOut(client, location, itemId, markOptions);
+    } catch (error) {
+      skipped.push({ eventId: event.id, reason: error.message });
+      continue;
+    }
+    
+    if (!mark) {
+      skipped.push({ eventId: event.id, reason: 'Older than the item\'s last availability change' });
+      continue;
+    }
+    
+    touched.add(location.id);
+    applied++;
+  }
+  
+  let affectedDevices = 0;
+  for (const locationId of touched) {
+    affectedDevices += await flagLocationDevices(client, locationId);
+  }
+  
+  return { applied, skipped, affectedDevices };
+}
+
+/**
+ * Clear marks whose day has ended and flag the devices of locations where
+ * sold-out items came back
+ * Run by the availability scheduler
+ * Returns [{ locationId, cleared, affectedDevices }]
+ */
+export async function resetExpiredAvailability(client, now = new Date()) {
+  const { data: expired, error } = await client
+    .from('item_availability')
+    .delete()
+    .lte('reset_at', now.toISOString())
+    .select('location_id, sold_out');
+  
+  if (error) throw error;
+  
+  const cleared = new Map();
+  (expired || []).filter(row => row.sold_out).forEach(row => cleared.set(row.location_id, (cleared.get(row.location_id) || 0) + 1));
+  
+  const results = [];
+  for (const [locationId, count] of cleared) {
+    results.push({
+      locationId,
+      cleared: count,
+      affectedDevices: await flagLocationDevices(client, locationId)
+    });
+  }
+  return results;
+}
+
+export default {
+  AvailabilityEventType,
+  AvailabilitySource,
+  isAvailabilityEvent,
+  getEndOfLocalDay,
+  setItemSoldOut,
+  clearItemSoldOut,
+  listSoldOutItems,
+  applyAvailabilityEvents,
+  resetExpiredAvailability
+};
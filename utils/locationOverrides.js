@@ -0,0 +1,113 @@
+/**
+ * Per-Location Item Overrides
+ *
+ * A location can change a catalog item's price and availability on top of
+ * the shared menu and catalog. Overrides are applied when the device payload
+ * is built for a device at that location.
+ *
+ * CRITICAL:
+ * - NULL override fields keep the catalog value
+ * - An item not available at a location is left out of category price lists
+ *   and marked available: false on elements bound to it directly
+ * - Devices without a location get the catalog values
+ */
+
+import { collectCatalogRefs, applyLocationOverride } from './menuCatalog.js';
+import { isValidPrice } from './validators.js';
+
+function isPrice(value) {
+  return typeof value === 'number' && isValidPrice(value);
+}
+
+/**
+ * Validate an override from the API ({ price, isAvailable })
+ * null clears a field back to the catalog value
+ */
+export function validateLocationOverride(data) {
+  const errors = [];
+  
+  if (data.price === undefined && data.isAvailable === undefined) {
+    errors.push('price or isAvailable is required');
+  }
+  
+  if (data.price !== undefined && data.price !== null && !isPrice(data.price)) {
+    errors.push('price must be a non-negative number with at most 2 decimals');
+  }
+  
+  if (data.isAvailable !== undefined && data.isAvailable !== null && typeof data.isAvailable !== 'boolean') {
+    errors.push('isAvailable must be true, false or null');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * A location's differences from the base menu / catalog
+ * options.menuId - only items the menu's layouts bind to (directly or by category)
+ * Returns [{ itemId, name, categoryId, base: { price, isAvailable }, location: { price, isAvailable } }]
+ */
+export async function getLocationDifferences(client, locationId, options = {}) {
+  const { menuId = null } = options;
+  
+  const { data: overrides, error } = await client
+    .from('location_item_overrides')
+    .select('*, item:catalog_items (id, name, category_id, price, is_active)')
+    .eq('location_id', locationId);
+  
+  if (error) throw error;
+  
+  let inMenu = () => true;
+  if (menuId) {
+    const { data: layouts, error: layoutError } = await client
+      .from('layouts')
+      .select('id, elements')
+      .eq('menu_id', menuId);
+    
+    if (layoutError) throw layoutError;
+    
+    const refs = collectCatalogRefs(layouts || []);
+    inMenu = item => refs.itemIds.includes(item.id) || refs.categoryIds.includes(item.category_id);
+  }
+  
+  return (overrides || [])
+    .filter(o => o.item && inMenu(o.item))
+    .map(o => {
+      const resolved = applyLocationOverride(o.item, o);
+      return {
+        itemId: o.item.id,
+        name: o.item.name,
+        categoryId: o.item.category_id,
+        base: { price: o.item.price, isAvailable: o.item.is_active },
+        location: { price: resolved.price, isAvailable: resolved.available },
+        updatedAt: o.updated_at
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Flag the devices at a location after its overrides change
+ * Returns the number of devices flagged
+ */
+export async function flagLocationDevices(client, locationId) {
+  const { data, error } = await client
+    .from('devices')
+    .update({
+      needs_update: true,
+      last_update_pushed: new Date().toISOString()
+    })
+    .eq('location_id', locationId)
+    .select('id');
+  
+  if (error) throw error;
+  return (data || []).length;
+}
+
+export default {
+  validateLocationOverride,
+  getLocationDifferences,
+  flagLocationDevices
+};
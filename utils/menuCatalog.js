@@ -0,0 +1,420 @@
+/**
+ * Menu Item Catalog
+ *
+ * Items, categories, prices and modifiers live once per organization;
+ * layout elements bind to them by ID and are filled in at payload build:
+ *
+ * - menu_item    { itemId }      name, description, price, image, modifiers,
+ *                                calories, allergens, dietaryTags
+ * - combo        { itemId }      title, items (the description), price, calories
+ * - menu_section { categoryId }  title
+ * - price_list   { categoryId }  items = the category's active items
+ *   price_list   items[].itemId  name, price, calories of that row
+ *
+ * CRITICAL:
+ * - Values are resolved live - a price change needs no republish
+ * - An element bound to a deleted item keeps the values baked into it
+ * - Unbound elements are served exactly as published
+ * - Prices are bound as numbers and formatted later (utils/priceFormatting.js)
+ * - Location overrides (utils/locationOverrides.js) apply on top
+ * - Sold-out ("86") items stay listed with soldOut: true (utils/itemAvailability.js)
+ */
+
+import { getPayloadLayouts } from './publishSnapshots.js';
+import { isValidPrice } from './validators.js';
+
+// Elements that can bind to a catalog item / category
+const ITEM_ELEMENT_TYPES = ['menu_item', 'combo'];
+const CATEGORY_ELEMENT_TYPES = ['menu_section', 'price_list'];
+
+// US major food allergens (FDA "Big 9")
+export const Allergens = ['milk', 'eggs', 'fish', 'shellfish', 'tree_nuts', 'peanuts', 'wheat', 'soybeans', 'sesame'];
+
+export const DietaryTags = ['vegan', 'vegetarian', 'gluten_free', 'dairy_free', 'nut_free', 'halal', 'kosher', 'spicy'];
+
+function isPrice(value) {
+  return typeof value === 'number' && isValidPrice(value);
+}
+
+function priceOf(price) {
+  return price === null || price === undefined ? null : Number(price);
+}
+
+/**
+ * Validate a catalog item from the API
+ * ({ name, description, price, imageUrl, categoryId, modifiers: [{ name, price }],
+ *    calories, allergens, dietaryTags, sortOrder, isActive })
+ * options.partial - only check the fields present (updates)
+ */
+export function validateCatalogItem(data, options = {}) {
+  const { partial = false } = options;
+  const errors = [];
+  
+  if ((!partial || data.name !== undefined) && (!data.name || typeof data.name !== 'string')) {
+    errors.push('name is required');
+  }
+  
+  if (data.price !== undefined && data.price !== null && !isPrice(data.price)) {
+    errors.push('price must be a non-negative number with at most 2 decimals');
+  }
+  
+  if (data.modifiers !== undefined) {
+    if (!Array.isArray(data.modifiers)) {
+      errors.push('modifiers must be a list');
+    } else {
+      data.modifiers.forEach((modifier, index) => {
+        if (!modifier?.name || typeof modifier.name !== 'string') {
+          errors.push(`modifiers[${index}]: name is required`);
+        }
+        if (modifier?.price !== undefined && modifier.price !== null && !isPrice(modifier.price)) {
+          errors.push(`modifiers[${index}]: price must be a non-negative number with at most 2 decimals`);
+        }
+      });
+    }
+  }
+  
+  if (data.calories !== undefined && data.calories !== null && !(Number.isInteger(data.calories) && data.calories >= 0)) {
+    errors.push('calories must be a non-negative whole number');
+  }
+  
+  for (const [field, allowed] of [['allergens', Allergens], ['dietaryTags', DietaryTags]]) {
+    if (data[field] === undefined) continue;
+    if (!Array.isArray(data[field])) {
+      errors.push(`${field} must be a list`);
+      continue;
+    }
+    const unknown = data[field].filter(v => !allowed.includes(v));
+    if (unknown.length > 0) {
+      errors.push(`Unknown ${field}: ${unknown.join(', ')} (allowed: ${allowed.join(', ')})`);
+    }
+  }
+  
+  if (data.sortOrder !== undefined && !Number.isInteger(data.sortOrder)) {
+    errors.push('sortOrder must be an integer');
+  }
+  
+  if (data.isActive !== undefined && typeof data.isActive !== 'boolean') {
+    errors.push('isActive must be true or false');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a catalog category from the API ({ name, description, sortOrder })
+ */
+export function validateCatalogCategory(data, options = {}) {
+  const { partial = false } = options;
+  const errors = [];
+  
+  if ((!partial || data.name !== undefined) && (!data.name || typeof data.name !== 'string')) {
+    errors.push('name is required');
+  }
+  
+  if (data.sortOrder !== undefined && !Number.isInteger(data.sortOrder)) {
+    errors.push('sortOrder must be an integer');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * API item → catalog_items columns (only the fields present)
+ */
+export function toCatalogItemRow(data) {
+  const row = {};
+  if (data.name !== undefined) row.name = data.name;
+  if (data.description !== undefined) row.description = data.description || null;
+  if (data.price !== undefined) row.price = data.price;
+  if (data.imageUrl !== undefined) row.image_url = data.imageUrl || null;
+  if (data.categoryId !== undefined) row.category_id = data.categoryId || null;
+  if (data.modifiers !== undefined) {
+    row.modifiers = data.modifiers.map(m => ({ name: m.name, price: m.price ?? null }));
+  }
+  if (data.calories !== undefined) row.calories = data.calories;
+  if (data.allergens !== undefined) row.allergens = data.allergens;
+  if (data.dietaryTags !== undefined) row.dietary_tags = data.dietaryTags;
+  if (data.sortOrder !== undefined) row.sort_order = data.sortOrder;
+  if (data.isActive !== undefined) row.is_active = data.isActive;
+  return row;
+}
+
+/**
+ * API category → catalog_categories columns (only the fields present)
+ */
+export function toCatalogCategoryRow(data) {
+  const row = {};
+  if (data.name !== undefined) row.name = data.name;
+  if (data.description !== undefined) row.description = data.description || null;
+  if (data.sortOrder !== undefined) row.sort_order = data.sortOrder;
+  return row;
+}
+
+/**
+ * Catalog item and category IDs referenced by a set of layouts
+ */
+export function collectCatalogRefs(layouts) {
+  const itemIds = new Set();
+  const categoryIds = new Set();
+  
+  for (const layout of layouts) {
+    for (const element of layout.elements || []) {
+      const data = element.data || {};
+      
+      if (ITEM_ELEMENT_TYPES.includes(element.type) && data.itemId) {
+        itemIds.add(data.itemId);
+      }
+      if (CATEGORY_ELEMENT_TYPES.includes(element.type) && data.categoryId) {
+        categoryIds.add(data.categoryId);
+      }
+      if (element.type === 'price_list' && !data.categoryId && Array.isArray(data.items)) {
+        data.items.forEach(row => row?.itemId && itemIds.add(row.itemId));
+      }
+    }
+  }
+  
+  return { itemIds: [...itemIds], categoryIds: [...categoryIds] };
+}
+
+/**
+ * A catalog item with a location's override applied
+ * Adds `available` (active and not switched off at the location)
+ */
+export function applyLocationOverride(item, override) {
+  const price = override && override.price !== null ? Number(override.price) : item.price;
+  const locationAvailable = override && override.is_available !== null ? override.is_available : true;
+  
+  return {
+    ...item,
+    price,
+    available: item.is_active !== false && locationAvailable
+  };
+}
+
+/**
+ * A location's overrides, keyed by catalog item ID
+ * itemIds - only these items (omit for all)
+ */
+export async function getLocationOverrides(client, locationId, itemIds = null) {
+  const overrides = new Map();
+  if (!locationId || (itemIds && itemIds.length === 0)) return overrides;
+  
+  let query = client
+    .from('location_item_overrides')
+    .select('*')
+    .eq('location_id', locationId);
+  
+  if (itemIds) {
+    query = query.in('catalog_item_id', itemIds);
+  }
+  
+  const { data, error } = await query;
+  if (error) throw error;
+  
+  (data || []).forEach(o => overrides.set(o.catalog_item_id, o));
+  return overrides;
+}
+
+/**
+ * IDs of items sold out ("86") at a location right now (see utils/itemAvailability.js)
+ */
+export async function getSoldOutItemIds(client, locationId, itemIds, now = new Date()) {
+  if (!locationId || itemIds.length === 0) return new Set();
+  
+  const { data, error } = await client
+    .from('item_availability')
+    .select('catalog_item_id')
+    .eq('location_id', locationId)
+    .in('catalog_item_id', itemIds)
+    .eq('sold_out', true)
+    .gt('reset_at', now.toISOString());
+  
+  if (error) throw error;
+  return new Set((data || []).map(r => r.catalog_item_id));
+}
+
+/**
+ * Load the catalog entries a set of layouts binds to
+ * options.locationId - apply that location's price / availability overrides
+ *   and mark its sold-out items soldOut
+ * Returns { items: Map<id, item>, categories: Map<id, category> } where each
+ * category carries its available items in display order
+ */
+export async function getCatalogForLayouts(client, organizationId, layouts, options = {}) {
+  const { locationId = null } = options;
+  const { itemIds, categoryIds } = collectCatalogRefs(layouts);
+  const items = new Map();
+  const categories = new Map();
+  
+  let itemRows = [];
+  let categoryRows = [];
+  
+  if (itemIds.length > 0) {
+    const { data, error } = await client
+      .from('catalog_items')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .in('id', itemIds);
+    
+    if (error) throw error;
+    itemRows = data || [];
+  }
+  
+  if (categoryIds.length > 0) {
+    const { data, error } = await client
+      .from('catalog_categories')
+      .select('*, items:catalog_items (*)')
+      .eq('organization_id', organizationId)
+      .in('id', categoryIds);
+    
+    if (error) throw error;
+    categoryRows = data || [];
+  }
+  
+  // One override lookup for every item in play
+  const allIds = [...new Set([...itemRows, ...categoryRows.flatMap(c => c.items || [])].map(i => i.id))];
+  const [overrides, soldOut] = await Promise.all([
+    getLocationOverrides(client, locationId, allIds),
+    getSoldOutItemIds(client, locationId, allIds)
+  ]);
+  const resolve = item => ({
+    ...applyLocationOverride(item, overrides.get(item.id)),
+    soldOut: soldOut.has(item.id)
+  });
+  
+  itemRows.forEach(item => items.set(item.id, resolve(item)));
+  
+  for (const category of categoryRows) {
+    category.items = (category.items || [])
+      .map(resolve)
+      .filter(i => i.available)
+      .sort((a, b) => a.sort_order - b.sort_order || a.name.localeCompare(b.name));
+    categories.set(category.id, category);
+  }
+  
+  return { items, categories };
+}
+
+// Availability flags for bound data (left off when the item is on sale as usual)
+function availabilityOf(item) {
+  return {
+    ...(!item.available && { available: false }),
+    ...(item.soldOut && { soldOut: true })
+  };
+}
+
+// Calorie count for bound data (left off when the catalog has none)
+function caloriesOf(item) {
+  return item.calories !== null && item.calories !== undefined ? { calories: item.calories } : {};
+}
+
+/**
+ * Fill one element's data from the catalog (elements without a binding come back as is)
+ */
+export function bindCatalogElement(element, catalog) {
+  const data = element.data || {};
+  
+  if (ITEM_ELEMENT_TYPES.includes(element.type) && data.itemId) {
+    const item = catalog.items.get(data.itemId);
+    if (!item) return element;
+    
+    const bound = element.type === 'combo'
+      ? { title: item.name, items: item.description || '', price: priceOf(item.price), ...caloriesOf(item) }
+      : {
+        name: item.name,
+        description: item.description || '',
+        price: priceOf(item.price),
+        modifiers: (item.modifiers || []).map(m => ({ name: m.name, price: priceOf(m.price) })),
+        ...caloriesOf(item),
+        allergens: item.allergens || [],
+        dietaryTags: item.dietary_tags || [],
+        ...(item.image_url && { image: item.image_url })
+      };
+    
+    return { ...element, data: { ...data, ...bound, ...availabilityOf(item) } };
+  }
+  
+  if (CATEGORY_ELEMENT_TYPES.includes(element.type) && data.categoryId) {
+    const category = catalog.categories.get(data.categoryId);
+    if (!category) return element;
+    
+    const bound = element.type === 'menu_section'
+      ? { title: category.name }
+      : { items: category.items.map(i => ({ itemId: i.id, name: i.name, price: priceOf(i.price), ...caloriesOf(i), ...availabilityOf(i) })) };
+    
+    return { ...element, data: { ...data, ...bound } };
+  }
+  
+  if (element.type === 'price_list' && Array.isArray(data.items) && data.items.some(row => row?.itemId)) {
+    const items = data.items.map(row => {
+      const item = row?.itemId ? catalog.items.get(row.itemId) : null;
+      if (!item) return row;
+      return { ...row, name: item.name, price: priceOf(item.price), ...caloriesOf(item), ...availabilityOf(item) };
+    });
+    
+    return { ...element, data: { ...data, items } };
+  }
+  
+  return element;
+}
+
+/**
+ * Resolve catalog bindings in every layout of a device payload
+ * (screens, playlist items, daypart switches and the fallback).
+ * options.locationId - the device's location, for its overrides
+ * Payload layouts are built per request, so their elements are replaced in place.
+ */
+export async function bindPayloadCatalog(client, organizationId, payload, options = {}) {
+  const layouts = getPayloadLayouts(payload);
+  const catalog = await getCatalogForLayouts(client, organizationId, layouts, options);
+  
+  if (catalog.items.size === 0 && catalog.categories.size === 0) return payload;
+  
+  for (const layout of new Set(layouts)) {
+    layout.elements = (layout.elements || []).map(element => bindCatalogElement(element, catalog));
+  }
+  
+  return payload;
+}
+
+/**
+ * Flag the organization's devices after a catalog change
+ * (any board may bind to the item; unchanged content keeps its content hash)
+ * Returns the number of devices flagged
+ */
+export async function flagCatalogDevices(client, organizationId) {
+  const { data, error } = await client
+    .from('devices')
+    .update({
+      needs_update: true,
+      last_update_pushed: new Date().toISOString()
+    })
+    .eq('organization_id', organizationId)
+    .select('id');
+  
+  if (error) throw error;
+  return (data || []).length;
+}
+
+export default {
+  Allergens,
+  DietaryTags,
+  applyLocationOverride,
+  getLocationOverrides,
+  getSoldOutItemIds,
+  validateCatalogItem,
+  validateCatalogCategory,
+  toCatalogItemRow,
+  toCatalogCategoryRow,
+  collectCatalogRefs,
+  getCatalogForLayouts,
+  bindCatalogElement,
+  bindPayloadCatalog,
+  flagCatalogDevices
+};
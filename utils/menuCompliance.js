@@ -0,0 +1,177 @@
+/**
+ * Menu Compliance Rules
+ *
+ * Publish-time checks an organization opts into, e.g. US menu labeling:
+ * every priced item on a board must show its calories.
+ *
+ * organizations.compliance_rules = { "<rule>": "error" | "warning" | "off" }
+ *
+ * CRITICAL:
+ * - Rules not set by the organization are off
+ * - Catalog-bound elements are checked with the catalog values they will show
+ * - Findings use the publish validation shape (see utils/publishValidation.js)
+ */
+
+import { getCatalogForLayouts } from './menuCatalog.js';
+
+export const ComplianceRule = {
+  CALORIES_WITH_PRICE: 'calories_with_price'
+};
+
+export const ComplianceLevel = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  OFF: 'off'
+};
+
+function hasValue(value) {
+  return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+/**
+ * Validate an organization's rule settings from the API
+ */
+export function validateComplianceRules(rules) {
+  const errors = [];
+  
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    return { valid: false, errors: ['complianceRules must be an object of rule: level'] };
+  }
+  
+  for (const [rule, level] of Object.entries(rules)) {
+    if (!Object.values(ComplianceRule).includes(rule)) {
+      errors.push(`Unknown compliance rule: ${rule}`);
+    } else if (!Object.values(ComplianceLevel).includes(level)) {
+      errors.push(`${rule} must be one of: ${Object.values(ComplianceLevel).join(', ')}`);
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Priced entries an element shows, with whether a calorie count is visible
+ * Returns [{ label, rowIndex, hasCalories }]
+ */
+export function getPricedEntries(element, catalog) {
+  const data = element.data || {};
+  const showCalories = data.showCalories !== false;
+  const entry = (label, price, calories, rowIndex = null) => (hasValue(price)
+    ? [{ label, rowIndex, hasCalories: showCalories && hasValue(calories) }]
+    : []);
+  
+  if (element.type === 'menu_item' || element.type === 'combo') {
+    const item = data.itemId ? catalog.items.get(data.itemId) : null;
+    const label = item?.name || data.name || data.title || element.type;
+    return item
+      ? entry(label, item.price, item.calories)
+      : entry(label, data.price, data.calories);
+  }
+  
+  if (element.type === 'price_list') {
+    const category = data.categoryId ? catalog.categories.get(data.categoryId) : null;
+    if (category) {
+      return category.items.flatMap((item, index) => entry(item.name, item.price, item.calories, index));
+    }
+    
+    return (data.items || []).flatMap((row, index) => {
+      const item = row?.itemId ? catalog.items.get(row.itemId) : null;
+      return item
+        ? entry(item.name, item.price, item.calories, index)
+        : entry(row?.name || `Row ${index + 1}`, row?.price, row?.calories, index);
+    });
+  }
+  
+  return [];
+}
+
+/**
+ * Check layouts against an organization's rules (pure)
+ *
+ * @param layouts - layout rows (snake_case)
+ * @param rules - organizations.compliance_rules
+ * @param catalog - getCatalogForLayouts result
+ */
+export function checkLayoutsCompliance(layouts, rules = {}, catalog = { items: new Map(), categories: new Map() }) {
+  const errors = [];
+  const warnings = [];
+  
+  const caloriesLevel = rules[ComplianceRule.CALORIES_WITH_PRICE];
+  if (caloriesLevel === ComplianceLevel.ERROR || caloriesLevel === ComplianceLevel.WARNING) {
+    const target = caloriesLevel === ComplianceLevel.ERROR ? errors : warnings;
+    
+    for (const layout of layouts) {
+      (layout.elements || []).forEach((element, index) => {
+        for (const priced of getPricedEntries(element, catalog)) {
+          if (priced.hasCalories) continue;
+          
+          target.push({
+            severity: caloriesLevel,
+            code: 'MISSING_CALORIES',
+            rule: ComplianceRule.CALORIES_WITH_PRICE,
+            layoutId: layout.id,
+            layoutName: layout.name || null,
+            message: `"${priced.label}" has a price but no visible calorie count`,
+            elementIndex: index,
+            elementId: element.id || null,
+            elementType: element.type,
+            ...(priced.rowIndex !== null && { rowIndex: priced.rowIndex })
+          });
+        }
+      });
+    }
+  }
+  
+  return { errors, warnings };
+}
+
+/**
+ * An organization's compliance rules ({} if none)
+ */
+export async function getComplianceRules(client, organizationId) {
+  const { data, error } = await client
+    .from('organizations')
+    .select('compliance_rules')
+    .eq('id', organizationId)
+    .single();
+  
+  if (error) throw error;
+  return data?.compliance_rules || {};
+}
+
+/**
+ * Run the organization's compliance rules on a menu's layouts
+ * The organization comes from the layouts' menu_id
+ */
+export async function checkMenuCompliance(client, layouts) {
+  const menuId = layouts.find(l => l.menu_id)?.menu_id;
+  if (!menuId) return { errors: [], warnings: [] };
+  
+  const { data: menu, error } = await client
+    .from('menus')
+    .select('organization_id')
+    .eq('id', menuId)
+    .single();
+  
+  if (error) throw error;
+  
+  const rules = await getComplianceRules(client, menu.organization_id);
+  const active = Object.values(rules).some(level => level !== ComplianceLevel.OFF);
+  if (!active) return { errors: [], warnings: [] };
+  
+  const catalog = await getCatalogForLayouts(client, menu.organization_id, layouts);
+  return checkLayoutsCompliance(layouts, rules, catalog);
+}
+
+export default {
+  ComplianceRule,
+  ComplianceLevel,
+  validateComplianceRules,
+  getPricedEntries,
+  checkLayoutsCompliance,
+  getComplianceRules,
+  checkMenuCompliance
+};
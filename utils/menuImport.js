@@ -0,0 +1,340 @@
+/**
+ * Menu Import
+ *
+ * Builds a menu from an item list (CSV or JSON) instead of placing every
+ * element by hand. Each item becomes a menu_item element under a
+ * menu_section for its category, laid out in columns inside the safe zone
+ * of the chosen resolution; items that don't fit go onto more screens.
+ *
+ * CSV: header row, then one item per line
+ *   category,name,description,price,calories,image_url
+ *   Burgers,Classic Burger,"Beef, cheddar, pickles",9.99,650,https://...
+ * JSON: [{ category, name, description, price, calories, imageUrl }]
+ *
+ * CRITICAL:
+ * - A bad row is skipped and reported ({ row, field, message }); the
+ *   good rows are still imported
+ * - Rows are CSV line numbers (header = line 1), or 1-based array
+ *   positions for JSON
+ * - Prices are stored as numbers (see utils/priceFormatting.js)
+ */
+
+import { parsePrice } from './validators.js';
+import { RESOLUTIONS, getResolution, isPortrait } from './resolutionProfiles.js';
+import { getSafeRect, getRecommendedSafeZone } from './safeZones.js';
+
+export const ImportFormat = {
+  CSV: 'csv',
+  JSON: 'json'
+};
+
+export const MAX_IMPORT_ITEMS = 500;
+export const DEFAULT_IMPORT_CATEGORY = 'Menu';
+
+// Header spellings accepted for each field (lowercase, without spaces / _ / -)
+const FIELD_ALIASES = {
+  category: ['category', 'section', 'group'],
+  name: ['name', 'item', 'itemname', 'title'],
+  description: ['description', 'desc', 'details'],
+  price: ['price', 'cost', 'amount'],
+  calories: ['calories', 'cal', 'kcal'],
+  imageUrl: ['imageurl', 'image', 'img', 'photo', 'photourl']
+};
+
+// Element sizes at 1080 lines (scaled with the screen, like the editor defaults)
+const SECTION_HEIGHT = 80;
+const ITEM_HEIGHT = 120;
+const MIN_COLUMN_WIDTH = 560;
+const GAP = 20;
+
+/**
+ * Split CSV text into records (RFC 4180: quoted fields, "" escapes,
+ * line breaks inside quotes, CRLF). Returns [{ line, fields }] where line
+ * is the line the record starts on.
+ */
+export function parseCsv(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  
+  const endRecord = () => {
+    fields.push(field);
+    if (fields.some(f => f.trim() !== '')) records.push({ line: recordLine, fields });
+    fields = [];
+    field = '';
+  };
+  
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  
+  if (field !== '' || fields.length > 0) endRecord();
+  
+  return records;
+}
+
+/**
+ * The item field a CSV header names, or null
+ */
+function headerField(header) {
+  const key = header.toLowerCase().replace(/[\s_-]/g, '');
+  return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(key)) || null;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+/**
+ * Validate one raw row and turn it into an item
+ * Returns { item, errors } - errors: [{ field, message }]
+ */
+function toImportItem(raw) {
+  const errors = [];
+  const text = value => (isBlank(value) ? null : String(value).trim());
+  
+  const name = text(raw.name);
+  if (!name) errors.push({ field: 'name', message: 'name is required' });
+  
+  let price = null;
+  if (!isBlank(raw.price)) {
+    price = parsePrice(raw.price);
+    if (price === null) errors.push({ field: 'price', message: `"${raw.price}" is not a valid price` });
+  }
+  
+  let calories = null;
+  if (!isBlank(raw.calories)) {
+    calories = typeof raw.calories === 'number' ? raw.calories : (/^\s*\d+\s*$/.test(raw.calories) ? Number(raw.calories) : NaN);
+    if (!Number.isInteger(calories) || calories < 0) {
+      errors.push({ field: 'calories', message: 'calories must be a non-negative whole number' });
+    }
+  }
+  
+  const imageUrl = text(raw.imageUrl);
+  if (imageUrl && !/^https?:\/\/\S+$/i.test(imageUrl)) {
+    errors.push({ field: 'imageUrl', message: 'imageUrl must be an http(s) URL' });
+  }
+  
+  return {
+    item: {
+      category: text(raw.category) || DEFAULT_IMPORT_CATEGORY,
+      name,
+      description: text(raw.description) || '',
+      price,
+      calories,
+      imageUrl
+    },
+    errors
+  };
+}
+
+/**
+ * Raw rows of a CSV file: [{ row, values }]
+ */
+function csvRows(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header) {
+    return { rows: [], errors: [{ row: 1, field: null, message: 'The file is empty' }] };
+  }
+  
+  const fields = header.fields.map(headerField);
+  if (!fields.includes('name')) {
+    return { rows: [], errors: [{ row: header.line, field: 'name', message: 'The header has no name column' }] };
+  }
+  
+  const rows = records.map(record => ({
+    row: record.line,
+    values: Object.fromEntries(
+      fields.map((field, i) => [field, record.fields[i]]).filter(([field]) => field)
+    )
+  }));
+  
+  return { rows, errors: [] };
+}
+
+/**
+ * Parse and validate an item list
+ * input - CSV text, or an array of items (JSON)
+ * Returns { items, errors } - errors: [{ row, field, message }]
+ */
+export function parseImportItems(input, format) {
+  let rows;
+  
+  if (format === ImportFormat.CSV) {
+    if (typeof input !== 'string') {
+      return { items: [], errors: [{ row: null, field: null, message: 'csv must be the CSV text' }] };
+    }
+    const parsed = csvRows(input);
+    if (parsed.errors.length > 0) return { items: [], errors: parsed.errors };
+    rows = parsed.rows;
+  } else if (format === ImportFormat.JSON) {
+    if (!Array.isArray(input)) {
+      return { items: [], errors: [{ row: null, field: null, message: 'items must be an array' }] };
+    }
+    rows = input.map((values, i) => ({ row: i + 1, values }));
+  } else {
+    return { items: [], errors: [{ row: null, field: null, message: `format must be one of: ${Object.values(ImportFormat).join(', ')}` }] };
+  }
+  
+  if (rows.length > MAX_IMPORT_ITEMS) {
+    return { items: [], errors: [{ row: null, field: null, message: `At most ${MAX_IMPORT_ITEMS} items can be imported at once` }] };
+  }
+  
+  const items = [];
+  const errors = [];
+  
+  for (const { row, values } of rows) {
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      errors.push({ row, field: null, message: 'Each item must be an object' });
+      continue;
+    }
+    
+    const result = toImportItem(values);
+    if (result.errors.length > 0) {
+      result.errors.forEach(error => errors.push({ row, ...error }));
+    } else {
+      items.push(result.item);
+    }
+  }
+  
+  return { items, errors };
+}
+
+/**
+ * Is this a resolution profile key (see utils/resolutionProfiles.js)?
+ */
+export function isValidImportResolution(key) {
+  return Object.prototype.hasOwnProperty.call(RESOLUTIONS, key);
+}
+
+/**
+ * Items grouped by category, in the order categories first appear
+ */
+function groupByCategory(items) {
+  const groups = new Map();
+  for (const item of items) {
+    if (!groups.has(item.category)) groups.set(item.category, []);
+    groups.get(item.category).push(item);
+  }
+  return [...groups.entries()];
+}
+
+/**
+ * Lay imported items out as layouts for a resolution
+ * Each category starts with a menu_section; a section header always stays
+ * with its first item. Returns layout rows without menu_id:
+ * [{ screen_index, name, resolution, aspect_ratio, orientation, safe_zone, elements, background }]
+ */
+export function buildImportLayouts(items, resolutionKey) {
+  const res = getResolution(resolutionKey);
+  const safeZone = getRecommendedSafeZone(resolutionKey);
+  const rect = getSafeRect(res.w, res.h, safeZone);
+  const scale = Math.min(res.w, res.h) / 1080;
+  
+  const gap = Math.round(GAP * scale);
+  const sectionHeight = Math.round(SECTION_HEIGHT * scale);
+  const itemHeight = Math.round(ITEM_HEIGHT * scale);
+  const columns = Math.max(1, Math.floor((rect.width + gap) / (MIN_COLUMN_WIDTH * scale + gap)));
+  const columnWidth = Math.floor((rect.width - gap * (columns - 1)) / columns);
+  
+  const pages = [[]];
+  let column = 0;
+  let y = rect.y;
+  
+  // Move to the next column (or screen) unless height still fits in this one
+  const reserve = height => {
+    if (y + height <= rect.y + rect.height) return;
+    column++;
+    y = rect.y;
+    if (column >= columns) {
+      pages.push([]);
+      column = 0;
+    }
+  };
+  
+  const place = (element, height) => {
+    pages[pages.length - 1].push({
+      ...element,
+      x: rect.x + column * (columnWidth + gap),
+      y,
+      width: columnWidth,
+      height
+    });
+    y += height + gap;
+  };
+  
+  for (const [category, categoryItems] of groupByCategory(items)) {
+    reserve(sectionHeight + gap + itemHeight);
+    place({
+      type: 'menu_section',
+      name: category,
+      data: { title: category, showDivider: true },
+      style: { fontSize: Math.round(36 * scale), color: '#ffffff' }
+    }, sectionHeight);
+    
+    for (const item of categoryItems) {
+      reserve(itemHeight);
+      place({
+        type: 'menu_item',
+        name: item.name,
+        data: {
+          name: item.name,
+          description: item.description,
+          price: item.price,
+          image: item.imageUrl || '',
+          showImage: Boolean(item.imageUrl),
+          ...(item.calories !== null && { calories: item.calories })
+        },
+        style: { fontSize: Math.round(24 * scale), bgColor: 'rgba(0,0,0,0.6)' }
+      }, itemHeight);
+    }
+  }
+  
+  return pages.map((elements, i) => ({
+    screen_index: i + 1,
+    name: `Screen ${i + 1}`,
+    resolution: resolutionKey,
+    aspect_ratio: res.aspectRatio,
+    orientation: isPortrait(resolutionKey) ? 'portrait' : 'landscape',
+    safe_zone: safeZone,
+    elements,
+    background: { type: 'color', value: '#000000' }
+  }));
+}
+
+export default {
+  ImportFormat,
+  MAX_IMPORT_ITEMS,
+  DEFAULT_IMPORT_CATEGORY,
+  parseCsv,
+  parseImportItems,
+  isValidImportResolution,
+  buildImportLayouts
+};
@@ -0,0 +1,377 @@
+/**
+ * Menu Packages
+ *
+ * A menu moved between organizations as one portable JSON file: the menu,
+ * its layouts, every image they use from the menu-images bucket, and a
+ * manifest. Agencies build a menu once and import it into each client's
+ * organization.
+ *
+ * Package file (JSON):
+ * {
+ *   manifest: { format, version, exportedAt, source: { organizationId, menuId, menuVersion },
+ *               layouts, assets: [{ url, path, contentType, size, sha256 }], externalAssets: [url] },
+ *   menu: { name, tags, metadata, locales, translations },
+ *   layouts: [{ screen_index, name, resolution, aspect_ratio, orientation, safe_zone, elements, background }],
+ *   assets: { <sha256>: <base64> }
+ * }
+ *
+ * CRITICAL:
+ * - Imported images are uploaded to the target organization's folder and
+ *   every URL in the layouts is rewritten to the new copy
+ * - External image URLs are kept as they are
+ * - Only the image types and sizes netlify/functions/upload.js accepts are
+ *   carried as assets
+ * - Catalog bindings (itemId / categoryId) belong to the source
+ *   organization and are removed; elements keep their baked values
+ */
+
+import { createHash } from 'crypto';
+import { collectImageRefs, parseStorageUrl } from './publishValidation.js';
+import { MENU_IMAGES_BUCKET } from './offlineBundles.js';
+import { recordMenuVersion, VersionReason } from './menuVersions.js';
+
+export const PACKAGE_FORMAT = 'mosm-menu-package';
+export const PACKAGE_VERSION = 1;
+
+// Layout columns carried in a package (ids, menu and timestamps are new on import)
+const LAYOUT_FIELDS = ['screen_index', 'name', 'resolution', 'aspect_ratio', 'orientation', 'safe_zone', 'elements', 'background'];
+
+// Image types netlify/functions/upload.js accepts, with the extension they are stored under
+const ASSET_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/svg+xml': 'svg'
+};
+
+// Same limit as netlify/functions/upload.js
+const MAX_ASSET_BYTES = 10 * 1024 * 1024;
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Build the package of a menu
+ * Images that can't be downloaded stay as URLs in manifest.externalAssets
+ */
+export async function buildMenuPackage(client, menuId) {
+  const { data: menu, error: menuError } = await client
+    .from('menus')
+    .select('*')
+    .eq('id', menuId)
+    .single();
+  
+  if (menuError) throw menuError;
+  
+  const { data: layoutRows, error: layoutError } = await client
+    .from('layouts')
+    .select('*')
+    .eq('menu_id', menuId)
+    .order('screen_index');
+  
+  if (layoutError) throw layoutError;
+  
+  const urls = [...new Set(collectImageRefs(layoutRows || []).map(r => r.url))];
+  
+  const assets = {};
+  const manifestAssets = [];
+  const externalAssets = [];
+  
+  for (const url of urls) {
+    const ref = parseStorageUrl(url);
+    if (!ref || ref.bucket !== MENU_IMAGES_BUCKET) {
+      externalAssets.push(url);
+      continue;
+    }
+    
+    const { data: blob, error } = await client.storage
+      .from(ref.bucket)
+      .download(ref.path);
+    
+    // Files the target organization couldn't upload themselves stay as URLs
+    if (error || !blob || !ASSET_EXTENSIONS[blob.type] || blob.size > MAX_ASSET_BYTES) {
+      externalAssets.push(url);
+      continue;
+    }
+    
+    const buffer = Buffer.from(await blob.arrayBuffer());
+    const hash = sha256(buffer);
+    
+    assets[hash] = buffer.toString('base64');
+    manifestAssets.push({
+      url,
+      path: ref.path,
+      contentType: blob.type,
+      size: buffer.length,
+      sha256: hash
+    });
+  }
+  
+  const manifest = {
+    format: PACKAGE_FORMAT,
+    version: PACKAGE_VERSION,
+    exportedAt: new Date().toISOString(),
+    source: {
+      organizationId: menu.organization_id,
+      menuId: menu.id,
+      menuVersion: menu.version
+    },
+    layouts: (layoutRows || []).length,
+    assets: manifestAssets,
+    externalAssets
+  };
+  
+  return {
+    manifest,
+    menu: {
+      name: menu.name,
+      tags: menu.tags || [],
+      metadata: menu.metadata || {},
+      locales: menu.locales || [],
+      translations: menu.translations || {}
+    },
+    layouts: (layoutRows || []).map(layout => Object.fromEntries(LAYOUT_FIELDS.map(field => [field, layout[field]]))),
+    assets
+  };
+}
+
+/**
+ * Validate a package before import (format, version, asset paths, types,
+ * sizes and hashes)
+ */
+export function validateMenuPackage(pkg) {
+  const errors = [];
+  
+  if (!pkg || typeof pkg !== 'object') {
+    return { valid: false, errors: ['package must be a menu package object'] };
+  }
+  
+  const { manifest, menu, layouts, assets } = pkg;
+  
+  if (manifest?.format !== PACKAGE_FORMAT) {
+    errors.push(`manifest.format must be "${PACKAGE_FORMAT}"`);
+  } else if (manifest.version !== PACKAGE_VERSION) {
+    errors.push(`Unsupported package version ${manifest.version} (expected ${PACKAGE_VERSION})`);
+  }
+  
+  if (!menu || typeof menu.name !== 'string' || menu.name.trim() === '') {
+    errors.push('menu.name is required');
+  }
+  
+  if (!Array.isArray(layouts)) {
+    errors.push('layouts must be an array');
+  } else {
+    layouts.forEach((layout, i) => {
+      if (!layout || !Array.isArray(layout.elements)) errors.push(`layouts[${i}].elements must be an array`);
+    });
+  }
+  
+  const manifestAssets = manifest?.assets ?? [];
+  if (!Array.isArray(manifestAssets)) {
+    errors.push('manifest.assets must be an array');
+  }
+  
+  (Array.isArray(manifestAssets) ? manifestAssets : []).forEach((asset, i) => {
+    if (!asset || typeof asset.path !== 'string' || asset.path.trim() === '') {
+      errors.push(`manifest.assets[${i}].path must be a string`);
+      return;
+    }
+    
+    if (!ASSET_EXTENSIONS[asset.contentType]) {
+      errors.push(`Asset ${asset.path} has type ${asset.contentType}; allowed: ${Object.keys(ASSET_EXTENSIONS).join(', ')}`);
+      return;
+    }
+    
+    const data = assets?.[asset.sha256];
+    if (typeof data !== 'string') {
+      errors.push(`Asset ${asset.path} is missing from the package`);
+      return;
+    }
+    
+    const buffer = Buffer.from(data, 'base64');
+    if (buffer.length > MAX_ASSET_BYTES) {
+      errors.push(`Asset ${asset.path} is larger than 10MB`);
+    } else if (sha256(buffer) !== asset.sha256) {
+      errors.push(`Asset ${asset.path} does not match its hash`);
+    }
+  });
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Storage path for an imported asset, in the organization's folder
+ * (same naming as netlify/functions/upload.js; the extension follows the
+ * validated content type, not the name in the package)
+ */
+function assetPath(contentType, organizationId) {
+  const ext = ASSET_EXTENSIONS[contentType];
+  const random = Math.random().toString(36).substring(2, 8);
+  return `${organizationId}/${Date.now()}-${random}.${ext}`;
+}
+
+/**
+ * A value with every string found in urlMap replaced by its new URL
+ */
+function rewriteUrls(value, urlMap) {
+  if (typeof value === 'string') return urlMap.get(value) ?? value;
+  if (Array.isArray(value)) return value.map(v => rewriteUrls(v, urlMap));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, rewriteUrls(v, urlMap)]));
+  }
+  return value;
+}
+
+/**
+ * An element without catalog bindings of another organization
+ * Returns { element, unbound }
+ */
+function unbindElement(element) {
+  const data = element?.data;
+  if (!data) return { element, unbound: false };
+  
+  const rest = { ...data };
+  let unbound = Boolean(rest.itemId || rest.categoryId);
+  delete rest.itemId;
+  delete rest.categoryId;
+  
+  if (Array.isArray(rest.items)) {
+    rest.items = rest.items.map(row => {
+      if (!row?.itemId) return row;
+      unbound = true;
+      const copy = { ...row };
+      delete copy.itemId;
+      return copy;
+    });
+  }
+  
+  return unbound ? { element: { ...element, data: rest }, unbound } : { element, unbound };
+}
+
+/**
+ * Import a validated package as a new draft menu of an organization
+ * options: { organizationId, userId, name }
+ * Returns { menu, layouts, assets: <uploaded>, externalAssets, unboundElements }
+ */
+export async function importMenuPackage(client, pkg, options) {
+  const { organizationId, userId = null, name } = options;
+  const uploaded = [];
+  const urlMap = new Map();
+  
+  const removeUploads = () => uploaded.length > 0
+    ? client.storage.from(MENU_IMAGES_BUCKET).remove(uploaded)
+    : null;
+  
+  try {
+    for (const asset of pkg.manifest.assets || []) {
+      const path = assetPath(asset.contentType, organizationId);
+      const { error } = await client.storage
+        .from(MENU_IMAGES_BUCKET)
+        .upload(path, Buffer.from(pkg.assets[asset.sha256], 'base64'), {
+          contentType: asset.contentType,
+          upsert: false
+        });
+      
+      if (error) throw error;
+      uploaded.push(path);
+      
+      const { data: { publicUrl } } = client.storage
+        .from(MENU_IMAGES_BUCKET)
+        .getPublicUrl(path);
+      urlMap.set(asset.url, publicUrl);
+    }
+  } catch (error) {
+    await removeUploads();
+    throw error;
+  }
+  
+  let unboundElements = 0;
+  const layouts = pkg.layouts.map(layout => ({
+    ...Object.fromEntries(LAYOUT_FIELDS.map(field => [field, layout[field]])),
+    elements: rewriteUrls(layout.elements, urlMap).map(element => {
+      const result = unbindElement(element);
+      if (result.unbound) unboundElements++;
+      return result.element;
+    }),
+    background: rewriteUrls(layout.background, urlMap)
+  }));
+  
+  const now = new Date().toISOString();
+  
+  const { data: menu, error: menuError } = await client
+    .from('menus')
+    .insert({
+      name: name || pkg.menu.name,
+      status: 'draft',
+      version: 1,
+      organization_id: organizationId,
+      created_by: userId,
+      last_edited_by: userId,
+      tags: pkg.menu.tags || [],
+      metadata: {
+        ...pkg.menu.metadata,
+        imported_from: {
+          organization_id: pkg.manifest.source?.organizationId || null,
+          menu_id: pkg.manifest.source?.menuId || null,
+          exported_at: pkg.manifest.exportedAt || null
+        }
+      },
+      locales: pkg.menu.locales || [],
+      translations: pkg.menu.translations || {},
+      created_at: now,
+      updated_at: now
+    })
+    .select()
+    .single();
+  
+  if (menuError) {
+    await removeUploads();
+    throw menuError;
+  }
+  
+  let layoutRows = [];
+  if (layouts.length > 0) {
+    const { data, error } = await client
+      .from('layouts')
+      .insert(layouts.map(layout => ({ ...layout, menu_id: menu.id, created_at: now, updated_at: now })))
+      .select();
+    
+    if (error) {
+      // Don't leave a half-imported menu behind
+      await client.from('menus').delete().eq('id', menu.id);
+      await removeUploads();
+      throw error;
+    }
+    layoutRows = data;
+  }
+  
+  // Version 1 of the imported menu, so the first edit has something to diff against
+  try {
+    await recordMenuVersion(client, menu.id, { userId, reason: VersionReason.MENU_CREATED, version: menu.version });
+  } catch (error) {
+    await client.from('menus').delete().eq('id', menu.id);
+    await removeUploads();
+    throw error;
+  }
+  
+  return {
+    menu,
+    layouts: layoutRows,
+    assets: uploaded.length,
+    externalAssets: pkg.manifest.externalAssets || [],
+    unboundElements
+  };
+}
+
+export default {
+  PACKAGE_FORMAT,
+  PACKAGE_VERSION,
+  buildMenuPackage,
+  validateMenuPackage,
+  importMenuPackage
+};
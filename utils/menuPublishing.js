@@ -0,0 +1,263 @@
+/**
+ * Menu Publishing
+ *
+ * The one way a menu goes live: validate its layouts, freeze them into a
+ * publish_history snapshot, point the menu at it and flag every device that
+ * shows one of the layouts, or the menu as a fallback or calendar exception.
+ * Used by /api/publish/menu/:id, /api/menus/:id/publish, restore (republish)
+ * and review approval.
+ *
+ * CRITICAL:
+ * - Only owners and managers of the menu's organization publish directly
+ * - With organizations.settings.requirePublishReview on, a menu version must
+ *   be approved (publish_reviews) before it can be published or scheduled
+ * - A menu without layouts can't be published
+ * - Validation errors block; warnings block unless options.overrideWarnings
+ * - options.dryRun reports what would happen without writing anything
+ */
+
+import { createSnapshot } from './publishSnapshots.js';
+import { checkMenuForPublish, getPublishBlock } from './publishValidation.js';
+import { clearLocationPublishes } from './scheduledPublishes.js';
+import { getScreenLayoutFilter } from './dayparts.js';
+import { getMenuFallbackDeviceIds } from './menuTakedown.js';
+
+// Roles with UserPermissions.canPublishMenus
+export const PUBLISH_ROLES = ['owner', 'manager'];
+
+function publishDenied(message, status = 403) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Does the organization publish only through approved reviews?
+ */
+export async function isReviewRequired(client, organizationId) {
+  const { data, error } = await client
+    .from('organizations')
+    .select('settings')
+    .eq('id', organizationId)
+    .single();
+  
+  if (error) throw error;
+  return data?.settings?.requirePublishReview === true;
+}
+
+/**
+ * Check that a user may publish a menu directly (throws with .status)
+ * profile: { role, organization_id }; menu: { id, organization_id, version }
+ */
+export async function assertCanPublish(client, profile, menu) {
+  if (!profile || !PUBLISH_ROLES.includes(profile.role) || profile.organization_id !== menu.organization_id) {
+    throw publishDenied('Forbidden. Publishing requires owner or manager role. Submit the menu for review instead');
+  }
+  
+  if (!(await isReviewRequired(client, menu.organization_id))) return;
+  
+  const { data: approved, error } = await client
+    .from('publish_reviews')
+    .select('id')
+    .eq('menu_id', menu.id)
+    .eq('version', menu.version)
+    .eq('status', 'approved')
+    .limit(1)
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  if (!approved) {
+    throw publishDenied(`Publishing requires an approved review of version ${menu.version}. Submit the menu for review`, 409);
+  }
+}
+
+/**
+ * Work out which screens, devices and locations show any of the given layouts
+ * With menuId, devices showing the menu as a fallback or through a calendar
+ * exception are included too
+ */
+export async function getPublishImpact(client, layoutIds, menuId = null) {
+  // Screens assigned the layouts directly or through a daypart
+  const { data: screens, error } = await client
+    .from('screens')
+    .select(`
+      id, name, screen_index, assigned_layout_id,
+      device:devices (id, name, status, location_id)
+    `)
+    .or(await getScreenLayoutFilter(client, layoutIds));
+  
+  if (error) throw error;
+  
+  const devices = new Map();
+  for (const screen of (screens || [])) {
+    if (screen.device) devices.set(screen.device.id, screen.device);
+  }
+  
+  const fallbackIds = menuId
+    ? (await getMenuFallbackDeviceIds(client, menuId)).filter(id => !devices.has(id))
+    : [];
+  
+  if (fallbackIds.length > 0) {
+    const { data: fallbackDevices, error: fallbackError } = await client
+      .from('devices')
+      .select('id, name, status, location_id')
+      .in('id', fallbackIds);
+    
+    if (fallbackError) throw fallbackError;
+    (fallbackDevices || []).forEach(d => devices.set(d.id, d));
+  }
+  
+  const locationIds = [...new Set([...devices.values()].map(d => d.location_id).filter(Boolean))];
+  let locations = [];
+  if (locationIds.length > 0) {
+    const { data, error: locationError } = await client
+      .from('locations')
+      .select('id, name, timezone')
+      .in('id', locationIds);
+    
+    if (locationError) throw locationError;
+    locations = data || [];
+  }
+  
+  return {
+    screens: (screens || []).map(s => ({
+      id: s.id,
+      name: s.name,
+      screenIndex: s.screen_index,
+      layoutId: s.assigned_layout_id,
+      deviceId: s.device?.id || null
+    })),
+    devices: [...devices.values()].map(d => ({
+      id: d.id,
+      name: d.name,
+      status: d.status,
+      locationId: d.location_id
+    })),
+    locations
+  };
+}
+
+/**
+ * Publish a menu: freeze a snapshot of its layouts and flag affected devices
+ * Returns { menu, publishRecord, affectedDevices, validation }
+ * (or the impact preview when options.dryRun)
+ */
+export async function publishMenu(client, menuId, userId, options = {}) {
+  // 1. Get the menu
+  const { data: menu, error: menuError } = await client
+    .from('menus')
+    .select('*')
+    .eq('id', menuId)
+    .single();
+  
+  if (menuError) throw menuError;
+  
+  // 2. Get all layouts for the menu
+  const { data: layouts, error: layoutError } = await client
+    .from('layouts')
+    .select('*')
+    .eq('menu_id', menuId);
+  
+  if (layoutError) throw layoutError;
+  
+  if (!layouts || layouts.length === 0) {
+    const error = new Error('Menu has no layouts to publish');
+    error.status = 400;
+    throw error;
+  }
+  
+  // 3. Validate before anything is written
+  const validation = await checkMenuForPublish(client, layouts);
+  const block = getPublishBlock(validation, options.overrideWarnings);
+  
+  // Dry run: report the blast radius and stop
+  if (options.dryRun) {
+    const impact = await getPublishImpact(client, layouts.map(l => l.id), menuId);
+    return {
+      dryRun: true,
+      menu,
+      version: menu.version,
+      canPublish: !block,
+      blockedReason: block ? block.message : null,
+      validation,
+      ...impact
+    };
+  }
+  
+  if (block) throw block;
+  
+  // 4. Update menu status to published
+  const { data: publishedMenu, error: publishError } = await client
+    .from('menus')
+    .update({
+      status: 'published',
+      last_published_at: new Date().toISOString(),
+      last_published_by: userId,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', menuId)
+    .select()
+    .single();
+  
+  if (publishError) throw publishError;
+  
+  // 5. Create publish history record with a frozen snapshot of every layout
+  const { data: publishRecord, error: recordError } = await client
+    .from('publish_history')
+    .insert({
+      menu_id: menuId,
+      version: publishedMenu.version,
+      published_by: userId,
+      layout_count: layouts.length,
+      snapshot: createSnapshot(layouts),
+      published_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+  
+  if (recordError) throw recordError;
+  
+  // 6. Point devices at the new snapshot
+  const { error: currentError } = await client
+    .from('menus')
+    .update({ current_publish_id: publishRecord.id })
+    .eq('id', menuId);
+  
+  if (currentError) throw currentError;
+  publishedMenu.current_publish_id = publishRecord.id;
+  
+  // An immediate publish replaces what scheduled publishes left at each location
+  await clearLocationPublishes(client, menuId);
+  
+  // 7. Find and mark affected devices
+  const impact = await getPublishImpact(client, layouts.map(l => l.id), menuId);
+  const deviceIds = impact.devices.map(d => d.id);
+  
+  if (deviceIds.length > 0) {
+    const { error: deviceError } = await client
+      .from('devices')
+      .update({
+        needs_update: true,
+        last_update_pushed: new Date().toISOString()
+      })
+      .in('id', deviceIds);
+    
+    if (deviceError) throw deviceError;
+  }
+  
+  return {
+    menu: publishedMenu,
+    publishRecord,
+    affectedDevices: deviceIds.length,
+    validation
+  };
+}
+
+export default {
+  PUBLISH_ROLES,
+  isReviewRequired,
+  assertCanPublish,
+  getPublishImpact,
+  publishMenu
+};
@@ -0,0 +1,202 @@
+/**
+ * Menu Restore
+ *
+ * Roll a menu back to an earlier published version: the publish_history
+ * snapshot is written back over the live layouts (same IDs), recorded as a
+ * menu version and, in republish mode, published again. Used by
+ * /api/publish/restore/:menuId and publishService.restoreVersion.
+ *
+ * CRITICAL:
+ * - Callers check who may restore; a republish also follows the publish
+ *   rules (owner/manager, no direct publish when review is required)
+ * - Republish is validated before any layout is touched
+ * - Layouts added after the restored version are deleted, unless a screen,
+ *   daypart or playlist still shows them - then the restore is refused
+ */
+
+import { restoreLayoutRow } from './publishSnapshots.js';
+import { checkMenuForPublish, getPublishBlock } from './publishValidation.js';
+import { publishMenu } from './menuPublishing.js';
+import { recordMenuVersion, VersionReason } from './menuVersions.js';
+
+export const RestoreMode = {
+  DRAFT: 'draft',
+  REPUBLISH: 'republish'
+};
+
+function restoreError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * What still shows any of the layouts: screen assignments, dayparts and playlist items
+ * Returns { screens, dayparts, playlistItems } (rows with the layout ID they reference)
+ */
+export async function getLayoutReferences(client, layoutIds) {
+  if (!layoutIds || layoutIds.length === 0) {
+    return { screens: [], dayparts: [], playlistItems: [] };
+  }
+  
+  const { data: screens, error: screenError } = await client
+    .from('screens')
+    .select('id, name, assigned_layout_id')
+    .in('assigned_layout_id', layoutIds);
+  
+  if (screenError) throw screenError;
+  
+  const { data: dayparts, error: daypartError } = await client
+    .from('screen_dayparts')
+    .select('id, screen_id, layout_id')
+    .in('layout_id', layoutIds);
+  
+  if (daypartError) throw daypartError;
+  
+  const { data: playlistItems, error: itemError } = await client
+    .from('playlist_items')
+    .select('id, playlist_id, layout_id')
+    .in('layout_id', layoutIds);
+  
+  if (itemError) throw itemError;
+  
+  return {
+    screens: screens || [],
+    dayparts: dayparts || [],
+    playlistItems: playlistItems || []
+  };
+}
+
+/**
+ * Restore a menu's layouts from the publish of an earlier version
+ * options: { version, mode: 'draft' | 'republish', reason, overrideWarnings }
+ * Returns { menu, rollback, publishRecord, affectedDevices }
+ */
+export async function restoreMenuVersion(client, menuId, userId, options = {}) {
+  const { version, mode = RestoreMode.DRAFT, reason = null, overrideWarnings = false } = options;
+  
+  if (!Number.isInteger(version)) {
+    throw restoreError('version is required', 400);
+  }
+  
+  if (!Object.values(RestoreMode).includes(mode)) {
+    throw restoreError('mode must be draft or republish', 400);
+  }
+  
+  // 1. Find the publish snapshot for that version (latest if published twice)
+  const { data: target, error: targetError } = await client
+    .from('publish_history')
+    .select('*')
+    .eq('menu_id', menuId)
+    .eq('version', version)
+    .order('published_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  
+  if (targetError) throw targetError;
+  
+  if (!target || !target.snapshot || target.snapshot.length === 0) {
+    throw restoreError(`Version ${version} has no publish snapshot to restore`, 404);
+  }
+  
+  // Validate before touching live layouts if this will be republished
+  if (mode === RestoreMode.REPUBLISH) {
+    const validation = await checkMenuForPublish(
+      client,
+      target.snapshot.map(l => ({ ...l, menu_id: menuId }))
+    );
+    const block = getPublishBlock(validation, overrideWarnings);
+    if (block) throw block;
+  }
+  
+  // 2. Layouts that did not exist in that version go - unless something still shows them
+  const { data: currentLayouts, error: layoutError } = await client
+    .from('layouts')
+    .select('id')
+    .eq('menu_id', menuId);
+  
+  if (layoutError) throw layoutError;
+  
+  const restoredIds = new Set(target.snapshot.map(l => l.id));
+  const removedIds = (currentLayouts || []).filter(l => !restoredIds.has(l.id)).map(l => l.id);
+  
+  const references = await getLayoutReferences(client, removedIds);
+  const referenceCount = references.screens.length + references.dayparts.length + references.playlistItems.length;
+  
+  if (referenceCount > 0) {
+    const error = restoreError(
+      `Layouts added after version ${version} are still in use ` +
+      `(${references.screens.length} screens, ${references.dayparts.length} dayparts, ` +
+      `${references.playlistItems.length} playlist items). Reassign them before restoring`,
+      409
+    );
+    error.references = references;
+    throw error;
+  }
+  
+  if (removedIds.length > 0) {
+    const { error: deleteError } = await client
+      .from('layouts')
+      .delete()
+      .in('id', removedIds);
+    
+    if (deleteError) throw deleteError;
+  }
+  
+  // 3. Write the snapshot back over the live layouts (same IDs)
+  const { error: upsertError } = await client
+    .from('layouts')
+    .upsert(target.snapshot.map(l => restoreLayoutRow(l, menuId)), { onConflict: 'id' });
+  
+  if (upsertError) throw upsertError;
+  
+  // 4. Restoring is an edit - recording it bumps the menu version
+  await recordMenuVersion(client, menuId, { userId, reason: VersionReason.RESTORED });
+  
+  let { data: menu, error: menuError } = await client
+    .from('menus')
+    .select('*')
+    .eq('id', menuId)
+    .single();
+  
+  if (menuError) throw menuError;
+  
+  // 5. Republish if requested
+  let publishResult = null;
+  if (mode === RestoreMode.REPUBLISH) {
+    publishResult = await publishMenu(client, menuId, userId, { overrideWarnings });
+    menu = publishResult.menu;
+  }
+  
+  // 6. Record who rolled back and why
+  const { data: rollback, error: rollbackError } = await client
+    .from('publish_rollbacks')
+    .insert({
+      menu_id: menuId,
+      restored_publish_id: target.id,
+      restored_version: target.version,
+      new_version: menu.version,
+      mode,
+      publish_id: publishResult?.publishRecord.id || null,
+      reason,
+      rolled_back_by: userId,
+      rolled_back_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+  
+  if (rollbackError) throw rollbackError;
+  
+  return {
+    menu,
+    rollback,
+    publishRecord: publishResult?.publishRecord || null,
+    affectedDevices: publishResult?.affectedDevices || 0
+  };
+}
+
+export default {
+  RestoreMode,
+  getLayoutReferences,
+  restoreMenuVersion
+};
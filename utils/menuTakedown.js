@@ -0,0 +1,182 @@
+/**
+ * Menu Takedown
+ *
+ * Unpublish (→ draft) and archive must reach the screens just like a publish:
+ * work out which devices show the menu, flag them needs_update, and let the
+ * payload move each screen to the device fallback or a blank "closed" state.
+ *
+ * Every screen in a device payload has a state:
+ * - live:     { state: 'live', layout, menu: { id, name, version, publishId } }
+ * - fallback: { state: 'fallback', layout, menu: { ... the fallback menu } }
+ * - closed:   { state: 'closed', layout: null, menu: null }
+ */
+
+import { clearLocationPublishes } from './scheduledPublishes.js';
+import { getScreenLayoutFilter } from './dayparts.js';
+import { getCalendarMenuDeviceIds } from './calendarExceptions.js';
+
+export const ScreenState = {
+  LIVE: 'live',
+  FALLBACK: 'fallback',
+  CLOSED: 'closed'
+};
+
+export const TakedownStatus = ['draft', 'archived'];
+
+/**
+ * Payload entry for a screen with nothing published on it
+ * fallback: { layout, menu } from the device fallback menu, or null
+ */
+export function toUnpublishedScreen(screen, fallback = null) {
+  return {
+    screenIndex: screen.screen_index,
+    resolution: screen.resolution,
+    orientation: screen.orientation,
+    state: fallback ? ScreenState.FALLBACK : ScreenState.CLOSED,
+    layout: fallback ? fallback.layout : null,
+    menu: fallback ? fallback.menu : null
+  };
+}
+
+/**
+ * Devices that show a menu without a screen assignment: those using it as
+ * their fallback (their own or the org default) and those under a calendar
+ * exception that shows it
+ */
+export async function getMenuFallbackDeviceIds(client, menuId) {
+  const { data: fallbackDevices, error: fallbackError } = await client
+    .from('devices')
+    .select('id')
+    .eq('fallback_menu_id', menuId);
+  
+  if (fallbackError) throw fallbackError;
+  
+  // Organizations using the menu as their default fallback reach every
+  // device without a fallback of its own
+  const { data: organizations, error: orgError } = await client
+    .from('organizations')
+    .select('id')
+    .eq('default_fallback_menu_id', menuId);
+  
+  if (orgError) throw orgError;
+  
+  let defaultFallbackDevices = [];
+  if (organizations && organizations.length > 0) {
+    const { data, error: defaultError } = await client
+      .from('devices')
+      .select('id')
+      .in('organization_id', organizations.map(o => o.id))
+      .is('fallback_menu_id', null);
+    
+    if (defaultError) throw defaultError;
+    defaultFallbackDevices = data || [];
+  }
+  
+  const calendarDeviceIds = await getCalendarMenuDeviceIds(client, menuId);
+  
+  return [...new Set([
+    ...(fallbackDevices || []).map(d => d.id),
+    ...defaultFallbackDevices.map(d => d.id),
+    ...calendarDeviceIds
+  ])];
+}
+
+/**
+ * Devices a takedown reaches: screens showing the menu's layouts (directly or by daypart)
+ * and the devices showing it as a fallback or through a calendar exception
+ */
+export async function getTakedownImpact(client, menuId) {
+  const { data: layouts, error: layoutError } = await client
+    .from('layouts')
+    .select('id')
+    .eq('menu_id', menuId);
+  
+  if (layoutError) throw layoutError;
+  
+  let screens = [];
+  const layoutIds = (layouts || []).map(l => l.id);
+  
+  if (layoutIds.length > 0) {
+    const { data, error } = await client
+      .from('screens')
+      .select('id, name, screen_index, assigned_layout_id, device_id')
+      .or(await getScreenLayoutFilter(client, layoutIds));
+    
+    if (error) throw error;
+    screens = data || [];
+  }
+  
+  const deviceIds = [...new Set([
+    ...screens.map(s => s.device_id),
+    ...(await getMenuFallbackDeviceIds(client, menuId))
+  ])];
+  
+  return {
+    screens: screens.map(s => ({
+      id: s.id,
+      name: s.name,
+      screenIndex: s.screen_index,
+      layoutId: s.assigned_layout_id,
+      deviceId: s.device_id
+    })),
+    deviceIds
+  };
+}
+
+/**
+ * Take a menu off the screens (unpublish → draft, or archive)
+ * Location publishes are cleared so a later publish starts clean.
+ */
+export async function takeDownMenu(client, menuId, status = 'draft') {
+  if (!TakedownStatus.includes(status)) {
+    const error = new Error(`Cannot take a menu down to status ${status}`);
+    error.status = 400;
+    throw error;
+  }
+  
+  // 1. Work out the affected screens before anything changes
+  const impact = await getTakedownImpact(client, menuId);
+  
+  // 2. Stop serving the menu
+  const { data: menu, error } = await client
+    .from('menus')
+    .update({
+      status,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', menuId)
+    .select()
+    .single();
+  
+  if (error) throw error;
+  
+  await clearLocationPublishes(client, menuId);
+  
+  // 3. Flag devices so they pick up the fallback / closed payload
+  if (impact.deviceIds.length > 0) {
+    const { error: deviceError } = await client
+      .from('devices')
+      .update({
+        needs_update: true,
+        last_update_pushed: new Date().toISOString()
+      })
+      .in('id', impact.deviceIds);
+    
+    if (deviceError) throw deviceError;
+  }
+  
+  return {
+    menu,
+    affectedDevices: impact.deviceIds.length,
+    screens: impact.screens
+  };
+}
+
+export default {
+  ScreenState,
+  TakedownStatus,
+  toUnpublishedScreen,
+  getMenuFallbackDeviceIds,
+  getTakedownImpact,
+  takeDownMenu
+};
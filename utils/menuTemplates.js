@@ -0,0 +1,254 @@
+/**
+ * Menu Templates
+ *
+ * Starter menus for each organization type (organizations.organization_type,
+ * see migration 004). A template is content only - sections and their rows -
+ * and its layouts are generated for the resolution the menu is created for,
+ * the same way imported menus are (utils/menuImport.js).
+ *
+ * CRITICAL:
+ * - Templates are built into the app; there is no templates table
+ * - A menu created from a template is an ordinary draft - editing it
+ *   never changes the template
+ * - Every organization type has a template new organizations of that
+ *   type get on signup (DEFAULT_TEMPLATES)
+ */
+
+import { buildImportLayouts } from './menuImport.js';
+
+export const OrganizationType = {
+  RESTAURANT: 'restaurant',
+  CHURCH: 'church',
+  SCHOOL: 'school',
+  VENUE: 'venue',
+  HOSPITALITY: 'hospitality',
+  RETAIL: 'retail',
+  OTHER: 'other'
+};
+
+// Resolution profiles templates are offered in (keys of RESOLUTIONS)
+export const TEMPLATE_RESOLUTIONS = ['720p', '1080p', '4k', '1080p_portrait', '4k_portrait'];
+export const DEFAULT_TEMPLATE_RESOLUTION = '1080p';
+
+const ALL_TYPES = Object.values(OrganizationType);
+
+/**
+ * Template rows: [category, name, description, price, calories]
+ */
+function rows(list) {
+  return list.map(([category, name, description = '', price = null, calories = null]) => ({
+    category, name, description, price, calories, imageUrl: null
+  }));
+}
+
+export const MENU_TEMPLATES = [
+  {
+    id: 'restaurant-classic',
+    name: 'Classic Menu Board',
+    description: 'Burgers, sides and drinks with prices and calories',
+    organizationTypes: [OrganizationType.RESTAURANT, OrganizationType.VENUE],
+    items: rows([
+      ['Burgers', 'Classic Burger', 'Beef patty, cheddar, lettuce, tomato', 9.99, 650],
+      ['Burgers', 'Bacon Burger', 'Smoked bacon, cheddar, house sauce', 11.49, 820],
+      ['Burgers', 'Veggie Burger', 'Black bean patty, avocado, greens', 10.49, 540],
+      ['Sides', 'Fries', 'Sea salt', 3.49, 380],
+      ['Sides', 'Onion Rings', 'Beer battered', 4.29, 450],
+      ['Sides', 'Side Salad', 'Mixed greens, vinaigrette', 3.99, 120],
+      ['Drinks', 'Fountain Drink', 'Regular or diet', 2.49, 200],
+      ['Drinks', 'Milkshake', 'Vanilla, chocolate or strawberry', 5.49, 760]
+    ])
+  },
+  {
+    id: 'cafe-coffee-bar',
+    name: 'Coffee Bar',
+    description: 'Espresso drinks, tea and pastries',
+    organizationTypes: [OrganizationType.RESTAURANT, OrganizationType.HOSPITALITY, OrganizationType.RETAIL],
+    items: rows([
+      ['Coffee', 'Drip Coffee', 'House blend', 2.75, 5],
+      ['Coffee', 'Latte', 'Espresso, steamed milk', 4.75, 190],
+      ['Coffee', 'Cappuccino', 'Espresso, milk foam', 4.50, 120],
+      ['Coffee', 'Cold Brew', 'Steeped 18 hours', 4.25, 5],
+      ['Tea', 'Hot Tea', 'Black, green or herbal', 2.50, 0],
+      ['Tea', 'Chai Latte', 'Spiced tea, steamed milk', 4.50, 240],
+      ['Pastries', 'Croissant', 'Butter', 3.25, 270],
+      ['Pastries', 'Blueberry Muffin', 'Baked daily', 3.50, 420]
+    ])
+  },
+  {
+    id: 'hospitality-dining-hours',
+    name: 'Dining & Amenities',
+    description: 'Restaurant hours and guest services for the lobby screen',
+    organizationTypes: [OrganizationType.HOSPITALITY],
+    items: rows([
+      ['Dining', 'Breakfast', '6:30 AM - 10:30 AM, Lobby Restaurant'],
+      ['Dining', 'Lunch', '11:30 AM - 2:00 PM, Lobby Restaurant'],
+      ['Dining', 'Dinner', '5:00 PM - 10:00 PM, Rooftop Grill'],
+      ['Dining', 'Room Service', 'Daily until 11:00 PM - dial 0'],
+      ['Amenities', 'Pool', '7:00 AM - 9:00 PM, Level 3'],
+      ['Amenities', 'Fitness Center', 'Open 24 hours with your room key'],
+      ['Amenities', 'Business Center', 'Printing and meeting rooms, Level 2']
+    ])
+  },
+  {
+    id: 'venue-concessions',
+    name: 'Concessions Stand',
+    description: 'Snacks, drinks and combos for stadiums and theaters',
+    organizationTypes: [OrganizationType.VENUE],
+    items: rows([
+      ['Snacks', 'Popcorn', 'Regular or large', 6.50, 600],
+      ['Snacks', 'Hot Dog', 'All-beef, choice of toppings', 7.00, 420],
+      ['Snacks', 'Nachos', 'Tortilla chips, cheese sauce, jalapeños', 8.00, 750],
+      ['Snacks', 'Soft Pretzel', 'With mustard', 6.00, 480],
+      ['Drinks', 'Soda', 'Refillable cup', 5.50, 250],
+      ['Drinks', 'Bottled Water', '', 4.00, 0],
+      ['Combos', 'Game Day Combo', 'Hot dog, popcorn and a soda', 16.00, 1270]
+    ])
+  },
+  {
+    id: 'church-welcome',
+    name: 'Welcome & Service Times',
+    description: 'Service times, this week\'s events and ways to connect',
+    organizationTypes: [OrganizationType.CHURCH],
+    items: rows([
+      ['Service Times', 'Sunday Worship', '9:00 AM and 11:00 AM, Sanctuary'],
+      ['Service Times', 'Wednesday Bible Study', '7:00 PM, Fellowship Hall'],
+      ['This Week', 'Youth Group', 'Friday 6:30 PM, Youth Room'],
+      ['This Week', 'Community Dinner', 'Saturday 5:00 PM - all are welcome'],
+      ['Connect', 'First Time Here?', 'Stop by the Welcome Center in the lobby'],
+      ['Connect', 'Give Online', 'Visit our website or use the app']
+    ])
+  },
+  {
+    id: 'school-cafeteria',
+    name: 'Cafeteria Lunch Menu',
+    description: 'Today\'s entrées, sides and drinks with student prices',
+    organizationTypes: [OrganizationType.SCHOOL],
+    items: rows([
+      ['Entrées', 'Cheese Pizza', 'Whole-grain crust', 3.25, 310],
+      ['Entrées', 'Chicken Sandwich', 'Grilled chicken, whole-wheat bun', 3.50, 390],
+      ['Entrées', 'Bean & Cheese Burrito', 'With salsa', 3.00, 360],
+      ['Sides', 'Garden Salad', 'Ranch or Italian', 1.25, 90],
+      ['Sides', 'Fresh Fruit', 'Apple, orange or banana', 0.75, 80],
+      ['Drinks', 'Milk', '1% or fat-free chocolate', 0.60, 110],
+      ['Drinks', 'Bottled Water', '', 1.00, 0]
+    ])
+  },
+  {
+    id: 'school-announcements',
+    name: 'Daily Announcements',
+    description: 'Bell schedule, events and reminders for hallway screens',
+    organizationTypes: [OrganizationType.SCHOOL],
+    items: rows([
+      ['Bell Schedule', 'First Period', '8:00 AM - 8:50 AM'],
+      ['Bell Schedule', 'Lunch', '11:45 AM - 12:25 PM'],
+      ['Bell Schedule', 'Dismissal', '3:15 PM'],
+      ['Events', 'Science Fair', 'Thursday in the gym'],
+      ['Events', 'Home Game', 'Friday 7:00 PM - go team!'],
+      ['Reminders', 'Picture Day', 'Next Tuesday - order forms due Monday']
+    ])
+  },
+  {
+    id: 'retail-specials',
+    name: 'Specials & Price Board',
+    description: 'Featured products and this week\'s deals',
+    organizationTypes: [OrganizationType.RETAIL],
+    items: rows([
+      ['Featured', 'New Arrivals', 'Just in this week', 24.99],
+      ['Featured', 'Best Seller', 'Customer favorite', 19.99],
+      ['This Week\'s Deals', 'Buy One Get One', 'On select items', 9.99],
+      ['This Week\'s Deals', 'Clearance', 'Up to 50% off', 4.99],
+      ['Services', 'Gift Wrapping', 'At the front counter', 2.00]
+    ])
+  },
+  {
+    id: 'general-info-board',
+    name: 'Information Board',
+    description: 'Hours, notices and contact details for any lobby or front desk',
+    organizationTypes: ALL_TYPES,
+    items: rows([
+      ['Hours', 'Monday - Friday', '8:00 AM - 6:00 PM'],
+      ['Hours', 'Saturday', '9:00 AM - 2:00 PM'],
+      ['Hours', 'Sunday', 'Closed'],
+      ['Notices', 'Welcome!', 'Please check in at the front desk'],
+      ['Contact', 'Questions?', 'Ask any team member or call us']
+    ])
+  }
+];
+
+// First menu of a new organization, by organization type
+export const DEFAULT_TEMPLATES = {
+  [OrganizationType.RESTAURANT]: 'restaurant-classic',
+  [OrganizationType.CHURCH]: 'church-welcome',
+  [OrganizationType.SCHOOL]: 'school-cafeteria',
+  [OrganizationType.VENUE]: 'venue-concessions',
+  [OrganizationType.HOSPITALITY]: 'hospitality-dining-hours',
+  [OrganizationType.RETAIL]: 'retail-specials',
+  [OrganizationType.OTHER]: 'general-info-board'
+};
+
+/**
+ * Is this one of the organization types templates are keyed by?
+ */
+export function isValidOrganizationType(type) {
+  return ALL_TYPES.includes(type);
+}
+
+/**
+ * Template list entry (without its rows)
+ */
+export function toTemplateSummary(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    description: template.description,
+    organizationTypes: template.organizationTypes,
+    resolutions: TEMPLATE_RESOLUTIONS,
+    categories: [...new Set(template.items.map(i => i.category))],
+    itemCount: template.items.length
+  };
+}
+
+/**
+ * Templates, optionally for one organization type and resolution
+ */
+export function getTemplates(options = {}) {
+  const { organizationType, resolution } = options;
+  if (resolution && !TEMPLATE_RESOLUTIONS.includes(resolution)) return [];
+  
+  return MENU_TEMPLATES.filter(t => !organizationType || t.organizationTypes.includes(organizationType));
+}
+
+/**
+ * A template by ID, or null
+ */
+export function getTemplate(templateId) {
+  return MENU_TEMPLATES.find(t => t.id === templateId) || null;
+}
+
+/**
+ * The template a new organization of this type starts with
+ */
+export function getDefaultTemplate(organizationType) {
+  return getTemplate(DEFAULT_TEMPLATES[organizationType] || DEFAULT_TEMPLATES[OrganizationType.OTHER]);
+}
+
+/**
+ * Layout rows (without menu_id) of a template at a resolution
+ */
+export function buildTemplateLayouts(template, resolution = DEFAULT_TEMPLATE_RESOLUTION) {
+  return buildImportLayouts(template.items, resolution);
+}
+
+export default {
+  OrganizationType,
+  TEMPLATE_RESOLUTIONS,
+  DEFAULT_TEMPLATE_RESOLUTION,
+  MENU_TEMPLATES,
+  DEFAULT_TEMPLATES,
+  isValidOrganizationType,
+  toTemplateSummary,
+  getTemplates,
+  getTemplate,
+  getDefaultTemplate,
+  buildTemplateLayouts
+};
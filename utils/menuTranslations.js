@@ -0,0 +1,404 @@
+/**
+ * Menu Translations
+ *
+ * Translated strings for menus and layout elements, resolved per screen
+ * locale when the device payload is built.
+ *
+ * elements[i].translations = { "<locale>": { "<field>": "..." } }
+ * menus.translations = { "<locale>": { name } }
+ *
+ * CRITICAL:
+ * - Element strings are stored in the layout, so they go live with a publish
+ * - A missing string shows the element's own (source) value, never a blank
+ * - Runs after catalog binding, so a translated name wins over the catalog name
+ * - Devices only receive translations for the locales their screens alternate to
+ */
+
+import { getPayloadLayouts } from './publishSnapshots.js';
+
+/**
+ * Translatable fields per element type
+ * text content is on the element, the rest in element.data.
+ * ticker messages and price_list items translate as lists, row by row.
+ */
+export const TRANSLATABLE_FIELDS = {
+  text: ['content'],
+  menu_item: ['name', 'description'],
+  menu_section: ['title'],
+  combo: ['title', 'badge', 'items'],
+  category_header: ['title', 'subtitle'],
+  ticker: ['messages'],
+  price_list: ['items']
+};
+
+const LIST_FIELDS = {
+  ticker: ['messages'],
+  price_list: ['items']
+};
+
+// BCP 47 language with an optional script or region: es, fr-CA, zh-Hant
+const LOCALE_PATTERN = /^[a-z]{2,3}(-([A-Z][a-z]{3}|[A-Z]{2}|\d{3}))?$/;
+
+export const MIN_LOCALE_INTERVAL_SECONDS = 3;
+
+function hasValue(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function isListField(type, field) {
+  return (LIST_FIELDS[type] || []).includes(field);
+}
+
+/**
+ * Is this a locale code we accept (e.g. es, fr-CA)?
+ */
+export function isValidLocale(locale) {
+  return typeof locale === 'string' && LOCALE_PATTERN.test(locale);
+}
+
+/**
+ * Validate a screen / device locale setting from the API
+ * { locale, alternateLocales, localeInterval } - all optional
+ */
+export function validateLocaleSettings(data) {
+  const errors = [];
+  
+  if (data.locale !== undefined && data.locale !== null && !isValidLocale(data.locale)) {
+    errors.push(`locale must be a language code like "en" or "fr-CA"`);
+  }
+  
+  if (data.alternateLocales !== undefined) {
+    if (!Array.isArray(data.alternateLocales)) {
+      errors.push('alternateLocales must be an array of language codes');
+    } else {
+      data.alternateLocales
+        .filter(locale => !isValidLocale(locale))
+        .forEach(locale => errors.push(`Invalid alternate locale: ${locale}`));
+    }
+  }
+  
+  if (data.localeInterval !== undefined) {
+    if (!Number.isInteger(data.localeInterval) || data.localeInterval < MIN_LOCALE_INTERVAL_SECONDS) {
+      errors.push(`localeInterval must be a whole number of seconds, at least ${MIN_LOCALE_INTERVAL_SECONDS}`);
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * The source (untranslated) strings of an element, by field
+ * List fields are arrays of strings (price_list: the row names)
+ */
+export function getSourceStrings(element) {
+  const fields = TRANSLATABLE_FIELDS[element.type] || [];
+  const data = element.data || {};
+  const strings = {};
+  
+  for (const field of fields) {
+    if (element.type === 'text') {
+      strings[field] = element[field];
+    } else if (element.type === 'price_list') {
+      strings[field] = (data.items || []).map(row => row?.name ?? '');
+    } else {
+      strings[field] = data[field];
+    }
+  }
+  
+  return strings;
+}
+
+/**
+ * An element's strings in a locale, falling back to the source
+ * field by field (and row by row for lists)
+ */
+export function resolveStrings(element, locale) {
+  const source = getSourceStrings(element);
+  const translated = element.translations?.[locale] || {};
+  const strings = {};
+  
+  for (const [field, value] of Object.entries(source)) {
+    if (Array.isArray(value)) {
+      const rows = Array.isArray(translated[field]) ? translated[field] : [];
+      strings[field] = value.map((row, i) => (hasValue(rows[i]) ? rows[i] : row));
+    } else {
+      strings[field] = hasValue(translated[field]) ? translated[field] : value;
+    }
+  }
+  
+  return strings;
+}
+
+/**
+ * Put strings into an element (unknown fields are ignored)
+ */
+export function applyStrings(element, strings) {
+  if (element.type === 'text') {
+    return strings.content === undefined ? element : { ...element, content: strings.content };
+  }
+  
+  const data = { ...(element.data || {}) };
+  
+  for (const field of TRANSLATABLE_FIELDS[element.type] || []) {
+    const value = strings[field];
+    if (value === undefined) continue;
+    
+    data[field] = element.type === 'price_list'
+      ? (data.items || []).map((row, i) => (value[i] === undefined ? row : { ...row, name: value[i] }))
+      : value;
+  }
+  
+  return { ...element, data };
+}
+
+/**
+ * An element as shown in a locale (null = as designed)
+ * With alternates, it keeps translations for just those locales so the
+ * player can switch languages offline; otherwise translations are dropped.
+ */
+export function localizeElement(element, locale, alternates = []) {
+  const { translations, ...rest } = element;
+  if (!TRANSLATABLE_FIELDS[element.type]) return rest;
+  
+  const localized = locale ? applyStrings(rest, resolveStrings(element, locale)) : rest;
+  if (alternates.length === 0) return localized;
+  
+  return {
+    ...localized,
+    translations: Object.fromEntries(alternates.map(alt => [alt, resolveStrings(element, alt)]))
+  };
+}
+
+/**
+ * A payload layout with every element localized
+ */
+export function localizeLayout(layout, locale, alternates = []) {
+  return {
+    ...layout,
+    elements: (layout.elements || []).map(element => localizeElement(element, locale, alternates))
+  };
+}
+
+/**
+ * The locale settings of a screen, with the device locale as default
+ * Returns { locale, alternates, interval }
+ */
+export function getScreenLocales(screen, device = {}) {
+  const locale = screen?.locale || device?.locale || null;
+  
+  return {
+    locale,
+    alternates: [...new Set(screen?.alternate_locales || [])].filter(alt => alt !== locale),
+    interval: screen?.locale_interval_seconds || 10
+  };
+}
+
+/**
+ * Translated strings of menus by ID: Map<menuId, translations>
+ */
+export async function getMenuTranslations(client, menuIds) {
+  if (menuIds.length === 0) return new Map();
+  
+  const { data, error } = await client
+    .from('menus')
+    .select('id, translations')
+    .in('id', menuIds);
+  
+  if (error) throw error;
+  return new Map((data || []).map(menu => [menu.id, menu.translations || {}]));
+}
+
+/**
+ * Resolve strings in a device payload for each screen's locale
+ *
+ * @param screens - the device's screen rows (locale, alternate_locales,
+ *   locale_interval_seconds), matched to payload screens by screen_index
+ * @param device - the device row (its locale is the default)
+ *
+ * Screens with a locale get localization: { locale, alternates, interval }.
+ * Returns a new payload; layouts can be shared between screens, so nothing
+ * is changed in place.
+ */
+export async function localizePayload(client, payload, { screens = [], device = {} } = {}) {
+  const menuIds = [...new Set(getPayloadLayouts(payload).map(l => l.menuId).filter(Boolean))];
+  const menuTranslations = await getMenuTranslations(client, menuIds);
+  const settings = new Map(screens.map(s => [s.screen_index, s]));
+  
+  const localizeMenu = (menu, locale) => {
+    const name = locale && menuTranslations.get(menu.id)?.[locale]?.name;
+    return hasValue(name) ? { ...menu, name } : menu;
+  };
+  
+  const localizeEntry = (entry, locale, alternates) => ({
+    ...entry,
+    ...(entry.layout && { layout: localizeLayout(entry.layout, locale, alternates) }),
+    ...(entry.menu && { menu: localizeMenu(entry.menu, locale) }),
+    ...(entry.playlist && {
+      playlist: { ...entry.playlist, items: (entry.playlist.items || []).map(item => localizeEntry(item, locale, alternates)) }
+    }),
+    ...(entry.schedule && {
+      schedule: {
+        ...entry.schedule,
+        transitions: entry.schedule.transitions.map(t => localizeEntry(t, locale, alternates))
+      }
+    })
+  });
+  
+  const localizedScreens = (payload.screens || []).map(entry => {
+    const { locale, alternates, interval } = getScreenLocales(settings.get(entry.screenIndex), device);
+    
+    return {
+      ...localizeEntry(entry, locale, alternates),
+      ...((locale || alternates.length > 0) && { localization: { locale, alternates, interval } })
+    };
+  });
+  
+  // Device fallback: its own locale, no alternating
+  const fallback = payload.fallback?.elements
+    ? localizeLayout(payload.fallback, device?.locale || null)
+    : payload.fallback && localizeEntry(payload.fallback, device?.locale || null, []);
+  
+  return { ...payload, screens: localizedScreens, fallback };
+}
+
+/**
+ * Validate element translations from the API: { locale: { field: value } }
+ * List fields take an array of strings; null removes a string or a locale.
+ */
+export function validateElementTranslations(type, translations) {
+  const errors = [];
+  const fields = TRANSLATABLE_FIELDS[type];
+  
+  if (!fields) {
+    return { valid: false, errors: [`${type} elements have no translatable text`] };
+  }
+  
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    return { valid: false, errors: ['translations must be an object of locale: { field: text }'] };
+  }
+  
+  for (const [locale, strings] of Object.entries(translations)) {
+    if (!isValidLocale(locale)) {
+      errors.push(`Invalid locale: ${locale}`);
+      continue;
+    }
+    if (strings === null) continue;
+    if (typeof strings !== 'object' || Array.isArray(strings)) {
+      errors.push(`${locale} must be an object of field: text`);
+      continue;
+    }
+    
+    for (const [field, value] of Object.entries(strings)) {
+      if (!fields.includes(field)) {
+        errors.push(`${locale}.${field} is not translatable on ${type} elements (${fields.join(', ')})`);
+      } else if (isListField(type, field)) {
+        if (value !== null && (!Array.isArray(value) || value.some(row => row !== null && typeof row !== 'string'))) {
+          errors.push(`${locale}.${field} must be an array of strings`);
+        }
+      } else if (value !== null && typeof value !== 'string') {
+        errors.push(`${locale}.${field} must be a string`);
+      }
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Merge translation updates into an element's translations
+ * null removes the field (or the whole locale)
+ */
+export function mergeTranslations(existing = {}, updates = {}) {
+  const merged = { ...existing };
+  
+  for (const [locale, strings] of Object.entries(updates)) {
+    if (strings === null) {
+      delete merged[locale];
+      continue;
+    }
+    
+    const next = { ...(merged[locale] || {}), ...strings };
+    Object.keys(next).filter(field => next[field] === null).forEach(field => delete next[field]);
+    
+    if (Object.keys(next).length > 0) {
+      merged[locale] = next;
+    } else {
+      delete merged[locale];
+    }
+  }
+  
+  return merged;
+}
+
+/**
+ * Strings with no translation in the given locales (pure)
+ *
+ * @param layouts - layout rows of the menu
+ * @param menu - the menu row (name, translations)
+ * @param locales - locales to check
+ *
+ * Returns [{ locale, scope: 'menu' | 'element', field, source, layoutId,
+ *   layoutName, elementIndex, elementType, row }] - row only for list fields.
+ * Empty source strings need no translation.
+ */
+export function getMissingTranslations(layouts, menu, locales) {
+  const missing = [];
+  
+  for (const locale of locales) {
+    if (hasValue(menu.name) && !hasValue(menu.translations?.[locale]?.name)) {
+      missing.push({ locale, scope: 'menu', field: 'name', source: menu.name });
+    }
+    
+    for (const layout of layouts) {
+      (layout.elements || []).forEach((element, elementIndex) => {
+        const translated = element.translations?.[locale] || {};
+        const at = {
+          locale,
+          scope: 'element',
+          layoutId: layout.id,
+          layoutName: layout.name || null,
+          elementIndex,
+          elementType: element.type
+        };
+        
+        for (const [field, source] of Object.entries(getSourceStrings(element))) {
+          if (Array.isArray(source)) {
+            source.forEach((row, i) => {
+              if (hasValue(row) && !hasValue(translated[field]?.[i])) {
+                missing.push({ ...at, field, row: i, source: row });
+              }
+            });
+          } else if (hasValue(source) && !hasValue(translated[field])) {
+            missing.push({ ...at, field, source });
+          }
+        }
+      });
+    }
+  }
+  
+  return missing;
+}
+
+export default {
+  TRANSLATABLE_FIELDS,
+  MIN_LOCALE_INTERVAL_SECONDS,
+  isValidLocale,
+  validateLocaleSettings,
+  getSourceStrings,
+  resolveStrings,
+  applyStrings,
+  localizeElement,
+  localizeLayout,
+  getScreenLocales,
+  getMenuTranslations,
+  localizePayload,
+  validateElementTranslations,
+  mergeTranslations,
+  getMissingTranslations
+};
@@ -0,0 +1,382 @@
+/**
+ * Menu Versions
+ *
+ * Every save of a menu's layouts records an immutable menu_versions row:
+ * a frozen copy of all the menu's layouts (same shape as a publish
+ * snapshot) at the new menu version, with a summary of what changed.
+ * Any two versions can be diffed so a reviewer sees exactly what a
+ * colleague changed before publishing.
+ *
+ * CRITICAL:
+ * - Version rows are never updated (the table refuses UPDATE)
+ * - A save that changes nothing records no new version
+ * - Recording a version bumps menus.version, unless the caller already did
+ * - Elements have no stable IDs, so diffs match them by id, then identical
+ *   content, then bound item / name, then position in the list
+ */
+
+import { createSnapshot } from './publishSnapshots.js';
+import { stableStringify } from './contentVersions.js';
+
+export const VersionReason = {
+  LAYOUT_CREATED: 'layout_created',
+  LAYOUT_UPDATED: 'layout_updated',
+  LAYOUT_DELETED: 'layout_deleted',
+  LAYOUTS_REORDERED: 'layouts_reordered',
+  LAYOUT_MOVED: 'layout_moved',
+  MENU_CREATED: 'menu_created',
+  TRANSLATIONS: 'translations',
+  RESTORED: 'restored'
+};
+
+// Layout settings compared between versions
+const LAYOUT_SETTINGS = ['name', 'screen_index', 'resolution', 'aspect_ratio', 'orientation', 'safe_zone'];
+
+// Position and size of an element - a change is a move
+const GEOMETRY = ['x', 'y', 'width', 'height', 'rotation'];
+
+// Visible strings of an element (data.* and text elements' content)
+const TEXT_KEYS = ['content', 'text', 'name', 'description', 'title', 'subtitle', 'badge', 'messages', 'items'];
+
+// Top-level element keys that aren't style
+const ELEMENT_KEYS = ['type', 'id', 'name', 'content', 'src', 'data', 'style', 'translations'];
+
+const UNIQUE_VIOLATION = '23505';
+
+function isEqual(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * Readable label of an element for diffs ("Classic Burger", "Open late")
+ */
+function elementLabel(element) {
+  const data = element.data || {};
+  return data.name || data.title || element.content || element.name || element.type;
+}
+
+/**
+ * What identifies an element across saves when it has no id
+ */
+function identityKey(element) {
+  const data = element.data || {};
+  const key = data.itemId || data.categoryId || data.name || data.title || element.content || element.src;
+  return key ? `${element.type}:${key}` : null;
+}
+
+/**
+ * Every leaf value of a value by dotted path ("data.items.0.price")
+ */
+function flatten(value, prefix = '', out = {}) {
+  if (value && typeof value === 'object') {
+    const entries = Array.isArray(value) ? value.map((v, i) => [i, v]) : Object.entries(value);
+    if (entries.length === 0) out[prefix] = value;
+    for (const [key, child] of entries) flatten(child, prefix ? `${prefix}.${key}` : String(key), out);
+    return out;
+  }
+  
+  if (value !== undefined) out[prefix] = value;
+  return out;
+}
+
+/**
+ * Kind of a changed element field: text | price | image | translation | style | data
+ */
+function changeKind(path) {
+  const segments = path.split('.');
+  const named = segments.filter(s => !/^\d+$/.test(s));
+  const last = named[named.length - 1];
+  
+  if (segments[0] === 'translations') return 'translation';
+  if (last === 'price') return 'price';
+  if (path === 'src' || path === 'data.image') return 'image';
+  if (path === 'content' || path === 'text' || (segments[0] === 'data' && TEXT_KEYS.includes(last))) return 'text';
+  if (segments[0] === 'data') return 'data';
+  if (segments[0] === 'style' || !ELEMENT_KEYS.includes(segments[0])) return 'style';
+  return 'data';
+}
+
+/**
+ * Field changes between two versions of an element, geometry excluded
+ * Returns [{ kind, path, from, to }]
+ */
+function diffElementFields(before, after) {
+  const strip = element => Object.fromEntries(Object.entries(element).filter(([key]) => !GEOMETRY.includes(key)));
+  const from = flatten(strip(before));
+  const to = flatten(strip(after));
+  
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter(path => !isEqual(from[path], to[path]))
+    .map(path => ({ kind: changeKind(path), path, from: from[path] ?? null, to: to[path] ?? null }));
+}
+
+/**
+ * Pair the elements of two versions of a layout
+ * Returns { pairs: [[fromIndex, toIndex]], removed: [fromIndex], added: [toIndex] }
+ */
+function matchElements(fromElements, toElements) {
+  const usedFrom = new Set();
+  const pairs = [];
+  const unmatchedTo = () => toElements.map((_, i) => i).filter(i => !pairs.some(p => p[1] === i));
+  
+  const pass = matches => {
+    for (const toIndex of unmatchedTo()) {
+      const fromIndex = fromElements.findIndex((element, i) => !usedFrom.has(i) && matches(element, toElements[toIndex], i, toIndex));
+      if (fromIndex !== -1) {
+        usedFrom.add(fromIndex);
+        pairs.push([fromIndex, toIndex]);
+      }
+    }
+  };
+  
+  pass((a, b) => a.id && a.id === b.id);
+  pass((a, b) => isEqual(a, b));
+  pass((a, b) => identityKey(a) !== null && identityKey(a) === identityKey(b));
+  pass((a, b, i, j) => i === j && a.type === b.type);
+  
+  return {
+    pairs: pairs.sort((p, q) => p[1] - q[1]),
+    removed: fromElements.map((_, i) => i).filter(i => !usedFrom.has(i)),
+    added: unmatchedTo()
+  };
+}
+
+/**
+ * Diff two versions of one layout (either may be null: added / removed)
+ */
+export function diffLayout(before, after) {
+  const layout = after || before;
+  const result = {
+    layoutId: layout.id,
+    name: layout.name,
+    status: !before ? 'added' : !after ? 'removed' : 'changed',
+    settings: [],
+    background: null,
+    elements: { added: [], removed: [], moved: [], changed: [] }
+  };
+  
+  const fromElements = before?.elements || [];
+  const toElements = after?.elements || [];
+  const describe = (element, index) => ({ index, type: element.type, label: elementLabel(element) });
+  
+  if (before && after) {
+    result.settings = LAYOUT_SETTINGS
+      .filter(field => !isEqual(before[field], after[field]))
+      .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+    
+    if (!isEqual(before.background, after.background)) {
+      result.background = { from: before.background ?? null, to: after.background ?? null };
+    }
+  }
+  
+  const { pairs, removed, added } = matchElements(fromElements, toElements);
+  
+  result.elements.removed = removed.map(i => describe(fromElements[i], i));
+  result.elements.added = added.map(i => describe(toElements[i], i));
+  
+  for (const [fromIndex, toIndex] of pairs) {
+    const a = fromElements[fromIndex];
+    const b = toElements[toIndex];
+    
+    if (GEOMETRY.some(key => !isEqual(a[key], b[key]))) {
+      const geometry = element => Object.fromEntries(GEOMETRY.filter(k => element[k] !== undefined).map(k => [k, element[k]]));
+      result.elements.moved.push({ ...describe(b, toIndex), fromIndex, from: geometry(a), to: geometry(b) });
+    }
+    
+    const changes = diffElementFields(a, b);
+    if (changes.length > 0) {
+      result.elements.changed.push({ ...describe(b, toIndex), fromIndex, changes });
+    }
+  }
+  
+  return result;
+}
+
+function hasChanges(layoutDiff) {
+  const { settings, background, elements } = layoutDiff;
+  return layoutDiff.status !== 'changed' || settings.length > 0 || background !== null
+    || Object.values(elements).some(list => list.length > 0);
+}
+
+/**
+ * Structured diff of two layout snapshots (arrays of frozen layouts)
+ * Unchanged layouts are left out
+ */
+export function diffSnapshots(fromLayouts, toLayouts) {
+  const fromById = new Map((fromLayouts || []).map(l => [l.id, l]));
+  const toById = new Map((toLayouts || []).map(l => [l.id, l]));
+  const ids = [...new Set([...toById.keys(), ...fromById.keys()])];
+  
+  const layouts = ids
+    .map(id => diffLayout(fromById.get(id) || null, toById.get(id) || null))
+    .filter(hasChanges);
+  
+  const count = (fn) => layouts.reduce((sum, l) => sum + fn(l), 0);
+  const countChanges = kind => count(l => l.elements.changed
+    .reduce((sum, e) => sum + e.changes.filter(c => c.kind === kind).length, 0));
+  
+  return {
+    summary: {
+      layoutsAdded: layouts.filter(l => l.status === 'added').length,
+      layoutsRemoved: layouts.filter(l => l.status === 'removed').length,
+      layoutsChanged: layouts.filter(l => l.status === 'changed').length,
+      elementsAdded: count(l => l.elements.added.length),
+      elementsRemoved: count(l => l.elements.removed.length),
+      elementsMoved: count(l => l.elements.moved.length),
+      elementsChanged: count(l => l.elements.changed.length),
+      textChanges: countChanges('text'),
+      priceChanges: countChanges('price'),
+      backgroundChanges: count(l => (l.background ? 1 : 0))
+    },
+    layouts
+  };
+}
+
+/**
+ * Latest version record of a menu, or null
+ */
+export async function getLatestMenuVersion(client, menuId) {
+  const { data, error } = await client
+    .from('menu_versions')
+    .select('*')
+    .eq('menu_id', menuId)
+    .order('version', { ascending: false })
+    .limit(1);
+  
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * Record the menu's current layouts as a new version
+ * options: { userId, reason, layoutId, version }
+ *   version - the menu version the caller already set (otherwise menus.version is bumped)
+ * Returns { version: <row>, created } - created is false when nothing changed
+ */
+export async function recordMenuVersion(client, menuId, options = {}) {
+  const { userId = null, reason = VersionReason.LAYOUT_UPDATED, layoutId = null } = options;
+  
+  const { data: layoutRows, error: layoutError } = await client
+    .from('layouts')
+    .select('*')
+    .eq('menu_id', menuId);
+  
+  if (layoutError) throw layoutError;
+  
+  const layouts = createSnapshot(layoutRows || []);
+  
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await getLatestMenuVersion(client, menuId);
+    if (latest && isEqual(latest.layouts, layouts)) {
+      return { version: latest, created: false };
+    }
+    
+    const { data: menu, error: menuError } = await client
+      .from('menus')
+      .select('version')
+      .eq('id', menuId)
+      .single();
+    
+    if (menuError) throw menuError;
+    
+    // The caller's version is only used if no other save took it first
+    const callerVersion = attempt === 0 && options.version && options.version > (latest?.version || 0)
+      ? options.version
+      : null;
+    const version = callerVersion || Math.max(menu.version || 0, latest?.version || 0) + 1;
+    
+    const { data: row, error } = await client
+      .from('menu_versions')
+      .insert({
+        menu_id: menuId,
+        version,
+        layouts,
+        changes: diffSnapshots(latest?.layouts || [], layouts).summary,
+        reason,
+        layout_id: layoutId,
+        created_by: userId,
+        created_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+    
+    if (error?.code === UNIQUE_VIOLATION) continue;
+    if (error) throw error;
+    
+    if (version !== menu.version) {
+      const { error: bumpError } = await client
+        .from('menus')
+        .update({
+          version,
+          ...(userId && { last_edited_by: userId }),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', menuId);
+      
+      if (bumpError) throw bumpError;
+    }
+    
+    return { version: row, created: true };
+  }
+  
+  throw new Error('Could not record the menu version - the menu is being saved by someone else, try again');
+}
+
+/**
+ * Version records of a menu, newest first, without their layouts
+ */
+export async function getMenuVersions(client, menuId, options = {}) {
+  const { limit = 50 } = options;
+  
+  const { data, error } = await client
+    .from('menu_versions')
+    .select('id, menu_id, version, reason, layout_id, changes, created_by, created_at')
+    .eq('menu_id', menuId)
+    .order('version', { ascending: false })
+    .limit(limit);
+  
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * One version record of a menu (with layouts), or null
+ */
+export async function getMenuVersion(client, menuId, version) {
+  const { data, error } = await client
+    .from('menu_versions')
+    .select('*')
+    .eq('menu_id', menuId)
+    .eq('version', version)
+    .limit(1);
+  
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+/**
+ * The version record before a version, or null
+ */
+export async function getPreviousMenuVersion(client, menuId, version) {
+  const { data, error } = await client
+    .from('menu_versions')
+    .select('*')
+    .eq('menu_id', menuId)
+    .lt('version', version)
+    .order('version', { ascending: false })
+    .limit(1);
+  
+  if (error) throw error;
+  return data?.[0] || null;
+}
+
+export default {
+  VersionReason,
+  diffLayout,
+  diffSnapshots,
+  getLatestMenuVersion,
+  recordMenuVersion,
+  getMenuVersions,
+  getMenuVersion,
+  getPreviousMenuVersion
+};
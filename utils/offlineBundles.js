@@ -0,0 +1,97 @@
+/**
+ * Offline Bundles
+ *
+ * Self-contained sideload bundle for a device with no reliable internet:
+ * the signed device payload, every image it references from the
+ * menu-images bucket, and a manifest with SHA-256 hashes.
+ *
+ * Bundle file (JSON):
+ * {
+ *   manifest: { format, version, deviceId, contentHash, payloadSha256, signingKey, assets: [...], missingAssets: [...] },
+ *   payload: { ...signed device payload, untouched },
+ *   assets: { <sha256>: <base64> }
+ * }
+ *
+ * The payload is NOT rewritten (that would break its signature) - the
+ * player maps image URLs to bundled assets through manifest.assets.
+ * manifest.signingKey is informational: players verify against the key they
+ * pinned online and never pin one from a bundle.
+ */
+
+import { createHash } from 'crypto';
+import { collectImageRefs, parseStorageUrl } from './publishValidation.js';
+import { stableStringify } from './contentVersions.js';
+import { getPayloadLayouts } from './publishSnapshots.js';
+
+export const BUNDLE_FORMAT = 'mosm-offline-bundle';
+export const BUNDLE_VERSION = 1;
+export const MENU_IMAGES_BUCKET = 'menu-images';
+
+function sha256(data) {
+  return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Build the offline bundle for a signed device payload
+ * Images that can't be downloaded are listed in manifest.missingAssets
+ */
+export async function buildOfflineBundle(client, payload, options = {}) {
+  const { signingKey = null } = options;
+  const urls = [...new Set(collectImageRefs(getPayloadLayouts(payload)).map(r => r.url))];
+  
+  const assets = {};
+  const manifestAssets = [];
+  const missingAssets = [];
+  
+  for (const url of urls) {
+    const ref = parseStorageUrl(url);
+    
+    // Only our own storage is bundled - external URLs need connectivity
+    if (!ref || ref.bucket !== MENU_IMAGES_BUCKET) {
+      missingAssets.push({ url, reason: 'external' });
+      continue;
+    }
+    
+    const { data: blob, error } = await client.storage
+      .from(ref.bucket)
+      .download(ref.path);
+    
+    if (error || !blob) {
+      missingAssets.push({ url, reason: 'not_found' });
+      continue;
+    }
+    
+    const buffer = Buffer.from(await blob.arrayBuffer());
+    const hash = sha256(buffer);
+    
+    assets[hash] = buffer.toString('base64');
+    manifestAssets.push({
+      url,
+      path: ref.path,
+      contentType: blob.type || 'application/octet-stream',
+      size: buffer.length,
+      sha256: hash
+    });
+  }
+  
+  const manifest = {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    deviceId: payload.deviceId,
+    createdAt: new Date().toISOString(),
+    contentHash: payload.contentHash,
+    payloadSha256: sha256(stableStringify(payload)),
+    signingKey,
+    assets: manifestAssets,
+    missingAssets
+  };
+  
+  return { manifest, payload, assets };
+}
+
+export default {
+  BUNDLE_FORMAT,
+  BUNDLE_VERSION,
+  MENU_IMAGES_BUCKET,
+  buildOfflineBundle
+};
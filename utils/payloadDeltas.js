@@ -0,0 +1,232 @@
+/**
+ * Payload Deltas
+ *
+ * Cuts device polling traffic:
+ * - ETag = payload contentHash, If-None-Match → 304
+ * - Delta mode: device sends the hash it has, gets a JSON Patch (RFC 6902)
+ *
+ * The last few payloads of each device are cached by hash so a patch can
+ * be built against what the device is running. Unknown hash → full payload.
+ *
+ * CRITICAL:
+ * - Payloads are normalized to plain JSON (normalizePayload) before they are
+ *   hashed, cached or diffed - a cached base read back from the database has
+ *   no undefined keys, so a live payload must not have them either
+ */
+
+export const PAYLOAD_CACHE_SIZE = 5;
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function unescapePointer(token) {
+  return token.replace(/~1/g, '/').replace(/~0/g, '~');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * A payload as it looks after a trip through JSON: undefined keys dropped,
+ * undefined array entries null
+ */
+export function normalizePayload(payload) {
+  return payload === undefined ? null : JSON.parse(JSON.stringify(payload));
+}
+
+/**
+ * Build a JSON Patch that turns `from` into `to`
+ * Arrays are diffed by index (common prefix, then add/remove at the tail)
+ * Both sides must be plain JSON (see normalizePayload)
+ */
+export function createJsonPatch(from, to, path = '') {
+  if (from === to) return [];
+  
+  if (Array.isArray(from) && Array.isArray(to)) {
+    const ops = [];
+    const common = Math.min(from.length, to.length);
+    for (let i = 0; i < common; i++) {
+      ops.push(...createJsonPatch(from[i], to[i], `${path}/${i}`));
+    }
+    for (let i = common; i < to.length; i++) {
+      ops.push({ op: 'add', path: `${path}/${i}`, value: to[i] });
+    }
+    for (let i = from.length - 1; i >= common; i--) {
+      ops.push({ op: 'remove', path: `${path}/${i}` });
+    }
+    return ops;
+  }
+  
+  if (isObject(from) && isObject(to)) {
+    const ops = [];
+    for (const key of Object.keys(from)) {
+      if (!(key in to)) {
+        ops.push({ op: 'remove', path: `${path}/${escapePointer(key)}` });
+      }
+    }
+    for (const key of Object.keys(to)) {
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (!(key in from)) {
+        ops.push({ op: 'add', path: childPath, value: to[key] });
+      } else {
+        ops.push(...createJsonPatch(from[key], to[key], childPath));
+      }
+    }
+    return ops;
+  }
+  
+  if (JSON.stringify(from) === JSON.stringify(to)) return [];
+  return [{ op: 'replace', path: path, value: to }];
+}
+
+/**
+ * Apply a JSON Patch (add/remove/replace) - returns a new document
+ */
+export function applyJsonPatch(document, patch) {
+  let result = JSON.parse(JSON.stringify(document));
+  
+  for (const { op, path, value } of patch) {
+    if (path === '') {
+      result = op === 'remove' ? null : JSON.parse(JSON.stringify(value));
+      continue;
+    }
+    
+    const tokens = path.slice(1).split('/').map(unescapePointer);
+    const last = tokens.pop();
+    const parent = tokens.reduce((node, token) => node[token], result);
+    
+    if (Array.isArray(parent)) {
+      const index = last === '-' ? parent.length : Number(last);
+      if (op === 'add') parent.splice(index, 0, value);
+      else if (op === 'remove') parent.splice(index, 1);
+      else parent[index] = value;
+    } else if (op === 'remove') {
+      delete parent[last];
+    } else {
+      parent[last] = value;
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Parse an If-None-Match header into bare hashes
+ */
+export function parseEtags(header) {
+  if (!header) return [];
+  return header.split(',').map(tag => tag.trim().replace(/^W\//, '').replace(/"/g, '')).filter(Boolean);
+}
+
+/**
+ * Remember a payload by its content hash (keeps the newest few per device)
+ * A hash the device already has is only marked as recently served, so the
+ * payload a device is on is never the one evicted.
+ */
+export async function cachePayload(client, deviceId, payload) {
+  const { data: cached, error: cachedError } = await client
+    .from('device_payload_cache')
+    .select('content_hash')
+    .eq('device_id', deviceId)
+    .eq('content_hash', payload.contentHash)
+    .maybeSingle();
+  
+  if (cachedError) throw cachedError;
+  
+  if (cached) {
+    const { error } = await client
+      .from('device_payload_cache')
+      .update({ created_at: new Date().toISOString() })
+      .eq('device_id', deviceId)
+      .eq('content_hash', payload.contentHash);
+    
+    if (error) throw error;
+    return;
+  }
+  
+  const { error } = await client
+    .from('device_payload_cache')
+    .upsert({
+      device_id: deviceId,
+      content_hash: payload.contentHash,
+      payload
+    }, { onConflict: 'device_id,content_hash', ignoreDuplicates: true });
+  
+  if (error) throw error;
+  
+  const { data: old } = await client
+    .from('device_payload_cache')
+    .select('content_hash')
+    .eq('device_id', deviceId)
+    .order('created_at', { ascending: false })
+    .range(PAYLOAD_CACHE_SIZE, PAYLOAD_CACHE_SIZE + 50);
+  
+  if (old && old.length > 0) {
+    await client
+      .from('device_payload_cache')
+      .delete()
+      .eq('device_id', deviceId)
+      .in('content_hash', old.map(r => r.content_hash));
+  }
+}
+
+/**
+ * Get a cached payload by the hash a device reports
+ */
+export async function getCachedPayload(client, deviceId, contentHash) {
+  const { data, error } = await client
+    .from('device_payload_cache')
+    .select('payload')
+    .eq('device_id', deviceId)
+    .eq('content_hash', contentHash)
+    .maybeSingle();
+  
+  if (error) throw error;
+  return data?.payload || null;
+}
+
+/**
+ * Work out the response for a device poll
+ *
+ * Returns one of:
+ * - { notModified: true, contentHash }
+ * - { delta: true, baseHash, contentHash, patch }
+ * - { payload }
+ */
+export async function getDeviceUpdate(client, deviceId, payload, options = {}) {
+  const { ifNoneMatch = null, since = null } = options;
+  
+  if (parseEtags(ifNoneMatch).includes(payload.contentHash) || since === payload.contentHash) {
+    return { notModified: true, contentHash: payload.contentHash };
+  }
+  
+  const current = normalizePayload(payload);
+  await cachePayload(client, deviceId, current);
+  
+  if (since) {
+    const base = await getCachedPayload(client, deviceId, since);
+    if (base) {
+      return {
+        delta: true,
+        baseHash: since,
+        contentHash: current.contentHash,
+        patch: createJsonPatch(normalizePayload(base), current)
+      };
+    }
+  }
+  
+  return { payload: current };
+}
+
+export default {
+  PAYLOAD_CACHE_SIZE,
+  normalizePayload,
+  createJsonPatch,
+  applyJsonPatch,
+  parseEtags,
+  cachePayload,
+  getCachedPayload,
+  getDeviceUpdate
+};
@@ -0,0 +1,292 @@
+/**
+ * Payload Signing
+ *
+ * Device payloads are signed with an Ed25519 key scoped to the organization.
+ * Devices receive the public key at pairing and refuse anything that does
+ * not verify against it.
+ *
+ * CRITICAL:
+ * - The signature covers the payload's stable JSON WITHOUT the signature field
+ * - Private keys are stored encrypted with PAYLOAD_SIGNING_SECRET
+ * - Server only (node crypto) - the player verifies with WebCrypto
+ * - Rotation: the outgoing key endorses (signs) the new public key; players
+ *   only re-pin to a key endorsed by the one they already trust
+ */
+
+import {
+  createCipheriv,
+  createDecipheriv,
+  createHash,
+  createPrivateKey,
+  createPublicKey,
+  generateKeyPairSync,
+  randomBytes,
+  randomUUID,
+  sign,
+  verify
+} from 'crypto';
+import { stableStringify } from './contentVersions.js';
+
+export const SIGNING_ALGORITHM = 'Ed25519';
+
+function getEncryptionKey() {
+  const secret = process.env.PAYLOAD_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('PAYLOAD_SIGNING_SECRET is not configured');
+  }
+  return createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a private key PEM for storage (AES-256-GCM)
+ */
+export function encryptPrivateKey(pem) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('base64')).join('.');
+}
+
+/**
+ * Decrypt a stored private key PEM
+ */
+export function decryptPrivateKey(value) {
+  const [iv, tag, encrypted] = value.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Generate an Ed25519 key pair
+ * publicKey is the raw key as base64url (JWK "x"), ready for WebCrypto
+ */
+export function generateSigningKeyPair() {
+  const { publicKey, privateKey } = generateKeyPairSync('ed25519');
+  return {
+    publicKey: publicKey.export({ format: 'jwk' }).x,
+    privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' })
+  };
+}
+
+/**
+ * The bytes that get signed: stable JSON of the payload minus its signature
+ */
+export function getSigningInput(payload) {
+  const { signature, ...unsigned } = payload;
+  return Buffer.from(stableStringify(unsigned), 'utf8');
+}
+
+/**
+ * Sign a device payload
+ * key: { keyId, privateKey (PEM) }
+ */
+export function signPayload(payload, key) {
+  const value = sign(null, getSigningInput(payload), createPrivateKey(key.privateKey));
+  return {
+    ...payload,
+    signature: {
+      alg: SIGNING_ALGORITHM,
+      keyId: key.keyId,
+      value: value.toString('base64')
+    }
+  };
+}
+
+/**
+ * Verify a signed payload against a base64url public key
+ */
+export function verifyPayload(payload, publicKey) {
+  if (!payload?.signature?.value) return false;
+  const key = createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: publicKey }, format: 'jwk' });
+  return verify(null, getSigningInput(payload), key, Buffer.from(payload.signature.value, 'base64'));
+}
+
+/**
+ * Get the organization's active signing key, creating one on first use
+ * Returns { keyId, publicKey, privateKey } - privateKey decrypted
+ */
+export async function getOrgSigningKey(client, organizationId) {
+  const { data: existing, error } = await client
+    .from('organization_signing_keys')
+    .select('id, public_key, private_key_encrypted')
+    .eq('organization_id', organizationId)
+    .is('revoked_at', null)
+    .maybeSingle();
+  
+  if (error) throw error;
+  
+  if (existing) {
+    return {
+      keyId: existing.id,
+      publicKey: existing.public_key,
+      privateKey: decryptPrivateKey(existing.private_key_encrypted)
+    };
+  }
+  
+  const pair = generateSigningKeyPair();
+  const { data: created, error: createError } = await client
+    .from('organization_signing_keys')
+    .insert({
+      organization_id: organizationId,
+      algorithm: SIGNING_ALGORITHM,
+      public_key: pair.publicKey,
+      private_key_encrypted: encryptPrivateKey(pair.privateKey)
+    })
+    .select('id')
+    .single();
+  
+  // Lost a race with another request - use the key that won
+  if (createError?.code === '23505') {
+    return getOrgSigningKey(client, organizationId);
+  }
+  if (createError) throw createError;
+  
+  return { keyId: created.id, ...pair };
+}
+
+/**
+ * Public half of the organization's signing key, as handed to devices
+ */
+export async function getOrgPublicKey(client, organizationId) {
+  const key = await getOrgSigningKey(client, organizationId);
+  return {
+    keyId: key.keyId,
+    algorithm: SIGNING_ALGORITHM,
+    publicKey: key.publicKey
+  };
+}
+
+/**
+ * The bytes an outgoing key signs to endorse its successor
+ * key: { keyId, publicKey, previousKeyId }
+ */
+export function getEndorsementInput(key) {
+  return Buffer.from(stableStringify({
+    keyId: key.keyId,
+    algorithm: SIGNING_ALGORITHM,
+    publicKey: key.publicKey,
+    previousKeyId: key.previousKeyId
+  }), 'utf8');
+}
+
+/**
+ * Check that a rotated key was endorsed by the key before it
+ * rotation: { keyId, publicKey, previousKeyId, endorsement }
+ */
+export function verifyEndorsement(rotation, previousPublicKey) {
+  if (!rotation?.endorsement) return false;
+  const key = createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: previousPublicKey }, format: 'jwk' });
+  return verify(null, getEndorsementInput(rotation), key, Buffer.from(rotation.endorsement, 'base64'));
+}
+
+/**
+ * Rotate the organization's signing key without re-pairing devices
+ *
+ * The active key signs the new public key and is then revoked. Devices see
+ * the new key with its endorsement on their next GET /api/devices/:id.
+ * Returns the new key as handed to devices (see getKeyRotations).
+ */
+export async function rotateOrgSigningKey(client, organizationId) {
+  const current = await getOrgSigningKey(client, organizationId);
+  const pair = generateSigningKeyPair();
+  const next = { keyId: randomUUID(), publicKey: pair.publicKey, previousKeyId: current.keyId };
+  const endorsement = sign(null, getEndorsementInput(next), createPrivateKey(current.privateKey)).toString('base64');
+  
+  // Revoke first: only one key per organization may be active
+  const { data: revoked, error: revokeError } = await client
+    .from('organization_signing_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', current.keyId)
+    .is('revoked_at', null)
+    .select('id');
+  
+  if (revokeError) throw revokeError;
+  if (!revoked || revoked.length === 0) {
+    const error = new Error('The signing key was rotated by another request');
+    error.status = 409;
+    throw error;
+  }
+  
+  const { error } = await client
+    .from('organization_signing_keys')
+    .insert({
+      id: next.keyId,
+      organization_id: organizationId,
+      algorithm: SIGNING_ALGORITHM,
+      public_key: next.publicKey,
+      private_key_encrypted: encryptPrivateKey(pair.privateKey),
+      previous_key_id: current.keyId,
+      endorsement
+    });
+  
+  if (error) {
+    // Keep signing with the old key rather than leave the org without one
+    await client
+      .from('organization_signing_keys')
+      .update({ revoked_at: null })
+      .eq('id', current.keyId);
+    throw error;
+  }
+  
+  return { ...next, algorithm: SIGNING_ALGORITHM, endorsement };
+}
+
+/**
+ * Endorsed keys a device pinned to `fromKeyId` needs to reach the active key,
+ * oldest first: [{ keyId, algorithm, publicKey, previousKeyId, endorsement }]
+ * Empty if the device is current or the chain is broken (re-pair needed).
+ */
+export async function getKeyRotations(client, organizationId, fromKeyId) {
+  const { data, error } = await client
+    .from('organization_signing_keys')
+    .select('id, public_key, previous_key_id, endorsement, revoked_at')
+    .eq('organization_id', organizationId);
+  
+  if (error) throw error;
+  
+  const successors = new Map((data || [])
+    .filter(key => key.previous_key_id && key.endorsement)
+    .map(key => [key.previous_key_id, key]));
+  
+  const rotations = [];
+  let next = successors.get(fromKeyId);
+  while (next && rotations.length < data.length) {
+    rotations.push({
+      keyId: next.id,
+      algorithm: SIGNING_ALGORITHM,
+      publicKey: next.public_key,
+      previousKeyId: next.previous_key_id,
+      endorsement: next.endorsement
+    });
+    if (!next.revoked_at) return rotations;
+    next = successors.get(next.id);
+  }
+  
+  return [];
+}
+
+/**
+ * Sign a payload with the organization's key
+ */
+export async function signPayloadForOrg(client, organizationId, payload) {
+  const key = await getOrgSigningKey(client, organizationId);
+  return signPayload(payload, key);
+}
+
+export default {
+  SIGNING_ALGORITHM,
+  encryptPrivateKey,
+  decryptPrivateKey,
+  generateSigningKeyPair,
+  getSigningInput,
+  signPayload,
+  verifyPayload,
+  getOrgSigningKey,
+  getOrgPublicKey,
+  getEndorsementInput,
+  verifyEndorsement,
+  rotateOrgSigningKey,
+  getKeyRotations,
+  signPayloadForOrg
+};
@@ -0,0 +1,224 @@
+/**
+ * Layout Playlists
+ *
+ * A screen (or daypart) can show a playlist instead of a single layout:
+ * an ordered list of layouts, each with a duration, a transition and a weight.
+ *
+ * CRITICAL:
+ * - Items are served from their own menu's publish snapshot, like any layout
+ * - Items whose layout is not live (menu unpublished, layout added after the
+ *   last publish) are left out; no live item at all = the screen is not live
+ * - The screen's payload `layout` / `menu` is the first live item, so players
+ *   that don't know playlists still show something sensible
+ * - weight is a relative frequency: the player interleaves items so a
+ *   weight-2 item comes round twice as often
+ */
+
+export const PlaylistTransition = ['none', 'fade', 'slide'];
+export const DEFAULT_ITEM_DURATION_SECONDS = 10;
+
+// PostgREST embed for a playlist with its items' layouts and menus
+export const PLAYLIST_FIELDS = `
+  id, name, transition, default_duration_seconds,
+  items:playlist_items (
+    id, position, duration_seconds, transition, weight,
+    layout:layouts (
+      id,
+      menu:menus (id, status, version, name, current_publish_id)
+    )
+  )
+`;
+
+function isPositiveInteger(value) {
+  return Number.isInteger(value) && value > 0;
+}
+
+// A screen showing just one playlist item: id "<screenId>#<itemId>"
+function toItemScreen(screen, item) {
+  return { ...screen, id: `${screen.id}#${item.id}`, playlist: null, layout: item.layout };
+}
+
+/**
+ * Validate a playlist from the API
+ * ({ name, transition, defaultDuration, items: [{ layoutId, duration, transition, weight }] })
+ * options.partial - only check the fields present (updates)
+ */
+export function validatePlaylist(data, options = {}) {
+  const { partial = false } = options;
+  const errors = [];
+  
+  if ((!partial || data.name !== undefined) && (!data.name || typeof data.name !== 'string')) {
+    errors.push('name is required');
+  }
+  
+  if (data.transition !== undefined && !PlaylistTransition.includes(data.transition)) {
+    errors.push(`transition must be one of: ${PlaylistTransition.join(', ')}`);
+  }
+  
+  if (data.defaultDuration !== undefined && !isPositiveInteger(data.defaultDuration)) {
+    errors.push('defaultDuration must be a positive number of seconds');
+  }
+  
+  if (!partial || data.items !== undefined) {
+    if (!Array.isArray(data.items) || data.items.length === 0) {
+      errors.push('items must be a non-empty list');
+    } else {
+      data.items.forEach((item, index) => {
+        if (!item.layoutId) {
+          errors.push(`items[${index}]: layoutId is required`);
+        }
+        if (item.duration !== undefined && item.duration !== null && !isPositiveInteger(item.duration)) {
+          errors.push(`items[${index}]: duration must be a positive number of seconds`);
+        }
+        if (item.transition !== undefined && item.transition !== null && !PlaylistTransition.includes(item.transition)) {
+          errors.push(`items[${index}]: transition must be one of: ${PlaylistTransition.join(', ')}`);
+        }
+        if (item.weight !== undefined && !isPositiveInteger(item.weight)) {
+          errors.push(`items[${index}]: weight must be a positive integer`);
+        }
+      });
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * API items → playlist_items rows (position follows list order)
+ */
+export function toPlaylistItemRows(playlistId, items) {
+  return items.map((item, index) => ({
+    playlist_id: playlistId,
+    layout_id: item.layoutId,
+    position: index,
+    duration_seconds: item.duration || null,
+    transition: item.transition || null,
+    weight: item.weight || 1
+  }));
+}
+
+/**
+ * A playlist's items in play order
+ */
+export function getPlaylistItems(playlist) {
+  return [...(playlist?.items || [])].sort((a, b) => a.position - b.position);
+}
+
+/**
+ * Resolve a screen's playlist for a payload
+ *
+ * resolveItem(itemScreen) returns { layout, menu } for a live layout or null;
+ * the item screen is the screen with `layout` set to the item's layout.
+ * Returns { layout, menu, playlist } (first live item on top) or null.
+ */
+export function resolvePlaylist(screen, resolveItem) {
+  const playlist = screen.playlist;
+  const duration = playlist.default_duration_seconds || DEFAULT_ITEM_DURATION_SECONDS;
+  
+  const items = getPlaylistItems(playlist)
+    .map(item => {
+      const content = resolveItem(toItemScreen(screen, item));
+      if (!content) return null;
+      
+      return {
+        itemId: item.id,
+        layout: content.layout,
+        menu: content.menu,
+        duration: item.duration_seconds || duration,
+        transition: item.transition || playlist.transition,
+        weight: item.weight || 1
+      };
+    })
+    .filter(Boolean);
+  
+  if (items.length === 0) return null;
+  
+  return {
+    layout: items[0].layout,
+    menu: items[0].menu,
+    playlist: {
+      id: playlist.id,
+      name: playlist.name,
+      items
+    }
+  };
+}
+
+/**
+ * Item screens for every playlist item of the given screens,
+ * so their menus' publish records can be loaded alongside the rest
+ */
+export function getPlaylistItemScreens(screens) {
+  return (screens || []).flatMap(screen => getPlaylistItems(screen.playlist)
+    .map(item => toItemScreen(screen, item)));
+}
+
+/**
+ * Playlists containing any of the layouts
+ */
+export async function getPlaylistIdsForLayouts(client, layoutIds) {
+  if (!layoutIds || layoutIds.length === 0) return [];
+  
+  const { data, error } = await client
+    .from('playlist_items')
+    .select('playlist_id')
+    .in('layout_id', layoutIds);
+  
+  if (error) throw error;
+  return [...new Set((data || []).map(i => i.playlist_id))];
+}
+
+/**
+ * Flag the devices showing a playlist (assigned, or through a daypart)
+ * Returns the number of devices flagged
+ */
+export async function flagPlaylistDevices(client, playlistId) {
+  const { data: dayparts, error: daypartError } = await client
+    .from('screen_dayparts')
+    .select('screen_id')
+    .eq('playlist_id', playlistId);
+  
+  if (daypartError) throw daypartError;
+  
+  const daypartScreenIds = (dayparts || []).map(d => d.screen_id);
+  const filter = daypartScreenIds.length > 0
+    ? `assigned_playlist_id.eq.${playlistId},id.in.(${daypartScreenIds.join(',')})`
+    : `assigned_playlist_id.eq.${playlistId}`;
+  
+  const { data: screens, error } = await client
+    .from('screens')
+    .select('device_id')
+    .or(filter);
+  
+  if (error) throw error;
+  
+  const deviceIds = [...new Set((screens || []).map(s => s.device_id))];
+  if (deviceIds.length === 0) return 0;
+  
+  const { error: deviceError } = await client
+    .from('devices')
+    .update({
+      needs_update: true,
+      last_update_pushed: new Date().toISOString()
+    })
+    .in('id', deviceIds);
+  
+  if (deviceError) throw deviceError;
+  return deviceIds.length;
+}
+
+export default {
+  PlaylistTransition,
+  DEFAULT_ITEM_DURATION_SECONDS,
+  PLAYLIST_FIELDS,
+  validatePlaylist,
+  toPlaylistItemRows,
+  getPlaylistItems,
+  resolvePlaylist,
+  getPlaylistItemScreens,
+  getPlaylistIdsForLayouts,
+  flagPlaylistDevices
+};
@@ -0,0 +1,254 @@
+/**
+ * Price Formatting
+ *
+ * Layout elements and the catalog store prices as numbers. They are turned
+ * into display text when the device payload is built, in the currency and
+ * number format of the device's location (else its organization).
+ *
+ * organizations.settings = { currency: "USD", locale: "en-US", priceFormat: { cents, symbol } }
+ * locations.currency / locations.locale - NULL = the organization's
+ *
+ * CRITICAL:
+ * - Every price on a board goes through formatPrice - same symbol, decimals
+ *   and separators everywhere
+ * - Older layouts with price text ("$4.5") are parsed; text that isn't a
+ *   price is left as it is
+ * - The amount stays in the payload as priceAmount
+ */
+
+import { parsePrice } from './validators.js';
+import { getPayloadLayouts } from './publishSnapshots.js';
+
+export const DEFAULT_CURRENCY = 'USD';
+export const DEFAULT_PRICE_LOCALE = 'en-US';
+
+// Cents: always shown, hidden on whole amounts ($5 / $5.50), or never (rounded)
+export const CentsStyle = {
+  ALWAYS: 'always',
+  AUTO: 'auto',
+  NEVER: 'never'
+};
+
+export const DEFAULT_PRICE_FORMAT = {
+  currency: DEFAULT_CURRENCY,
+  locale: DEFAULT_PRICE_LOCALE,
+  cents: CentsStyle.ALWAYS,
+  symbol: true
+};
+
+// Elements whose data.price is a price (price_list: every row)
+const PRICED_ELEMENT_TYPES = ['menu_item', 'combo'];
+
+/**
+ * Is this an ISO 4217 currency code the runtime can format?
+ */
+export function isValidCurrency(currency) {
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) return false;
+  return typeof Intl.supportedValuesOf === 'function'
+    ? Intl.supportedValuesOf('currency').includes(currency)
+    : true;
+}
+
+/**
+ * Is this a locale Intl can format numbers in (e.g. en-US, de-DE)?
+ */
+export function isValidPriceLocale(locale) {
+  if (typeof locale !== 'string' || locale.trim() === '') return false;
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Validate price settings from the API: { currency, locale, priceFormat: { cents, symbol } }
+ * All optional; null clears a location's value
+ */
+export function validatePriceSettings(data) {
+  const errors = [];
+  
+  if (data.currency !== undefined && data.currency !== null && !isValidCurrency(data.currency)) {
+    errors.push('currency must be an ISO 4217 code like "USD" or "EUR"');
+  }
+  
+  if (data.locale !== undefined && data.locale !== null && !isValidPriceLocale(data.locale)) {
+    errors.push('locale must be a locale like "en-US" or "de-DE"');
+  }
+  
+  if (data.priceFormat !== undefined && data.priceFormat !== null) {
+    const { cents, symbol } = data.priceFormat;
+    if (cents !== undefined && !Object.values(CentsStyle).includes(cents)) {
+      errors.push(`priceFormat.cents must be one of: ${Object.values(CentsStyle).join(', ')}`);
+    }
+    if (symbol !== undefined && typeof symbol !== 'boolean') {
+      errors.push('priceFormat.symbol must be true or false');
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Format an amount for display, e.g. 1299.5 → "$1,299.50" (en-US, USD)
+ * or "1.299,50 €" (de-DE, EUR)
+ */
+export function formatPrice(amount, format = {}) {
+  const { currency, locale, cents, symbol } = { ...DEFAULT_PRICE_FORMAT, ...format };
+  const currencyDigits = new Intl.NumberFormat(locale, { style: 'currency', currency })
+    .resolvedOptions().maximumFractionDigits;
+  
+  const hideCents = cents === CentsStyle.NEVER || (cents === CentsStyle.AUTO && Number.isInteger(amount));
+  const digits = hideCents ? 0 : currencyDigits;
+  
+  return new Intl.NumberFormat(locale, {
+    ...(symbol && { style: 'currency', currency }),
+    minimumFractionDigits: digits,
+    maximumFractionDigits: digits
+  }).format(amount);
+}
+
+/**
+ * The price format of a device: location currency / locale, else the
+ * organization's settings, else USD in en-US
+ */
+export async function getPriceFormat(client, device) {
+  const [{ data: organization }, { data: location }] = await Promise.all([
+    device.organization_id
+      ? client.from('organizations').select('settings').eq('id', device.organization_id).single()
+      : { data: null },
+    device.location_id
+      ? client.from('locations').select('currency, locale').eq('id', device.location_id).single()
+      : { data: null }
+  ]);
+  
+  const settings = organization?.settings || {};
+  const pick = (...values) => values.find(Boolean);
+  
+  return {
+    currency: pick(location?.currency, isValidCurrency(settings.currency) && settings.currency, DEFAULT_CURRENCY),
+    locale: pick(location?.locale, isValidPriceLocale(settings.locale) && settings.locale, DEFAULT_PRICE_LOCALE),
+    cents: settings.priceFormat?.cents || DEFAULT_PRICE_FORMAT.cents,
+    symbol: settings.priceFormat?.symbol ?? DEFAULT_PRICE_FORMAT.symbol
+  };
+}
+
+/**
+ * { price, priceAmount } for a stored price; text that isn't a price stays as is
+ */
+function displayPrice(value, format) {
+  const amount = parsePrice(value);
+  return amount === null ? { price: value } : { price: formatPrice(amount, format), priceAmount: amount };
+}
+
+function hasPrice(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * An element with its prices formatted (menu_item / combo price and
+ * modifiers, price_list rows)
+ */
+export function formatElementPrices(element, format) {
+  const data = element.data;
+  if (!data) return element;
+  
+  if (PRICED_ELEMENT_TYPES.includes(element.type)) {
+    return {
+      ...element,
+      data: {
+        ...data,
+        ...(hasPrice(data.price) && displayPrice(data.price, format)),
+        ...(Array.isArray(data.modifiers) && {
+          modifiers: data.modifiers.map(m => (hasPrice(m?.price) ? { ...m, ...displayPrice(m.price, format) } : m))
+        })
+      }
+    };
+  }
+  
+  if (element.type === 'price_list' && Array.isArray(data.items)) {
+    return {
+      ...element,
+      data: { ...data, items: data.items.map(row => (hasPrice(row?.price) ? { ...row, ...displayPrice(row.price, format) } : row)) }
+    };
+  }
+  
+  return element;
+}
+
+/**
+ * Format every price in a device payload (screens, playlist items, daypart
+ * switches and the fallback). Payload layouts are built per request, so
+ * their elements are replaced in place.
+ */
+export function formatPayloadPrices(payload, format) {
+  for (const layout of new Set(getPayloadLayouts(payload))) {
+    layout.elements = (layout.elements || []).map(element => formatElementPrices(element, format));
+  }
+  
+  return payload;
+}
+
+/**
+ * Store element prices as numbers (layout saves)
+ * Empty prices become null. Returns { elements, errors }
+ */
+export function normalizeElementPrices(elements) {
+  const errors = [];
+  const normalize = (value, label) => {
+    if (!hasPrice(value)) return null;
+    const amount = parsePrice(value);
+    if (amount === null) errors.push(`${label}: "${value}" is not a valid price`);
+    return amount ?? value;
+  };
+  
+  const normalized = (elements || []).map((element, index) => {
+    const data = element?.data;
+    if (!data) return element;
+    
+    if (PRICED_ELEMENT_TYPES.includes(element.type)) {
+      return {
+        ...element,
+        data: {
+          ...data,
+          ...(data.price !== undefined && { price: normalize(data.price, `elements[${index}].price`) }),
+          ...(Array.isArray(data.modifiers) && {
+            modifiers: data.modifiers.map((m, i) => ({ ...m, price: normalize(m?.price, `elements[${index}].modifiers[${i}].price`) }))
+          })
+        }
+      };
+    }
+    
+    if (element.type === 'price_list' && Array.isArray(data.items)) {
+      return {
+        ...element,
+        data: {
+          ...data,
+          items: data.items.map((row, i) => ({ ...row, price: normalize(row?.price, `elements[${index}].items[${i}].price`) }))
+        }
+      };
+    }
+    
+    return element;
+  });
+  
+  return { elements: normalized, errors };
+}
+
+export default {
+  DEFAULT_CURRENCY,
+  DEFAULT_PRICE_LOCALE,
+  DEFAULT_PRICE_FORMAT,
+  CentsStyle,
+  isValidCurrency,
+  isValidPriceLocale,
+  validatePriceSettings,
+  formatPrice,
+  getPriceFormat,
+  formatElementPrices,
+  formatPayloadPrices,
+  normalizeElementPrices
+};
@@ -0,0 +1,98 @@
+/**
+ * Publish Snapshots
+ *
+ * CRITICAL:
+ * - A publish FREEZES every layout of the menu
+ * - Devices are served from the snapshot, NEVER the live layouts table
+ * - Editing a published menu does nothing until the next publish
+ */
+
+/**
+ * Freeze a single layout row for a publish snapshot
+ */
+export function snapshotLayout(layout) {
+  return {
+    id: layout.id,
+    screen_index: layout.screen_index,
+    name: layout.name,
+    resolution: layout.resolution,
+    aspect_ratio: layout.aspect_ratio,
+    orientation: layout.orientation,
+    safe_zone: layout.safe_zone,
+    elements: JSON.parse(JSON.stringify(layout.elements || [])),
+    background: JSON.parse(JSON.stringify(layout.background || null))
+  };
+}
+
+/**
+ * Freeze all layouts of a menu, ordered by screen index
+ */
+export function createSnapshot(layouts) {
+  return [...layouts]
+    .sort((a, b) => (a.screen_index || 0) - (b.screen_index || 0))
+    .map(snapshotLayout);
+}
+
+/**
+ * Find a layout inside a publish record's snapshot
+ */
+export function getSnapshotLayout(publishRecord, layoutId) {
+  if (!publishRecord || !Array.isArray(publishRecord.snapshot)) return null;
+  return publishRecord.snapshot.find(l => l.id === layoutId) || null;
+}
+
+/**
+ * Convert a snapshot layout to the device payload shape
+ */
+export function toPayloadLayout(snapshotLayout, menuId) {
+  return {
+    id: snapshotLayout.id,
+    menuId,
+    elements: snapshotLayout.elements,
+    background: snapshotLayout.background,
+    safeZone: snapshotLayout.safe_zone,
+    resolution: snapshotLayout.resolution
+  };
+}
+
+/**
+ * Every layout a payload can render (screens, playlists, daypart switches, device fallback)
+ */
+export function getPayloadLayouts(payload) {
+  const withPlaylist = entry => [entry.layout, ...(entry.playlist?.items || []).map(i => i.layout)];
+  const layouts = (payload.screens || [])
+    .flatMap(s => [...withPlaylist(s), ...(s.schedule?.transitions || []).flatMap(withPlaylist)])
+    .filter(Boolean);
+  const fallback = payload.fallback?.layout || payload.fallback;
+  if (fallback && fallback.elements) layouts.push(fallback);
+  return layouts;
+}
+
+/**
+ * Convert a snapshot layout back into a live layout row (for restores)
+ * Keeps the original layout ID so screen assignments still point at it
+ */
+export function restoreLayoutRow(snapshotLayout, menuId) {
+  return {
+    id: snapshotLayout.id,
+    menu_id: menuId,
+    screen_index: snapshotLayout.screen_index,
+    name: snapshotLayout.name,
+    resolution: snapshotLayout.resolution,
+    aspect_ratio: snapshotLayout.aspect_ratio,
+    orientation: snapshotLayout.orientation,
+    safe_zone: snapshotLayout.safe_zone,
+    elements: JSON.parse(JSON.stringify(snapshotLayout.elements || [])),
+    background: JSON.parse(JSON.stringify(snapshotLayout.background || null)),
+    updated_at: new Date().toISOString()
+  };
+}
+
+export default {
+  snapshotLayout,
+  createSnapshot,
+  getSnapshotLayout,
+  toPayloadLayout,
+  getPayloadLayouts,
+  restoreLayoutRow
+};
@@ -0,0 +1,269 @@
+/**
+ * Publish Validation
+ *
+ * Runs before a menu is published.
+ *
+ * CRITICAL:
+ * - Errors BLOCK the publish
+ * - Warnings block until the caller confirms with overrideWarnings
+ * - Nothing here writes to the database
+ */
+
+import { validateLayout } from './validators.js';
+import { isElementInSafeZone } from './safeZones.js';
+import { RESOLUTIONS, parseResolution } from './resolutionProfiles.js';
+import { checkMenuCompliance } from './menuCompliance.js';
+import { getScreenLayoutFilter, getScreenLayoutIds } from './dayparts.js';
+
+export const Severity = {
+  ERROR: 'error',
+  WARNING: 'warning'
+};
+
+// Decorative shapes are allowed to bleed into the overscan area
+const SAFE_ZONE_EXEMPT_TYPES = ['rectangle', 'circle', 'line'];
+
+// Public storage URL: .../storage/v1/object/public/<bucket>/<path>
+const STORAGE_URL_PATTERN = /\/storage\/v1\/object\/public\/([^/]+)\/(.+)$/;
+
+/**
+ * Get canvas size from a resolution string ("1920x1080") or profile key ("1080p")
+ */
+export function getCanvasSize(resolution) {
+  if (resolution && /^\d+x\d+$/.test(resolution)) {
+    return parseResolution(resolution);
+  }
+  const profile = RESOLUTIONS[resolution];
+  return profile ? { w: profile.w, h: profile.h } : null;
+}
+
+/**
+ * Parse a Supabase public storage URL into bucket and path
+ */
+export function parseStorageUrl(url) {
+  if (!url || typeof url !== 'string') return null;
+  const match = url.split('?')[0].match(STORAGE_URL_PATTERN);
+  if (!match) return null;
+  return { bucket: match[1], path: decodeURIComponent(match[2]) };
+}
+
+/**
+ * Collect every image URL referenced by a set of layouts
+ */
+export function collectImageRefs(layouts) {
+  const refs = [];
+  
+  for (const layout of layouts) {
+    const background = layout.background;
+    if (background && background.type === 'image' && background.value) {
+      refs.push({ layoutId: layout.id, elementIndex: null, url: background.value });
+    }
+    
+    (layout.elements || []).forEach((element, index) => {
+      const url = element.src || element.data?.image;
+      if (url) {
+        refs.push({ layoutId: layout.id, elementIndex: index, elementId: element.id || null, url });
+      }
+    });
+  }
+  
+  return refs;
+}
+
+function finding(severity, code, layout, message, extra = {}) {
+  return {
+    severity,
+    code,
+    layoutId: layout.id,
+    layoutName: layout.name || null,
+    message,
+    ...extra
+  };
+}
+
+function hasGeometry(element) {
+  return ['x', 'y', 'width', 'height'].every(k => typeof element[k] === 'number');
+}
+
+/**
+ * Validate layouts for publish (pure - callers supply screens and storage results)
+ *
+ * @param layouts - layout rows (snake_case) of the menu
+ * @param context.screens - screens showing these layouts, each with layout_ids:
+ *                          every layout it can show (assigned, playlist, dayparts)
+ * @param context.missingImages - image URLs that no longer exist in storage
+ * @param context.unverifiedImages - image URLs whose storage check failed
+ */
+export function validateLayoutsForPublish(layouts, context = {}) {
+  const { screens = [], missingImages = [], unverifiedImages = [] } = context;
+  const errors = [];
+  const warnings = [];
+  const missing = new Set(missingImages);
+  const unverified = new Set(unverifiedImages);
+  
+  for (const layout of layouts) {
+    // Basic layout validation
+    const basic = validateLayout({
+      menuId: layout.menu_id,
+      resolution: layout.resolution,
+      screenIndex: layout.screen_index,
+      orientation: layout.orientation
+    });
+    for (const message of basic.errors) {
+      errors.push(finding(Severity.ERROR, 'INVALID_LAYOUT', layout, message));
+    }
+    
+    const canvas = getCanvasSize(layout.resolution);
+    
+    (layout.elements || []).forEach((element, index) => {
+      if (!canvas || !hasGeometry(element)) return;
+      const location = { elementIndex: index, elementId: element.id || null, elementType: element.type };
+      
+      const outsideCanvas = element.x < 0 || element.y < 0 ||
+        element.x + element.width > canvas.w ||
+        element.y + element.height > canvas.h;
+      
+      if (outsideCanvas) {
+        errors.push(finding(Severity.ERROR, 'OUTSIDE_CANVAS', layout,
+          `${element.type || 'Element'} extends beyond the ${canvas.w}x${canvas.h} canvas`, location));
+        return;
+      }
+      
+      if (SAFE_ZONE_EXEMPT_TYPES.includes(element.type)) return;
+      
+      if (!isElementInSafeZone(element, canvas.w, canvas.h, layout.safe_zone)) {
+        warnings.push(finding(Severity.WARNING, 'OUTSIDE_SAFE_ZONE', layout,
+          `${element.type || 'Element'} is outside the ${layout.safe_zone} safe zone and may be cut off by overscan`, location));
+      }
+    });
+    
+    // Screens showing this layout at a different resolution
+    const layoutSize = canvas ? `${canvas.w}x${canvas.h}` : layout.resolution;
+    for (const screen of screens.filter(s => (s.layout_ids || [s.assigned_layout_id]).includes(layout.id))) {
+      const screenCanvas = getCanvasSize(screen.resolution);
+      const screenSize = screenCanvas ? `${screenCanvas.w}x${screenCanvas.h}` : screen.resolution;
+      
+      if (screenSize !== layoutSize) {
+        warnings.push(finding(Severity.WARNING, 'RESOLUTION_MISMATCH', layout,
+          `Layout is ${layoutSize} but screen "${screen.name || screen.id}" is ${screenSize}`,
+          { screenId: screen.id, deviceId: screen.device_id || null }));
+      }
+    }
+  }
+  
+  // Broken image references
+  for (const ref of collectImageRefs(layouts)) {
+    const layout = layouts.find(l => l.id === ref.layoutId);
+    const location = { elementIndex: ref.elementIndex, elementId: ref.elementId || null, url: ref.url };
+    
+    if (missing.has(ref.url)) {
+      errors.push(finding(Severity.ERROR, 'MISSING_IMAGE', layout,
+        'Image no longer exists in storage', location));
+    } else if (unverified.has(ref.url)) {
+      warnings.push(finding(Severity.WARNING, 'IMAGE_UNVERIFIED', layout,
+        'Image could not be verified in storage', location));
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Check which storage image URLs no longer exist
+ * Non-storage (external) URLs are not checked
+ */
+export async function findMissingImages(client, urls) {
+  const missingImages = [];
+  const unverifiedImages = [];
+  
+  for (const url of [...new Set(urls)]) {
+    const ref = parseStorageUrl(url);
+    if (!ref) continue;
+    
+    const slash = ref.path.lastIndexOf('/');
+    const folder = slash === -1 ? '' : ref.path.slice(0, slash);
+    const name = ref.path.slice(slash + 1);
+    
+    const { data, error } = await client.storage
+      .from(ref.bucket)
+      .list(folder, { search: name });
+    
+    if (error) {
+      unverifiedImages.push(url);
+    } else if (!(data || []).some(f => f.name === name)) {
+      missingImages.push(url);
+    }
+  }
+  
+  return { missingImages, unverifiedImages };
+}
+
+/**
+ * Run every pre-publish check for a menu's layouts
+ * Loads the screens that can show the layouts (assigned, through a playlist
+ * or a daypart), verifies storage images and applies the organization's
+ * compliance rules (utils/menuCompliance.js) with the given client
+ */
+export async function checkMenuForPublish(client, layouts) {
+  const layoutIds = layouts.map(l => l.id);
+  const { data: screens, error } = await client
+    .from('screens')
+    .select('id, name, resolution, assigned_layout_id, assigned_playlist_id, device_id')
+    .or(await getScreenLayoutFilter(client, layoutIds));
+  
+  if (error) throw error;
+  
+  const screenLayoutIds = await getScreenLayoutIds(client, screens || []);
+  
+  const images = await findMissingImages(client, collectImageRefs(layouts).map(r => r.url));
+  const compliance = await checkMenuCompliance(client, layouts);
+  
+  const validation = validateLayoutsForPublish(layouts, {
+    screens: (screens || []).map(s => ({ ...s, layout_ids: screenLayoutIds.get(s.id) })),
+    ...images
+  });
+  
+  const errors = [...validation.errors, ...compliance.errors];
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings: [...validation.warnings, ...compliance.warnings]
+  };
+}
+
+/**
+ * Build the error thrown when validation stops a publish
+ * Errors always block; warnings block unless overridden
+ */
+export function getPublishBlock(validation, overrideWarnings = false) {
+  if (validation.errors.length > 0) {
+    const error = new Error(`Publish blocked: ${validation.errors.length} validation error(s)`);
+    error.status = 422;
+    error.validation = validation;
+    return error;
+  }
+  
+  if (validation.warnings.length > 0 && !overrideWarnings) {
+    const error = new Error(`Publish needs confirmation: ${validation.warnings.length} warning(s). Resend with overrideWarnings to publish anyway`);
+    error.status = 409;
+    error.validation = validation;
+    return error;
+  }
+  
+  return null;
+}
+
+export default {
+  Severity,
+  getCanvasSize,
+  parseStorageUrl,
+  collectImageRefs,
+  validateLayoutsForPublish,
+  findMissingImages,
+  checkMenuForPublish,
+  getPublishBlock
+};
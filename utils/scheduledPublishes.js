@@ -0,0 +1,324 @@
+/**
+ * Scheduled Publishes
+ *
+ * A publish queued for a local wall-clock time. It fires at that time in
+ * EACH target location's timezone, so one schedule can go live at
+ * 05:00 in Chicago and, an hour later, 05:00 in Denver.
+ *
+ * CRITICAL:
+ * - The snapshot is frozen when the publish is SCHEDULED
+ * - A location-targeted fire only moves that location (location_menu_publishes)
+ * - An immediate publish clears every location override of the menu
+ * - A target fires once: a run claims it off 'pending' before doing any work
+ *
+ * Helpers take a Supabase client so services and functions share them.
+ */
+
+import { checkMenuForPublish, getPublishBlock } from './publishValidation.js';
+import { zonedTimeToUtc, DEFAULT_TIMEZONE } from './timezones.js';
+import { getScreenLayoutFilter } from './dayparts.js';
+
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Remove per-location publishes of a menu so every location follows
+ * menus.current_publish_id again
+ */
+export async function clearLocationPublishes(client, menuId) {
+  const { error } = await client
+    .from('location_menu_publishes')
+    .delete()
+    .eq('menu_id', menuId);
+  
+  if (error) throw error;
+}
+
+/**
+ * Get the publishes a location shows instead of each menu's current publish
+ * Returns Map of menuId → publishId
+ */
+export async function getLocationPublishIds(client, locationId, menuIds) {
+  const ids = [...new Set(menuIds.filter(Boolean))];
+  if (!locationId || ids.length === 0) return new Map();
+  
+  const { data, error } = await client
+    .from('location_menu_publishes')
+    .select('menu_id, publish_id')
+    .eq('location_id', locationId)
+    .in('menu_id', ids);
+  
+  if (error) throw error;
+  return new Map((data || []).map(r => [r.menu_id, r.publish_id]));
+}
+
+/**
+ * Work out the UTC instant each target of a scheduled publish fires
+ * No locations = one target for every device, in the organization's timezone
+ */
+export async function getScheduleTargets(client, organizationId, publishAt, locationIds = []) {
+  let zones;
+  
+  if (locationIds.length === 0) {
+    const { data: org, error } = await client
+      .from('organizations')
+      .select('timezone')
+      .eq('id', organizationId)
+      .single();
+    
+    if (error) throw error;
+    zones = [{ location_id: null, timezone: org.timezone || DEFAULT_TIMEZONE }];
+  } else {
+    const { data: locations, error } = await client
+      .from('locations')
+      .select('id, timezone')
+      .eq('organization_id', organizationId)
+      .in('id', locationIds);
+    
+    if (error) throw error;
+    
+    const unknown = locationIds.filter(id => !locations.some(l => l.id === id));
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown location(s): ${unknown.join(', ')}`);
+    }
+    
+    zones = locations.map(l => ({ location_id: l.id, timezone: l.timezone || DEFAULT_TIMEZONE }));
+  }
+  
+  const now = Date.now();
+  return zones.map(zone => {
+    let runAt;
+    try {
+      runAt = zonedTimeToUtc(publishAt, zone.timezone);
+    } catch (error) {
+      throw badRequest(error.message);
+    }
+    
+    if (runAt.getTime() <= now) {
+      throw badRequest(`${publishAt} has already passed in ${zone.timezone}`);
+    }
+    return { ...zone, run_at: runAt.toISOString() };
+  });
+}
+
+/**
+ * Record a scheduled publish in publish_history the first time a target fires
+ * Returns the publish record ID
+ */
+async function getSchedulePublishId(client, scheduleId) {
+  const { data: schedule, error } = await client
+    .from('scheduled_publishes')
+    .select('*')
+    .eq('id', scheduleId)
+    .single();
+  
+  if (error) throw error;
+  if (schedule.publish_id) return schedule.publish_id;
+  
+  // Images may have been deleted since scheduling - errors still block
+  const validation = await checkMenuForPublish(
+    client,
+    schedule.snapshot.map(l => ({ ...l, menu_id: schedule.menu_id }))
+  );
+  const block = getPublishBlock(validation, true);
+  if (block) throw block;
+  
+  const { data: record, error: recordError } = await client
+    .from('publish_history')
+    .insert({
+      menu_id: schedule.menu_id,
+      version: schedule.version,
+      published_by: schedule.created_by,
+      layout_count: schedule.layout_count,
+      snapshot: schedule.snapshot,
+      scheduled_publish_id: schedule.id,
+      published_at: new Date().toISOString()
+    })
+    .select('id')
+    .single();
+  
+  if (recordError) throw recordError;
+  
+  const { error: updateError } = await client
+    .from('scheduled_publishes')
+    .update({ publish_id: record.id, status: 'in_progress' })
+    .eq('id', schedule.id);
+  
+  if (updateError) throw updateError;
+  return record.id;
+}
+
+/**
+ * Devices showing any of the layouts (directly or by daypart), optionally only at one location
+ */
+async function getAffectedDeviceIds(client, layoutIds, locationId) {
+  const { data: screens, error } = await client
+    .from('screens')
+    .select('device:devices (id, location_id)')
+    .or(await getScreenLayoutFilter(client, layoutIds));
+  
+  if (error) throw error;
+  
+  const deviceIds = (screens || [])
+    .map(s => s.device)
+    .filter(d => d && (!locationId || d.location_id === locationId))
+    .map(d => d.id);
+  
+  return [...new Set(deviceIds)];
+}
+
+/**
+ * Fire one target of a scheduled publish
+ * Returns the number of devices flagged for update, or null if another
+ * run already claimed the target
+ */
+async function runScheduledTarget(client, target) {
+  const schedule = target.schedule;
+  
+  // 1. Claim the target - only the run that moves it off pending fires it
+  const { data: claimed, error: claimError } = await client
+    .from('scheduled_publish_targets')
+    .update({ status: 'published', published_at: new Date().toISOString() })
+    .eq('id', target.id)
+    .eq('status', 'pending')
+    .select('id');
+  
+  if (claimError) throw claimError;
+  if (!claimed || claimed.length === 0) return null;
+  
+  // 2. Menu must not have been archived since
+  const { data: menu, error: fetchError } = await client
+    .from('menus')
+    .select('id, status')
+    .eq('id', schedule.menu_id)
+    .maybeSingle();
+  
+  if (fetchError) throw fetchError;
+  
+  if (!menu || menu.status === 'archived') {
+    throw new Error('Menu was archived after the publish was scheduled');
+  }
+  
+  // 3. Record the publish (once per schedule)
+  const publishId = await getSchedulePublishId(client, schedule.id);
+  
+  // 4. Point the target at the publish: a location gets its own pointer,
+  // an organization-wide target moves the menu itself
+  if (target.location_id) {
+    const { error } = await client
+      .from('location_menu_publishes')
+      .upsert({
+        location_id: target.location_id,
+        menu_id: schedule.menu_id,
+        publish_id: publishId,
+        published_at: new Date().toISOString()
+      }, { onConflict: 'location_id,menu_id' });
+    
+    if (error) throw error;
+  } else {
+    const { error: menuError } = await client
+      .from('menus')
+      .update({
+        status: 'published',
+        current_publish_id: publishId,
+        last_published_at: new Date().toISOString(),
+        last_published_by: schedule.created_by,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', schedule.menu_id);
+    
+    if (menuError) throw menuError;
+    
+    await clearLocationPublishes(client, schedule.menu_id);
+  }
+  
+  // 5. Flag only the devices this target covers
+  const deviceIds = await getAffectedDeviceIds(client, schedule.snapshot.map(l => l.id), target.location_id);
+  
+  if (deviceIds.length > 0) {
+    await client
+      .from('devices')
+      .update({
+        needs_update: true,
+        last_update_pushed: new Date().toISOString()
+      })
+      .in('id', deviceIds);
+  }
+  
+  // 6. Record how many devices it reached
+  const { error: targetError } = await client
+    .from('scheduled_publish_targets')
+    .update({ affected_devices: deviceIds.length })
+    .eq('id', target.id);
+  
+  if (targetError) throw targetError;
+  return deviceIds.length;
+}
+
+/**
+ * Close a scheduled publish once none of its targets are pending
+ */
+async function finishScheduleIfDone(client, scheduleId) {
+  const { data: targets, error } = await client
+    .from('scheduled_publish_targets')
+    .select('status')
+    .eq('scheduled_publish_id', scheduleId);
+  
+  if (error) throw error;
+  if (targets.some(t => t.status === 'pending')) return;
+  
+  await client
+    .from('scheduled_publishes')
+    .update({
+      status: targets.some(t => t.status === 'published') ? 'completed' : 'failed',
+      completed_at: new Date().toISOString()
+    })
+    .eq('id', scheduleId)
+    .in('status', ['scheduled', 'in_progress']);
+}
+
+/**
+ * Fire every scheduled publish target that is due
+ * A failing target is recorded and does not stop the others
+ */
+export async function runDueTargets(client, now = new Date()) {
+  const { data: due, error } = await client
+    .from('scheduled_publish_targets')
+    .select('*, schedule:scheduled_publishes (id, menu_id, status, created_by, snapshot)')
+    .eq('status', 'pending')
+    .lte('run_at', now.toISOString())
+    .order('run_at');
+  
+  if (error) throw error;
+  
+  const results = [];
+  for (const target of (due || [])) {
+    if (!['scheduled', 'in_progress'].includes(target.schedule.status)) continue;
+    
+    try {
+      const affectedDevices = await runScheduledTarget(client, target);
+      if (affectedDevices === null) continue;
+      results.push({ targetId: target.id, locationId: target.location_id, status: 'published', affectedDevices });
+    } catch (err) {
+      await client
+        .from('scheduled_publish_targets')
+        .update({ status: 'failed', error_message: err.message })
+        .eq('id', target.id);
+      results.push({ targetId: target.id, locationId: target.location_id, status: 'failed', error: err.message });
+    }
+    
+    await finishScheduleIfDone(client, target.scheduled_publish_id);
+  }
+  
+  return results;
+}
+
+export default {
+  clearLocationPublishes,
+  getLocationPublishIds,
+  getScheduleTargets,
+  runDueTargets
+};
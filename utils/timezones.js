@@ -0,0 +1,160 @@
+/**
+ * Timezones
+ *
+ * Wall-clock time helpers for location timezones (IANA names like
+ * "America/Chicago"). Uses Intl only - no timezone database dependency.
+ *
+ * CRITICAL:
+ * - Store instants as UTC (TIMESTAMPTZ)
+ * - "Monday 5:00" means 5:00 in EACH location's own timezone
+ */
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Same default as the organizations and locations tables
+export const DEFAULT_TIMEZONE = 'America/New_York';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LOCAL_DATE_TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+/**
+ * Check that a timezone name is understood by the runtime
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock parts of an instant in a timezone
+ * weekday: 0 = Sunday ... 6 = Saturday
+ */
+export function getZonedParts(date, timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    weekday: 'short'
+  });
+  
+  const parts = {};
+  for (const part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant, in milliseconds
+ */
+function getOffsetMs(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Parse "YYYY-MM-DDTHH:mm[:ss]" (no offset) into its parts
+ * Dates that don't exist on the calendar (2026-02-31) are rejected
+ */
+export function parseLocalDateTime(value) {
+  const match = typeof value === 'string' && value.match(LOCAL_DATE_TIME_PATTERN);
+  if (!match) return null;
+  
+  const [, year, month, day, hour, minute] = match.map(Number);
+  const second = match[6] ? Number(match[6]) : 0;
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  
+  // Round-trip through the calendar: Feb 31 would come back as Mar 3
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  
+  return { year, month, day, hour, minute, second };
+}
+
+/**
+ * Convert a wall-clock time in a timezone to the UTC instant
+ * e.g. ("2026-10-26T05:00", "America/Chicago") → 2026-10-26T10:00:00.000Z
+ *
+ * DST transitions:
+ * - A time skipped when clocks go forward is shifted forward by the gap
+ *   ("2026-03-08T02:30" in America/New_York → 03:30 EDT)
+ * - A time that happens twice when clocks go back is its first occurrence
+ *   ("2026-11-01T01:30" in America/New_York → 01:30 EDT)
+ */
+export function zonedTimeToUtc(localDateTime, timeZone) {
+  const local = parseLocalDateTime(localDateTime);
+  if (!local) {
+    throw new Error('Invalid local date/time (expected YYYY-MM-DDTHH:mm)');
+  }
+  if (!isValidTimeZone(timeZone)) {
+    throw new Error(`Invalid timezone: ${timeZone}`);
+  }
+  
+  const guess = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  
+  // Offsets in effect either side of any transition that day
+  const offsetBefore = getOffsetMs(new Date(guess - DAY_MS), timeZone);
+  const offsetAfter = getOffsetMs(new Date(guess + DAY_MS), timeZone);
+  
+  // Instants whose own offset agrees with the one used to reach them
+  const matches = [...new Set([offsetBefore, offsetAfter])]
+    .map(offset => guess - offset)
+    .filter(instant => guess - getOffsetMs(new Date(instant), timeZone) === instant);
+  
+  if (matches.length > 0) {
+    return new Date(Math.min(...matches));
+  }
+  
+  // In the gap: keep the old offset, which lands the same distance past it
+  return new Date(guess - offsetBefore);
+}
+
+/**
+ * Local calendar date ("YYYY-MM-DD") of an instant in a timezone
+ */
+export function getLocalDate(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Minutes since local midnight of an instant in a timezone
+ */
+export function getLocalMinutes(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  return p.hour * 60 + p.minute;
+}
+
+export default {
+  WEEKDAYS,
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  getZonedParts,
+  parseLocalDateTime,
+  zonedTimeToUtc,
+  getLocalDate,
+  getLocalMinutes
+};
@@ -63,6 +63,32 @@ export function isValidMAC(mac) {
   return re.test(mac);
 }
 
+/**
+ * Parse a price to a number, or null if malformed
+ * Accepts non-negative numbers with at most 2 decimals, and strings like
+ * "4.5", "$4.50", "1,299.00" or "4.50 €" (comma only as thousands separator)
+ */
+export function parsePrice(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || value < 0) return null;
+    return Math.abs(value * 100 - Math.round(value * 100)) < 1e-6 ? value : null;
+  }
+  
+  if (typeof value !== 'string') return null;
+  
+  const match = /^\s*(?:[^\d\s.,-]{1,3}\s?)?(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?(?:\s?[^\d\s.,-]{1,3})?\s*$/.exec(value);
+  if (!match) return null;
+  
+  return Number(match[1].replace(/,/g, '') + (match[2] || ''));
+}
+
+/**
+ * Validate a price (number or price string, see parsePrice)
+ */
+export function isValidPrice(value) {
+  return parsePrice(value) !== null;
+}
+
 /**
  * Sanitize string input
  */
@@ -201,6 +227,8 @@ export default {
   isValidDeviceName,
   isValidIP,
   isValidMAC,
+  parsePrice,
+  isValidPrice,
   sanitizeString,
   validateRequired,
   validateMenu,